@@ -13,7 +13,19 @@ const AppState = {
     currentPreviewIndex: null,
     keysToDelete: new Set(),
     keysToAdd: [],
-    isModified: false
+    isModified: false,
+    // Поиск и фильтры таблицы ('' — без фильтра)
+    filters: {
+        search: '',
+        dateFrom: '',
+        dateTo: '',
+        verdict: '',
+        appealStatus: '',
+        court: ''
+    },
+    searchRegexps: [],
+    // Сортировка и страница таблицы (TableView.createState)
+    table: TableView.createState()
 };
 // 🔧 ЗАЩИТА: Проверка загрузки JSONLHandler
 if (typeof JSONLHandler === 'undefined') {
@@ -48,6 +60,9 @@ function initializeDOM() {
     DOM.statChars = document.getElementById('stat-chars');
     DOM.statFilename = document.getElementById('stat-filename');
     DOM.datasetInfo = document.getElementById('dataset-info');
+    DOM.storageStatus = document.getElementById('storage-status');
+    DOM.btnUndo = document.getElementById('btn-undo');
+    DOM.btnRedo = document.getElementById('btn-redo');
     
     // Загрузка
     DOM.jsonlUpload = document.getElementById('jsonl-upload');
@@ -76,6 +91,17 @@ function initializeDOM() {
     // Таблица
     DOM.tableSection = document.getElementById('table-section');
     DOM.recordsBody = document.getElementById('records-body');
+    DOM.recordsHead = document.querySelector('#records-table thead');
+    DOM.tablePageSize = document.getElementById('table-page-size');
+    DOM.tablePagination = document.getElementById('table-pagination');
+    DOM.filterSearch = document.getElementById('filter-search');
+    DOM.filterDateFrom = document.getElementById('filter-date-from');
+    DOM.filterDateTo = document.getElementById('filter-date-to');
+    DOM.filterVerdict = document.getElementById('filter-verdict');
+    DOM.filterAppealStatus = document.getElementById('filter-appeal-status');
+    DOM.filterCourt = document.getElementById('filter-court');
+    DOM.btnResetFilters = document.getElementById('btn-reset-filters');
+    DOM.filterSummary = document.getElementById('filter-summary');
     
     // Экспорт
     DOM.exportSection = document.getElementById('export-section');
@@ -134,12 +160,12 @@ async function handleLoadDataset() {
             return;
         }
         
-        AppState.datasetEntries = entries;
-        AppState.originalFilename = file.name;
-        AppState.isModified = false;
-        
-        saveToLocalStorage();
-        updateUI();
+        AppState.currentPreviewIndex = null;
+        HistoryManager.execute(
+            `Загрузка датасета: ${file.name}`,
+            [HistoryManager.replaceOp(AppState.datasetEntries, entries)],
+            { before: getHistoryExtra(), after: { originalFilename: file.name, isModified: false } }
+        );
         
         showStatus(DOM.loadStatus, `✅ Загружено записей: ${entries.length}`, 'success');
     } catch (error) {
@@ -224,10 +250,13 @@ async function handleApplyChanges() {
     try {
         showStatus(DOM.applyStatus, '🔄 Применение изменений...', 'info', false);
         
+        // Изменения применяются к копии, в историю попадают только изменённые записи
+        const updated = structuredClone(AppState.datasetEntries);
+        
         // Удаляем ключи
         if (AppState.keysToDelete.size > 0) {
             JSONLHandler.deleteKeysFromEntries(
-                AppState.datasetEntries, 
+                updated, 
                 Array.from(AppState.keysToDelete)
             );
         }
@@ -235,22 +264,42 @@ async function handleApplyChanges() {
         // Добавляем ключи
         AppState.keysToAdd.forEach(keyInfo => {
             JSONLHandler.addKeyToEntries(
-                AppState.datasetEntries, 
+                updated, 
                 keyInfo.name, 
                 keyInfo.location, 
                 keyInfo.value
             );
         });
         
-        AppState.isModified = true;
+        const ops = [];
+        updated.forEach((entry, index) => {
+            const original = AppState.datasetEntries[index];
+            if (JSON.stringify(entry) !== JSON.stringify(original)) {
+                ops.push(HistoryManager.setOp(index, original, entry));
+            }
+        });
+        
+        const labelParts = [];
+        if (AppState.keysToDelete.size > 0) labelParts.push(`удалены ${Array.from(AppState.keysToDelete).join(', ')}`);
+        if (AppState.keysToAdd.length > 0) labelParts.push(`добавлены ${AppState.keysToAdd.map(k => `${k.location}.${k.name}`).join(', ')}`);
+        
         AppState.keysToDelete.clear();
         AppState.keysToAdd = [];
         
-        saveToLocalStorage();
-        updateUI();
-        updateKeyManagementUI();
+        if (ops.length === 0) {
+            saveToStorage(AppState.datasetEntries.length);
+            updateKeyManagementUI();
+            showStatus(DOM.applyStatus, 'ℹ️ Записи не изменились', 'info');
+            return;
+        }
+        
+        HistoryManager.execute(
+            `Ключи: ${labelParts.join('; ')}`,
+            ops,
+            { before: getHistoryExtra(), after: { ...getHistoryExtra(), isModified: true } }
+        );
         
-        showStatus(DOM.applyStatus, '✅ Изменения применены ко всем записям', 'success');
+        showStatus(DOM.applyStatus, `✅ Изменения применены: ${ops.length} записей`, 'success');
     } catch (error) {
         console.error('Ошибка применения изменений:', error);
         showStatus(DOM.applyStatus, `❌ Ошибка: ${error.message}`, 'error');
@@ -462,7 +511,8 @@ function handleSaveRecord() {
     }
     
     AppState.isModified = true;
-    saveToLocalStorage();
+    saveEntryToStorage(AppState.currentPreviewIndex);
+    saveToStorage(AppState.datasetEntries.length);
     showStatus(DOM.saveStatus, '✅ Изменения сохранены', 'success');
 }
 
@@ -492,18 +542,18 @@ function handleClearDataset() {
         return;
     }
     
-    if (confirm('⚠️ Вы уверены, что хотите удалить ВСЕ записи?\n\nЭто действие нельзя отменить.')) {
-        AppState.datasetEntries = [];
-        AppState.originalFilename = '';
+    if (confirm('⚠️ Вы уверены, что хотите удалить ВСЕ записи?\n\nОчистку можно отменить кнопкой «↶ Отменить» (Ctrl+Z).')) {
         AppState.currentPreviewIndex = null;
         AppState.keysToDelete.clear();
         AppState.keysToAdd = [];
-        AppState.isModified = false;
         
-        if (DOM.jsonlUpload) DOM.jsonlUpload.value = '';
+        HistoryManager.execute(
+            'Очистка датасета',
+            [HistoryManager.replaceOp(AppState.datasetEntries, [])],
+            { before: getHistoryExtra(), after: { originalFilename: '', isModified: false } }
+        );
         
-        saveToLocalStorage();
-        updateUI();
+        if (DOM.jsonlUpload) DOM.jsonlUpload.value = '';
         
         alert('✅ Датасет очищен!');
     }
@@ -748,6 +798,7 @@ function updateUI() {
     updatePreviewSelect();
     
     // Таблица
+    updateFilterOptions();
     updateRecordsTable();
     
     // Показ/скрытие секций
@@ -774,28 +825,165 @@ function updatePreviewSelect() {
     });
 }
 
+// ============================================================================
+// ПОИСК, ФИЛЬТРЫ И СОРТИРОВКА ТАБЛИЦЫ
+// ============================================================================
+
+function getCaseNumber(entry) {
+    return entry.case_number || entry.case_id || '';
+}
+
+function getCourtName(entry) {
+    return entry.metadata?.court_name || entry.court_name || '';
+}
+
+/**
+ * Поля записи для полнотекстового поиска: обогащённые поля, затем текст акта
+ */
+function getSearchTexts(entry) {
+    const list = (value) => Array.isArray(value) ? value.filter(item => typeof item === 'string') : [];
+    return [
+        getCaseNumber(entry),
+        getCourtName(entry),
+        entry.plaintiff?.name,
+        entry.defendant?.name,
+        entry.dispute_summary,
+        ...list(entry.key_statements_plaintiff),
+        ...list(entry.key_statements_defendant),
+        ...list(entry.court_resolutions),
+        ...list(entry.mentioned_rules),
+        ...(Array.isArray(entry.q_a) ? entry.q_a.flatMap(qa => [qa?.question, qa?.answer]) : []),
+        entry.decision_text
+    ];
+}
+
+function matchesAppealStatus(entry, appealStatus) {
+    switch (appealStatus) {
+        case 'appealed': return entry.appealed === true;
+        case 'canceled': return entry.canceled === true;
+        case 'not_canceled': return entry.appealed === true && !entry.canceled;
+        // Непроверенные записи сборщика не считаются необжалованными
+        case 'not_appealed': return entry.appealed === false && entry.review_status !== 'unreviewed';
+        default: return true;
+    }
+}
+
+function matchesFilters(entry) {
+    const { search, dateFrom, dateTo, verdict, appealStatus, court } = AppState.filters;
+    
+    if (dateFrom && !(entry.decision_date >= dateFrom)) return false;
+    if (dateTo && !(entry.decision_date <= dateTo)) return false;
+    if (verdict && entry.decision_verdict !== verdict) return false;
+    if (appealStatus && !matchesAppealStatus(entry, appealStatus)) return false;
+    if (court && getCourtName(entry) !== court) return false;
+    
+    // Поиск по тексту — самая дорогая проверка, поэтому последняя
+    if (search && !TableView.matchesSearch(getSearchTexts(entry), AppState.searchRegexps)) return false;
+    return true;
+}
+
+function hasActiveFilters() {
+    return Object.values(AppState.filters).some(Boolean);
+}
+
+/**
+ * Заполняет списки фильтров значениями из датасета
+ */
+function updateFilterOptions() {
+    const fillSelect = (select, values, current) => {
+        if (!select) return '';
+        select.innerHTML = '<option value="">Все</option>';
+        values.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = value;
+            select.appendChild(option);
+        });
+        // Значение, которого больше нет в датасете, сбрасывается
+        select.value = values.includes(current) ? current : '';
+        return select.value;
+    };
+    
+    const verdicts = new Set();
+    const courts = new Set();
+    AppState.datasetEntries.forEach(entry => {
+        if (entry.decision_verdict) verdicts.add(entry.decision_verdict);
+        if (getCourtName(entry)) courts.add(getCourtName(entry));
+    });
+    
+    const byName = (a, b) => a.localeCompare(b, 'ru');
+    AppState.filters.verdict = fillSelect(DOM.filterVerdict, [...verdicts].sort(byName), AppState.filters.verdict);
+    AppState.filters.court = fillSelect(DOM.filterCourt, [...courts].sort(byName), AppState.filters.court);
+}
+
+function handleFilterChange() {
+    AppState.filters.search = DOM.filterSearch?.value.trim() || '';
+    AppState.filters.dateFrom = DOM.filterDateFrom?.value || '';
+    AppState.filters.dateTo = DOM.filterDateTo?.value || '';
+    AppState.filters.verdict = DOM.filterVerdict?.value || '';
+    AppState.filters.appealStatus = DOM.filterAppealStatus?.value || '';
+    AppState.filters.court = DOM.filterCourt?.value || '';
+    AppState.searchRegexps = TableView.compileSearch(AppState.filters.search);
+    AppState.table.page = 1;
+    updateRecordsTable();
+}
+
+function handleResetFilters() {
+    [DOM.filterSearch, DOM.filterDateFrom, DOM.filterDateTo, DOM.filterVerdict, DOM.filterAppealStatus, DOM.filterCourt]
+        .forEach(control => {
+            if (control) control.value = '';
+        });
+    handleFilterChange();
+}
+
+function handlePageSizeChange() {
+    AppState.table.pageSize = parseInt(DOM.tablePageSize.value) || TableView.DEFAULT_PAGE_SIZE;
+    AppState.table.page = 1;
+    updateRecordsTable();
+}
+
+function getRecordSortValue(entry, key, index) {
+    switch (key) {
+        case 'index': return index;
+        case 'case_number': return getCaseNumber(entry);
+        case 'plaintiff': return entry.plaintiff?.name;
+        case 'defendant': return entry.defendant?.name;
+        default: return typeof entry[key] === 'string' ? entry[key] : null;
+    }
+}
+
 function updateRecordsTable() {
     if (!DOM.recordsBody) return;
     
     DOM.recordsBody.innerHTML = '';
     
-    AppState.datasetEntries.forEach((entry, index) => {
+    const indexes = TableView.query(AppState.datasetEntries, AppState.table, {
+        matches: matchesFilters,
+        getSortValue: getRecordSortValue
+    });
+    const pageInfo = TableView.paginate(indexes, AppState.table);
+    
+    // Номера строк — сквозные индексы датасета, как в списке предпросмотра
+    pageInfo.items.forEach((index, position) => {
+        const entry = AppState.datasetEntries[index];
         const row = document.createElement('tr');
         row.className = 'fade-in';
-        row.style.animationDelay = `${index * 0.02}s`;
+        row.style.animationDelay = `${position * 0.02}s`;
         
         row.innerHTML = `
             <td>${index + 1}</td>
-            <td><code>${truncateText(entry.case_number, 50)}</code></td>
+            <td><code>${truncateText(getCaseNumber(entry), 50)}</code></td>
             <td class="text-truncate-2" style="max-width: 300px;">${truncateText(entry.dispute_summary, 200)}</td>
             <td class="text-truncate-2">${truncateText(entry.plaintiff?.name, 100)}</td>
             <td class="text-truncate-2">${truncateText(entry.defendant?.name, 100)}</td>
             <td><span class="badge ${getVerdictBadge(entry.decision_verdict)}">${entry.decision_verdict || '—'}</span></td>
             <td>
                 <button class="btn btn-sm btn-outline-primary" onclick="selectRecord(${index})">👁</button>
+                <button class="btn btn-sm btn-outline-danger btn-delete-record" title="Удалить запись">🗑</button>
             </td>
         `;
         
+        row.querySelector('.btn-delete-record').addEventListener('click', () => handleDeleteRecord(index));
         row.querySelector('button').addEventListener('click', () => {
             if (DOM.previewSelect) DOM.previewSelect.value = index;
             handlePreviewChange();
@@ -804,6 +992,18 @@ function updateRecordsTable() {
         
         DOM.recordsBody.appendChild(row);
     });
+    
+    TableView.renderPagination(DOM.tablePagination, pageInfo, indexes.length, (page) => {
+        AppState.table.page = page;
+        updateRecordsTable();
+        if (DOM.tableSection) DOM.tableSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+    
+    if (DOM.filterSummary) {
+        DOM.filterSummary.textContent = hasActiveFilters()
+            ? `Найдено: ${indexes.length} из ${AppState.datasetEntries.length}`
+            : '';
+    }
 }
 
 function getVerdictBadge(verdict) {
@@ -822,50 +1022,174 @@ window.selectRecord = function(index) {
 };
 
 // ============================================================================
-// LOCALSTORAGE
+// ХРАНИЛИЩЕ (IndexedDB)
 // ============================================================================
 
-function saveToLocalStorage() {
+const STORAGE_KEY = 'enriched_dataset_editor';
+
+function getStorageState() {
+    return {
+        originalFilename: AppState.originalFilename,
+        currentPreviewIndex: AppState.currentPreviewIndex,
+        keysToDelete: Array.from(AppState.keysToDelete),
+        keysToAdd: AppState.keysToAdd,
+        lastUpdated: new Date().toISOString()
+    };
+}
+
+function handleStorageError(error) {
+    console.error('Ошибка хранилища:', error);
+    showStatus(DOM.storageStatus, DatasetStorage.describeError(error), 'error', false);
+}
+
+/**
+ * Сохраняет датасет и состояние
+ * @param {number} from - Первая изменённая позиция: записи до неё не перезаписываются
+ */
+async function saveToStorage(from = 0) {
     try {
-        const data = {
-            entries: AppState.datasetEntries,
-            originalFilename: AppState.originalFilename,
-            currentPreviewIndex: AppState.currentPreviewIndex,
-            keysToDelete: Array.from(AppState.keysToDelete),
-            keysToAdd: AppState.keysToAdd,
-            lastUpdated: new Date().toISOString()
-        };
-        localStorage.setItem('enriched_dataset_editor', JSON.stringify(data));
+        await DatasetStorage.saveDatasetFrom(STORAGE_KEY, AppState.datasetEntries, from, getStorageState());
+        if (DOM.storageStatus) DOM.storageStatus.innerHTML = '';
     } catch (error) {
-        console.warn('Не удалось сохранить в localStorage:', error);
+        handleStorageError(error);
     }
 }
 
-function loadFromLocalStorage() {
+/**
+ * Сохраняет одну изменённую запись (без перезаписи всего датасета)
+ */
+async function saveEntryToStorage(index) {
     try {
-        const saved = localStorage.getItem('enriched_dataset_editor');
+        await DatasetStorage.saveEntry(STORAGE_KEY, index, AppState.datasetEntries[index]);
+        if (DOM.storageStatus) DOM.storageStatus.innerHTML = '';
+    } catch (error) {
+        handleStorageError(error);
+    }
+}
+
+async function loadFromStorage() {
+    if (typeof DatasetStorage === 'undefined' || !DatasetStorage.isSupported()) {
+        showStatus(DOM.storageStatus, '❌ Хранилище IndexedDB недоступно — данные не будут сохраняться между сеансами', 'error', false);
+        return;
+    }
+    
+    try {
+        if (await DatasetStorage.migrateFromLocalStorage(STORAGE_KEY)) {
+            showStatus(DOM.storageStatus, '📦 Датасет перенесён из localStorage в IndexedDB', 'success');
+        }
+        
+        const saved = await DatasetStorage.loadDataset(STORAGE_KEY);
         if (saved) {
-            const data = JSON.parse(saved);
-            AppState.datasetEntries = data.entries || [];
-            AppState.originalFilename = data.originalFilename || '';
-            AppState.currentPreviewIndex = data.currentPreviewIndex || null;
-            AppState.keysToDelete = new Set(data.keysToDelete || []);
-            AppState.keysToAdd = data.keysToAdd || [];
+            AppState.datasetEntries = saved.entries;
+            AppState.originalFilename = saved.state.originalFilename || '';
+            AppState.currentPreviewIndex = saved.state.currentPreviewIndex ?? null;
+            AppState.keysToDelete = new Set(saved.state.keysToDelete || []);
+            AppState.keysToAdd = saved.state.keysToAdd || [];
         }
     } catch (error) {
-        console.warn('Не удалось загрузить из localStorage:', error);
+        console.error('Не удалось загрузить датасет:', error);
+        showStatus(DOM.storageStatus, `❌ Не удалось загрузить сохранённый датасет: ${error.message}`, 'error', false);
     }
 }
 
+// ============================================================================
+// ИСТОРИЯ ИЗМЕНЕНИЙ (ОТМЕНА / ПОВТОР)
+// ============================================================================
+
+const HISTORY_KEY = `${STORAGE_KEY}__history`;
+
+function getHistoryExtra() {
+    return {
+        originalFilename: AppState.originalFilename,
+        isModified: AppState.isModified
+    };
+}
+
+function createHistoryAdapter() {
+    return {
+        getEntries: () => AppState.datasetEntries,
+        applyExtra: (extra) => {
+            AppState.originalFilename = extra.originalFilename || '';
+            AppState.isModified = !!extra.isModified;
+        },
+        onChange: handleHistoryChange,
+        onError: handleStorageError
+    };
+}
+
+function handleHistoryChange(command, action) {
+    // Записи до первой сдвинутой позиции сохраняются по одной, хвост и состояние — одной записью
+    const { edited, shiftedFrom } = HistoryManager.getChangedPositions(command.ops);
+    const from = shiftedFrom ?? AppState.datasetEntries.length;
+    edited.filter(index => index < from).forEach(index => saveEntryToStorage(index));
+    saveToStorage(from);
+    
+    if (AppState.currentPreviewIndex !== null && !AppState.datasetEntries[AppState.currentPreviewIndex]) {
+        AppState.currentPreviewIndex = null;
+    }
+    
+    updateUI();
+    updateHistoryButtons();
+    
+    if (AppState.currentPreviewIndex !== null && DOM.previewSelect) {
+        DOM.previewSelect.value = AppState.currentPreviewIndex;
+        handlePreviewChange();
+    }
+    
+    if (action === 'undo') {
+        showStatus(DOM.storageStatus, `↶ Отменено: ${command.label}`, 'info');
+    } else if (action === 'redo') {
+        showStatus(DOM.storageStatus, `↷ Повторено: ${command.label}`, 'info');
+    }
+}
+
+function updateHistoryButtons() {
+    if (DOM.btnUndo) {
+        DOM.btnUndo.disabled = !HistoryManager.canUndo();
+        DOM.btnUndo.title = HistoryManager.canUndo()
+            ? `Отменить: ${HistoryManager.nextUndoLabel()} (Ctrl+Z)`
+            : 'Нечего отменять';
+    }
+    if (DOM.btnRedo) {
+        DOM.btnRedo.disabled = !HistoryManager.canRedo();
+        DOM.btnRedo.title = HistoryManager.canRedo()
+            ? `Повторить: ${HistoryManager.nextRedoLabel()} (Ctrl+Shift+Z)`
+            : 'Нечего повторять';
+    }
+}
+
+function handleDeleteRecord(index) {
+    const entry = AppState.datasetEntries[index];
+    if (!entry) return;
+    
+    if (!confirm(`Удалить запись ${entry.case_number || '№' + (index + 1)}?`)) return;
+    
+    if (AppState.currentPreviewIndex === index) {
+        AppState.currentPreviewIndex = null;
+    } else if (AppState.currentPreviewIndex > index) {
+        AppState.currentPreviewIndex--;
+    }
+    
+    HistoryManager.execute(
+        `Удаление записи: ${entry.case_number || '№' + (index + 1)}`,
+        [HistoryManager.removeOp(index, entry)],
+        { before: getHistoryExtra(), after: { ...getHistoryExtra(), isModified: true } }
+    );
+}
+
 // ============================================================================
 // ИНИЦИАЛИЗАЦИЯ
 // ============================================================================
 
-function init() {
+async function init() {
     console.log('🚀 Инициализация редактора обогащённого датасета...');
     
     initializeDOM();
-    loadFromLocalStorage();
+    await loadFromStorage();
+    await HistoryManager.init(
+        typeof DatasetStorage !== 'undefined' && DatasetStorage.isSupported() ? HISTORY_KEY : null,
+        createHistoryAdapter()
+    );
     
     // Обработчики событий
     if (DOM.btnLoad) DOM.btnLoad.addEventListener('click', handleLoadDataset);
@@ -876,8 +1200,23 @@ function init() {
     if (DOM.btnDownloadJsonl) DOM.btnDownloadJsonl.addEventListener('click', handleDownloadJSONL);
     if (DOM.btnDownloadJson) DOM.btnDownloadJson.addEventListener('click', handleDownloadJSON);
     if (DOM.btnClearDataset) DOM.btnClearDataset.addEventListener('click', handleClearDataset);
+    if (DOM.filterSearch) DOM.filterSearch.addEventListener('input', TableView.debounce(handleFilterChange));
+    [DOM.filterDateFrom, DOM.filterDateTo, DOM.filterVerdict, DOM.filterAppealStatus, DOM.filterCourt].forEach(control => {
+        if (control) control.addEventListener('change', handleFilterChange);
+    });
+    if (DOM.btnResetFilters) DOM.btnResetFilters.addEventListener('click', handleResetFilters);
+    TableView.fillPageSizeSelect(DOM.tablePageSize, AppState.table);
+    if (DOM.tablePageSize) DOM.tablePageSize.addEventListener('change', handlePageSizeChange);
+    TableView.bindSortHeaders(DOM.recordsHead, AppState.table, updateRecordsTable);
+    if (DOM.btnUndo) DOM.btnUndo.addEventListener('click', () => HistoryManager.undo());
+    if (DOM.btnRedo) DOM.btnRedo.addEventListener('click', () => HistoryManager.redo());
+    HistoryManager.bindShortcuts({
+        undo: () => HistoryManager.undo(),
+        redo: () => HistoryManager.redo()
+    });
     
     updateUI();
+    updateHistoryButtons();
     
     console.log('✅ Редактор инициализирован');
 }
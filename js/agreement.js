@@ -0,0 +1,161 @@
+/**
+AGREEMENT.JS
+Согласованность разметчиков: каппа Коэна (два разметчика) и каппа Флейса (три и более)
+Версия: 1.0
+*/
+
+const AgreementCalculator = {
+    /**
+     * Размечаемые признаки: метка выводится из истории обжалования разметчика
+     */
+    LABELS: {
+        appealed: {
+            title: 'Обжаловано',
+            get: (annotation) => JSONLHandler.deriveAppealFlags(annotation.appeal_history).appealed
+        },
+        canceled: {
+            title: 'Отменено',
+            get: (annotation) => JSONLHandler.deriveAppealFlags(annotation.appeal_history).canceled
+        }
+    },
+
+    /**
+     * Интерпретация каппы по шкале Ландиса — Коха
+     */
+    interpret(kappa) {
+        if (kappa === null) return 'не определена';
+        if (kappa < 0) return 'хуже случайного';
+        if (kappa <= 0.2) return 'слабая';
+        if (kappa <= 0.4) return 'удовлетворительная';
+        if (kappa <= 0.6) return 'умеренная';
+        if (kappa <= 0.8) return 'существенная';
+        return 'почти полная';
+    },
+
+    /**
+     * Каппа Коэна
+     * @param {Array<[*, *]>} pairs - Метки двух разметчиков по каждому объекту
+     * @returns {{kappa: number|null, observed: number, n: number}} - kappa = null, если все метки одинаковы
+     */
+    cohenKappa(pairs) {
+        const n = pairs.length;
+        if (n === 0) return { kappa: null, observed: 0, n };
+
+        const countsA = new Map();
+        const countsB = new Map();
+        let agree = 0;
+        for (const [a, b] of pairs) {
+            if (a === b) agree++;
+            countsA.set(a, (countsA.get(a) || 0) + 1);
+            countsB.set(b, (countsB.get(b) || 0) + 1);
+        }
+
+        const observed = agree / n;
+        let expected = 0;
+        for (const [category, count] of countsA) {
+            expected += (count / n) * ((countsB.get(category) || 0) / n);
+        }
+
+        // Оба разметчика всегда ставили одну и ту же метку — каппа не определена
+        const kappa = expected === 1 ? null : (observed - expected) / (1 - expected);
+        return { kappa, observed, n };
+    },
+
+    /**
+     * Каппа Флейса
+     * @param {Array<Array<*>>} items - Метки всех разметчиков по каждому объекту (одинаковое число меток)
+     * @returns {{kappa: number|null, observed: number, n: number}}
+     */
+    fleissKappa(items) {
+        const n = items.length;
+        if (n === 0) return { kappa: null, observed: 0, n };
+
+        const raters = items[0].length;
+        const totals = new Map();
+        let agreementSum = 0;
+        let unanimous = 0;
+
+        for (const labels of items) {
+            const counts = new Map();
+            labels.forEach(label => counts.set(label, (counts.get(label) || 0) + 1));
+            if (counts.size === 1) unanimous++;
+
+            let sumSquares = 0;
+            for (const [label, count] of counts) {
+                sumSquares += count * count;
+                totals.set(label, (totals.get(label) || 0) + count);
+            }
+            agreementSum += (sumSquares - raters) / (raters * (raters - 1));
+        }
+
+        const meanAgreement = agreementSum / n;
+        let expected = 0;
+        for (const count of totals.values()) {
+            const share = count / (n * raters);
+            expected += share * share;
+        }
+
+        const kappa = expected === 1 ? null : (meanAgreement - expected) / (1 - expected);
+        // observed — доля объектов, по которым все разметчики единогласны
+        return { kappa, observed: unanimous / n, n };
+    },
+
+    /**
+     * Считает согласованность по признакам
+     * @param {Array<Object>} entries - Записи датасета с полем annotations
+     * @param {Array<string>} annotators - Разметчики, участвующие в расчёте (не меньше двух)
+     * @returns {Object} - { annotators, method, labels: { appealed: {kappa, observed, n, pairwise}, ... }, disagreements }
+     *          disagreements — индексы записей, где разметчики расходятся хотя бы в одном признаке
+     */
+    compute(entries, annotators) {
+        const method = annotators.length > 2 ? 'fleiss' : 'cohen';
+        const result = { annotators, method, labels: {}, disagreements: [] };
+
+        for (const [label, { get }] of Object.entries(this.LABELS)) {
+            const complete = [];
+            entries.forEach(entry => {
+                const annotations = entry.annotations || {};
+                if (annotators.every(id => annotations[id])) {
+                    complete.push(annotators.map(id => get(annotations[id])));
+                }
+            });
+
+            const overall = method === 'fleiss'
+                ? this.fleissKappa(complete)
+                : this.cohenKappa(complete.map(labels => [labels[0], labels[1]]));
+
+            // Попарные каппы Коэна по всем записям, размеченным обоими
+            const pairwise = [];
+            for (let i = 0; i < annotators.length; i++) {
+                for (let j = i + 1; j < annotators.length; j++) {
+                    const pairs = [];
+                    entries.forEach(entry => {
+                        const a = entry.annotations?.[annotators[i]];
+                        const b = entry.annotations?.[annotators[j]];
+                        if (a && b) pairs.push([get(a), get(b)]);
+                    });
+                    pairwise.push({ a: annotators[i], b: annotators[j], ...this.cohenKappa(pairs) });
+                }
+            }
+
+            result.labels[label] = { ...overall, pairwise };
+        }
+
+        entries.forEach((entry, index) => {
+            const present = annotators.filter(id => entry.annotations?.[id]);
+            if (present.length < 2) return;
+
+            const disagrees = Object.values(this.LABELS).some(({ get }) =>
+                new Set(present.map(id => get(entry.annotations[id]))).size > 1
+            );
+            if (disagrees) result.disagreements.push(index);
+        });
+
+        console.log(`👥 Согласованность (${method}): расхождений ${result.disagreements.length}`);
+        return result;
+    }
+};
+
+// Экспорт в глобальный scope
+window.AgreementCalculator = AgreementCalculator;
+console.log('✅ AgreementCalculator загружен и экспортирован');
@@ -1,7 +1,7 @@
 /**
 APP.JS
 Основная логика приложения для сбора датасета судебных актов
-Версия: 3.0 (с поддержкой полей appealed и canceled)
+Версия: 3.1 (история обжалования appeal_history)
 */
 
 // ============================================================================
@@ -12,7 +12,60 @@ const AppState = {
     processedFiles: new Set(),
     lastUpdated: null,
     isProcessing: false,
-    currentPreviewIndex: null
+    isCancelRequested: false,
+    currentPreviewIndex: null,
+    // Карточки дел, которые не удалось применить автоматически
+    appealReviewQueue: [],
+    // Поиск и фильтры таблицы записей ('' — без фильтра)
+    filters: {
+        search: '',
+        dateFrom: '',
+        dateTo: '',
+        documentType: '',
+        courtInstance: '',
+        reviewStatus: '',
+        appealStatus: '',
+        verdict: '',
+        court: ''
+    },
+    // Разобранная поисковая строка (TableView.compileSearch)
+    searchRegexps: [],
+    // Сортировка и страница таблицы записей (TableView.createState)
+    table: TableView.createState(),
+    // Группы дубликатов последнего поиска (null — поиск не выполнялся или данные изменились)
+    duplicateClusters: null,
+    // Ключи групп, отмеченных как «не дубликаты» (DuplicateDetector.clusterKey)
+    dismissedDuplicates: [],
+    // ID разметчика в этом браузере (общий для всех проектов)
+    annotatorId: '',
+    // Последний расчёт согласованности (AgreementCalculator.compute)
+    agreementResult: null,
+    // Сессия быстрой разметки: { queue: индексы записей, position, labeled и skipped: Set индексов } или null
+    quickAnnotation: null,
+    // Поиск в полном тексте акта: число совпадений и текущее; ignoreScrollUntil — пауза синхронизации с PDF
+    textViewer: { hitCount: 0, currentHit: 0, ignoreScrollUntil: 0 },
+    // Исходные PDF, указанные кнопкой «📎 PDF» в этой сессии (имя файла записи → File)
+    sourcePdfs: new Map(),
+    // Индекс записи, текст которой сейчас исправляется вручную, или null
+    textEditIndex: null,
+    // Исходный PDF показан рядом с текстом; comparePdfFilename — какой файл сейчас открыт
+    pdfCompare: false,
+    comparePdfFilename: null,
+    // Обогащение LLM: настройки и библиотека промптов (общие для браузера), статусы записей последнего запуска (ключ акта → статус)
+    // editingPromptId — шаблон в редакторе промпта (null — новый шаблон, undefined — редактор закрыт)
+    enrichment: {
+        settings: null,
+        library: PromptLibrary.createLibrary(),
+        editingPromptId: undefined,
+        isRunning: false,
+        statuses: new Map()
+    },
+    settings: {
+        workerConcurrency: null,
+        duplicates: null,
+        // Сохранять исходные PDF в хранилище при обработке
+        keepPdfs: false
+    }
 };
 
 // ============================================================================
@@ -27,6 +80,30 @@ function initializeDOM() {
     DOM.statChars = document.getElementById('stat-chars');
     DOM.statDateRange = document.getElementById('stat-date-range');
     DOM.datasetCount = document.getElementById('dataset-count');
+    DOM.storageStatus = document.getElementById('storage-status');
+    
+    // Проекты
+    DOM.projectSelect = document.getElementById('project-select');
+    DOM.btnProjectCreate = document.getElementById('btn-project-create');
+    DOM.btnProjectRename = document.getElementById('btn-project-rename');
+    DOM.btnProjectDuplicate = document.getElementById('btn-project-duplicate');
+    DOM.btnProjectDelete = document.getElementById('btn-project-delete');
+    
+    // Разметчики
+    DOM.annotatorId = document.getElementById('annotator-id');
+    DOM.annotationsUpload = document.getElementById('annotations-upload');
+    DOM.btnImportAnnotations = document.getElementById('btn-import-annotations');
+    DOM.annotationsStatus = document.getElementById('annotations-status');
+    DOM.agreementControls = document.getElementById('agreement-controls');
+    DOM.annotatorList = document.getElementById('annotator-list');
+    DOM.btnComputeAgreement = document.getElementById('btn-compute-agreement');
+    DOM.agreementResults = document.getElementById('agreement-results');
+    DOM.disagreementsSection = document.getElementById('disagreements-section');
+    DOM.disagreementList = document.getElementById('disagreement-list');
+    
+    // История изменений
+    DOM.btnUndo = document.getElementById('btn-undo');
+    DOM.btnRedo = document.getElementById('btn-redo');
     
     // Загрузка JSONL
     DOM.jsonlUpload = document.getElementById('jsonl-upload');
@@ -39,6 +116,18 @@ function initializeDOM() {
     DOM.processProgressContainer = document.getElementById('process-progress-container');
     DOM.processProgress = document.getElementById('process-progress');
     DOM.processStatus = document.getElementById('process-status');
+    DOM.btnCancelProcess = document.getElementById('btn-cancel-process');
+    DOM.workerConcurrency = document.getElementById('worker-concurrency');
+    DOM.keepSourcePdfs = document.getElementById('keep-source-pdfs');
+    DOM.storedPdfsStatus = document.getElementById('stored-pdfs-status');
+    DOM.btnCleanPdfs = document.getElementById('btn-clean-pdfs');
+    
+    // Карточки дел kad.arbitr
+    DOM.caseCardUpload = document.getElementById('case-card-upload');
+    DOM.btnImportCards = document.getElementById('btn-import-cards');
+    DOM.importCardsStatus = document.getElementById('import-cards-status');
+    DOM.reviewQueueSection = document.getElementById('review-queue-section');
+    DOM.reviewQueueList = document.getElementById('review-queue-list');
     
     // Предпросмотр
     DOM.previewSection = document.getElementById('preview-section');
@@ -46,21 +135,126 @@ function initializeDOM() {
     DOM.previewMetadata = document.getElementById('preview-metadata');
     DOM.previewText = document.getElementById('preview-text');
     
-    // Чекбоксы обжалования
-    DOM.checkboxAppealed = document.getElementById('checkbox-appealed');
-    DOM.checkboxCanceled = document.getElementById('checkbox-canceled');
+    // Полный текст акта
+    DOM.textSearch = document.getElementById('text-search');
+    DOM.textSearchCounter = document.getElementById('text-search-counter');
+    DOM.btnTextPrev = document.getElementById('btn-text-prev');
+    DOM.btnTextNext = document.getElementById('btn-text-next');
+    DOM.textSectionSelect = document.getElementById('text-section-select');
+    DOM.textPageSelect = document.getElementById('text-page-select');
+    DOM.textHighlight = document.getElementById('text-highlight');
+    DOM.btnAttachPdf = document.getElementById('btn-attach-pdf');
+    DOM.sourcePdfInput = document.getElementById('source-pdf-input');
+    DOM.textViewerStatus = document.getElementById('text-viewer-status');
+    DOM.btnComparePdf = document.getElementById('btn-compare-pdf');
+    DOM.btnEditText = document.getElementById('btn-edit-text');
+    DOM.btnReextract = document.getElementById('btn-reextract');
+    DOM.textEditor = document.getElementById('text-editor');
+    DOM.textEditActions = document.getElementById('text-edit-actions');
+    DOM.btnSaveText = document.getElementById('btn-save-text');
+    DOM.btnCancelText = document.getElementById('btn-cancel-text');
+    DOM.textCorrectionsSummary = document.getElementById('text-corrections-summary');
+    DOM.previewTextColumn = document.getElementById('preview-text-column');
+    DOM.textCompare = document.getElementById('text-compare');
+    DOM.pdfPane = document.getElementById('pdf-pane');
+    
+    // История обжалования
+    DOM.appealHistoryList = document.getElementById('appeal-history-list');
+    DOM.btnAddAppeal = document.getElementById('btn-add-appeal');
+    DOM.appealFlagsSummary = document.getElementById('appeal-flags-summary');
     DOM.btnSaveChanges = document.getElementById('btn-save-changes');
     DOM.saveStatus = document.getElementById('save-status');
     
+    // Быстрая разметка
+    DOM.btnQuickAnnotation = document.getElementById('btn-quick-annotation');
+    DOM.quickModal = document.getElementById('quick-annotation-modal');
+    DOM.quickProgress = document.getElementById('quick-progress');
+    DOM.quickCounters = document.getElementById('quick-counters');
+    DOM.quickMeta = document.getElementById('quick-meta');
+    DOM.quickCurrent = document.getElementById('quick-current');
+    DOM.quickText = document.getElementById('quick-text');
+    DOM.quickActions = document.getElementById('quick-actions');
+    
     // Таблица
     DOM.tableSection = document.getElementById('table-section');
     DOM.recordsBody = document.getElementById('records-body');
+    DOM.recordsHead = document.querySelector('#records-table thead');
+    DOM.tablePageSize = document.getElementById('table-page-size');
+    DOM.tablePagination = document.getElementById('table-pagination');
+    DOM.filterSearch = document.getElementById('filter-search');
+    DOM.filterDateFrom = document.getElementById('filter-date-from');
+    DOM.filterDateTo = document.getElementById('filter-date-to');
+    DOM.filterAppealStatus = document.getElementById('filter-appeal-status');
+    DOM.filterVerdict = document.getElementById('filter-verdict');
+    DOM.filterCourt = document.getElementById('filter-court');
+    DOM.btnResetFilters = document.getElementById('btn-reset-filters');
+    DOM.filterDocumentType = document.getElementById('filter-document-type');
+    DOM.filterCourtInstance = document.getElementById('filter-court-instance');
+    DOM.filterReviewStatus = document.getElementById('filter-review-status');
+    DOM.filterSummary = document.getElementById('filter-summary');
     
     // Экспорт
     DOM.exportSection = document.getElementById('export-section');
     DOM.btnDownloadJsonl = document.getElementById('btn-download-jsonl');
     DOM.btnDownloadInstruction = document.getElementById('btn-download-instruction');
     DOM.btnDownloadZip = document.getElementById('btn-download-zip');
+    DOM.exportFiltered = document.getElementById('export-filtered');
+    DOM.exportReviewedOnly = document.getElementById('export-reviewed-only');
+    DOM.exportIncludePdfs = document.getElementById('export-include-pdfs');
+    DOM.btnDownloadEnriched = document.getElementById('btn-download-enriched');
+    
+    // Конфликты объединения
+    DOM.mergeModal = document.getElementById('merge-modal');
+    DOM.mergeSummary = document.getElementById('merge-summary');
+    DOM.mergeConflictsList = document.getElementById('merge-conflicts-list');
+    DOM.btnMergeApply = document.getElementById('btn-merge-apply');
+    
+    // Дубликаты
+    DOM.duplicatesSection = document.getElementById('duplicates-section');
+    DOM.duplicateThreshold = document.getElementById('duplicate-threshold');
+    DOM.duplicateShingleSize = document.getElementById('duplicate-shingle-size');
+    DOM.duplicateSkipExact = document.getElementById('duplicate-skip-exact');
+    DOM.btnFindDuplicates = document.getElementById('btn-find-duplicates');
+    DOM.duplicatesStatus = document.getElementById('duplicates-status');
+    DOM.duplicatesList = document.getElementById('duplicates-list');
+    
+    // Обогащение LLM
+    DOM.enrichmentSection = document.getElementById('enrichment-section');
+    DOM.llmEndpoint = document.getElementById('llm-endpoint');
+    DOM.llmModel = document.getElementById('llm-model');
+    DOM.llmApiKey = document.getElementById('llm-api-key');
+    DOM.llmConcurrency = document.getElementById('llm-concurrency');
+    DOM.llmRpm = document.getElementById('llm-rpm');
+    DOM.llmRetries = document.getElementById('llm-retries');
+    DOM.llmTimeout = document.getElementById('llm-timeout');
+    DOM.llmMaxTokens = document.getElementById('llm-max-tokens');
+    DOM.llmTemperature = document.getElementById('llm-temperature');
+    DOM.llmJsonMode = document.getElementById('llm-json-mode');
+    DOM.llmScope = document.getElementById('llm-scope');
+    DOM.btnLlmStart = document.getElementById('btn-llm-start');
+    DOM.btnLlmCancel = document.getElementById('btn-llm-cancel');
+    DOM.promptTemplate = document.getElementById('prompt-template');
+    DOM.promptVersion = document.getElementById('prompt-version');
+    DOM.btnPromptEdit = document.getElementById('btn-prompt-edit');
+    DOM.btnPromptNew = document.getElementById('btn-prompt-new');
+    DOM.btnPromptImport = document.getElementById('btn-prompt-import');
+    DOM.btnPromptExport = document.getElementById('btn-prompt-export');
+    DOM.promptImportFile = document.getElementById('prompt-import-file');
+    DOM.promptInfo = document.getElementById('prompt-info');
+    DOM.promptStatus = document.getElementById('prompt-status');
+    DOM.promptEditor = document.getElementById('prompt-editor');
+    DOM.promptName = document.getElementById('prompt-name');
+    DOM.promptText = document.getElementById('prompt-text');
+    DOM.promptNote = document.getElementById('prompt-note');
+    DOM.promptVariables = document.getElementById('prompt-variables');
+    DOM.promptPreview = document.getElementById('prompt-preview');
+    DOM.btnPromptSave = document.getElementById('btn-prompt-save');
+    DOM.btnPromptPreview = document.getElementById('btn-prompt-preview');
+    DOM.btnPromptCancel = document.getElementById('btn-prompt-cancel');
+    DOM.llmProgressContainer = document.getElementById('llm-progress-container');
+    DOM.llmProgress = document.getElementById('llm-progress');
+    DOM.llmStatus = document.getElementById('llm-status');
+    DOM.llmResults = document.getElementById('llm-results');
 }
 
 // ============================================================================
@@ -89,6 +283,14 @@ function updateProgress(percent, message) {
     }
 }
 
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 function isValidPDF(file) {
     if (file.type === 'application/pdf') return true;
     if (file.name && file.name.toLowerCase().endsWith('.pdf')) return true;
@@ -100,57 +302,148 @@ function isValidFileSize(file, maxSizeMB = 50) {
     return file.size <= maxSizeBytes;
 }
 
-function extractCaseInfo(filename) {
-    console.log('🔍 Парсинг имени файла:', filename);
-    const nameWithoutExt = filename.replace(/\.[^/.]+$/, '');
-    const parts = nameWithoutExt.split('_');
-    
-    const result = {
-        caseNumber: null,
-        decisionDate: null,
-        rawFilename: filename,
-        isValid: false,
-        errors: []
-    };
-    
-    if (parts.length < 2) {
-        result.errors.push('Недостаточно частей в имени файла (ожидается формат: НомерДела_Дата_*.pdf)');
-        return result;
-    }
-    
-    result.caseNumber = parts[0];
+const SECTION_LABELS = {
+    header: 'Шапка',
+    findings: 'Установил',
+    reasoning: 'Мотивировка',
+    operative: 'Резолютивная часть',
+    signature: 'Подпись'
+};
+
+function formatSectionsSummary(sections) {
+    return Object.entries(SECTION_LABELS)
+        .map(([key, label]) => sections[key]
+            ? `${label} (${sections[key].length.toLocaleString('ru-RU')})`
+            : `<span class="text-muted">${label} —</span>`)
+        .join(', ');
+}
+
+function formatExtractedFields(extracted) {
+    const formatParty = (party) => party?.name
+        ? `${escapeHtml(party.name)}${party.type ? ` <span class="text-muted">(${escapeHtml(party.type)})</span>` : ''}`
+        : '—';
+    const formatSum = (sum) => sum ? sum.toLocaleString('ru-RU') : '—';
     
-    if (!result.caseNumber || result.caseNumber.length < 5) {
-        result.errors.push(`Некорректный номер дела: "${result.caseNumber}"`);
-        return result;
-    }
+    return `
+        <div class="extracted-fields">
+            <h6>🔎 Извлечено по правилам</h6>
+            <p><strong>Истец:</strong> ${formatParty(extracted.plaintiff)}</p>
+            <p><strong>Ответчик:</strong> ${formatParty(extracted.defendant)}</p>
+            <p><strong>Итог:</strong> ${extracted.decision_verdict || '—'}</p>
+            <p><strong>Заявлено / присуждено, ₽:</strong> ${formatSum(extracted.initial_claims_sum?.initial_claims)} / ${formatSum(extracted.initial_claims_sum?.awarded)}</p>
+        </div>
+    `;
+}
+
+/**
+ * Результат обогащения LLM для предпросмотра
+ */
+function formatEnrichment(entry) {
+    const enrichment = entry.enrichment;
+    const info = entry.metadata?.enrichment || {};
+    const warnings = info.warnings || [];
+    const formatParty = (party) => party?.name
+        ? `${escapeHtml(party.name)}${party.type ? ` <span class="text-muted">(${escapeHtml(party.type)})</span>` : ''}`
+        : '—';
+    const formatSum = (sum) => sum ? sum.toLocaleString('ru-RU') : '—';
     
-    const dateStr = parts[1];
-    if (!dateStr || dateStr.length !== 8 || !/^\d+$/.test(dateStr)) {
-        result.errors.push(`Некорректная дата: "${dateStr}" (ожидается формат YYYYMMDD)`);
-        
-        for (let i = 2; i < parts.length; i++) {
-            const potentialDate = parts[i];
-            if (potentialDate.length === 8 && /^\d+$/.test(potentialDate)) {
-                result.decisionDate = `${potentialDate.slice(0,4)}-${potentialDate.slice(4,6)}-${potentialDate.slice(6,8)}`;
-                break;
-            }
-        }
-        
-        if (!result.decisionDate) return result;
-    } else {
-        result.decisionDate = `${dateStr.slice(0,4)}-${dateStr.slice(4,6)}-${dateStr.slice(6,8)}`;
-    }
+    return `
+        <div class="extracted-fields enrichment-fields">
+            <h6>🤖 Обогащение LLM <small class="text-muted">${escapeHtml(info.model || '—')}, промпт ${escapeHtml(PromptLibrary.formatRef(info.prompt))}, ${info.enriched_at?.slice(0, 19).replace('T', ' ') || '—'}</small></h6>
+            <p>${escapeHtml(enrichment.dispute_summary || '—')}</p>
+            <p><strong>Истец:</strong> ${formatParty(enrichment.plaintiff)}</p>
+            <p><strong>Ответчик:</strong> ${formatParty(enrichment.defendant)}</p>
+            <p><strong>Итог:</strong> ${escapeHtml(enrichment.decision_verdict || '—')}</p>
+            <p><strong>Заявлено / присуждено, ₽:</strong> ${formatSum(enrichment.initial_claims_sum?.initial_claims)} / ${formatSum(enrichment.initial_claims_sum?.awarded)}</p>
+            <p><strong>Нормы:</strong> ${enrichment.mentioned_rules.length} · <strong>Вопросы-ответы:</strong> ${enrichment.q_a.length}</p>
+            ${warnings.length > 0 ? `<p class="status-warning">⚠️ ${warnings.map(escapeHtml).join('; ')}</p>` : ''}
+            ${entry.enrichment_history?.length > 0 ? formatEnrichmentComparison(enrichment, entry.enrichment_history[0]) : ''}
+        </div>
+    `;
+}
+
+/**
+ * Отличия результата от прежнего (например, после смены версии промпта)
+ */
+function formatEnrichmentComparison(enrichment, previous) {
+    const changes = JSONLHandler.diffEnrichment(previous.enrichment, enrichment);
+    const rows = changes.map(change => `
+        <tr>
+            <td><code>${escapeHtml(change.field)}</code></td>
+            <td>${formatMergeValue(change.field, change.before)}</td>
+            <td>${formatMergeValue(change.field, change.after)}</td>
+        </tr>
+    `).join('');
     
-    if (result.decisionDate) {
-        const year = parseInt(result.decisionDate.split('-')[0]);
-        if (year < 2000 || year > 2030) {
-            result.errors.push(`Подозрительный год в дате: ${year}`);
-        }
-    }
+    return `
+        <details class="enrichment-compare">
+            <summary>Сравнить с прежним результатом (${escapeHtml(PromptLibrary.formatRef(previous.prompt))}, ${escapeHtml(previous.model || '—')}, ${previous.enriched_at?.slice(0, 10) || '—'}): изменено полей — ${changes.length}</summary>
+            ${changes.length > 0
+                ? `<table class="table table-sm mt-2"><thead><tr><th>Поле</th><th>Было</th><th>Стало</th></tr></thead><tbody>${rows}</tbody></table>`
+                : '<p class="text-muted mb-0">Результаты совпадают</p>'}
+        </details>
+    `;
+}
+
+const DOCUMENT_TYPE_LABELS = {
+    court_decision: 'Решение',
+    additional_decision: 'Дополнительное решение',
+    resolution: 'Постановление',
+    ruling: 'Определение',
+    unknown: 'Не определён'
+};
+
+const DOCUMENT_SUBTYPE_LABELS = {
+    interim_measures: 'об обеспечительных мерах',
+    claim_return: 'о возвращении заявления',
+    without_movement: 'об оставлении без движения',
+    termination: 'о прекращении производства',
+    settlement: 'об утверждении мирового соглашения'
+};
+
+const INSTANCE_LABELS = {
+    'первая': 'АС субъекта',
+    'апелляция': 'ААС',
+    'кассация': 'АС округа',
+    'ВС РФ': 'ВС РФ'
+};
+
+// Значение фильтра для записей, у которых инстанция не определена
+const UNKNOWN_FILTER_VALUE = '__unknown__';
+
+/**
+ * Вид акта с разновидностью определения ("Определение об оставлении без движения")
+ */
+function formatDocumentType(metadata) {
+    const type = metadata?.document_type || 'court_decision';
+    const label = DOCUMENT_TYPE_LABELS[type] || type;
+    const subtype = DOCUMENT_SUBTYPE_LABELS[metadata?.document_subtype];
+    return subtype ? `${label} ${subtype}` : label;
+}
+
+const RELATION_LABELS = {
+    reviewed_by: '⬆️ пересмотрен этим актом',
+    reviews: '⬇️ пересматривается этим актом',
+    same_case: '↔️ тот же номер дела'
+};
+
+/**
+ * Список остальных актов дела для предпросмотра
+ */
+function formatCaseThread(thread, index) {
+    const related = JSONLHandler.getThreadRelations(thread, index);
+    const items = related.map(({ act, relation }) => {
+        const type = DOCUMENT_TYPE_LABELS[act.document_type] || act.document_type;
+        const instance = act.instance ? `, ${INSTANCE_LABELS[act.instance] || act.instance}` : '';
+        return `<li><a href="#" class="case-thread-link" data-index="${act.index}">${type} от ${act.decision_date || '—'}${instance}</a> <small class="text-muted">${RELATION_LABELS[relation]}</small></li>`;
+    }).join('');
     
-    result.isValid = true;
-    return result;
+    return `
+        <div class="case-thread">
+            <h6>🧵 Акты дела (${thread.length})</h6>
+            <ul class="mb-0">${items}</ul>
+        </div>
+    `;
 }
 
 function validateFile(file) {
@@ -172,10 +465,13 @@ function validateFile(file) {
         return validation;
     }
     
-    validation.caseInfo = extractCaseInfo(file.name);
+    // Имя файла может быть изменено браузером или коллегами — тогда номер дела
+    // и дата будут извлечены из текста первой страницы при обработке
+    validation.caseInfo = PDFProcessor.extractCaseInfo(file.name);
     if (!validation.caseInfo.isValid) {
-        validation.errors.push(...validation.caseInfo.errors);
-        return validation;
+        validation.warnings.push(
+            `${validation.caseInfo.errors.join('; ')} — номер дела и дата будут извлечены из текста`
+        );
     }
     
     if (AppState.processedFiles.has(file.name)) {
@@ -190,11 +486,19 @@ function validateFiles(files) {
     const results = {
         validFiles: [],
         invalidFiles: [],
+        caseCards: [],
         totalFiles: files.length
     };
     
     for (let i = 0; i < files.length; i++) {
         const file = files[i];
+        
+        // Карточки дел, выбранные вместе с PDF, импортируются после обработки
+        if (CaseCardParser.isCaseCardFile(file)) {
+            results.caseCards.push(file);
+            continue;
+        }
+        
         const validation = validateFile(file);
         if (validation.isValid) {
             results.validFiles.push(validation);
@@ -230,12 +534,22 @@ function handlePDFUploadChange(event) {
         const sizeMB = (sizeInfo / 1024 / 1024).toFixed(2);
         statusHTML = `<span class="status-success">✅ Готово к обработке: ${validationResults.validFiles.length} из ${validationResults.totalFiles} файлов (${sizeMB} MB)</span>`;
         DOM.btnProcess.disabled = false;
+        
+        const withWarnings = validationResults.validFiles.filter(v => v.warnings.length > 0);
+        if (withWarnings.length > 0) {
+            statusHTML += `<details style="margin-top: 0.5rem;"><summary style="cursor: pointer; color: #fd7e14;">ℹ️ ${withWarnings.length} файл(ов) с предупреждениями (нажмите для деталей)</summary><ul style="margin-top: 0.5rem; padding-left: 1.5rem; font-size: 0.85rem;">${withWarnings.map(v => `<li>${v.file.name}: ${v.warnings.join('; ')}</li>`).join('')}</ul></details>`;
+        }
+    }
+    
+    if (validationResults.caseCards.length > 0) {
+        statusHTML += `<div class="status-info mt-1">🗂 Карточек дел: ${validationResults.caseCards.length} — будут импортированы после обработки PDF</div>`;
+        DOM.btnProcess.disabled = false;
     }
     
     if (validationResults.invalidFiles.length > 0) {
         statusHTML += `<details style="margin-top: 0.5rem;"><summary style="cursor: pointer; color: #dc3545;">⚠️ ${validationResults.invalidFiles.length} файл(ов) не прошли проверку (нажмите для деталей)</summary><ul style="margin-top: 0.5rem; padding-left: 1.5rem; font-size: 0.85rem;">${validationResults.invalidFiles.map(f => `<li>${f.file.name}: ${f.errors.join('; ')}</li>`).join('')}</ul></details>`;
         
-        if (validationResults.validFiles.length === 0) {
+        if (validationResults.validFiles.length === 0 && validationResults.caseCards.length === 0) {
             DOM.btnProcess.disabled = true;
         }
     }
@@ -260,25 +574,170 @@ async function handleLoadJSONL() {
             return;
         }
         
-        AppState.datasetEntries = JSONLHandler.mergeDatasets(AppState.datasetEntries, entries);
+        // Базовое извлечение по правилам для записей, сохранённых до его появления
+        entries.forEach(e => {
+            if (!e.extracted && e.decision_text) {
+                e.extracted = DecisionExtractor.extract(e.decision_text, e.sections || null);
+            }
+            upgradeEntry(e);
+            // Связи между актами вычисляются по текущему составу датасета
+            delete e.related_acts;
+        });
+        
+        const plan = JSONLHandler.planMerge(AppState.datasetEntries, entries);
+        
+        // Новые записи с тем же текстом, что уже есть в датасете (или выше в файле), не добавляются.
+        // Версии уже имеющихся актов сюда не попадают — их разметка разбирается как конфликт
+        let additions = plan.additions;
+        if (getDuplicateOptions().skipExactOnImport) {
+            const knownHashes = getContentHashes();
+            additions = additions.filter(e => {
+                const hash = DuplicateDetector.contentHash(e.decision_text);
+                if (hash && knownHashes.has(hash)) return false;
+                knownHashes.add(hash);
+                return true;
+            });
+        }
+        const exactDuplicates = plan.additions.length - additions.length;
+        
+        let resolutions = [];
+        if (plan.conflicts.length > 0) {
+            showStatus(DOM.loadStatus, `🔀 Конфликтов: ${plan.conflicts.length} — выберите, какие версии оставить`, 'info', false);
+            resolutions = await resolveMergeConflicts(plan, additions.length, file.name);
+            if (!resolutions) {
+                showStatus(DOM.loadStatus, '⏹ Загрузка отменена, датасет не изменён', 'warning');
+                return;
+            }
+        }
+        
+        const merged = [...AppState.datasetEntries];
+        let updatedCount = 0;
+        plan.conflicts.forEach((conflict, i) => {
+            const result = JSONLHandler.mergeEntries(conflict.mine, conflict.theirs, resolutions[i], conflict.diff);
+            if (JSONLHandler.diffEntries(conflict.mine, result).length > 0) updatedCount++;
+            merged[conflict.index] = result;
+        });
+        merged.push(...additions);
         
+        const processedFiles = new Set(AppState.processedFiles);
         entries.forEach(e => {
             if (e.metadata?.source_filename) {
-                AppState.processedFiles.add(e.metadata.source_filename);
+                processedFiles.add(e.metadata.source_filename);
             }
         });
         
-        AppState.lastUpdated = new Date().toISOString();
-        saveToLocalStorage();
+        HistoryManager.execute(
+            `Загрузка JSONL: ${file.name}`,
+            [HistoryManager.replaceOp(AppState.datasetEntries, merged)],
+            {
+                before: getHistoryExtra(),
+                after: { processedFiles: Array.from(processedFiles), lastUpdated: new Date().toISOString() }
+            }
+        );
         
-        showStatus(DOM.loadStatus, `✅ Загружено записей: ${entries.length} (всего: ${AppState.datasetEntries.length})`, 'success');
-        updateUI();
+        const details = [`новых: ${additions.length}`, `обновлено: ${updatedCount}`];
+        if (plan.identical > 0) details.push(`без изменений: ${plan.identical}`);
+        if (plan.skipped > 0) details.push(`повторов в файле: ${plan.skipped}`);
+        if (exactDuplicates > 0) details.push(`пропущено точных дубликатов: ${exactDuplicates}`);
+        showStatus(DOM.loadStatus, `✅ Загружено записей: ${entries.length} (${details.join(', ')}; всего: ${AppState.datasetEntries.length})`, 'success');
     } catch (error) {
         console.error('Ошибка загрузки JSONL:', error);
         showStatus(DOM.loadStatus, `❌ Ошибка: ${error.message}`, 'error');
     }
 }
 
+/**
+ * Дополняет запись прежней версии: appeal_history из флагов, статус проверки и вид акта/инстанция по шапке текста
+ * @returns {boolean} - true, если запись изменена
+ */
+function upgradeEntry(entry) {
+    let changed = JSONLHandler.normalizeAppealHistory(entry);
+    changed = JSONLHandler.normalizeReviewStatus(entry) || changed;
+    changed = JSONLHandler.normalizeCourtInstance(entry) || changed;
+
+    if (entry.metadata && !('court_instance' in entry.metadata) && entry.decision_text) {
+        const documentInfo = PDFProcessor.classifyDocument(entry.sections?.header || entry.decision_text);
+        // Записи прежних версий собирались только из решений — нераспознанную шапку не считаем другим видом акта
+        if (documentInfo.documentType === 'unknown') {
+            documentInfo.documentType = entry.metadata.document_type || 'court_decision';
+        }
+        JSONLHandler.setDocumentInfo(entry.metadata, documentInfo);
+        changed = true;
+    }
+
+    return changed;
+}
+
+/**
+ * Сообщение об отключённом OCR: сканы без текстового слоя не распознаются до перезагрузки страницы
+ */
+function formatOCRDisabled() {
+    return `⚠️ OCR отключён до перезагрузки страницы: ${escapeHtml(OCRProcessor.disabledReason)}. Сканированные страницы не распознаны — положите rus.traineddata.gz в папку ${OCRProcessor.config.langPath}`;
+}
+
+/**
+ * Добавляет результат PDFProcessor.processFile в датасет
+ * @param {Set<string>|null} knownHashes - Хэши текстов датасета; при совпадении запись не добавляется
+ * @returns {Object} - { mismatch, ocr, duplicate } для итоговой статистики
+ */
+function addProcessedResult(result, knownHashes = null) {
+    if (knownHashes) {
+        const hash = DuplicateDetector.contentHash(result.text);
+        if (knownHashes.has(hash)) {
+            console.log(`⏭️ ${result.filename}: текст совпадает с записью датасета`);
+            AppState.processedFiles.add(result.filename);
+            return { mismatch: false, ocr: false, duplicate: true };
+        }
+        knownHashes.add(hash);
+    }
+    
+    const entry = JSONLHandler.createEntry(
+        result.caseNumber,
+        result.decisionDate,
+        result.text,
+        result.filename,
+        result.sections,
+        result.documentInfo
+    );
+    entry.extracted = DecisionExtractor.extract(result.text, result.sections);
+    entry.metadata.case_info_source = result.caseInfoSource;
+    entry.metadata.page_offsets = result.pageOffsets;
+    entry.metadata.boilerplate_lines_removed = result.removedLines;
+    
+    const hasMismatch = result.caseInfoMismatches.length > 0;
+    if (hasMismatch) {
+        entry.metadata.case_info_mismatches = result.caseInfoMismatches;
+    }
+    
+    const usedOCR = result.ocrPages.length > 0;
+    if (usedOCR) {
+        entry.metadata.ocr = {
+            used: true,
+            engine: 'tesseract',
+            language: OCRProcessor.config.lang,
+            pages: result.ocrPages
+        };
+    }
+    
+    AppState.datasetEntries.push(entry);
+    AppState.processedFiles.add(result.filename);
+    
+    return { mismatch: hasMismatch, ocr: usedOCR, duplicate: false };
+}
+
+/**
+ * Обрабатывает файлы по одному в основном потоке
+ * Используется без поддержки воркеров и для сканов, которым нужен OCR
+ */
+async function processFilesOnMainThread(files, onProgress, onResult) {
+    for (let i = 0; i < files.length; i++) {
+        if (AppState.isCancelRequested) break;
+        
+        const result = await PDFProcessor.processFile(files[i], (p, msg) => onProgress(i, p, msg));
+        onResult(i, result);
+    }
+}
+
 async function handleProcessPDFs() {
     const files = DOM.pdfUpload?.files;
     if (!files || files.length === 0) {
@@ -292,68 +751,155 @@ async function handleProcessPDFs() {
     }
     
     AppState.isProcessing = true;
+    AppState.isCancelRequested = false;
     DOM.btnProcess.disabled = true;
     DOM.processProgressContainer.classList.add('show');
+    if (DOM.btnCancelProcess) DOM.btnCancelProcess.style.display = 'inline-block';
+    
+    // Вся пакетная обработка — одна команда истории
+    const entriesBefore = AppState.datasetEntries.length;
+    const extraBefore = getHistoryExtra();
     
     let processedCount = 0;
     let errorCount = 0;
-    const totalFiles = files.length;
+    let mismatchCount = 0;
+    let ocrCount = 0;
+    let duplicateCount = 0;
+    const knownHashes = getDuplicateOptions().skipExactOnImport ? getContentHashes() : null;
+    // Исходные PDF сохраняются параллельно с обработкой остальных файлов
+    const pdfSaves = [];
+    const caseCards = Array.from(files).filter(file => CaseCardParser.isCaseCardFile(file));
+    const totalFiles = files.length - caseCards.length;
     
-    try {
-        for (let i = 0; i < totalFiles; i++) {
-            const file = files[i];
-            
-            if (AppState.processedFiles.has(file.name)) {
-                continue;
+    const queue = Array.from(files).filter(file => {
+        if (CaseCardParser.isCaseCardFile(file)) return false;
+        if (AppState.processedFiles.has(file.name)) return false;
+        if (!validateFile(file).isValid) {
+            errorCount++;
+            return false;
+        }
+        return true;
+    });
+    
+    const fileProgress = new Array(queue.length).fill(0);
+    let finishedCount = 0;
+    
+    const onProgress = (index, percent, message) => {
+        fileProgress[index] = percent;
+        const overall = queue.length > 0
+            ? Math.round(fileProgress.reduce((sum, p) => sum + p, 0) / queue.length)
+            : 100;
+        updateProgress(overall, `Обработка ${finishedCount}/${queue.length}: ${queue[index].name} — ${message}`);
+    };
+    
+    const mainThreadQueue = [];
+    const onResult = (index, result) => {
+        if (result.cancelled) return;
+        
+        if (result.needsMainThread) {
+            mainThreadQueue.push(queue[index]);
+            return;
+        }
+        
+        finishedCount++;
+        fileProgress[index] = 100;
+        
+        if (result.success) {
+            const stats = addProcessedResult(result, knownHashes);
+            if (stats.duplicate) {
+                duplicateCount++;
+                return;
             }
-            
-            const validation = validateFile(file);
-            if (!validation.isValid) {
-                errorCount++;
-                continue;
+            if (stats.mismatch) mismatchCount++;
+            if (stats.ocr) ocrCount++;
+            processedCount++;
+            if (AppState.settings.keepPdfs) {
+                pdfSaves.push(DatasetStorage.savePdf(ProjectManager.datasetKey(), result.filename, queue[index]));
             }
-            
-            const progress = Math.round(((i) / totalFiles) * 100);
-            updateProgress(progress, `Обработка ${i + 1}/${totalFiles}: ${file.name}`);
-            
-            const result = await PDFProcessor.processFile(file, (p, msg) => {
-                const subProgress = Math.round((i + p / 100) / totalFiles * 100);
-                updateProgress(subProgress, msg);
+        } else {
+            console.warn(`⚠️ ${result.filename}: ${result.error}`);
+            errorCount++;
+        }
+    };
+    
+    try {
+        if (PDFWorkerPool.isSupported()) {
+            await PDFWorkerPool.run(queue, {
+                concurrency: getWorkerConcurrency(),
+                onProgress,
+                onResult
             });
-            
-            if (result.success) {
-                const entry = JSONLHandler.createEntry(
-                    result.caseNumber,
-                    result.decisionDate,
-                    result.text,
-                    false,
-                    false
-                );
-                entry.metadata.source_filename = result.filename;
-                AppState.datasetEntries.push(entry);
-                AppState.processedFiles.add(file.name);
-                processedCount++;
-            } else {
-                errorCount++;
-            }
+        } else {
+            mainThreadQueue.push(...queue);
+        }
+        
+        // Сканы (OCR) и файлы, упавшие в воркере, — в основном потоке
+        if (mainThreadQueue.length > 0 && !AppState.isCancelRequested) {
+            const indexes = mainThreadQueue.map(file => queue.indexOf(file));
+            await processFilesOnMainThread(
+                mainThreadQueue,
+                (i, p, msg) => onProgress(indexes[i], p, msg),
+                (i, result) => onResult(indexes[i], { ...result, needsMainThread: false })
+            );
         }
         
         AppState.lastUpdated = new Date().toISOString();
-        saveToLocalStorage();
-        updateProgress(100, '✅ Обработка завершена!');
+        saveToStorage(entriesBefore);
+        recordProcessingHistory(entriesBefore, extraBefore, processedCount);
+        
+        const pdfResults = await Promise.allSettled(pdfSaves);
+        const failedPdf = pdfResults.find(r => r.status === 'rejected');
+        if (failedPdf) handleStorageError(failedPdf.reason);
+        const savedPdfCount = pdfResults.length - pdfResults.filter(r => r.status === 'rejected').length;
+        if (pdfSaves.length > 0) updateStoredPdfsStatus();
+        
+        let finalMessage;
+        if (AppState.isCancelRequested) {
+            updateProgress(Math.round(finishedCount / Math.max(queue.length, 1) * 100), '⏹ Обработка отменена');
+            finalMessage = `⏹ Обработка отменена. Сохранено: ${processedCount} из ${totalFiles} файлов`;
+        } else {
+            updateProgress(100, '✅ Обработка завершена!');
+            finalMessage = `✅ Успешно обработано: ${processedCount} из ${totalFiles} файлов`;
+        }
         
-        let finalMessage = `✅ Успешно обработано: ${processedCount} из ${totalFiles} файлов`;
         if (errorCount > 0) {
             finalMessage += ` (ошибок: ${errorCount})`;
         }
+        if (ocrCount > 0) {
+            finalMessage += `. 🔤 Распознано OCR: ${ocrCount}`;
+        }
+        if (OCRProcessor.disabledReason) {
+            finalMessage += `. ${formatOCRDisabled()}`;
+        }
+        if (mismatchCount > 0) {
+            finalMessage += `. ⚠️ Расхождение имени файла и текста: ${mismatchCount}`;
+        }
+        if (duplicateCount > 0) {
+            finalMessage += `. 🔁 Пропущено точных дубликатов: ${duplicateCount}`;
+        }
+        if (savedPdfCount > 0) {
+            finalMessage += `. 🖼 Сохранено исходных PDF: ${savedPdfCount}`;
+        }
+        
+        // Карточки дел применяются к уже добавленным записям
+        if (caseCards.length > 0 && !AppState.isCancelRequested) {
+            const cardStats = await importCaseCards(caseCards);
+            finalMessage += `. 🗂 ${formatCaseCardStats(cardStats)}`;
+        }
         
-        showStatus(DOM.processStatus, finalMessage, 'success');
+        showStatus(DOM.processStatus, finalMessage, AppState.isCancelRequested || OCRProcessor.disabledReason ? 'warning' : 'success');
         updateUI();
     } catch (error) {
         console.error('Критическая ошибка обработки:', error);
+        // Уже обработанные файлы не теряем
+        saveToStorage(entriesBefore);
+        recordProcessingHistory(entriesBefore, extraBefore, processedCount);
+        updateUI();
         showStatus(DOM.processStatus, `❌ Ошибка: ${error.message}`, 'error');
     } finally {
         AppState.isProcessing = false;
+        AppState.isCancelRequested = false;
+        if (DOM.btnCancelProcess) DOM.btnCancelProcess.style.display = 'none';
         setTimeout(() => {
             DOM.processProgressContainer.classList.remove('show');
             if (DOM.pdfUpload?.files?.length > 0) {
@@ -366,125 +912,790 @@ async function handleProcessPDFs() {
     }
 }
 
+function handleCancelProcess() {
+    if (!AppState.isProcessing) return;
+    
+    AppState.isCancelRequested = true;
+    PDFWorkerPool.cancel();
+    showStatus(DOM.processStatus, '⏹ Отмена... уже обработанные файлы будут сохранены', 'warning', false);
+}
+
+function getWorkerConcurrency() {
+    const value = parseInt(DOM.workerConcurrency?.value, 10);
+    if (value >= 1) return Math.min(value, PDFWorkerPool.MAX_CONCURRENCY);
+    return PDFWorkerPool.defaultConcurrency();
+}
+
+function handleKeepPdfsChange() {
+    AppState.settings.keepPdfs = DOM.keepSourcePdfs.checked;
+    saveStateToStorage();
+}
+
+/**
+ * Показывает, сколько исходных PDF хранится в проекте
+ */
+async function updateStoredPdfsStatus() {
+    if (!DOM.storedPdfsStatus || !DatasetStorage.isSupported()) return;
+    
+    try {
+        const filenames = await DatasetStorage.listPdfs(ProjectManager.datasetKey());
+        DOM.storedPdfsStatus.textContent = filenames.length > 0 ? `В хранилище PDF: ${filenames.length}` : '';
+        if (DOM.btnCleanPdfs) DOM.btnCleanPdfs.style.display = filenames.length > 0 ? 'inline-block' : 'none';
+    } catch (error) {
+        console.warn('⚠️ Не удалось прочитать список PDF:', error);
+    }
+}
+
+/**
+ * Удаляет сохранённые PDF, на которые не ссылается ни одна запись
+ */
+async function handleCleanPdfs() {
+    const datasetKey = ProjectManager.datasetKey();
+    const used = new Set(AppState.datasetEntries.map(e => e.metadata?.source_filename).filter(Boolean));
+    const unused = (await DatasetStorage.listPdfs(datasetKey)).filter(filename => !used.has(filename));
+    
+    if (unused.length === 0) {
+        showStatus(DOM.processStatus, 'ℹ️ Все сохранённые PDF относятся к записям датасета', 'info');
+        return;
+    }
+    if (!confirm(`Удалить из хранилища PDF без записей: ${unused.length}?\n\nОтмена удаления записей их не вернёт.`)) return;
+    
+    try {
+        await DatasetStorage.deletePdfs(datasetKey, unused);
+        showStatus(DOM.processStatus, `🧹 Удалено PDF: ${unused.length}`, 'success');
+    } catch (error) {
+        handleStorageError(error);
+    }
+    updateStoredPdfsStatus();
+}
+
+function handleConcurrencyChange() {
+    AppState.settings.workerConcurrency = getWorkerConcurrency();
+    if (DOM.workerConcurrency) DOM.workerConcurrency.value = AppState.settings.workerConcurrency;
+    saveStateToStorage();
+}
+
 function handlePreviewChange() {
     const index = DOM.previewSelect?.value;
     if (index === '' || index === null) {
         return;
     }
     
+    const sameEntry = AppState.currentPreviewIndex === parseInt(index);
     AppState.currentPreviewIndex = parseInt(index);
     const entry = AppState.datasetEntries[AppState.currentPreviewIndex];
     
     if (!entry) return;
+    if (AppState.textEditIndex !== null && AppState.textEditIndex !== AppState.currentPreviewIndex) {
+        stopTextEdit();
+    }
+    
+    const thread = entry.case_number
+        ? JSONLHandler.buildCaseThreads(AppState.datasetEntries).get(entry.case_number)
+        : null;
     
     if (DOM.previewMetadata) {
         DOM.previewMetadata.innerHTML = `
-            <p><strong>Номер дела:</strong> ${entry.case_number || '—'}</p>
-            <p><strong>Дата решения:</strong> ${entry.decision_date || '—'}</p>
-            <p><strong>Длина текста:</strong> ${(entry.decision_text?.length || 0).toLocaleString('ru-RU')} символов</p>
+            <p><strong>Номер дела:</strong> ${escapeHtml(entry.case_number || '—')}</p>
+            <p><strong>Дата акта:</strong> ${escapeHtml(entry.decision_date || '—')}</p>
+            <p><strong>Вид акта:</strong> ${formatDocumentType(entry.metadata)}</p>
+            <p><strong>Проверка:</strong> ${formatReviewStatus(entry)}</p>
+            ${entry.metadata?.court_name ? `<p><strong>Суд:</strong> ${escapeHtml(entry.metadata.court_name)} (${INSTANCE_LABELS[entry.metadata.court_instance] || '—'})</p>` : ''}
+            <p><strong>Длина текста:</strong> ${(entry.decision_text?.length || 0).toLocaleString('ru-RU')} символов${TextCorrections.isCorrected(entry) ? ' <span class="badge bg-info text-dark">✏️ исправлен вручную</span>' : ''}</p>
             <p><strong>Создано:</strong> ${entry.metadata?.created_at?.slice(0, 19) || '—'}</p>
-            ${entry.metadata?.source_filename ? `<p><strong>Файл:</strong> ${entry.metadata.source_filename}</p>` : ''}
+            ${entry.metadata?.source_filename ? `<p><strong>Файл:</strong> ${escapeHtml(entry.metadata.source_filename)}</p>` : ''}
+            ${entry.extracted ? formatExtractedFields(entry.extracted) : ''}
+            ${entry.enrichment ? formatEnrichment(entry) : ''}
+            ${entry.sections ? `<p><strong>Разделы:</strong> ${formatSectionsSummary(entry.sections)}</p>` : ''}
+            ${entry.metadata?.ocr?.used ? `<p class="status-info">🔤 OCR: страницы ${entry.metadata.ocr.pages.map(p => `${p.page} (${p.confidence}%)`).join(', ')}</p>` : ''}
+            ${entry.metadata?.case_info_source === 'text' ? '<p class="status-info">ℹ️ Номер дела и дата извлечены из текста</p>' : ''}
+            ${(entry.metadata?.case_info_mismatches || []).map(m =>
+                `<p class="status-warning">⚠️ Расхождение (${m.field}): имя файла — ${escapeHtml(m.filename)}, текст — ${escapeHtml(m.text)}</p>`
+            ).join('')}
+            ${thread ? formatCaseThread(thread, AppState.currentPreviewIndex) : ''}
+            ${entry.annotations ? formatAnnotations(entry) : ''}
         `;
+        
+        DOM.previewMetadata.querySelectorAll('.case-thread-link').forEach(link => {
+            link.addEventListener('click', (event) => {
+                event.preventDefault();
+                DOM.previewSelect.value = link.dataset.index;
+                handlePreviewChange();
+            });
+        });
     }
     
-    // Обновляем чекбоксы
-    if (DOM.checkboxAppealed) {
-        DOM.checkboxAppealed.checked = entry.appealed || false;
-    }
+    // Разметчик видит в форме свою версию, если она уже есть
+    const ownAnnotation = entry.annotations?.[AppState.annotatorId];
+    renderAppealHistoryForm(
+        structuredClone(ownAnnotation ? ownAnnotation.appeal_history : entry.appeal_history || []),
+        Boolean(ownAnnotation) || JSONLHandler.isReviewed(entry)
+    );
     
-    if (DOM.checkboxCanceled) {
-        DOM.checkboxCanceled.checked = entry.canceled || false;
-        DOM.checkboxCanceled.disabled = !(entry.appealed || false);
-    }
+    renderPreviewText(entry, sameEntry);
+    renderTextCorrectionsSummary(entry);
+    loadComparePdf(entry);
+}
+
+// ============================================================================
+// ПОЛНЫЙ ТЕКСТ АКТА
+// ============================================================================
+
+/**
+ * Рисует полный текст записи с подсветкой, якорями разделов и страниц
+ * @param {boolean} keepScroll - Сохранить прокрутку (перерисовка при смене подсветки или поиска)
+ */
+function renderPreviewText(entry, keepScroll = false) {
+    if (!DOM.previewText) return;
+    
+    const text = entry?.decision_text || '';
+    const scrollTop = DOM.previewText.scrollTop;
+    const pageOffsets = entry ? TextViewer.getPageOffsets(entry) : [];
+    const sectionOffsets = TextViewer.getSectionOffsets(text, entry?.sections);
+    
+    const { html, hitCount } = TextViewer.render(text, {
+        pageOffsets,
+        sectionOffsets,
+        sectionLabels: SECTION_LABELS,
+        searchRegexps: TableView.compileSearch(DOM.textSearch?.value.trim() || ''),
+        highlightKeyPhrases: DOM.textHighlight ? DOM.textHighlight.checked : true,
+        corrections: TextCorrections.isCorrected(entry)
+            ? TextCorrections.getCorrectedRanges(entry.metadata.text_corrections.hunks)
+            : []
+    });
+    DOM.previewText.innerHTML = html || '<span class="text-muted">Текст отсутствует</span>';
+    DOM.previewText.scrollTop = keepScroll ? scrollTop : 0;
+    
+    AppState.textViewer = { ...AppState.textViewer, hitCount, currentHit: 0 };
+    updateTextSearchCounter();
     
-    if (DOM.previewText) {
-        const previewText = entry.decision_text?.slice(0, 2000) || '';
-        DOM.previewText.textContent = previewText + (entry.decision_text?.length > 2000 ? '\n\n[... продолжение скрыто ...]' : '');
+    if (DOM.textSectionSelect) {
+        DOM.textSectionSelect.innerHTML = '<option value="">Раздел…</option>' + sectionOffsets
+            .map(({ key }) => `<option value="${key}">${SECTION_LABELS[key] || key}</option>`).join('');
+        DOM.textSectionSelect.disabled = sectionOffsets.length === 0;
     }
+    if (DOM.textPageSelect) {
+        DOM.textPageSelect.innerHTML = '<option value="">Страница…</option>' + pageOffsets
+            .map(({ page }) => `<option value="${page}">стр. ${page}</option>`).join('');
+        DOM.textPageSelect.disabled = pageOffsets.length === 0;
+    }
+    
+    DOM.previewText.querySelectorAll('.page-anchor').forEach(anchor => {
+        anchor.addEventListener('click', (event) => {
+            event.preventDefault();
+            openSourcePdfPage(entry, parseInt(anchor.dataset.page));
+        });
+    });
+}
+
+function updateTextSearchCounter() {
+    if (!DOM.textSearchCounter) return;
+    
+    const { hitCount, currentHit } = AppState.textViewer;
+    const limited = hitCount >= TextViewer.MAX_SEARCH_HITS ? '+' : '';
+    DOM.textSearchCounter.textContent = DOM.textSearch?.value.trim()
+        ? (hitCount > 0 ? `${currentHit + 1} из ${hitCount}${limited}` : 'не найдено')
+        : '—';
+}
+
+function getPreviewEntry() {
+    return AppState.currentPreviewIndex !== null ? AppState.datasetEntries[AppState.currentPreviewIndex] : null;
 }
 
-function handleAppealedChange() {
-    if (!DOM.checkboxAppealed || !DOM.checkboxCanceled) return;
+function handleTextSearchChange() {
+    const entry = getPreviewEntry();
+    if (!entry) return;
     
-    const isAppealed = DOM.checkboxAppealed.checked;
+    renderPreviewText(entry, true);
+    if (AppState.textViewer.hitCount > 0) TextViewer.focusHit(DOM.previewText, 0);
+}
+
+/**
+ * Переход к следующему (step = 1) или предыдущему (step = -1) совпадению
+ */
+function moveTextSearchHit(step) {
+    const { hitCount, currentHit } = AppState.textViewer;
+    if (hitCount === 0) return;
     
-    if (!isAppealed) {
-        DOM.checkboxCanceled.checked = false;
-        DOM.checkboxCanceled.disabled = true;
-    } else {
-        DOM.checkboxCanceled.disabled = false;
-    }
+    AppState.textViewer.currentHit = (currentHit + step + hitCount) % hitCount;
+    TextViewer.focusHit(DOM.previewText, AppState.textViewer.currentHit);
+    updateTextSearchCounter();
+}
+
+function handleTextSearchKeydown(event) {
+    if (event.key !== 'Enter') return;
+    event.preventDefault();
+    moveTextSearchHit(event.shiftKey ? -1 : 1);
+}
+
+function handleTextSectionJump() {
+    const key = DOM.textSectionSelect.value;
+    const anchor = key && DOM.previewText.querySelector(`.section-anchor[data-section="${key}"]`);
+    TextViewer.scrollToElement(DOM.previewText, anchor);
+    DOM.textSectionSelect.value = '';
+}
+
+function handleTextPageJump() {
+    const page = DOM.textPageSelect.value;
+    const anchor = page && DOM.previewText.querySelector(`.page-anchor[data-page="${page}"]`);
+    TextViewer.scrollToElement(DOM.previewText, anchor);
+    DOM.textPageSelect.value = '';
 }
 
-function handleCanceledChange() {
-    if (!DOM.checkboxAppealed || !DOM.checkboxCanceled) return;
+/**
+ * Исходный PDF записи: указанный вручную, выбранный в блоке загрузки PDF в этой сессии
+ * или сохранённый в хранилище проекта
+ * @returns {Promise<Blob|null>}
+ */
+async function getSourcePdf(entry) {
+    const filename = entry?.metadata?.source_filename;
+    if (!filename) return null;
+    if (AppState.sourcePdfs.has(filename)) return AppState.sourcePdfs.get(filename);
     
-    const isCanceled = DOM.checkboxCanceled.checked;
+    const uploaded = Array.from(DOM.pdfUpload?.files || []).find(file => file.name === filename);
+    if (uploaded) return uploaded;
     
-    if (isCanceled && !DOM.checkboxAppealed.checked) {
-        DOM.checkboxAppealed.checked = true;
+    if (!DatasetStorage.isSupported()) return null;
+    try {
+        return await DatasetStorage.loadPdf(ProjectManager.datasetKey(), filename);
+    } catch (error) {
+        console.warn(`⚠️ Не удалось загрузить PDF ${filename} из хранилища:`, error);
+        return null;
     }
 }
 
-function handleSaveChanges() {
-    if (AppState.currentPreviewIndex === null && AppState.currentPreviewIndex !== 0) {
-        showStatus(DOM.saveStatus, '❌ Выберите запись для сохранения', 'error');
+/**
+ * Открывает страницу исходного PDF: в панели рядом с текстом или во встроенном просмотрщике браузера
+ */
+async function openSourcePdfPage(entry, page) {
+    if (AppState.pdfCompare && PDFViewer.isOpen()) {
+        PDFViewer.scrollToPage(page);
         return;
     }
     
-    const entry = AppState.datasetEntries[AppState.currentPreviewIndex];
-    if (!entry) {
-        showStatus(DOM.saveStatus, '❌ Запись не найдена', 'error');
+    const file = await getSourcePdf(entry);
+    if (!file) {
+        showStatus(
+            DOM.textViewerStatus,
+            `📎 Исходный PDF${entry?.metadata?.source_filename ? ` (${escapeHtml(entry.metadata.source_filename)})` : ''} не выбран — нажмите «📎 PDF»`,
+            'warning'
+        );
         return;
     }
     
-    entry.appealed = DOM.checkboxAppealed?.checked || false;
-    entry.canceled = DOM.checkboxCanceled?.checked || false;
+    const url = URL.createObjectURL(file);
+    window.open(`${url}#page=${page}`, '_blank', 'noopener');
+    // Вкладке нужно время, чтобы прочитать файл
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
+
+function handleAttachPdf() {
+    if (!getPreviewEntry()) return;
+    DOM.sourcePdfInput.value = '';
+    DOM.sourcePdfInput.click();
+}
+
+async function handleSourcePdfSelected() {
+    const entry = getPreviewEntry();
+    const file = DOM.sourcePdfInput.files?.[0];
+    if (!entry || !file) return;
     
-    if (entry.canceled && !entry.appealed) {
-        entry.canceled = false;
-        if (DOM.checkboxCanceled) DOM.checkboxCanceled.checked = false;
-        showStatus(DOM.saveStatus, '⚠️ "Отменено" сброшено (требуется "Обжаловалось")', 'warning');
+    const filename = entry.metadata?.source_filename;
+    if (!filename) {
+        showStatus(DOM.textViewerStatus, '⚠️ У записи нет имени исходного файла (metadata.source_filename) — PDF не к чему привязать', 'warning');
         return;
     }
     
-    if (!entry.metadata) entry.metadata = {};
-    entry.metadata.updated_at = new Date().toISOString();
-    
-    saveToLocalStorage();
-    updateRecordsTable();
-    updatePreviewSelect();
-    
-    showStatus(DOM.saveStatus, '✅ Изменения сохранены', 'success');
+    AppState.sourcePdfs.set(filename, file);
+    let message = `✅ PDF ${escapeHtml(file.name)} привязан к записи — ссылки «стр. N» откроют его`;
+    if (AppState.settings.keepPdfs) {
+        try {
+            await DatasetStorage.savePdf(ProjectManager.datasetKey(), filename, file);
+            message += ' (сохранён в хранилище)';
+            updateStoredPdfsStatus();
+        } catch (error) {
+            handleStorageError(error);
+        }
+    }
+    showStatus(DOM.textViewerStatus, message, 'success');
     
-    setTimeout(() => {
-        if (DOM.saveStatus) DOM.saveStatus.innerHTML = '';
-    }, 3000);
+    AppState.comparePdfFilename = null;
+    loadComparePdf(entry);
 }
 
-function handleDownloadJSONL() {
-    if (AppState.datasetEntries.length === 0) {
-        alert('Датасет пуст!');
+// ============================================================================
+// РУЧНОЕ ИСПРАВЛЕНИЕ ТЕКСТА
+// ============================================================================
+
+// Поля, которые меняются вместе с текстом акта (для touchFields)
+const TEXT_FIELDS = ['decision_text', 'sections', 'extracted', 'metadata.page_offsets', 'metadata.text_corrections'];
+
+/**
+ * Сводка ручных исправлений записи и правок, не перенесённых при повторном извлечении
+ */
+function renderTextCorrectionsSummary(entry) {
+    if (!DOM.textCorrectionsSummary) return;
+    
+    const corrections = entry?.metadata?.text_corrections;
+    if (!corrections) {
+        DOM.textCorrectionsSummary.innerHTML = '';
         return;
     }
     
-    const timestamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
-    JSONLHandler.download(AppState.datasetEntries, `court_decisions_${timestamp}.jsonl`);
+    const { count, added, removed } = TextCorrections.summarize(corrections.hunks);
+    const failed = corrections.failed_hunks || [];
+    DOM.textCorrectionsSummary.innerHTML = `
+        ${count > 0 ? `✏️ Исправлено вручную: фрагментов ${count} (+${added} / −${removed} симв.)${corrections.corrected_by ? `, ${escapeHtml(corrections.corrected_by)}` : ''}, ${corrections.corrected_at?.slice(0, 16).replace('T', ' ') || ''}
+        <button class="btn btn-link btn-sm p-0 ms-1" type="button" data-action="revert-text">↺ Вернуть извлечённый текст</button>` : ''}
+        ${failed.length > 0 ? `<div class="status-warning">⚠️ Не перенесено при повторном извлечении: ${failed.map(hunk =>
+            `«${escapeHtml(hunk.before.slice(0, 60)) || '∅'}» → «${escapeHtml(hunk.after.slice(0, 60)) || '∅'}»`
+        ).join('; ')}</div>` : ''}
+    `;
+    DOM.textCorrectionsSummary.querySelector('[data-action="revert-text"]')?.addEventListener('click', handleRevertText);
 }
 
-function handleDownloadInstruction() {
-    if (AppState.datasetEntries.length === 0) {
-        alert('Датасет пуст!');
-        return;
-    }
+/**
+ * Обновляет разделы и извлечённые по правилам поля после изменения текста
+ */
+function refreshTextDerivedFields(entry) {
+    entry.sections = PDFProcessor.segmentSections(entry.decision_text);
+    entry.extracted = DecisionExtractor.extract(entry.decision_text, entry.sections);
+}
+
+function handleStartTextEdit() {
+    const entry = getPreviewEntry();
+    if (!entry) return;
     
-    const instructionEntries = AppState.datasetEntries.map(e =>
-        JSONLHandler.createInstructionEntry(
+    AppState.textEditIndex = AppState.currentPreviewIndex;
+    DOM.textEditor.value = entry.decision_text || '';
+    DOM.textEditor.hidden = false;
+    DOM.textEditActions.hidden = false;
+    DOM.previewText.hidden = true;
+    DOM.btnEditText.disabled = true;
+    if (DOM.btnReextract) DOM.btnReextract.disabled = true;
+    DOM.textEditor.focus();
+}
+
+function stopTextEdit() {
+    AppState.textEditIndex = null;
+    if (!DOM.textEditor) return;
+    
+    DOM.textEditor.hidden = true;
+    DOM.textEditor.value = '';
+    DOM.textEditActions.hidden = true;
+    DOM.previewText.hidden = false;
+    DOM.btnEditText.disabled = false;
+    if (DOM.btnReextract) DOM.btnReextract.disabled = false;
+}
+
+/**
+ * Сохраняет текст записи; правки хранятся в metadata.text_corrections как разница с извлечённым текстом
+ */
+function saveCorrectedText(index, text, label) {
+    const entry = AppState.datasetEntries[index];
+    const updated = structuredClone(entry);
+    const timestamp = new Date().toISOString();
+    const summary = TextCorrections.applyEdit(updated, text, AppState.annotatorId || null, timestamp);
+    refreshTextDerivedFields(updated);
+    JSONLHandler.touchFields(updated, TEXT_FIELDS, timestamp);
+    
+    HistoryManager.execute(
+        `${label}: ${entry.case_number || 'запись ' + (index + 1)}`,
+        [HistoryManager.setOp(index, entry, updated)]
+    );
+    return summary;
+}
+
+function handleSaveTextEdit() {
+    const index = AppState.textEditIndex;
+    const entry = AppState.datasetEntries[index];
+    if (!entry) {
+        stopTextEdit();
+        return;
+    }
+    
+    // textarea хранит переводы строк как \n
+    const text = DOM.textEditor.value;
+    if (!text.trim()) {
+        showStatus(DOM.textViewerStatus, '❌ Текст акта не может быть пустым', 'error');
+        return;
+    }
+    
+    stopTextEdit();
+    if (text === entry.decision_text) return;
+    
+    const { count } = saveCorrectedText(index, text, 'Исправление текста');
+    showStatus(
+        DOM.textViewerStatus,
+        count > 0 ? `✅ Текст сохранён. Исправленных фрагментов: ${count}` : '✅ Текст совпадает с извлечённым — исправления сняты',
+        'success'
+    );
+}
+
+function handleRevertText() {
+    const entry = getPreviewEntry();
+    if (!entry || !TextCorrections.isCorrected(entry)) return;
+    if (!confirm('Вернуть текст, извлечённый из PDF? Все ручные исправления этой записи будут сняты (действие можно отменить).')) return;
+    
+    saveCorrectedText(AppState.currentPreviewIndex, TextCorrections.getOriginalText(entry), 'Отмена исправлений текста');
+    showStatus(DOM.textViewerStatus, '↺ Восстановлен извлечённый текст', 'success');
+}
+
+/**
+ * Извлекает текст записи из исходного PDF заново и переносит на него ручные исправления
+ */
+async function handleReextract() {
+    const index = AppState.currentPreviewIndex;
+    const entry = getPreviewEntry();
+    if (!entry || !ensureNotProcessing()) return;
+    
+    const file = await getSourcePdf(entry);
+    if (!file) {
+        showStatus(DOM.textViewerStatus, '📎 Исходный PDF не найден — укажите его кнопкой «📎 PDF»', 'warning');
+        return;
+    }
+    
+    DOM.btnReextract.disabled = true;
+    try {
+        showStatus(DOM.textViewerStatus, '🔄 Повторное извлечение текста...', 'info', false);
+        const result = await PDFProcessor.processFile(
+            new File([file], entry.metadata.source_filename, { type: 'application/pdf' }),
+            (percent, message) => showStatus(DOM.textViewerStatus, `🔄 ${message}`, 'info', false)
+        );
+        if (!result.success) {
+            showStatus(DOM.textViewerStatus, `❌ ${escapeHtml(result.error)}`, 'error');
+            return;
+        }
+        // Пока шло извлечение, запись могли удалить или сдвинуть
+        if (AppState.datasetEntries[index] !== entry) {
+            showStatus(DOM.textViewerStatus, '⚠️ Датасет изменился во время извлечения — повторите', 'warning');
+            return;
+        }
+        
+        const updated = structuredClone(entry);
+        const { applied, failed } = TextCorrections.reapply(updated, { text: result.text, pageOffsets: result.pageOffsets });
+        updated.metadata.boilerplate_lines_removed = result.removedLines;
+        if (result.ocrPages.length > 0) {
+            updated.metadata.ocr = { used: true, engine: 'tesseract', language: OCRProcessor.config.lang, pages: result.ocrPages };
+        } else {
+            delete updated.metadata.ocr;
+        }
+        refreshTextDerivedFields(updated);
+        JSONLHandler.touchFields(updated, TEXT_FIELDS);
+        
+        HistoryManager.execute(
+            `Повторное извлечение текста: ${entry.case_number || 'запись ' + (index + 1)}`,
+            [HistoryManager.setOp(index, entry, updated)]
+        );
+        
+        let message = `✅ Текст извлечён заново (${result.text.length.toLocaleString('ru-RU')} симв.)`;
+        if (applied > 0) message += `. Ручных исправлений перенесено: ${applied}`;
+        if (failed > 0) message += `. ⚠️ Не удалось перенести: ${failed} — см. сводку под текстом`;
+        if (OCRProcessor.disabledReason) message += `. ${formatOCRDisabled()}`;
+        const hasWarnings = failed > 0 || !!OCRProcessor.disabledReason;
+        showStatus(DOM.textViewerStatus, message, hasWarnings ? 'warning' : 'success', !hasWarnings);
+    } catch (error) {
+        console.error('Ошибка повторного извлечения:', error);
+        showStatus(DOM.textViewerStatus, `❌ Ошибка: ${escapeHtml(error.message)}`, 'error');
+    } finally {
+        DOM.btnReextract.disabled = false;
+    }
+}
+
+// ============================================================================
+// ИСХОДНЫЙ PDF РЯДОМ С ТЕКСТОМ
+// ============================================================================
+
+function handleTogglePdfCompare() {
+    AppState.pdfCompare = !AppState.pdfCompare;
+    
+    DOM.btnComparePdf?.classList.toggle('active', AppState.pdfCompare);
+    // Текст и PDF делят ширину всего блока предпросмотра
+    DOM.previewTextColumn?.classList.toggle('col-md-6', !AppState.pdfCompare);
+    DOM.previewTextColumn?.classList.toggle('col-12', AppState.pdfCompare);
+    DOM.textCompare?.classList.toggle('compare', AppState.pdfCompare);
+    if (DOM.pdfPane) DOM.pdfPane.hidden = !AppState.pdfCompare;
+    
+    if (AppState.pdfCompare) {
+        loadComparePdf(getPreviewEntry());
+    } else {
+        closeComparePdf();
+    }
+}
+
+function closeComparePdf() {
+    PDFViewer.close();
+    AppState.comparePdfFilename = null;
+    if (DOM.pdfPane) DOM.pdfPane.innerHTML = '';
+}
+
+/**
+ * Открывает исходный PDF записи в панели сравнения (если она включена и файл ещё не открыт)
+ */
+async function loadComparePdf(entry) {
+    if (!AppState.pdfCompare || !DOM.pdfPane) return;
+    
+    const filename = entry?.metadata?.source_filename || null;
+    if (filename && filename === AppState.comparePdfFilename && PDFViewer.isOpen()) return;
+    
+    closeComparePdf();
+    if (!entry) return;
+    if (!PDFViewer.isAvailable()) {
+        DOM.pdfPane.innerHTML = '<div class="pdf-pane-message">❌ PDF.js не загружен</div>';
+        return;
+    }
+    
+    DOM.pdfPane.innerHTML = '<div class="pdf-pane-message">🔄 Загрузка PDF...</div>';
+    const file = await getSourcePdf(entry);
+    // Пока файл загружался, пользователь мог выбрать другую запись
+    if (entry !== getPreviewEntry() || !AppState.pdfCompare) return;
+    
+    if (!file) {
+        DOM.pdfPane.innerHTML = `
+            <div class="pdf-pane-message">
+                Исходный PDF${filename ? ` <code>${escapeHtml(filename)}</code>` : ''} не найден.<br>
+                Укажите его кнопкой «📎 PDF» или включите сохранение PDF перед обработкой.
+            </div>
+        `;
+        return;
+    }
+    
+    try {
+        const pageCount = await PDFViewer.open(DOM.pdfPane, file, { onPageChange: syncTextToPdfPage });
+        if (pageCount === 0) return;
+        AppState.comparePdfFilename = filename;
+        
+        const page = TextViewer.getVisiblePage(DOM.previewText);
+        if (page) PDFViewer.scrollToPage(page);
+    } catch (error) {
+        console.error('Ошибка открытия PDF:', error);
+        DOM.pdfPane.innerHTML = `<div class="pdf-pane-message">❌ Не удалось открыть PDF: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+/**
+ * Прокрутка текста ведёт PDF к той же странице (по меткам «стр. N»)
+ */
+function handlePreviewTextScroll() {
+    if (!PDFViewer.isOpen() || Date.now() < AppState.textViewer.ignoreScrollUntil) return;
+    
+    const page = TextViewer.getVisiblePage(DOM.previewText);
+    if (page && page !== PDFViewer.currentPage) PDFViewer.scrollToPage(page);
+}
+
+/**
+ * Прокрутка PDF ведёт текст к началу той же страницы
+ */
+function syncTextToPdfPage(page) {
+    const anchor = DOM.previewText?.querySelector(`.page-anchor[data-page="${page}"]`);
+    if (!anchor) return;
+    
+    AppState.textViewer.ignoreScrollUntil = Date.now() + PDFViewer.SYNC_PAUSE_MS;
+    TextViewer.scrollToElement(DOM.previewText, anchor);
+}
+
+/**
+ * Рисует форму истории обжалования
+ * @param {boolean} reviewed - Запись проверена: пустая история означает «не обжаловалось», а не «не размечено»
+ */
+function renderAppealHistoryForm(appealHistory, reviewed = true) {
+    if (!DOM.appealHistoryList) return;
+    
+    DOM.appealHistoryList.innerHTML = '';
+    if (appealHistory.length === 0) {
+        DOM.appealHistoryList.innerHTML = reviewed
+            ? '<p class="text-muted small mb-1">Решение не обжаловалось</p>'
+            : '<p class="status-warning small mb-1">⏳ Не проверено. Если решение не обжаловалось, просто сохраните пустую историю</p>';
+    }
+    
+    appealHistory.forEach((record, index) => {
+        const row = document.createElement('div');
+        row.className = 'appeal-row';
+        row.innerHTML = `
+            <select class="form-select form-select-sm" data-field="instance">
+                ${JSONLHandler.APPEAL_INSTANCES.map(i => `<option value="${i}">${i}</option>`).join('')}
+            </select>
+            <input type="date" class="form-control form-control-sm" data-field="date">
+            <input type="text" class="form-control form-control-sm" data-field="resolution_number" placeholder="№ постановления">
+            <select class="form-select form-select-sm" data-field="outcome">
+                ${Object.values(JSONLHandler.APPEAL_OUTCOMES).map(o => `<option value="${o}">${o}</option>`).join('')}
+            </select>
+            <button class="btn btn-sm btn-outline-danger" type="button" title="Удалить">✕</button>
+        `;
+        
+        row.querySelector('[data-field="instance"]').value = record.instance;
+        row.querySelector('[data-field="date"]').value = record.date || '';
+        row.querySelector('[data-field="resolution_number"]').value = record.resolution_number || '';
+        row.querySelector('[data-field="outcome"]').value = record.outcome;
+        row.querySelector('button').addEventListener('click', () => handleRemoveAppeal(index));
+        row.addEventListener('change', updateAppealFlagsSummary);
+        
+        DOM.appealHistoryList.appendChild(row);
+    });
+    
+    updateAppealFlagsSummary();
+}
+
+/**
+ * Читает историю обжалования из формы
+ */
+function readAppealHistoryForm() {
+    if (!DOM.appealHistoryList) return [];
+    
+    return Array.from(DOM.appealHistoryList.querySelectorAll('.appeal-row')).map(row =>
+        JSONLHandler.createAppealRecord(
+            row.querySelector('[data-field="instance"]').value,
+            row.querySelector('[data-field="date"]').value,
+            row.querySelector('[data-field="resolution_number"]').value.trim(),
+            row.querySelector('[data-field="outcome"]').value
+        )
+    );
+}
+
+function updateAppealFlagsSummary() {
+    if (!DOM.appealFlagsSummary) return;
+    
+    const flags = JSONLHandler.deriveAppealFlags(readAppealHistoryForm());
+    DOM.appealFlagsSummary.textContent = `appealed: ${flags.appealed ? 'да' : 'нет'}, canceled: ${flags.canceled ? 'да' : 'нет'}`;
+}
+
+/**
+ * Статус проверки записи для предпросмотра и таблицы
+ */
+function formatReviewStatus(entry) {
+    if (!JSONLHandler.isReviewed(entry)) {
+        return '<span class="badge bg-light text-dark border">⏳ Не проверено</span>';
+    }
+    
+    const reviewer = entry.metadata?.reviewed_by;
+    const date = entry.metadata?.reviewed_at?.slice(0, 10);
+    const details = [reviewer, date].filter(Boolean).join(', ');
+    return `<span class="badge bg-success" title="${escapeHtml(details)}">✅ Проверено</span>${details ? ` <small class="text-muted">${escapeHtml(details)}</small>` : ''}`;
+}
+
+function handleAddAppeal() {
+    const history = readAppealHistoryForm();
+    
+    // Следующая инстанция после последней указанной
+    const last = history[history.length - 1];
+    const nextIndex = last ? JSONLHandler.APPEAL_INSTANCES.indexOf(last.instance) + 1 : 0;
+    const instance = JSONLHandler.APPEAL_INSTANCES[Math.min(nextIndex, JSONLHandler.APPEAL_INSTANCES.length - 1)];
+    
+    history.push(JSONLHandler.createAppealRecord(instance));
+    renderAppealHistoryForm(history);
+}
+
+function handleRemoveAppeal(index) {
+    const history = readAppealHistoryForm();
+    history.splice(index, 1);
+    renderAppealHistoryForm(history);
+}
+
+function handleSaveChanges() {
+    if (AppState.currentPreviewIndex === null && AppState.currentPreviewIndex !== 0) {
+        showStatus(DOM.saveStatus, '❌ Выберите запись для сохранения', 'error');
+        return;
+    }
+    
+    const entry = AppState.datasetEntries[AppState.currentPreviewIndex];
+    if (!entry) {
+        showStatus(DOM.saveStatus, '❌ Запись не найдена', 'error');
+        return;
+    }
+    
+    const appealHistory = readAppealHistoryForm();
+    const errors = JSONLHandler.validateAppealHistory(appealHistory, entry.decision_date);
+    if (errors.length > 0) {
+        showStatus(DOM.saveStatus, `⚠️ ${errors.join('<br>')}`, 'warning', false);
+        return;
+    }
+    
+    const annotatorId = ensureAnnotatorId();
+    if (!annotatorId) {
+        showStatus(DOM.saveStatus, '❌ Укажите ID разметчика в верхней панели', 'error');
+        return;
+    }
+    
+    if (!saveAppealHistory(AppState.currentPreviewIndex, appealHistory, annotatorId)) {
+        showStatus(DOM.saveStatus, '✅ Ваша разметка сохранена. Общая история не изменилась: у записи несколько разметчиков или принятая версия — примите версию в блоке «Разметчики и согласованность»', 'success', false);
+        return;
+    }
+    
+    showStatus(DOM.saveStatus, '✅ Изменения сохранены', 'success');
+    
+    setTimeout(() => {
+        if (DOM.saveStatus) DOM.saveStatus.innerHTML = '';
+    }, 3000);
+}
+
+/**
+ * Может ли разметчик сам менять общую историю обжалования записи:
+ * да, пока других разметчиков нет и расхождение не разрешалось (metadata.adjudication)
+ */
+function canSetSharedAppealHistory(entry, annotatorId) {
+    const others = Object.keys(entry.annotations || {}).filter(id => id !== annotatorId);
+    return others.length === 0 && !entry.metadata?.adjudication;
+}
+
+/**
+ * Сохраняет историю обжалования записи одной командой истории: общую и версию разметчика
+ * При нескольких разметчиках или принятой версии меняется только annotations[annotatorId]
+ * @returns {boolean} - Изменена ли общая история
+ */
+function saveAppealHistory(index, appealHistory, annotatorId) {
+    const entry = AppState.datasetEntries[index];
+    const updated = structuredClone(entry);
+    const timestamp = new Date().toISOString();
+    const isShared = canSetSharedAppealHistory(entry, annotatorId);
+    JSONLHandler.setAnnotation(updated, annotatorId, appealHistory, timestamp);
+    if (isShared) {
+        JSONLHandler.setAppealHistory(updated, appealHistory);
+        JSONLHandler.setReviewed(updated, annotatorId, timestamp);
+    }
+    JSONLHandler.touchFields(
+        updated,
+        isShared ? ['appeal_history', 'annotations', ...JSONLHandler.REVIEW_FIELDS] : ['annotations'],
+        timestamp
+    );
+    
+    HistoryManager.execute(
+        `История обжалования: ${entry.case_number || 'запись ' + (index + 1)}`,
+        [HistoryManager.setOp(index, entry, updated)]
+    );
+    
+    // Сохранённая вручную история закрывает карточки этого дела в очереди проверки
+    if (entry.case_number && AppState.appealReviewQueue.some(item => item.case_number === entry.case_number)) {
+        AppState.appealReviewQueue = AppState.appealReviewQueue.filter(item => item.case_number !== entry.case_number);
+        saveStateToStorage();
+        renderReviewQueue();
+    }
+    return isShared;
+}
+
+function handleDownloadJSONL() {
+    const entries = getExportEntries();
+    if (entries.length === 0) {
+        alert(AppState.datasetEntries.length === 0 ? 'Датасет пуст!' : 'Нет записей, подходящих под фильтры!');
+        return;
+    }
+    
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    JSONLHandler.download(JSONLHandler.withCaseLinks(entries), `court_decisions_${timestamp}.jsonl`);
+}
+
+function handleDownloadInstruction() {
+    const entries = getExportEntries();
+    if (entries.length === 0) {
+        alert(AppState.datasetEntries.length === 0 ? 'Датасет пуст!' : 'Нет записей, подходящих под фильтры!');
+        return;
+    }
+    
+    const instructionEntries = entries.map(e =>
+        JSONLHandler.createInstructionEntry(
             e.case_number,
             e.decision_date,
             e.decision_text,
-            e.appealed,
-            e.canceled
+            e.appeal_history
         )
     );
     
@@ -492,28 +1703,70 @@ function handleDownloadInstruction() {
     JSONLHandler.download(instructionEntries, `instruction_dataset_${timestamp}.jsonl`);
 }
 
+/**
+ * Обогащённые записи в формате редактора обогащённого датасета
+ */
+function handleDownloadEnriched() {
+    const entries = getExportEntries().filter(entry => entry.enrichment);
+    if (entries.length === 0) {
+        alert('Нет обогащённых записей! Запустите обогащение в разделе «🤖 Обогащение через LLM».');
+        return;
+    }
+    
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    JSONLHandler.download(entries.map(entry => JSONLHandler.toEnrichedRecord(entry)), `enriched_dataset_${timestamp}.jsonl`);
+}
+
+/**
+ * Исходные PDF экспортируемых записей, которые удалось найти (см. getSourcePdf)
+ * @returns {Promise<{files: Array<{filename: string, blob: Blob}>, total: number}>}
+ */
+async function collectSourcePdfs(entries) {
+    const filenames = new Map();
+    entries.forEach(entry => {
+        const filename = entry.metadata?.source_filename;
+        if (filename && !filenames.has(filename)) filenames.set(filename, entry);
+    });
+    
+    const files = [];
+    for (const [filename, entry] of filenames) {
+        const blob = await getSourcePdf(entry);
+        if (blob) files.push({ filename, blob });
+    }
+    return { files, total: filenames.size };
+}
+
 async function handleDownloadZip() {
-    if (AppState.datasetEntries.length === 0) {
-        alert('Датасет пуст!');
+    const entries = getExportEntries();
+    if (entries.length === 0) {
+        alert(AppState.datasetEntries.length === 0 ? 'Датасет пуст!' : 'Нет записей, подходящих под фильтры!');
         return;
     }
     
-    const instructionEntries = AppState.datasetEntries.map(e =>
+    const instructionEntries = entries.map(e =>
         JSONLHandler.createInstructionEntry(
             e.case_number,
             e.decision_date,
             e.decision_text,
-            e.appealed,
-            e.canceled
+            e.appeal_history
         )
     );
     
     try {
+        let pdfFiles = [];
+        let message = '✅ Архив скачан!';
+        if (DOM.exportIncludePdfs?.checked) {
+            showStatus(DOM.processStatus, '🔄 Сбор исходных PDF...', 'info', false);
+            const result = await collectSourcePdfs(entries);
+            pdfFiles = result.files;
+            message += ` Исходных PDF: ${pdfFiles.length} из ${result.total}`;
+        }
+        
         showStatus(DOM.processStatus, '🔄 Создание архива...', 'info', false);
-        const zipBlob = await JSONLHandler.createZipArchive(AppState.datasetEntries, instructionEntries);
+        const zipBlob = await JSONLHandler.createZipArchive(JSONLHandler.withCaseLinks(entries), instructionEntries, pdfFiles);
         const timestamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
         saveAs(zipBlob, `court_dataset_${timestamp}.zip`);
-        showStatus(DOM.processStatus, '✅ Архив скачан!', 'success');
+        showStatus(DOM.processStatus, message, 'success');
     } catch (error) {
         console.error('Ошибка создания ZIP:', error);
         showStatus(DOM.processStatus, `❌ Ошибка: ${error.message}`, 'error');
@@ -526,19 +1779,20 @@ window.clearDataset = function() {
         return;
     }
 
-    if (confirm('⚠️ Вы уверены, что хотите удалить ВСЕ записи?\n\nЭто действие нельзя отменить. Данные будут удалены из памяти и localStorage.')) {
-        AppState.datasetEntries = [];
-        AppState.processedFiles.clear();
-        AppState.lastUpdated = null;
+    if (!ensureNotProcessing()) return;
+
+    if (confirm('⚠️ Вы уверены, что хотите удалить ВСЕ записи?\n\nДанные будут удалены из памяти и хранилища браузера. Очистку можно отменить кнопкой «↶ Отменить» (Ctrl+Z).')) {
         AppState.currentPreviewIndex = null;
+        HistoryManager.execute(
+            'Очистка датасета',
+            [HistoryManager.replaceOp(AppState.datasetEntries, [])],
+            { before: getHistoryExtra(), after: { processedFiles: [], lastUpdated: null } }
+        );
         
         // Сброс полей ввода файлов
         if (DOM.pdfUpload) DOM.pdfUpload.value = '';
         if (DOM.jsonlUpload) DOM.jsonlUpload.value = '';
         
-        saveToLocalStorage();
-        updateUI();
-        
         // Сброс статусов
         if (DOM.processStatus) DOM.processStatus.innerHTML = '';
         if (DOM.loadStatus) DOM.loadStatus.innerHTML = '';
@@ -547,79 +1801,1906 @@ window.clearDataset = function() {
         console.log('🗑 Датасет полностью очищен');
         alert('✅ Датасет очищен!');
     }
-};
+};
+
+
+// ============================================================================
+// ОБЪЕДИНЕНИЕ JSONL: КОНФЛИКТЫ
+// ============================================================================
+
+const MERGE_STRATEGY_LABELS = {
+    newest: 'По полям (новее по updated_at)',
+    mine: 'Оставить мою версию',
+    theirs: 'Взять версию из файла'
+};
+
+const MERGE_FIELD_LABELS = {
+    decision_text: 'Текст акта',
+    sections: 'Разделы',
+    extracted: 'Извлечено по правилам',
+    appeal_history: 'История обжалования',
+    annotations: 'Разметка разметчиков',
+    review_status: 'Статус проверки',
+    'metadata.reviewed_by': 'Кто проверил',
+    'metadata.reviewed_at': 'Когда проверено',
+    'metadata.appeal_source': 'Источник истории обжалования',
+    'metadata.document_type': 'Вид акта',
+    'metadata.document_subtype': 'Разновидность определения',
+    'metadata.court_instance': 'Инстанция',
+    'metadata.court_name': 'Суд',
+    'metadata.source_filename': 'Файл',
+    'metadata.page_offsets': 'Границы страниц',
+    'metadata.text_corrections': 'Ручные исправления текста',
+    enrichment: 'Обогащение LLM',
+    enrichment_history: 'Прежние результаты обогащения',
+    'metadata.enrichment': 'Запуск обогащения LLM'
+};
+
+/**
+ * Значение поля для таблицы различий
+ */
+function formatMergeValue(field, value) {
+    if (value === undefined || value === null) {
+        return '<span class="text-muted">—</span>';
+    }
+    if (field === 'appeal_history') {
+        return value.length > 0
+            ? value.map(r => escapeHtml(`${r.instance}${r.date ? ` ${r.date}` : ''}: ${r.outcome}`)).join('<br>')
+            : '<span class="text-muted">не обжаловалось</span>';
+    }
+    
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > 300
+        ? `${escapeHtml(text.slice(0, 300))}… <small class="text-muted">(${text.length.toLocaleString('ru-RU')} симв.)</small>`
+        : escapeHtml(text);
+}
+
+function renderMergeConflict(conflict, strategy) {
+    const { mine, diff } = conflict;
+    const options = Object.entries(MERGE_STRATEGY_LABELS)
+        .map(([value, label]) => `<option value="${value}" ${value === strategy ? 'selected' : ''}>${label}</option>`)
+        .join('');
+    
+    const rows = diff.map(change => {
+        const side = strategy === 'newest' ? JSONLHandler.newerSide(change) : strategy;
+        const cell = (value, updatedAt, chosen) => `
+            <td class="${chosen ? 'merge-chosen' : 'merge-dropped'}">
+                ${formatMergeValue(change.field, value)}
+                ${updatedAt ? `<div class="small text-muted">изм. ${updatedAt.slice(0, 16).replace('T', ' ')}</div>` : ''}
+            </td>`;
+        return `
+            <tr>
+                <td><small>${MERGE_FIELD_LABELS[change.field] || change.field}</small></td>
+                ${cell(change.mine, change.mineUpdatedAt, side === 'mine')}
+                ${cell(change.theirs, change.theirsUpdatedAt, side === 'theirs')}
+            </tr>`;
+    }).join('');
+    
+    return `
+        <div class="d-flex flex-wrap justify-content-between align-items-center gap-2 mb-2">
+            <div>
+                <code>${mine.case_number || '—'}</code> · ${formatDocumentType(mine.metadata)} от ${mine.decision_date || '—'}
+                <small class="text-muted">(различий: ${diff.length})</small>
+            </div>
+            <select class="form-select form-select-sm w-auto" data-action="strategy">${options}</select>
+        </div>
+        <div class="table-responsive">
+            <table class="table table-sm mb-0 merge-diff">
+                <thead><tr><th>Поле</th><th>Моя версия</th><th>Версия из файла</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Показывает диалог разрешения конфликтов
+ * @returns {Promise<Array<string>|null>} - Стратегия для каждого конфликта или null, если загрузка отменена
+ */
+function resolveMergeConflicts(plan, additionsCount, filename) {
+    const strategies = plan.conflicts.map(() => 'newest');
+    
+    const renderConflict = (block, i) => {
+        block.innerHTML = renderMergeConflict(plan.conflicts[i], strategies[i]);
+        block.querySelector('[data-action="strategy"]').addEventListener('change', (event) => {
+            strategies[i] = event.target.value;
+            renderConflict(block, i);
+        });
+    };
+    
+    const blocks = plan.conflicts.map((_, i) => {
+        const block = document.createElement('div');
+        block.className = 'merge-conflict';
+        renderConflict(block, i);
+        return block;
+    });
+    
+    DOM.mergeConflictsList.innerHTML = '';
+    blocks.forEach(block => DOM.mergeConflictsList.appendChild(block));
+    DOM.mergeSummary.innerHTML = `Файл <strong>${escapeHtml(filename)}</strong>: новых записей — ${additionsCount}, 
+        совпадающих — ${plan.identical}, <strong>с расхождениями — ${plan.conflicts.length}</strong>. 
+        Выбранная версия поля выделена зелёным; «по полям» берёт для каждого поля более позднюю правку.`;
+    
+    DOM.mergeModal.querySelectorAll('[data-merge-all]').forEach(button => {
+        button.onclick = () => {
+            strategies.fill(button.dataset.mergeAll);
+            blocks.forEach(renderConflict);
+        };
+    });
+    
+    const modal = bootstrap.Modal.getOrCreateInstance(DOM.mergeModal);
+    
+    return new Promise(resolve => {
+        let applied = false;
+        DOM.btnMergeApply.onclick = () => {
+            applied = true;
+            modal.hide();
+        };
+        DOM.mergeModal.addEventListener('hidden.bs.modal', () => {
+            DOM.mergeConflictsList.innerHTML = '';
+            resolve(applied ? strategies : null);
+        }, { once: true });
+        modal.show();
+    });
+}
+
+// ============================================================================
+// РАЗМЕТЧИКИ И СОГЛАСОВАННОСТЬ
+// ============================================================================
+
+/**
+ * Ключ состояния с ID разметчика: один на браузер, а не на проект
+ */
+function getAnnotatorStateKey() {
+    return `${ProjectManager.BASE_KEY}__annotator`;
+}
+
+function normalizeAnnotatorId(value) {
+    return (value || '').trim().replace(/\s+/g, '_').slice(0, 40);
+}
+
+async function loadAnnotatorId() {
+    try {
+        const saved = await DatasetStorage.loadState(getAnnotatorStateKey());
+        AppState.annotatorId = saved?.annotatorId || '';
+    } catch (error) {
+        console.error('Не удалось загрузить ID разметчика:', error);
+    }
+    if (DOM.annotatorId) DOM.annotatorId.value = AppState.annotatorId;
+}
+
+function handleAnnotatorChange() {
+    AppState.annotatorId = normalizeAnnotatorId(DOM.annotatorId?.value);
+    if (DOM.annotatorId) DOM.annotatorId.value = AppState.annotatorId;
+    DatasetStorage.saveState(getAnnotatorStateKey(), { annotatorId: AppState.annotatorId })
+        .catch(handleStorageError);
+    
+    // Форма показывает версию текущего разметчика
+    if (AppState.currentPreviewIndex !== null) handlePreviewChange();
+}
+
+/**
+ * Возвращает ID разметчика; если он не задан, запрашивает его
+ */
+function ensureAnnotatorId() {
+    if (AppState.annotatorId) return AppState.annotatorId;
+    
+    const value = normalizeAnnotatorId(prompt('Укажите ID разметчика (латиница или фамилия) — под ним будет сохранена ваша разметка:'));
+    if (!value) return '';
+    
+    if (DOM.annotatorId) DOM.annotatorId.value = value;
+    handleAnnotatorChange();
+    return value;
+}
+
+function describeAnnotation(annotation) {
+    const flags = `${annotation.appealed ? '🔄 обжаловано' : 'не обжаловано'}${annotation.canceled ? ', ❌ отменено' : ''}`;
+    const outcome = JSONLHandler.describeAppealOutcome(annotation.appeal_history);
+    return outcome ? `${flags} (${outcome})` : flags;
+}
+
+/**
+ * Разметка всех разметчиков для предпросмотра
+ */
+function formatAnnotations(entry) {
+    const adjudication = entry.metadata?.adjudication;
+    const items = Object.entries(entry.annotations).map(([annotatorId, annotation]) => `
+        <li>
+            <strong>${escapeHtml(annotatorId)}</strong>${annotatorId === AppState.annotatorId ? ' (вы)' : ''}:
+            ${describeAnnotation(annotation)}
+            <small class="text-muted">${(annotation.annotated_at || '').slice(0, 10)}</small>
+            ${adjudication?.annotator === annotatorId ? '<span class="badge bg-success">принята</span>' : ''}
+        </li>
+    `).join('');
+    
+    return `
+        <div class="case-thread">
+            <h6>👥 Разметка (${Object.keys(entry.annotations).length})</h6>
+            <ul class="mb-0">${items}</ul>
+        </div>
+    `;
+}
+
+/**
+ * Импортирует разметку из JSONL коллег в записи датасета с тем же актом
+ * Записи файла без annotations считаются разметкой владельца файла, если сохранялись хотя бы раз (есть updated_at)
+ * @returns {Promise<{updated: number, unmatched: number, annotators: Array<string>}|null>} - null, если импорт отменён
+ */
+async function importAnnotationFiles(files) {
+    const indexByAct = new Map();
+    AppState.datasetEntries.forEach((entry, index) => {
+        if (entry.case_number) indexByAct.set(JSONLHandler.getActKey(entry), index);
+    });
+    
+    const working = new Map();
+    const annotators = new Set();
+    let unmatched = 0;
+    
+    for (const file of files) {
+        const entries = JSONLHandler.fromJSONL(await file.text());
+        entries.forEach(upgradeEntry);
+        
+        let fileAnnotator = null;
+        if (entries.some(e => !e.annotations && e.metadata?.updated_at)) {
+            const suggested = normalizeAnnotatorId(file.name.replace(/\.jsonl$/i, ''));
+            fileAnnotator = normalizeAnnotatorId(prompt(`Чья разметка в файле ${file.name}? Укажите ID разметчика:`, suggested));
+            if (!fileAnnotator) return null;
+        }
+        
+        for (const incoming of entries) {
+            const index = incoming.case_number ? indexByAct.get(JSONLHandler.getActKey(incoming)) : undefined;
+            if (index === undefined) {
+                unmatched++;
+                continue;
+            }
+            
+            let annotations = incoming.annotations;
+            if (!annotations && fileAnnotator && incoming.metadata?.updated_at) {
+                annotations = JSONLHandler.setAnnotation(
+                    {},
+                    fileAnnotator,
+                    incoming.appeal_history || [],
+                    incoming.metadata.field_updated_at?.appeal_history || incoming.metadata.updated_at
+                ).annotations;
+            }
+            if (!annotations) continue;
+            
+            Object.keys(annotations).forEach(id => annotators.add(id));
+            const target = working.get(index) || structuredClone(AppState.datasetEntries[index]);
+            if (JSONLHandler.mergeAnnotations(target, annotations)) {
+                working.set(index, target);
+            }
+        }
+    }
+    
+    const ops = [];
+    for (const [index, updated] of working) {
+        JSONLHandler.touchFields(updated, ['annotations']);
+        ops.push(HistoryManager.setOp(index, AppState.datasetEntries[index], updated));
+    }
+    if (ops.length > 0) {
+        HistoryManager.execute(`Импорт разметки: ${ops.length} записей`, ops);
+    }
+    
+    return { updated: ops.length, unmatched, annotators: [...annotators].sort() };
+}
+
+async function handleImportAnnotations() {
+    const files = Array.from(DOM.annotationsUpload?.files || []);
+    if (files.length === 0) {
+        showStatus(DOM.annotationsStatus, '❌ Выберите файлы JSONL разметчиков', 'error');
+        return;
+    }
+    if (!ensureNotProcessing()) return;
+    
+    try {
+        showStatus(DOM.annotationsStatus, '🔄 Импорт разметки...', 'info', false);
+        const stats = await importAnnotationFiles(files);
+        if (!stats) {
+            showStatus(DOM.annotationsStatus, '⏹ Импорт отменён', 'warning');
+            return;
+        }
+        
+        const unmatchedInfo = stats.unmatched > 0 ? `, нет в датасете: ${stats.unmatched}` : '';
+        showStatus(
+            DOM.annotationsStatus,
+            `✅ Обновлено записей: ${stats.updated} (разметчики: ${stats.annotators.join(', ') || '—'}${unmatchedInfo})`,
+            'success',
+            false
+        );
+        DOM.annotationsUpload.value = '';
+        renderAnnotatorList();
+    } catch (error) {
+        console.error('Ошибка импорта разметки:', error);
+        showStatus(DOM.annotationsStatus, `❌ Ошибка: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Список разметчиков датасета с выбором участников расчёта
+ */
+function renderAnnotatorList() {
+    if (!DOM.annotatorList) return;
+    
+    const annotators = JSONLHandler.getAnnotators(AppState.datasetEntries);
+    const selected = new Set(AppState.agreementResult?.annotators || annotators);
+    
+    if (DOM.agreementControls) DOM.agreementControls.style.display = annotators.length >= 2 ? 'block' : 'none';
+    
+    DOM.annotatorList.innerHTML = annotators.map(id => {
+        const count = AppState.datasetEntries.filter(e => e.annotations?.[id]).length;
+        return `
+            <label class="form-check-label small">
+                <input class="form-check-input" type="checkbox" value="${escapeHtml(id)}" ${selected.has(id) ? 'checked' : ''}>
+                ${escapeHtml(id)} <span class="text-muted">(${count})</span>
+            </label>
+        `;
+    }).join('');
+}
+
+function handleComputeAgreement() {
+    const annotators = Array.from(DOM.annotatorList?.querySelectorAll('input:checked') || []).map(input => input.value);
+    if (annotators.length < 2) {
+        showStatus(DOM.annotationsStatus, '⚠️ Выберите не меньше двух разметчиков', 'warning');
+        return;
+    }
+    
+    AppState.agreementResult = AgreementCalculator.compute(AppState.datasetEntries, annotators);
+    renderAgreementResult();
+}
+
+/**
+ * Пересчитывает согласованность после изменения датасета (индексы расхождений могли сдвинуться)
+ */
+function refreshAgreement() {
+    if (!AppState.agreementResult) {
+        renderAnnotatorList();
+        return;
+    }
+    
+    const available = new Set(JSONLHandler.getAnnotators(AppState.datasetEntries));
+    const annotators = AppState.agreementResult.annotators.filter(id => available.has(id));
+    AppState.agreementResult = annotators.length >= 2
+        ? AgreementCalculator.compute(AppState.datasetEntries, annotators)
+        : null;
+    renderAnnotatorList();
+    renderAgreementResult();
+}
+
+function formatKappa(value) {
+    return value === null ? '—' : value.toFixed(3);
+}
+
+function renderAgreementResult() {
+    if (!DOM.agreementResults) return;
+    
+    const result = AppState.agreementResult;
+    if (!result) {
+        DOM.agreementResults.innerHTML = '';
+        if (DOM.disagreementsSection) DOM.disagreementsSection.style.display = 'none';
+        return;
+    }
+    
+    const methodLabel = result.method === 'fleiss' ? 'Флейса' : 'Коэна';
+    const rows = Object.entries(result.labels).map(([label, stats]) => `
+        <tr>
+            <td>${AgreementCalculator.LABELS[label].title}</td>
+            <td>${stats.n}</td>
+            <td>${stats.n > 0 ? `${Math.round(stats.observed * 100)}%` : '—'}</td>
+            <td><strong>${formatKappa(stats.kappa)}</strong></td>
+            <td>${AgreementCalculator.interpret(stats.kappa)}</td>
+        </tr>
+    `).join('');
+    
+    const pairwise = result.annotators.length > 2
+        ? Object.entries(result.labels).map(([label, stats]) => `
+            <p class="small mb-1"><strong>${AgreementCalculator.LABELS[label].title}</strong>, попарно (Коэн): 
+            ${stats.pairwise.map(p => `${escapeHtml(p.a)} — ${escapeHtml(p.b)}: ${formatKappa(p.kappa)} (n=${p.n})`).join('; ')}</p>
+        `).join('')
+        : '';
+    
+    DOM.agreementResults.innerHTML = `
+        <h6>📐 Каппа ${methodLabel}: ${result.annotators.map(escapeHtml).join(', ')}</h6>
+        <div class="table-responsive">
+            <table class="table table-sm">
+                <thead><tr><th>Признак</th><th>Записей у всех</th><th>Полное согласие</th><th>κ</th><th>Оценка</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        ${pairwise}
+    `;
+    
+    renderDisagreements();
+}
+
+/**
+ * Расхождения разметчиков: для каждого — версии и кнопка «Принять»
+ */
+function renderDisagreements() {
+    if (!DOM.disagreementList) return;
+    
+    const indexes = AppState.agreementResult?.disagreements || [];
+    if (DOM.disagreementsSection) DOM.disagreementsSection.style.display = indexes.length > 0 ? 'block' : 'none';
+    
+    DOM.disagreementList.innerHTML = '';
+    indexes.forEach(index => {
+        const entry = AppState.datasetEntries[index];
+        const adjudicated = entry.metadata?.adjudication?.annotator;
+        const versions = AppState.agreementResult.annotators
+            .filter(id => entry.annotations?.[id])
+            .map(id => `
+                <div class="annotator-version ${adjudicated === id ? 'adjudicated' : ''}">
+                    <strong>${escapeHtml(id)}</strong>
+                    <small>${describeAnnotation(entry.annotations[id])}</small>
+                    <button class="btn btn-sm btn-outline-success" data-annotator="${escapeHtml(id)}">${adjudicated === id ? '✅ Принята' : 'Принять'}</button>
+                </div>
+            `).join('');
+        
+        const item = document.createElement('li');
+        item.className = 'list-group-item';
+        item.innerHTML = `
+            <div class="d-flex justify-content-between align-items-center">
+                <div><code>${entry.case_number || '—'}</code> от ${entry.decision_date || '—'}</div>
+                <button class="btn btn-sm btn-outline-primary" data-action="open">👁 Открыть</button>
+            </div>
+            ${versions}
+        `;
+        
+        item.querySelector('[data-action="open"]').addEventListener('click', () => {
+            if (DOM.previewSelect) DOM.previewSelect.value = index;
+            handlePreviewChange();
+            if (DOM.previewSection) DOM.previewSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        });
+        item.querySelectorAll('[data-annotator]').forEach(button => {
+            button.addEventListener('click', () => handleAdjudicate(index, button.dataset.annotator));
+        });
+        DOM.disagreementList.appendChild(item);
+    });
+}
+
+/**
+ * Принимает версию разметчика как общую историю обжалования записи
+ */
+function handleAdjudicate(index, annotatorId) {
+    const entry = AppState.datasetEntries[index];
+    const annotation = entry?.annotations?.[annotatorId];
+    if (!annotation) return;
+    
+    const updated = structuredClone(entry);
+    const timestamp = new Date().toISOString();
+    JSONLHandler.setAppealHistory(updated, structuredClone(annotation.appeal_history));
+    JSONLHandler.setReviewed(updated, AppState.annotatorId || annotatorId, timestamp);
+    updated.metadata.adjudication = {
+        annotator: annotatorId,
+        adjudicated_by: AppState.annotatorId || null,
+        adjudicated_at: timestamp
+    };
+    JSONLHandler.touchFields(updated, ['appeal_history', 'metadata.adjudication', ...JSONLHandler.REVIEW_FIELDS], timestamp);
+    
+    HistoryManager.execute(
+        `Принята разметка ${annotatorId}: ${entry.case_number || 'запись ' + (index + 1)}`,
+        [HistoryManager.setOp(index, entry, updated)]
+    );
+}
+
+// ============================================================================
+// БЫСТРАЯ РАЗМЕТКА С КЛАВИАТУРЫ
+// ============================================================================
+
+/**
+ * Клавиши быстрой разметки (event.code — не зависит от раскладки: A/Ф, C/С, N/Т, S/Ы)
+ */
+const QUICK_LABEL_KEYS = {
+    KeyA: 'appealed',
+    KeyC: 'canceled',
+    KeyN: 'not_appealed',
+    KeyS: 'skip'
+};
+
+// Сколько символов конца текста показывать, если резолютивная часть не выделена
+const QUICK_TEXT_TAIL = 3000;
+
+/**
+ * История обжалования, которую разметчик видит для записи: своя версия или общая
+ */
+function getOwnAppealHistory(entry) {
+    const ownAnnotation = entry.annotations?.[AppState.annotatorId];
+    return ownAnnotation ? ownAnnotation.appeal_history : entry.appeal_history || [];
+}
+
+/**
+ * История обжалования по метке быстрой разметки
+ * Подробная история записи сохраняется, если она уже соответствует метке
+ */
+function buildQuickAppealHistory(label, currentHistory) {
+    const flags = JSONLHandler.deriveAppealFlags(currentHistory);
+    const outcomes = JSONLHandler.APPEAL_OUTCOMES;
+    
+    if (label === 'not_appealed') return [];
+    if (label === 'appealed') {
+        return flags.appealed && !flags.canceled
+            ? structuredClone(currentHistory)
+            : [JSONLHandler.createAppealRecord('апелляция', '', '', outcomes.UNKNOWN)];
+    }
+    return flags.canceled
+        ? structuredClone(currentHistory)
+        : [JSONLHandler.createAppealRecord('апелляция', '', '', outcomes.CANCELED)];
+}
+
+/**
+ * Открывает быструю разметку: очередь — записи (с учётом фильтров таблицы) без разметки текущего разметчика
+ */
+function handleStartQuickAnnotation() {
+    if (!ensureNotProcessing()) return;
+    
+    const annotatorId = ensureAnnotatorId();
+    if (!annotatorId) {
+        showStatus(DOM.saveStatus, '❌ Укажите ID разметчика в верхней панели', 'error');
+        return;
+    }
+    
+    const queue = [];
+    AppState.datasetEntries.forEach((entry, index) => {
+        if (!entry.annotations?.[annotatorId] && matchesFilters(entry)) queue.push(index);
+    });
+    
+    if (queue.length === 0) {
+        showStatus(DOM.saveStatus, '✅ Неразмеченных записей нет', 'success');
+        return;
+    }
+    
+    AppState.quickAnnotation = { queue, position: 0, labeled: new Set(), skipped: new Set() };
+    renderQuickAnnotation();
+    
+    const modal = bootstrap.Modal.getOrCreateInstance(DOM.quickModal);
+    DOM.quickModal.addEventListener('hidden.bs.modal', () => {
+        const labeled = AppState.quickAnnotation?.labeled.size || 0;
+        AppState.quickAnnotation = null;
+        if (labeled > 0) showStatus(DOM.saveStatus, `✅ Быстрая разметка: размечено ${labeled}`, 'success');
+    }, { once: true });
+    modal.show();
+}
+
+function renderQuickAnnotation() {
+    const session = AppState.quickAnnotation;
+    if (!session || !DOM.quickModal) return;
+    
+    const total = session.queue.length;
+    const done = session.position >= total;
+    const percent = Math.round(Math.min(session.position, total) / total * 100);
+    
+    DOM.quickProgress.style.width = `${percent}%`;
+    DOM.quickProgress.textContent = `${Math.min(session.position, total)} / ${total}`;
+    DOM.quickCounters.textContent = `размечено: ${session.labeled.size}, пропущено: ${session.skipped.size}`;
+    DOM.quickActions.querySelectorAll('button').forEach(button => { button.disabled = done; });
+    
+    if (done) {
+        DOM.quickMeta.innerHTML = '<p class="status-success mb-0">✅ Очередь пройдена. Пропущенные записи попадут в очередь при следующем запуске.</p>';
+        DOM.quickCurrent.innerHTML = '';
+        DOM.quickText.textContent = '';
+        return;
+    }
+    
+    const index = session.queue[session.position];
+    const entry = AppState.datasetEntries[index];
+    if (!entry) {
+        // Запись исчезла (например, отменена обработка) — идём дальше
+        session.position++;
+        renderQuickAnnotation();
+        return;
+    }
+    
+    const history = getOwnAppealHistory(entry);
+    const outcome = JSONLHandler.describeAppealOutcome(history);
+    DOM.quickMeta.innerHTML = `
+        <strong>${escapeHtml(entry.case_number || '—')}</strong> от ${escapeHtml(entry.decision_date || '—')}
+        <span class="text-muted">· ${escapeHtml(formatDocumentType(entry.metadata))}</span>
+    `;
+    DOM.quickCurrent.textContent = entry.annotations?.[AppState.annotatorId]
+        ? `Ваша разметка: ${outcome || 'не обжаловано'}`
+        : `Сейчас в записи: ${outcome || 'не обжаловано'}`;
+    
+    const operative = entry.sections?.operative;
+    const text = entry.decision_text || '';
+    DOM.quickText.textContent = operative
+        || (text.length > QUICK_TEXT_TAIL ? '[... начало скрыто ...]\n\n' + text.slice(-QUICK_TEXT_TAIL) : text);
+    DOM.quickText.scrollTop = 0;
+}
+
+/**
+ * Применяет метку к текущей записи очереди и переходит к следующей
+ */
+function applyQuickLabel(label) {
+    const session = AppState.quickAnnotation;
+    if (!session || session.position >= session.queue.length) return;
+    
+    const index = session.queue[session.position];
+    const entry = AppState.datasetEntries[index];
+    
+    if (label === 'skip') {
+        session.skipped.add(index);
+    } else if (entry) {
+        const annotatorId = ensureAnnotatorId();
+        if (!annotatorId) return;
+        
+        saveAppealHistory(index, buildQuickAppealHistory(label, getOwnAppealHistory(entry)), annotatorId);
+        session.labeled.add(index);
+        session.skipped.delete(index);
+    }
+    
+    session.position++;
+    renderQuickAnnotation();
+}
+
+/**
+ * Возврат к предыдущей записи очереди (метку можно поставить заново)
+ */
+function handleQuickBack() {
+    const session = AppState.quickAnnotation;
+    if (!session || session.position === 0) return;
+    
+    session.position--;
+    renderQuickAnnotation();
+}
+
+function handleQuickKeydown(event) {
+    if (!AppState.quickAnnotation || event.ctrlKey || event.metaKey || event.altKey || event.repeat) return;
+    
+    const label = QUICK_LABEL_KEYS[event.code];
+    if (label) {
+        event.preventDefault();
+        applyQuickLabel(label);
+    } else if (event.code === 'ArrowLeft' || event.code === 'Backspace') {
+        event.preventDefault();
+        handleQuickBack();
+    }
+}
+
+// ============================================================================
+// КАРТОЧКИ ДЕЛ KAD.ARBITR
+// ============================================================================
+
+/**
+ * Импортирует карточки дел и заполняет appeal_history совпадающих записей
+ * Неоднозначные карточки попадают в очередь проверки
+ * @returns {Promise<{applied: number, unchanged: number, queued: number}>}
+ */
+async function importCaseCards(files) {
+    const indexesByCase = new Map();
+    AppState.datasetEntries.forEach((entry, index) => {
+        if (!entry.case_number) return;
+        if (!indexesByCase.has(entry.case_number)) indexesByCase.set(entry.case_number, []);
+        indexesByCase.get(entry.case_number).push(index);
+    });
+    
+    const ops = [];
+    const queued = [];
+    const touched = new Set();
+    let unchanged = 0;
+    
+    for (const file of files) {
+        let parsed;
+        try {
+            parsed = CaseCardParser.parse(await CaseCardParser.readFile(file), file.name);
+        } catch (error) {
+            console.error(`Ошибка чтения карточки ${file.name}:`, error);
+            queued.push(createReviewItem(file.name, { caseNumber: '', records: [] }, [`Не удалось прочитать файл: ${error.message}`]));
+            continue;
+        }
+        
+        const reasons = [...parsed.issues];
+        const caseIndexes = indexesByCase.get(parsed.caseNumber) || [];
+        
+        // История обжалования относится к акту первой инстанции, а не к самим постановлениям
+        const actDates = new Set(parsed.records.map(r => r.date).filter(Boolean));
+        const indexes = caseIndexes.filter(index => {
+            const candidate = AppState.datasetEntries[index];
+            const instance = candidate.metadata?.court_instance;
+            return (!instance || instance === JSONLHandler.FIRST_INSTANCE) && !actDates.has(candidate.decision_date);
+        });
+        
+        if (parsed.caseNumber && caseIndexes.length === 0) {
+            reasons.push('В датасете нет записи с этим номером дела');
+        } else if (parsed.caseNumber && indexes.length === 0) {
+            reasons.push('В датасете нет акта первой инстанции по этому делу');
+        } else if (indexes.length > 1) {
+            reasons.push(`В датасете несколько актов первой инстанции по этому делу (${indexes.length})`);
+        } else if (touched.has(parsed.caseNumber)) {
+            reasons.push('Для дела выбрано несколько карточек');
+        }
+        
+        const entry = indexes.length === 1 ? AppState.datasetEntries[indexes[0]] : null;
+        const existing = entry?.appeal_history || [];
+        const sameHistory = JSON.stringify(existing) === JSON.stringify(parsed.records);
+        
+        // Историю, заполненную вручную, карточка не перезаписывает
+        if (entry && reasons.length === 0 && existing.length > 0 && !sameHistory
+            && entry.metadata?.appeal_source?.type !== 'kad_card') {
+            reasons.push('У записи уже есть другая история обжалования, заполненная вручную');
+        }
+        
+        if (reasons.length > 0) {
+            queued.push(createReviewItem(file.name, parsed, reasons));
+            continue;
+        }
+        
+        touched.add(parsed.caseNumber);
+        if (sameHistory) {
+            unchanged++;
+            continue;
+        }
+        
+        const updated = structuredClone(entry);
+        JSONLHandler.setAppealHistory(updated, parsed.records);
+        if (!updated.metadata) updated.metadata = {};
+        updated.metadata.appeal_source = {
+            type: 'kad_card',
+            filename: file.name,
+            imported_at: new Date().toISOString()
+        };
+        JSONLHandler.touchFields(updated, ['appeal_history', 'metadata.appeal_source']);
+        ops.push(HistoryManager.setOp(indexes[0], entry, updated));
+    }
+    
+    if (ops.length > 0) {
+        HistoryManager.execute(`Импорт карточек дел: ${ops.length}`, ops);
+    }
+    
+    // Повторный импорт той же карточки заменяет прежний элемент очереди
+    const queuedFiles = new Set(queued.map(item => item.filename));
+    AppState.appealReviewQueue = [
+        ...AppState.appealReviewQueue.filter(item => !queuedFiles.has(item.filename)),
+        ...queued
+    ];
+    saveStateToStorage();
+    renderReviewQueue();
+    
+    console.log(`🗂 Карточки дел: применено ${ops.length}, без изменений ${unchanged}, на проверку ${queued.length}`);
+    return { applied: ops.length, unchanged, queued: queued.length };
+}
+
+function createReviewItem(filename, parsed, reasons) {
+    return {
+        id: `${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+        filename,
+        case_number: parsed.caseNumber,
+        records: parsed.records,
+        reasons
+    };
+}
+
+function formatCaseCardStats(stats) {
+    return `Карточки дел: применено ${stats.applied}, без изменений ${stats.unchanged}, на проверку ${stats.queued}`;
+}
+
+async function handleImportCaseCards() {
+    const files = Array.from(DOM.caseCardUpload?.files || []);
+    if (files.length === 0) {
+        showStatus(DOM.importCardsStatus, '❌ Выберите файлы карточек дел', 'error');
+        return;
+    }
+    if (!ensureNotProcessing()) return;
+    
+    try {
+        showStatus(DOM.importCardsStatus, '🔄 Разбор карточек...', 'info', false);
+        const stats = await importCaseCards(files);
+        showStatus(DOM.importCardsStatus, `✅ ${formatCaseCardStats(stats)}`, stats.queued > 0 ? 'warning' : 'success', false);
+        DOM.caseCardUpload.value = '';
+    } catch (error) {
+        console.error('Ошибка импорта карточек:', error);
+        showStatus(DOM.importCardsStatus, `❌ Ошибка: ${error.message}`, 'error');
+    }
+}
+
+function renderReviewQueue() {
+    if (!DOM.reviewQueueList) return;
+    
+    const queue = AppState.appealReviewQueue;
+    if (DOM.reviewQueueSection) DOM.reviewQueueSection.style.display = queue.length > 0 ? 'block' : 'none';
+    
+    DOM.reviewQueueList.innerHTML = '';
+    queue.forEach(item => {
+        const hasEntry = AppState.datasetEntries.some(e => e.case_number && e.case_number === item.case_number);
+        const records = item.records.map(r => `${r.instance}${r.date ? ` ${r.date}` : ''}: ${r.outcome}`).join('; ');
+        
+        const row = document.createElement('li');
+        row.className = 'list-group-item';
+        row.innerHTML = `
+            <div class="d-flex justify-content-between align-items-start gap-2">
+                <div>
+                    <code>${item.case_number || '—'}</code> <small class="text-muted">${item.filename}</small>
+                    <div class="small status-warning">${item.reasons.join('; ')}</div>
+                    ${records ? `<div class="small">Из карточки: ${records}</div>` : ''}
+                </div>
+                <div class="btn-group btn-group-sm">
+                    <button class="btn btn-outline-primary" data-action="open" ${hasEntry ? '' : 'disabled'}>👁 Открыть</button>
+                    <button class="btn btn-outline-secondary" data-action="dismiss" title="Убрать из очереди">✕</button>
+                </div>
+            </div>
+        `;
+        row.querySelector('[data-action="open"]').addEventListener('click', () => handleOpenReviewItem(item.id));
+        row.querySelector('[data-action="dismiss"]').addEventListener('click', () => handleDismissReviewItem(item.id));
+        DOM.reviewQueueList.appendChild(row);
+    });
+}
+
+/**
+ * Открывает запись дела и подставляет в форму данные карточки — пользователь проверяет и сохраняет
+ */
+function handleOpenReviewItem(id) {
+    const item = AppState.appealReviewQueue.find(i => i.id === id);
+    if (!item) return;
+    
+    const index = AppState.datasetEntries.findIndex(e => e.case_number === item.case_number);
+    if (index === -1) return;
+    
+    if (DOM.previewSelect) DOM.previewSelect.value = index;
+    handlePreviewChange();
+    renderAppealHistoryForm(structuredClone(item.records));
+    showStatus(DOM.saveStatus, 'ℹ️ В форму подставлены данные карточки — проверьте и нажмите «Сохранить изменения»', 'info', false);
+    if (DOM.previewSection) DOM.previewSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+function handleDismissReviewItem(id) {
+    AppState.appealReviewQueue = AppState.appealReviewQueue.filter(item => item.id !== id);
+    saveStateToStorage();
+    renderReviewQueue();
+}
+
+// ============================================================================
+// ОБОГАЩЕНИЕ LLM
+// ============================================================================
+
+// Поля настроек LLMEnricher → элементы формы
+const LLM_SETTING_INPUTS = {
+    endpoint: 'llmEndpoint',
+    model: 'llmModel',
+    apiKey: 'llmApiKey',
+    concurrency: 'llmConcurrency',
+    requestsPerMinute: 'llmRpm',
+    maxRetries: 'llmRetries',
+    timeoutSeconds: 'llmTimeout',
+    maxTokens: 'llmMaxTokens',
+    temperature: 'llmTemperature'
+};
+
+const ENRICHMENT_STATE_LABELS = {
+    queued: '⏳ в очереди',
+    running: '🔄 запрос',
+    retry: '🔁 повтор',
+    done: '✅ готово',
+    warning: '⚠️ готово с замечаниями',
+    error: '❌ ошибка',
+    cancelled: '⏹ не обработано'
+};
+
+/**
+ * Ключ состояния с настройками LLM: один на браузер, как ID разметчика
+ */
+function getLLMStateKey() {
+    return `${ProjectManager.BASE_KEY}__llm`;
+}
+
+async function loadLLMSettings() {
+    let saved = null;
+    try {
+        saved = await DatasetStorage.loadState(getLLMStateKey());
+    } catch (error) {
+        console.error('Не удалось загрузить настройки LLM:', error);
+    }
+    AppState.enrichment.settings = LLMEnricher.normalizeSettings(saved?.settings);
+    updateLLMSettingsForm();
+}
+
+function updateLLMSettingsForm() {
+    const settings = AppState.enrichment.settings;
+    for (const [key, domKey] of Object.entries(LLM_SETTING_INPUTS)) {
+        if (DOM[domKey]) DOM[domKey].value = settings[key];
+    }
+    if (DOM.llmJsonMode) DOM.llmJsonMode.checked = settings.jsonMode;
+    if (DOM.llmConcurrency) DOM.llmConcurrency.max = LLMEnricher.MAX_CONCURRENCY;
+}
+
+function handleLLMSettingsChange() {
+    const values = {};
+    for (const [key, domKey] of Object.entries(LLM_SETTING_INPUTS)) {
+        if (DOM[domKey]) values[key] = DOM[domKey].value;
+    }
+    values.jsonMode = DOM.llmJsonMode ? DOM.llmJsonMode.checked : true;
+    
+    AppState.enrichment.settings = LLMEnricher.normalizeSettings(values);
+    updateLLMSettingsForm();
+    DatasetStorage.saveState(getLLMStateKey(), { settings: AppState.enrichment.settings })
+        .catch(handleStorageError);
+}
+
+// ============================================================================
+// БИБЛИОТЕКА ПРОМПТОВ
+// ============================================================================
+
+/**
+ * Ключ состояния с библиотекой промптов: одна на браузер, как настройки LLM
+ */
+function getPromptLibraryStateKey() {
+    return `${ProjectManager.BASE_KEY}__prompts`;
+}
+
+function savePromptLibrary() {
+    DatasetStorage.saveState(getPromptLibraryStateKey(), { library: AppState.enrichment.library })
+        .catch(handleStorageError);
+}
+
+/**
+ * Шаблон по умолчанию из decision_analysis_prompt.txt: текст файла и места для данных акта
+ */
+function createDefaultPromptTemplate(text, note) {
+    return PromptLibrary.createTemplate(
+        AppState.enrichment.library,
+        PromptLibrary.DEFAULT_TEMPLATE_NAME,
+        text + PromptLibrary.DEFAULT_TEMPLATE_TAIL,
+        note,
+        PromptLibrary.DEFAULT_TEMPLATE_ID
+    );
+}
+
+/**
+ * Загружает библиотеку; пустая заполняется шаблоном из decision_analysis_prompt.txt
+ */
+async function loadPromptLibrary() {
+    try {
+        const saved = await DatasetStorage.loadState(getPromptLibraryStateKey());
+        if (saved?.library) AppState.enrichment.library = saved.library;
+    } catch (error) {
+        console.error('Не удалось загрузить библиотеку промптов:', error);
+    }
+    
+    if (AppState.enrichment.library.templates.length === 0) {
+        try {
+            createDefaultPromptTemplate(await LLMEnricher.loadDefaultPrompt(), `из ${LLMEnricher.PROMPT_URL}`);
+            savePromptLibrary();
+        } catch (error) {
+            console.warn(`⚠️ Не удалось загрузить ${LLMEnricher.PROMPT_URL}:`, error);
+        }
+    }
+    renderPromptLibrary();
+}
+
+function formatPromptInfo({ template, version }, counts) {
+    const placeholders = PromptLibrary.getPlaceholders(version.text);
+    const unknown = PromptLibrary.getUnknownPlaceholders(version.text);
+    const latest = PromptLibrary.getLatestVersion(template);
+    const enriched = AppState.datasetEntries.filter(entry => entry.enrichment).length;
+    const formatPlaceholder = (name) => `<code>{{${escapeHtml(name)}}}</code>`;
+    
+    return `
+        <div>v${version.version} от ${version.created_at.slice(0, 19).replace('T', ' ')}${version.note ? ` — ${escapeHtml(version.note)}` : ''}${version !== latest ? ` · последняя версия — v${latest.version}` : ''}</div>
+        <div>${version.text.length.toLocaleString('ru-RU')} символов · подстановки: ${placeholders.length > 0 ? placeholders.map(formatPlaceholder).join(' ') : 'нет (номер, дата и текст акта отправляются отдельным сообщением)'}</div>
+        ${unknown.length > 0 ? `<div class="text-danger">⚠️ Неизвестные подстановки будут пустыми: ${unknown.map(formatPlaceholder).join(' ')}</div>` : ''}
+        <div>Обогащено этой версией: ${counts.get(version.hash) || 0} из ${enriched} обогащённых записей</div>
+    `;
+}
+
+function renderPromptLibrary() {
+    const library = AppState.enrichment.library;
+    const selected = PromptLibrary.getSelected(library);
+    const counts = PromptLibrary.countByVersion(AppState.datasetEntries);
+    
+    if (DOM.promptTemplate) {
+        DOM.promptTemplate.innerHTML = library.templates.length > 0
+            ? library.templates.map(template => `<option value="${escapeHtml(template.id)}">${escapeHtml(template.name)}</option>`).join('')
+            : '<option value="">Нет шаблонов</option>';
+        DOM.promptTemplate.value = selected?.template.id || '';
+    }
+    if (DOM.promptVersion) {
+        const versions = selected ? [...selected.template.versions].reverse() : [];
+        DOM.promptVersion.innerHTML = versions.map(version => {
+            const count = counts.get(version.hash);
+            return `<option value="${version.version}">v${version.version} — ${version.created_at.slice(0, 10)}${count ? ` (записей: ${count})` : ''}</option>`;
+        }).join('');
+        DOM.promptVersion.value = selected ? selected.version.version : '';
+    }
+    if (DOM.promptInfo) {
+        DOM.promptInfo.innerHTML = selected
+            ? formatPromptInfo(selected, counts)
+            : `⚠️ Промпт не загружен: ${LLMEnricher.PROMPT_URL} недоступен (страница открыта как файл?) — импортируйте его кнопкой «📄 Импорт» или создайте шаблон`;
+    }
+    if (DOM.btnPromptEdit) DOM.btnPromptEdit.disabled = !selected;
+    if (DOM.btnPromptExport) DOM.btnPromptExport.disabled = library.templates.length === 0;
+}
+
+function handlePromptTemplateChange() {
+    const library = AppState.enrichment.library;
+    const template = PromptLibrary.getTemplate(library, DOM.promptTemplate?.value);
+    if (!template) return;
+    
+    PromptLibrary.select(library, template.id, PromptLibrary.getLatestVersion(template).version);
+    savePromptLibrary();
+    closePromptEditor();
+    renderPromptLibrary();
+}
+
+function handlePromptVersionChange() {
+    const library = AppState.enrichment.library;
+    const selected = PromptLibrary.getSelected(library);
+    if (!selected) return;
+    
+    PromptLibrary.select(library, selected.template.id, parseInt(DOM.promptVersion.value));
+    savePromptLibrary();
+    closePromptEditor();
+    renderPromptLibrary();
+}
+
+/**
+ * Открывает редактор: правка выбранной версии шаблона или новый шаблон (template = null)
+ */
+function openPromptEditor(template) {
+    const selected = PromptLibrary.getSelected(AppState.enrichment.library);
+    AppState.enrichment.editingPromptId = template ? template.id : null;
+    
+    if (DOM.promptName) DOM.promptName.value = template ? template.name : '';
+    if (DOM.promptText) DOM.promptText.value = selected ? selected.version.text : PromptLibrary.DEFAULT_TEMPLATE_TAIL.trim();
+    if (DOM.promptNote) DOM.promptNote.value = '';
+    if (DOM.promptPreview) DOM.promptPreview.style.display = 'none';
+    if (DOM.btnPromptSave) DOM.btnPromptSave.textContent = template ? '💾 Сохранить как новую версию' : '💾 Создать шаблон';
+    if (DOM.promptEditor) DOM.promptEditor.style.display = 'block';
+    if (DOM.promptName && !template) DOM.promptName.focus();
+}
+
+function closePromptEditor() {
+    AppState.enrichment.editingPromptId = undefined;
+    if (DOM.promptEditor) DOM.promptEditor.style.display = 'none';
+}
+
+function handleEditPrompt() {
+    const selected = PromptLibrary.getSelected(AppState.enrichment.library);
+    if (selected) openPromptEditor(selected.template);
+}
+
+function handleSavePrompt() {
+    const library = AppState.enrichment.library;
+    const text = DOM.promptText?.value.trim() || '';
+    const name = DOM.promptName?.value.trim() || '';
+    const note = DOM.promptNote?.value || '';
+    if (!text) {
+        showStatus(DOM.promptStatus, '⚠️ Текст промпта пуст', 'warning');
+        return;
+    }
+    
+    let message;
+    const template = PromptLibrary.getTemplate(library, AppState.enrichment.editingPromptId);
+    if (template) {
+        if (name) template.name = name;
+        const version = PromptLibrary.addVersion(library, template, text, note);
+        message = version
+            ? `✅ Сохранена версия v${version.version} шаблона «${template.name}»`
+            : `ℹ️ Такой текст уже сохранён в версии v${PromptLibrary.getSelected(library).version.version} — она выбрана`;
+    } else {
+        if (!name) {
+            showStatus(DOM.promptStatus, '⚠️ Укажите название шаблона', 'warning');
+            return;
+        }
+        message = `✅ Создан шаблон «${PromptLibrary.createTemplate(library, name, text, note).name}»`;
+    }
+    
+    savePromptLibrary();
+    closePromptEditor();
+    renderPromptLibrary();
+    showStatus(DOM.promptStatus, message, 'success');
+}
+
+/**
+ * Показывает промпт с подставленными данными записи из предпросмотра (или первой записи)
+ */
+function handlePreviewPrompt() {
+    const entry = getPreviewEntry() || AppState.datasetEntries[0];
+    if (!entry || !DOM.promptPreview) return;
+    
+    const rendered = PromptLibrary.render(DOM.promptText?.value || '', entry);
+    const limit = 5000;
+    DOM.promptPreview.textContent = rendered.length > limit
+        ? `${rendered.slice(0, limit)}\n… (ещё ${(rendered.length - limit).toLocaleString('ru-RU')} символов)`
+        : rendered;
+    DOM.promptPreview.style.display = 'block';
+}
+
+function handleImportPrompt() {
+    if (DOM.promptImportFile) DOM.promptImportFile.click();
+}
+
+/**
+ * Импорт: .json — библиотека промптов (см. «⬇ Экспорт»), иначе — текст промпта
+ * Текст становится новой версией шаблона с тем же названием или новым шаблоном
+ */
+async function handlePromptImportSelected() {
+    const file = DOM.promptImportFile?.files?.[0];
+    if (!file) return;
+    DOM.promptImportFile.value = '';
+    
+    const library = AppState.enrichment.library;
+    let message;
+    try {
+        const content = await file.text();
+        if (/\.json$/i.test(file.name)) {
+            const added = PromptLibrary.importLibrary(library, JSON.parse(content));
+            message = `✅ Импортировано шаблонов: ${added.templates}, версий: ${added.versions}`;
+        } else {
+            const text = LLMEnricher.stripPromptWrapper(content);
+            if (!text) {
+                showStatus(DOM.promptStatus, `⚠️ Файл ${file.name} пуст`, 'warning');
+                return;
+            }
+            
+            const note = `из файла ${file.name}`;
+            const name = file.name.replace(/\.[^.]+$/, '');
+            const existing = library.templates.find(template => template.name === name);
+            if (file.name === LLMEnricher.PROMPT_URL && !PromptLibrary.getTemplate(library, PromptLibrary.DEFAULT_TEMPLATE_ID)) {
+                createDefaultPromptTemplate(text, note);
+                message = `✅ Создан шаблон «${PromptLibrary.DEFAULT_TEMPLATE_NAME}»`;
+            } else if (existing) {
+                const version = PromptLibrary.addVersion(library, existing, text, note);
+                message = version ? `✅ Шаблон «${name}»: добавлена версия v${version.version}` : `ℹ️ Такой текст уже есть в шаблоне «${name}»`;
+            } else {
+                PromptLibrary.createTemplate(library, name, text, note);
+                message = `✅ Создан шаблон «${name}»`;
+            }
+        }
+    } catch (error) {
+        showStatus(DOM.promptStatus, `❌ Не удалось импортировать ${file.name}: ${error.message}`, 'error');
+        return;
+    }
+    
+    savePromptLibrary();
+    closePromptEditor();
+    renderPromptLibrary();
+    showStatus(DOM.promptStatus, message, 'success');
+}
+
+function handleExportPrompts() {
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    const blob = new Blob([JSON.stringify(AppState.enrichment.library, null, 2)], { type: 'application/json;charset=utf-8' });
+    saveAs(blob, `prompt_library_${timestamp}.json`);
+}
+
+// ============================================================================
+// ОБОГАЩЕНИЕ LLM: ЗАПУСК
+// ============================================================================
+
+/**
+ * Записи для запуска: missing — без обогащения, failed — с ошибкой в последнем запуске,
+ * outdated — обогащённые не выбранной версией промпта, filtered — отобранные фильтрами таблицы, all — все
+ * @param {Object} version - Выбранная версия промпта
+ * @returns {Array<{index: number, entry: Object}>}
+ */
+function getEnrichmentItems(scope, version) {
+    const statuses = AppState.enrichment.statuses;
+    const items = [];
+    AppState.datasetEntries.forEach((entry, index) => {
+        if (!entry.decision_text) return;
+        const selected = scope === 'all'
+            || (scope === 'missing' && !entry.enrichment)
+            || (scope === 'failed' && statuses.get(JSONLHandler.getActKey(entry))?.state === 'error')
+            || (scope === 'outdated' && entry.enrichment && !PromptLibrary.isProducedBy(entry, version))
+            || (scope === 'filtered' && matchesFilters(entry));
+        if (selected) items.push({ index, entry });
+    });
+    return items;
+}
+
+function renderEnrichmentItem(key, status) {
+    const detail = status.state === 'running' || status.state === 'retry'
+        ? ` (попытка ${status.attempt})`
+        : status.attempts > 1 ? ` (попыток: ${status.attempts})` : '';
+    const message = status.message
+        ? `<div class="small ${status.state === 'error' ? 'text-danger' : 'text-muted'}">${escapeHtml(status.message)}</div>`
+        : '';
+    return `
+        <li class="list-group-item llm-result llm-${status.state}" data-key="${escapeHtml(key)}">
+            <div class="d-flex justify-content-between gap-2">
+                <span>${escapeHtml(status.caseNumber || '—')} <span class="text-muted">от ${escapeHtml(status.decisionDate || '—')}</span></span>
+                <span class="text-nowrap small">${ENRICHMENT_STATE_LABELS[status.state]}${detail}</span>
+            </div>
+            ${message}
+        </li>
+    `;
+}
+
+function renderEnrichmentResults() {
+    if (!DOM.llmResults) return;
+    DOM.llmResults.innerHTML = [...AppState.enrichment.statuses]
+        .map(([key, status]) => renderEnrichmentItem(key, status))
+        .join('');
+}
+
+/**
+ * Меняет статус записи и перерисовывает только её строку
+ */
+function setEnrichmentStatus(key, changes) {
+    const status = { ...AppState.enrichment.statuses.get(key), ...changes };
+    AppState.enrichment.statuses.set(key, status);
+    
+    const element = DOM.llmResults?.querySelector(`[data-key="${CSS.escape(key)}"]`);
+    if (element) element.outerHTML = renderEnrichmentItem(key, status);
+}
+
+function updateEnrichmentProgress(run) {
+    if (!DOM.llmProgress) return;
+    const finished = run.done + run.failed;
+    const percent = run.total > 0 ? Math.round(finished / run.total * 100) : 0;
+    DOM.llmProgress.style.width = `${percent}%`;
+    DOM.llmProgress.textContent = `${finished} / ${run.total}`;
+}
+
+function setEnrichmentRunning(isRunning) {
+    AppState.enrichment.isRunning = isRunning;
+    if (DOM.btnLlmStart) DOM.btnLlmStart.disabled = isRunning;
+    if (DOM.btnLlmCancel) DOM.btnLlmCancel.style.display = isRunning ? 'inline-block' : 'none';
+    if (DOM.llmScope) DOM.llmScope.disabled = isRunning;
+    if (DOM.llmProgressContainer && isRunning) DOM.llmProgressContainer.style.display = 'flex';
+}
+
+/**
+ * Записывает результат в запись датасета
+ * Запись ищется по ключу акта: за время запроса её могли переместить
+ * @returns {number} - Индекс записи или -1, если её больше нет
+ */
+function applyEnrichmentResult(index, key, result, run) {
+    const target = AppState.datasetEntries[index] && JSONLHandler.getActKey(AppState.datasetEntries[index]) === key
+        ? index
+        : AppState.datasetEntries.findIndex(entry => JSONLHandler.getActKey(entry) === key);
+    if (target === -1) return -1;
+    
+    const enrichedAt = new Date().toISOString();
+    const before = AppState.datasetEntries[target];
+    const after = structuredClone(before);
+    JSONLHandler.setEnrichment(after, result.enrichment, {
+        model: run.settings.model,
+        endpoint: run.settings.endpoint,
+        enriched_at: enrichedAt,
+        attempts: result.attempts,
+        warnings: result.warnings,
+        prompt: run.prompt
+    });
+    JSONLHandler.touchFields(after, JSONLHandler.ENRICHMENT_FIELDS, enrichedAt);
+    
+    AppState.datasetEntries[target] = after;
+    // Только поля обогащения: отмена запуска не откатывает разметку, сохранённую во время него
+    run.ops.push(HistoryManager.fieldsOp(target, JSONLHandler.ENRICHMENT_FIELDS, before, after));
+    saveEntryToStorage(target);
+    return target;
+}
+
+async function handleStartEnrichment() {
+    if (!ensureNotProcessing()) return;
+    
+    handleLLMSettingsChange();
+    const settings = AppState.enrichment.settings;
+    if (!settings.endpoint || !settings.model) {
+        showStatus(DOM.llmStatus, '⚠️ Укажите адрес API и модель', 'warning');
+        return;
+    }
+    
+    const selected = PromptLibrary.getSelected(AppState.enrichment.library);
+    if (!selected) {
+        showStatus(DOM.llmStatus, '⚠️ Нет промпта — импортируйте decision_analysis_prompt.txt или создайте шаблон', 'warning', false);
+        return;
+    }
+    const unknown = PromptLibrary.getUnknownPlaceholders(selected.version.text);
+    if (unknown.length > 0 && !confirm(`В промпте неизвестные подстановки (${unknown.join(', ')}) — они будут пустыми. Продолжить?`)) {
+        return;
+    }
+    
+    const scope = DOM.llmScope?.value || 'missing';
+    const items = getEnrichmentItems(scope, selected.version);
+    if (items.length === 0) {
+        showStatus(DOM.llmStatus, 'ℹ️ Нет записей для обогащения', 'info');
+        return;
+    }
+    const overwritten = items.filter(item => item.entry.enrichment).length;
+    if (overwritten > 0 && !confirm(`У ${overwritten} из ${items.length} записей обогащение уже есть — перезаписать его?`)) {
+        return;
+    }
+    
+    const run = {
+        settings,
+        prompt: PromptLibrary.describeVersion(selected.template, selected.version),
+        total: items.length,
+        done: 0,
+        warned: 0,
+        failed: 0,
+        ops: []
+    };
+    const keys = new Map(items.map(({ index, entry }) => [index, JSONLHandler.getActKey(entry)]));
+    AppState.enrichment.statuses = new Map(items.map(({ entry }) => [JSONLHandler.getActKey(entry), {
+        caseNumber: entry.case_number,
+        decisionDate: entry.decision_date,
+        state: 'queued'
+    }]));
+    renderEnrichmentResults();
+    updateEnrichmentProgress(run);
+    setEnrichmentRunning(true);
+    showStatus(DOM.llmStatus, `🤖 Обогащение: ${items.length} записей, модель ${settings.model}, промпт ${PromptLibrary.formatRef(run.prompt)}`, 'info', false);
+    
+    const { cancelled } = await LLMEnricher.run(items, {
+        settings,
+        prompt: selected.version.text,
+        onStatus: (index, status) => setEnrichmentStatus(keys.get(index), {
+            state: status.state,
+            attempt: status.attempt,
+            message: status.state === 'retry'
+                ? `${status.error.message} — повтор через ${Math.round(status.delay / 1000)} с`
+                : ''
+        }),
+        onResult: (index, result) => {
+            const key = keys.get(index);
+            if (result.error) {
+                run.failed++;
+                setEnrichmentStatus(key, { state: 'error', attempts: result.error.attempts, message: result.error.message });
+            } else if (applyEnrichmentResult(index, key, result, run) === -1) {
+                run.failed++;
+                setEnrichmentStatus(key, { state: 'error', attempts: result.attempts, message: 'Запись удалена из датасета во время запроса' });
+            } else {
+                run.done++;
+                if (result.warnings.length > 0) run.warned++;
+                setEnrichmentStatus(key, {
+                    state: result.warnings.length > 0 ? 'warning' : 'done',
+                    attempts: result.attempts,
+                    message: result.warnings.join('; ')
+                });
+            }
+            updateEnrichmentProgress(run);
+        }
+    });
+    
+    AppState.enrichment.statuses.forEach((status, key) => {
+        if (['queued', 'running', 'retry'].includes(status.state)) setEnrichmentStatus(key, { state: 'cancelled', message: '' });
+    });
+    setEnrichmentRunning(false);
+    
+    // Одна команда истории на запуск: отмена снимает всё обогащение этого запуска, но не правки, сделанные во время него
+    if (run.ops.length > 0) {
+        HistoryManager.record(`Обогащение LLM: ${run.ops.length} записей`, run.ops);
+    }
+    renderPromptLibrary();
+    
+    const summary = `обогащено ${run.done} из ${run.total}${run.warned ? `, с замечаниями ${run.warned}` : ''}${run.failed ? `, ошибок ${run.failed}` : ''}`;
+    if (cancelled) {
+        showStatus(DOM.llmStatus, `⏹ Остановлено: ${summary}`, 'warning', false);
+    } else {
+        showStatus(DOM.llmStatus, `${run.failed ? '⚠️' : '✅'} Готово: ${summary}${run.failed ? ' — повторите с выбором «С ошибкой в последнем запуске»' : ''}`, run.failed ? 'warning' : 'success', false);
+    }
+}
+
+function handleCancelEnrichment() {
+    LLMEnricher.cancel();
+    showStatus(DOM.llmStatus, '⏹ Остановка: текущие запросы прерываются…', 'warning', false);
+}
+
+// ============================================================================
+// ОБНОВЛЕНИЕ ИНТЕРФЕЙСА
+// ============================================================================
+
+function updateUI() {
+    if (DOM.statRecords) {
+        DOM.statRecords.textContent = AppState.datasetEntries.length.toLocaleString('ru-RU');
+    }
+    if (DOM.statProcessed) {
+        DOM.statProcessed.textContent = AppState.processedFiles.size.toLocaleString('ru-RU');
+    }
+    if (DOM.statChars) {
+        const totalChars = AppState.datasetEntries.reduce((sum, e) => sum + (e.decision_text?.length || 0), 0);
+        DOM.statChars.textContent = totalChars.toLocaleString('ru-RU');
+    }
+    
+    if (DOM.statDateRange) {
+        const dates = AppState.datasetEntries
+            .map(e => e.decision_date)
+            .filter(d => d && /^\d{4}-\d{2}-\d{2}$/.test(d))
+            .sort();
+        DOM.statDateRange.textContent = dates.length > 0 ? `${dates[0]} — ${dates[dates.length - 1]}` : '—';
+    }
+    
+    if (DOM.datasetCount) {
+        DOM.datasetCount.textContent = `Записей: ${AppState.datasetEntries.length}`;
+    }
+    
+    updatePreviewSelect();
+    updateFilterOptions();
+    updateRecordsTable();
+    renderReviewQueue();
+    
+    const hasData = AppState.datasetEntries.length > 0;
+    if (DOM.previewSection) DOM.previewSection.style.display = hasData ? 'block' : 'none';
+    if (DOM.tableSection) DOM.tableSection.style.display = hasData ? 'block' : 'none';
+    if (DOM.duplicatesSection) DOM.duplicatesSection.style.display = hasData ? 'block' : 'none';
+    if (DOM.enrichmentSection) DOM.enrichmentSection.style.display = hasData ? 'block' : 'none';
+    renderPromptLibrary();
+    if (DOM.exportSection) DOM.exportSection.style.display = hasData ? 'block' : 'none';
+}
+
+function updatePreviewSelect() {
+    if (!DOM.previewSelect) return;
+    
+    DOM.previewSelect.innerHTML = '<option value="">Выберите запись...</option>';
+    AppState.datasetEntries.forEach((entry, index) => {
+        const option = document.createElement('option');
+        option.value = index;
+        const appealedBadge = entry.appealed ? ' [🔄]' : '';
+        const canceledBadge = entry.canceled ? ' [❌]' : '';
+        const reviewBadge = JSONLHandler.isReviewed(entry) ? '' : ' [⏳]';
+        option.textContent = `${entry.case_number || '—'} от ${entry.decision_date || '—'}${appealedBadge}${canceledBadge}${reviewBadge}`;
+        DOM.previewSelect.appendChild(option);
+    });
+}
+
+// ============================================================================
+// ДУБЛИКАТЫ
+// ============================================================================
+
+function getDuplicateOptions() {
+    return { ...DuplicateDetector.DEFAULT_OPTIONS, ...(AppState.settings.duplicates || {}) };
+}
+
+/**
+ * Хэши текстов всех записей датасета
+ */
+function getContentHashes() {
+    return new Set(
+        AppState.datasetEntries
+            .map(e => DuplicateDetector.contentHash(e.decision_text))
+            .filter(Boolean)
+    );
+}
+
+function updateDuplicateSettingsForm() {
+    const options = getDuplicateOptions();
+    if (DOM.duplicateThreshold) DOM.duplicateThreshold.value = Math.round(options.threshold * 100);
+    if (DOM.duplicateShingleSize) DOM.duplicateShingleSize.value = options.shingleSize;
+    if (DOM.duplicateSkipExact) DOM.duplicateSkipExact.checked = options.skipExactOnImport;
+}
+
+function handleDuplicateSettingsChange() {
+    const threshold = parseInt(DOM.duplicateThreshold?.value, 10);
+    const shingleSize = parseInt(DOM.duplicateShingleSize?.value, 10);
+    const current = getDuplicateOptions();
+    
+    AppState.settings.duplicates = {
+        threshold: threshold >= 50 && threshold <= 99 ? threshold / 100 : current.threshold,
+        shingleSize: shingleSize >= 2 && shingleSize <= 12 ? shingleSize : current.shingleSize,
+        skipExactOnImport: DOM.duplicateSkipExact ? DOM.duplicateSkipExact.checked : current.skipExactOnImport
+    };
+    updateDuplicateSettingsForm();
+    saveStateToStorage();
+}
+
+async function handleFindDuplicates() {
+    if (!ensureNotProcessing()) return;
+    if (AppState.datasetEntries.length < 2) {
+        showStatus(DOM.duplicatesStatus, 'ℹ️ В датасете меньше двух записей', 'info');
+        return;
+    }
+    
+    try {
+        if (DOM.btnFindDuplicates) DOM.btnFindDuplicates.disabled = true;
+        showStatus(DOM.duplicatesStatus, '🔄 Сравнение текстов...', 'info', false);
+        
+        const clusters = await DuplicateDetector.findClusters(
+            AppState.datasetEntries,
+            getDuplicateOptions(),
+            (percent) => showStatus(DOM.duplicatesStatus, `🔄 Сравнение текстов... ${percent}%`, 'info', false)
+        );
+        
+        const dismissed = new Set(AppState.dismissedDuplicates);
+        AppState.duplicateClusters = clusters.filter(cluster => !dismissed.has(DuplicateDetector.clusterKey(cluster)));
+        
+        const hidden = clusters.length - AppState.duplicateClusters.length;
+        const hiddenInfo = hidden > 0 ? ` (скрыто отмеченных «не дубликаты»: ${hidden})` : '';
+        showStatus(
+            DOM.duplicatesStatus,
+            AppState.duplicateClusters.length > 0
+                ? `🔁 Найдено групп: ${AppState.duplicateClusters.length}${hiddenInfo}`
+                : `✅ Дубликатов не найдено${hiddenInfo}`,
+            AppState.duplicateClusters.length > 0 ? 'warning' : 'success',
+            false
+        );
+        renderDuplicateClusters();
+    } catch (error) {
+        console.error('Ошибка поиска дубликатов:', error);
+        showStatus(DOM.duplicatesStatus, `❌ Ошибка: ${error.message}`, 'error');
+    } finally {
+        if (DOM.btnFindDuplicates) DOM.btnFindDuplicates.disabled = false;
+    }
+}
+
+/**
+ * Запись, которую предлагается оставить: с историей обжалования, затем самая новая
+ */
+function suggestKeptIndex(cluster) {
+    const score = (index) => {
+        const entry = AppState.datasetEntries[index];
+        return [
+            (entry.appeal_history || []).length > 0 ? 1 : 0,
+            entry.metadata?.updated_at || entry.metadata?.created_at || ''
+        ];
+    };
+    return cluster.indexes.reduce((best, index) => {
+        const [bestHistory, bestDate] = score(best);
+        const [history, date] = score(index);
+        return history > bestHistory || (history === bestHistory && date > bestDate) ? index : best;
+    });
+}
+
+/**
+ * Сходство записи с остальными записями группы (максимум по найденным парам)
+ */
+function getClusterSimilarity(cluster, index) {
+    if (cluster.type === 'exact') return 1;
+    const scores = cluster.pairs
+        .filter(pair => pair.a === index || pair.b === index)
+        .map(pair => pair.score);
+    // Точная копия другого участника группы в пары MinHash не попадает
+    const hash = cluster.hashes[cluster.indexes.indexOf(index)];
+    if (cluster.hashes.filter(h => h === hash).length > 1) scores.push(1);
+    return scores.length > 0 ? Math.max(...scores) : null;
+}
+
+function renderDuplicateClusters() {
+    if (!DOM.duplicatesList) return;
+    
+    DOM.duplicatesList.innerHTML = '';
+    if (!AppState.duplicateClusters) return;
+    
+    AppState.duplicateClusters.forEach((cluster, clusterIndex) => {
+        const keptIndex = suggestKeptIndex(cluster);
+        const title = cluster.type === 'exact'
+            ? `Точные дубликаты (${cluster.indexes.length})`
+            : `Почти-дубликаты (${cluster.indexes.length}), сходство от ${Math.round(cluster.similarity * 100)}%`;
+        
+        const rows = cluster.indexes.map(index => {
+            const entry = AppState.datasetEntries[index];
+            const similarity = getClusterSimilarity(cluster, index);
+            return `
+                <tr>
+                    <td><input class="form-check-input" type="radio" name="keep-duplicate-${clusterIndex}" value="${index}" ${index === keptIndex ? 'checked' : ''}></td>
+                    <td>${index + 1}</td>
+                    <td><code>${entry.case_number || '—'}</code></td>
+                    <td>${entry.decision_date || '—'}</td>
+                    <td>${formatDocumentType(entry.metadata)}</td>
+                    <td><small>${entry.metadata?.source_filename || '—'}</small></td>
+                    <td>${(entry.decision_text?.length || 0).toLocaleString('ru-RU')}</td>
+                    <td><small>${JSONLHandler.describeAppealOutcome(entry.appeal_history) || '—'}</small></td>
+                    <td>${similarity !== null ? `${Math.round(similarity * 100)}%` : '—'}</td>
+                    <td><button class="btn btn-sm btn-outline-primary" data-action="open" data-index="${index}" title="Открыть в предпросмотре">👁</button></td>
+                </tr>
+            `;
+        }).join('');
+        
+        const block = document.createElement('div');
+        block.className = 'duplicate-cluster';
+        block.innerHTML = `
+            <h6>${cluster.type === 'exact' ? '🟰' : '≈'} ${title}</h6>
+            <div class="table-responsive">
+                <table class="table table-sm mb-2">
+                    <thead>
+                        <tr>
+                            <th>Оставить</th><th>№</th><th>Номер дела</th><th>Дата</th><th>Вид акта</th>
+                            <th>Файл</th><th>Длина</th><th>Обжалование</th><th>Сходство</th><th></th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+            <div class="btn-group btn-group-sm">
+                <button class="btn btn-outline-danger" data-action="keep">✅ Оставить выбранную, остальные удалить</button>
+                <button class="btn btn-outline-secondary" data-action="dismiss">✕ Не дубликаты</button>
+            </div>
+        `;
+        
+        block.querySelectorAll('[data-action="open"]').forEach(button => {
+            button.addEventListener('click', () => {
+                if (DOM.previewSelect) DOM.previewSelect.value = button.dataset.index;
+                handlePreviewChange();
+                if (DOM.previewSection) DOM.previewSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+            });
+        });
+        block.querySelector('[data-action="keep"]').addEventListener('click', () => {
+            const selected = block.querySelector(`input[name="keep-duplicate-${clusterIndex}"]:checked`);
+            if (selected) handleResolveDuplicates(clusterIndex, parseInt(selected.value, 10));
+        });
+        block.querySelector('[data-action="dismiss"]').addEventListener('click', () => handleDismissDuplicates(clusterIndex));
+        
+        DOM.duplicatesList.appendChild(block);
+    });
+}
+
+/**
+ * Оставляет одну запись группы и удаляет остальные (одна команда истории)
+ * История обжалования удаляемой копии переносится, если у оставленной её нет
+ */
+function handleResolveDuplicates(clusterIndex, keptIndex) {
+    if (!ensureNotProcessing()) return;
+    
+    const cluster = AppState.duplicateClusters?.[clusterIndex];
+    if (!cluster) return;
+    
+    const removed = cluster.indexes.filter(index => index !== keptIndex);
+    if (!confirm(`Удалить ${removed.length} запис(и/ей) и оставить №${keptIndex + 1}?`)) return;
+    
+    const ops = [];
+    const kept = AppState.datasetEntries[keptIndex];
+    const donor = removed
+        .map(index => AppState.datasetEntries[index])
+        .find(entry => (entry.appeal_history || []).length > 0);
+    if (donor && (kept.appeal_history || []).length === 0) {
+        const updated = structuredClone(kept);
+        JSONLHandler.setAppealHistory(updated, structuredClone(donor.appeal_history));
+        JSONLHandler.touchFields(updated, ['appeal_history']);
+        ops.push(HistoryManager.setOp(keptIndex, kept, updated));
+    }
+    
+    // Удаление с конца, чтобы индексы оставшихся операций не сдвигались
+    [...removed].sort((a, b) => b - a).forEach(index => {
+        ops.push(HistoryManager.removeOp(index, AppState.datasetEntries[index]));
+    });
+    
+    // Имена удалённых файлов остаются в processedFiles — повторная обработка не вернёт дубликат
+    const remaining = AppState.duplicateClusters
+        .filter((_, i) => i !== clusterIndex)
+        .map(other => shiftClusterIndexes(other, removed))
+        .filter(Boolean);
+    
+    if (AppState.currentPreviewIndex !== null && removed.includes(AppState.currentPreviewIndex)) {
+        AppState.currentPreviewIndex = null;
+    }
+    HistoryManager.execute(`Удаление дубликатов: ${removed.length}`, ops);
+    
+    // handleHistoryChange сбрасывает результаты поиска — остальные группы ещё актуальны
+    AppState.duplicateClusters = remaining;
+    renderDuplicateClusters();
+    showStatus(DOM.duplicatesStatus, `✅ Удалено записей: ${removed.length}. Осталось групп: ${remaining.length}`, 'success', false);
+}
+
+/**
+ * Пересчитывает индексы группы после удаления записей
+ * @returns {Object|null} - null, если в группе осталось меньше двух записей
+ */
+function shiftClusterIndexes(cluster, removedIndexes) {
+    const shift = (index) => index - removedIndexes.filter(r => r < index).length;
+    const keep = cluster.indexes.map(index => !removedIndexes.includes(index));
+    const indexes = cluster.indexes.filter((_, i) => keep[i]).map(shift);
+    if (indexes.length < 2) return null;
+    
+    return {
+        ...cluster,
+        indexes,
+        hashes: cluster.hashes.filter((_, i) => keep[i]),
+        pairs: cluster.pairs
+            .filter(pair => !removedIndexes.includes(pair.a) && !removedIndexes.includes(pair.b))
+            .map(pair => ({ ...pair, a: shift(pair.a), b: shift(pair.b) }))
+    };
+}
 
+function handleDismissDuplicates(clusterIndex) {
+    const cluster = AppState.duplicateClusters?.[clusterIndex];
+    if (!cluster) return;
+    
+    AppState.dismissedDuplicates.push(DuplicateDetector.clusterKey(cluster));
+    AppState.duplicateClusters.splice(clusterIndex, 1);
+    saveStateToStorage();
+    renderDuplicateClusters();
+}
 
 // ============================================================================
-// ОБНОВЛЕНИЕ ИНТЕРФЕЙСА
+// ФИЛЬТРЫ ТАБЛИЦЫ И ЭКСПОРТА
 // ============================================================================
 
-function updateUI() {
-    if (DOM.statRecords) {
-        DOM.statRecords.textContent = AppState.datasetEntries.length.toLocaleString('ru-RU');
+/**
+ * Поля записи для полнотекстового поиска; длинный текст акта — последним
+ */
+function getSearchTexts(entry) {
+    return [
+        entry.case_number,
+        entry.metadata?.court_name,
+        entry.metadata?.source_filename,
+        entry.extracted?.plaintiff?.name,
+        entry.extracted?.defendant?.name,
+        ...(entry.appeal_history || []).map(record => record.resolution_number),
+        entry.decision_text
+    ];
+}
+
+function matchesAppealStatus(entry, appealStatus) {
+    switch (appealStatus) {
+        case 'appealed': return entry.appealed;
+        case 'canceled': return entry.canceled;
+        case 'not_canceled': return entry.appealed && !entry.canceled;
+        // «Не обжаловано» — только у проверенных записей, у остальных метка неизвестна
+        case 'not_appealed': return !entry.appealed && JSONLHandler.isReviewed(entry);
+        default: return true;
     }
-    if (DOM.statProcessed) {
-        DOM.statProcessed.textContent = AppState.processedFiles.size.toLocaleString('ru-RU');
+}
+
+/**
+ * Проверяет запись на соответствие поиску и фильтрам таблицы
+ */
+function matchesFilters(entry) {
+    const { search, dateFrom, dateTo, documentType, courtInstance, reviewStatus, appealStatus, verdict, court } = AppState.filters;
+    
+    if (dateFrom && !(entry.decision_date >= dateFrom)) return false;
+    if (dateTo && !(entry.decision_date <= dateTo)) return false;
+    if (documentType && (entry.metadata?.document_type || 'court_decision') !== documentType) {
+        return false;
     }
-    if (DOM.statChars) {
-        const totalChars = AppState.datasetEntries.reduce((sum, e) => sum + (e.decision_text?.length || 0), 0);
-        DOM.statChars.textContent = totalChars.toLocaleString('ru-RU');
+    if (courtInstance) {
+        const instance = entry.metadata?.court_instance || UNKNOWN_FILTER_VALUE;
+        if (instance !== courtInstance) return false;
     }
-    
-    if (DOM.statDateRange) {
-        const dates = AppState.datasetEntries
-            .map(e => e.decision_date)
-            .filter(d => d && /^\d{4}-\d{2}-\d{2}$/.test(d))
-            .sort();
-        DOM.statDateRange.textContent = dates.length > 0 ? `${dates[0]} — ${dates[dates.length - 1]}` : '—';
+    if (reviewStatus && (entry.review_status || JSONLHandler.REVIEW_STATUSES.UNREVIEWED) !== reviewStatus) {
+        return false;
     }
+    if (appealStatus && !matchesAppealStatus(entry, appealStatus)) return false;
+    if (verdict && entry.extracted?.decision_verdict !== verdict) return false;
+    if (court && entry.metadata?.court_name !== court) return false;
     
-    if (DOM.datasetCount) {
-        DOM.datasetCount.textContent = `Записей: ${AppState.datasetEntries.length}`;
-    }
+    // Поиск по тексту — самая дорогая проверка, поэтому последняя
+    if (search && !TableView.matchesSearch(getSearchTexts(entry), AppState.searchRegexps)) return false;
+    return true;
+}
+
+function hasActiveFilters() {
+    return Object.values(AppState.filters).some(Boolean);
+}
+
+/**
+ * Записи для экспорта: все или только отобранные фильтрами таблицы и/или проверенные
+ */
+function getExportEntries() {
+    const onlyFiltered = DOM.exportFiltered?.checked && hasActiveFilters();
+    const onlyReviewed = DOM.exportReviewedOnly?.checked;
+    return AppState.datasetEntries.filter(entry =>
+        (!onlyFiltered || matchesFilters(entry)) && (!onlyReviewed || JSONLHandler.isReviewed(entry))
+    );
+}
+
+/**
+ * Заполняет списки фильтров значениями, которые есть в датасете
+ */
+function updateFilterOptions() {
+    const fillSelect = (select, values, labels, current) => {
+        if (!select) return;
+        select.innerHTML = '<option value="">Все</option>';
+        for (const value of values) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = labels[value] || value;
+            select.appendChild(option);
+        }
+        select.value = values.includes(current) ? current : '';
+    };
     
-    updatePreviewSelect();
-    updateRecordsTable();
+    const documentTypes = new Set();
+    const instances = new Set();
+    const verdicts = new Set();
+    const courts = new Set();
+    AppState.datasetEntries.forEach(entry => {
+        documentTypes.add(entry.metadata?.document_type || 'court_decision');
+        instances.add(entry.metadata?.court_instance || UNKNOWN_FILTER_VALUE);
+        if (entry.extracted?.decision_verdict) verdicts.add(entry.extracted.decision_verdict);
+        if (entry.metadata?.court_name) courts.add(entry.metadata.court_name);
+    });
     
-    const hasData = AppState.datasetEntries.length > 0;
-    if (DOM.previewSection) DOM.previewSection.style.display = hasData ? 'block' : 'none';
-    if (DOM.tableSection) DOM.tableSection.style.display = hasData ? 'block' : 'none';
-    if (DOM.exportSection) DOM.exportSection.style.display = hasData ? 'block' : 'none';
+    // Отфильтрованное значение, которого больше нет в датасете, сбрасывается
+    const byOrder = (order) => (a, b) => order.indexOf(a) - order.indexOf(b);
+    const typeOrder = Object.keys(DOCUMENT_TYPE_LABELS);
+    const instanceOrder = [...Object.keys(INSTANCE_LABELS), UNKNOWN_FILTER_VALUE];
+    
+    fillSelect(DOM.filterDocumentType, [...documentTypes].sort(byOrder(typeOrder)),
+        DOCUMENT_TYPE_LABELS, AppState.filters.documentType);
+    fillSelect(DOM.filterCourtInstance, [...instances].sort(byOrder(instanceOrder)),
+        { ...INSTANCE_LABELS, [UNKNOWN_FILTER_VALUE]: 'Не определена' }, AppState.filters.courtInstance);
+    fillSelect(DOM.filterVerdict, [...verdicts].sort(byOrder(Object.values(DecisionExtractor.VERDICTS))),
+        {}, AppState.filters.verdict);
+    fillSelect(DOM.filterCourt, [...courts].sort((a, b) => a.localeCompare(b, 'ru')),
+        {}, AppState.filters.court);
+    
+    AppState.filters.documentType = DOM.filterDocumentType?.value || '';
+    AppState.filters.courtInstance = DOM.filterCourtInstance?.value || '';
+    AppState.filters.verdict = DOM.filterVerdict?.value || '';
+    AppState.filters.court = DOM.filterCourt?.value || '';
 }
 
-function updatePreviewSelect() {
-    if (!DOM.previewSelect) return;
-    
-    DOM.previewSelect.innerHTML = '<option value="">Выберите запись...</option>';
-    AppState.datasetEntries.forEach((entry, index) => {
-        const option = document.createElement('option');
-        option.value = index;
-        const appealedBadge = entry.appealed ? ' [🔄]' : '';
-        const canceledBadge = entry.canceled ? ' [❌]' : '';
-        option.textContent = `${entry.case_number || '—'} от ${entry.decision_date || '—'}${appealedBadge}${canceledBadge}`;
-        DOM.previewSelect.appendChild(option);
+function handleFilterChange() {
+    AppState.filters.search = DOM.filterSearch?.value.trim() || '';
+    AppState.filters.dateFrom = DOM.filterDateFrom?.value || '';
+    AppState.filters.dateTo = DOM.filterDateTo?.value || '';
+    AppState.filters.documentType = DOM.filterDocumentType?.value || '';
+    AppState.filters.courtInstance = DOM.filterCourtInstance?.value || '';
+    AppState.filters.reviewStatus = DOM.filterReviewStatus?.value || '';
+    AppState.filters.appealStatus = DOM.filterAppealStatus?.value || '';
+    AppState.filters.verdict = DOM.filterVerdict?.value || '';
+    AppState.filters.court = DOM.filterCourt?.value || '';
+    AppState.searchRegexps = TableView.compileSearch(AppState.filters.search);
+    AppState.table.page = 1;
+    updateRecordsTable();
+}
+
+function handleResetFilters() {
+    [
+        DOM.filterSearch, DOM.filterDateFrom, DOM.filterDateTo, DOM.filterDocumentType, DOM.filterCourtInstance,
+        DOM.filterReviewStatus, DOM.filterAppealStatus, DOM.filterVerdict, DOM.filterCourt
+    ].forEach(control => {
+        if (control) control.value = '';
     });
+    handleFilterChange();
+}
+
+function handlePageSizeChange() {
+    AppState.table.pageSize = parseInt(DOM.tablePageSize.value) || TableView.DEFAULT_PAGE_SIZE;
+    AppState.table.page = 1;
+    updateRecordsTable();
+}
+
+/**
+ * Значение столбца для сортировки таблицы записей
+ */
+function getRecordSortValue(entry, key, index) {
+    const reviewed = JSONLHandler.isReviewed(entry);
+    switch (key) {
+        case 'index': return index;
+        case 'document_type': {
+            const type = entry.metadata?.document_type || 'court_decision';
+            return DOCUMENT_TYPE_LABELS[type] || type;
+        }
+        case 'court_instance': return JSONLHandler.INSTANCE_LEVELS[entry.metadata?.court_instance] || null;
+        case 'text_length': return entry.decision_text?.length || 0;
+        // Непроверенные записи без отметки обжалования — в конце, как пустые
+        case 'appealed': return entry.appealed || (reviewed ? false : null);
+        case 'canceled': return entry.canceled || (reviewed ? false : null);
+        case 'review_status': return reviewed;
+        default: return entry[key];
+    }
 }
 
 function updateRecordsTable() {
     if (!DOM.recordsBody) return;
     
     DOM.recordsBody.innerHTML = '';
-    AppState.datasetEntries.forEach((entry, index) => {
+    const threads = JSONLHandler.buildCaseThreads(AppState.datasetEntries);
+    const indexes = TableView.query(AppState.datasetEntries, AppState.table, {
+        matches: matchesFilters,
+        getSortValue: getRecordSortValue
+    });
+    const pageInfo = TableView.paginate(indexes, AppState.table);
+    
+    // Номера строк и индексы остаются сквозными, чтобы совпадать с предпросмотром
+    pageInfo.items.forEach((index, position) => {
+        const entry = AppState.datasetEntries[index];
+        const thread = threads.get(entry.case_number);
+        // «Нет» только у проверенных записей: у непроверенных метка неизвестна
+        const unlabeled = JSONLHandler.isReviewed(entry)
+            ? '<span class="badge bg-secondary">Нет</span>'
+            : '<span class="text-muted" title="Не проверено">—</span>';
         const row = document.createElement('tr');
         row.className = 'fade-in';
-        row.style.animationDelay = `${index * 0.02}s`;
+        row.style.animationDelay = `${position * 0.02}s`;
         
         row.innerHTML = `
             <td>${index + 1}</td>
-            <td><code>${entry.case_number || '—'}</code></td>
+            <td><code>${entry.case_number || '—'}</code>${thread ? ` <span class="badge bg-info" title="Актов по делу">🧵 ${thread.length}</span>` : ''}</td>
             <td>${entry.decision_date || '—'}</td>
+            <td>${formatDocumentType(entry.metadata)}</td>
+            <td>${entry.metadata?.court_instance ? `<span title="${escapeHtml(entry.metadata.court_name || '')}">${INSTANCE_LABELS[entry.metadata.court_instance] || entry.metadata.court_instance}</span>` : '<span class="text-muted">—</span>'}</td>
             <td>${(entry.decision_text?.length || 0).toLocaleString('ru-RU')}</td>
-            <td>${entry.appealed ? '<span class="badge bg-warning">🔄 Да</span>' : '<span class="badge bg-secondary">Нет</span>'}</td>
-            <td>${entry.canceled ? '<span class="badge bg-danger">❌ Да</span>' : '<span class="badge bg-secondary">Нет</span>'}</td>
-            <td><span class="badge bg-success">✅</span></td>
+            <td>${entry.appealed ? `<span class="badge bg-warning" title="${JSONLHandler.describeAppealOutcome(entry.appeal_history)}">🔄 Да</span>` : unlabeled}</td>
+            <td>${entry.canceled ? '<span class="badge bg-danger">❌ Да</span>' : unlabeled}</td>
+            <td>${formatReviewStatus(entry)}</td>
+            <td><button class="btn btn-sm btn-outline-danger" title="Удалить запись">🗑</button></td>
         `;
         
+        row.querySelector('button').addEventListener('click', (event) => {
+            event.stopPropagation();
+            handleDeleteRecord(index);
+        });
+        
         row.addEventListener('click', () => {
             if (DOM.previewSelect) DOM.previewSelect.value = index;
             handlePreviewChange();
@@ -631,44 +3712,430 @@ function updateRecordsTable() {
         row.classList.add('cursor-pointer');
         DOM.recordsBody.appendChild(row);
     });
+    
+    TableView.renderPagination(DOM.tablePagination, pageInfo, indexes.length, (page) => {
+        AppState.table.page = page;
+        updateRecordsTable();
+        if (DOM.tableSection) DOM.tableSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+    
+    if (DOM.filterSummary) {
+        DOM.filterSummary.textContent = hasActiveFilters()
+            ? `Найдено: ${indexes.length} из ${AppState.datasetEntries.length}`
+            : '';
+    }
 }
 
 // ============================================================================
-// LOCALSTORAGE
+// ХРАНИЛИЩЕ (IndexedDB)
 // ============================================================================
 
-function saveToLocalStorage() {
+function getStorageState() {
+    return {
+        processedFiles: Array.from(AppState.processedFiles),
+        lastUpdated: AppState.lastUpdated,
+        settings: AppState.settings,
+        appealReviewQueue: AppState.appealReviewQueue,
+        dismissedDuplicates: AppState.dismissedDuplicates
+    };
+}
+
+function handleStorageError(error) {
+    console.error('Ошибка хранилища:', error);
+    showStatus(DOM.storageStatus, DatasetStorage.describeError(error), 'error', false);
+}
+
+/**
+ * Сохраняет датасет и состояние
+ * @param {number} from - Первая изменённая позиция: записи до неё не перезаписываются
+ */
+async function saveToStorage(from = 0) {
     try {
-        const data = {
-            entries: AppState.datasetEntries,
-            processedFiles: Array.from(AppState.processedFiles),
-            lastUpdated: AppState.lastUpdated
-        };
-        localStorage.setItem('court_dataset_builder', JSON.stringify(data));
+        await DatasetStorage.saveDatasetFrom(ProjectManager.datasetKey(), AppState.datasetEntries, from, getStorageState());
+        if (DOM.storageStatus) DOM.storageStatus.innerHTML = '';
+    } catch (error) {
+        handleStorageError(error);
+    }
+}
+
+/**
+ * Сохраняет только настройки и служебное состояние
+ */
+async function saveStateToStorage() {
+    try {
+        await DatasetStorage.saveState(ProjectManager.datasetKey(), getStorageState());
+    } catch (error) {
+        handleStorageError(error);
+    }
+}
+
+/**
+ * Сохраняет одну изменённую запись (без перезаписи всего датасета)
+ */
+async function saveEntryToStorage(index) {
+    try {
+        await DatasetStorage.saveEntry(ProjectManager.datasetKey(), index, AppState.datasetEntries[index]);
+        if (DOM.storageStatus) DOM.storageStatus.innerHTML = '';
     } catch (error) {
-        console.warn('Не удалось сохранить в localStorage:', error);
+        handleStorageError(error);
     }
 }
 
-function loadFromLocalStorage() {
+async function loadFromStorage() {
+    if (!DatasetStorage.isSupported()) {
+        showStatus(DOM.storageStatus, '❌ Браузер не поддерживает IndexedDB — данные не будут сохраняться между сеансами', 'error', false);
+        return;
+    }
+    
     try {
-        const saved = localStorage.getItem('court_dataset_builder');
-        if (saved) {
-            const data = JSON.parse(saved);
-            AppState.datasetEntries = data.entries || [];
-            AppState.processedFiles = new Set(data.processedFiles || []);
-            AppState.lastUpdated = data.lastUpdated;
+        // Прежний единственный датасет становится основным проектом
+        if (await DatasetStorage.migrateFromLocalStorage(ProjectManager.BASE_KEY)) {
+            showStatus(DOM.storageStatus, '📦 Датасет перенесён из localStorage в IndexedDB', 'success');
         }
+        
+        await ProjectManager.load();
+        await loadProjectDataset();
+    } catch (error) {
+        console.error('Не удалось загрузить датасет:', error);
+        showStatus(DOM.storageStatus, `❌ Не удалось загрузить сохранённый датасет: ${error.message}`, 'error', false);
+    }
+}
+
+/**
+ * Загружает датасет активного проекта в AppState
+ */
+async function loadProjectDataset() {
+    const saved = await DatasetStorage.loadDataset(ProjectManager.datasetKey());
+    
+    AppState.datasetEntries = saved ? saved.entries : [];
+    
+    // Записи, сохранённые прежними версиями, дополняются appeal_history и видом акта
+    const migrated = AppState.datasetEntries.filter(upgradeEntry).length;
+    if (migrated > 0) {
+        console.log(`🔄 Обновлено записей прежних версий: ${migrated}`);
+        await DatasetStorage.saveDataset(ProjectManager.datasetKey(), AppState.datasetEntries, saved.state);
+    }
+    AppState.processedFiles = new Set(saved?.state.processedFiles || []);
+    AppState.lastUpdated = saved?.state.lastUpdated || null;
+    AppState.settings = { workerConcurrency: null, duplicates: null, keepPdfs: false, ...(saved?.state.settings || {}) };
+    AppState.appealReviewQueue = saved?.state.appealReviewQueue || [];
+    AppState.dismissedDuplicates = saved?.state.dismissedDuplicates || [];
+    AppState.duplicateClusters = null;
+    AppState.agreementResult = null;
+    AppState.currentPreviewIndex = null;
+    
+    await HistoryManager.init(ProjectManager.historyKey(), createHistoryAdapter());
+}
+
+// ============================================================================
+// ПРОЕКТЫ
+// ============================================================================
+
+function updateProjectSelect() {
+    if (!DOM.projectSelect) return;
+    
+    DOM.projectSelect.innerHTML = '';
+    ProjectManager.projects.forEach(project => {
+        const option = document.createElement('option');
+        option.value = project.id;
+        option.textContent = project.name;
+        DOM.projectSelect.appendChild(option);
+    });
+    DOM.projectSelect.value = ProjectManager.activeProjectId;
+    
+    // Без хранилища проекты недоступны
+    const hasProjects = ProjectManager.projects.length > 0;
+    DOM.projectSelect.disabled = !hasProjects;
+    [DOM.btnProjectCreate, DOM.btnProjectRename, DOM.btnProjectDuplicate].forEach(button => {
+        if (button) button.disabled = !hasProjects;
+    });
+    if (DOM.btnProjectDelete) DOM.btnProjectDelete.disabled = ProjectManager.projects.length <= 1;
+}
+
+/**
+ * Блокирует смену проекта во время обработки PDF
+ */
+function ensureNotProcessing() {
+    if (AppState.isProcessing) {
+        alert('⏳ Дождитесь окончания обработки PDF или отмените её');
+        return false;
+    }
+    if (AppState.enrichment.isRunning) {
+        alert('⏳ Дождитесь окончания обогащения LLM или остановите его');
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Переключает приложение на другой проект и сбрасывает интерфейс
+ */
+async function switchProject(projectId) {
+    await ProjectManager.setActive(projectId);
+    await loadProjectDataset();
+    
+    if (DOM.pdfUpload) DOM.pdfUpload.value = '';
+    if (DOM.jsonlUpload) DOM.jsonlUpload.value = '';
+    if (DOM.processStatus) DOM.processStatus.innerHTML = '';
+    if (DOM.loadStatus) DOM.loadStatus.innerHTML = '';
+    if (DOM.saveStatus) DOM.saveStatus.innerHTML = '';
+    if (DOM.previewMetadata) DOM.previewMetadata.innerHTML = '';
+    if (DOM.previewText) DOM.previewText.textContent = '';
+    if (DOM.btnProcess) DOM.btnProcess.disabled = true;
+    if (DOM.workerConcurrency) {
+        DOM.workerConcurrency.value = AppState.settings.workerConcurrency || PDFWorkerPool.defaultConcurrency();
+    }
+    if (DOM.keepSourcePdfs) DOM.keepSourcePdfs.checked = AppState.settings.keepPdfs;
+    if (AppState.pdfCompare) handleTogglePdfCompare();
+    stopTextEdit();
+    renderTextCorrectionsSummary(null);
+    updateStoredPdfsStatus();
+    if (DOM.duplicatesStatus) DOM.duplicatesStatus.innerHTML = '';
+    if (DOM.annotationsStatus) DOM.annotationsStatus.innerHTML = '';
+    updateDuplicateSettingsForm();
+    renderAgreementResult();
+    renderAnnotatorList();
+    
+    updateProjectSelect();
+    updateUI();
+    updateHistoryButtons();
+    console.log(`📁 Активный проект: "${ProjectManager.getActiveProject().name}"`);
+}
+
+async function handleProjectChange() {
+    const projectId = DOM.projectSelect.value;
+    if (projectId === ProjectManager.activeProjectId) return;
+    
+    if (!ensureNotProcessing()) {
+        DOM.projectSelect.value = ProjectManager.activeProjectId;
+        return;
+    }
+    
+    try {
+        await switchProject(projectId);
+    } catch (error) {
+        handleStorageError(error);
+        updateProjectSelect();
+    }
+}
+
+async function handleProjectCreate() {
+    if (!ensureNotProcessing()) return;
+    
+    const name = prompt('Название нового проекта (например, «Теплоснабжение — АС Свердловской области»):');
+    if (name === null) return;
+    
+    try {
+        const project = await ProjectManager.create(name);
+        await switchProject(project.id);
+        showStatus(DOM.storageStatus, `📁 Создан проект "${project.name}"`, 'success');
+    } catch (error) {
+        showStatus(DOM.storageStatus, `❌ ${error.message}`, 'error');
+    }
+}
+
+async function handleProjectRename() {
+    const project = ProjectManager.getActiveProject();
+    const name = prompt('Новое название проекта:', project.name);
+    if (name === null) return;
+    
+    try {
+        await ProjectManager.rename(project.id, name);
+        updateProjectSelect();
+        showStatus(DOM.storageStatus, `✏️ Проект переименован в "${project.name}"`, 'success');
+    } catch (error) {
+        showStatus(DOM.storageStatus, `❌ ${error.message}`, 'error');
+    }
+}
+
+async function handleProjectDuplicate() {
+    if (!ensureNotProcessing()) return;
+    
+    const project = ProjectManager.getActiveProject();
+    const name = prompt('Название копии проекта:', `${project.name} (копия)`);
+    if (name === null) return;
+    
+    // Копируется сохранённое состояние — сначала дожидаемся записи текущего; без неё копия была бы неполной
+    try {
+        await DatasetStorage.saveDataset(ProjectManager.datasetKey(), AppState.datasetEntries, getStorageState());
+    } catch (error) {
+        handleStorageError(error);
+        return;
+    }
+    
+    try {
+        const copy = await ProjectManager.duplicate(project.id, name);
+        await switchProject(copy.id);
+        showStatus(DOM.storageStatus, `📄 Создана копия "${copy.name}": ${AppState.datasetEntries.length} записей`, 'success');
+    } catch (error) {
+        showStatus(DOM.storageStatus, `❌ ${error.message}`, 'error');
+    }
+}
+
+async function handleProjectDelete() {
+    if (!ensureNotProcessing()) return;
+    
+    const project = ProjectManager.getActiveProject();
+    if (!confirm(`⚠️ Удалить проект "${project.name}" и все его записи (${AppState.datasetEntries.length})?\n\nЭто действие нельзя отменить.`)) {
+        return;
+    }
+    
+    try {
+        await ProjectManager.remove(project.id);
+        await switchProject(ProjectManager.activeProjectId);
+        showStatus(DOM.storageStatus, `🗑 Проект "${project.name}" удалён`, 'success');
     } catch (error) {
-        console.warn('Не удалось загрузить из localStorage:', error);
+        showStatus(DOM.storageStatus, `❌ ${error.message}`, 'error');
+    }
+}
+
+// ============================================================================
+// ИСТОРИЯ ИЗМЕНЕНИЙ (ОТМЕНА / ПОВТОР)
+// ============================================================================
+
+/**
+ * Состояние помимо записей, которое восстанавливается при отмене
+ */
+function getHistoryExtra() {
+    return {
+        processedFiles: Array.from(AppState.processedFiles),
+        lastUpdated: AppState.lastUpdated
+    };
+}
+
+function createHistoryAdapter() {
+    return {
+        getEntries: () => AppState.datasetEntries,
+        applyExtra: (extra) => {
+            AppState.processedFiles = new Set(extra.processedFiles || []);
+            AppState.lastUpdated = extra.lastUpdated || null;
+        },
+        onChange: handleHistoryChange,
+        onError: handleStorageError
+    };
+}
+
+/**
+ * Сохраняет изменённые командой данные и обновляет интерфейс
+ */
+function handleHistoryChange(command, action) {
+    // Пакетная обработка сохраняет датасет сама
+    if (action !== 'record') {
+        const { edited, shiftedFrom } = HistoryManager.getChangedPositions(command.ops);
+        const from = shiftedFrom ?? AppState.datasetEntries.length;
+        edited.filter(index => index < from).forEach(index => saveEntryToStorage(index));
+        if (shiftedFrom !== null || command.extra) {
+            saveToStorage(from);
+        }
+    }
+    
+    if (AppState.currentPreviewIndex !== null && !AppState.datasetEntries[AppState.currentPreviewIndex]) {
+        AppState.currentPreviewIndex = null;
+    }
+    // Вставка и удаление записей сдвигают индексы — несохранённая правка текста сбрасывается
+    if (AppState.textEditIndex !== null && command.ops.some(op => op.op !== 'set' && op.op !== 'fields')) {
+        stopTextEdit();
+    }
+    
+    // Индексы найденных дубликатов после изменения датасета недействительны
+    if (AppState.duplicateClusters) {
+        AppState.duplicateClusters = null;
+        renderDuplicateClusters();
+        showStatus(DOM.duplicatesStatus, 'ℹ️ Датасет изменился — запустите поиск дубликатов заново', 'info');
+    }
+    
+    updateUI();
+    updateHistoryButtons();
+    refreshAgreement();
+    renderQuickAnnotation();
+    
+    if (AppState.currentPreviewIndex !== null && DOM.previewSelect) {
+        DOM.previewSelect.value = AppState.currentPreviewIndex;
+        handlePreviewChange();
+    } else {
+        if (DOM.previewMetadata) DOM.previewMetadata.innerHTML = '';
+        if (DOM.previewText) DOM.previewText.textContent = '';
+        renderTextCorrectionsSummary(null);
+    }
+    
+    if (action === 'undo') {
+        showStatus(DOM.storageStatus, `↶ Отменено: ${command.label}`, 'info');
+    } else if (action === 'redo') {
+        showStatus(DOM.storageStatus, `↷ Повторено: ${command.label}`, 'info');
+    }
+}
+
+function updateHistoryButtons() {
+    if (DOM.btnUndo) {
+        DOM.btnUndo.disabled = !HistoryManager.canUndo();
+        DOM.btnUndo.title = HistoryManager.canUndo()
+            ? `Отменить: ${HistoryManager.nextUndoLabel()} (Ctrl+Z)`
+            : 'Нечего отменять';
     }
+    if (DOM.btnRedo) {
+        DOM.btnRedo.disabled = !HistoryManager.canRedo();
+        DOM.btnRedo.title = HistoryManager.canRedo()
+            ? `Повторить: ${HistoryManager.nextRedoLabel()} (Ctrl+Shift+Z)`
+            : 'Нечего повторять';
+    }
+}
+
+/**
+ * Записывает в историю записи, добавленные пакетной обработкой PDF
+ */
+function recordProcessingHistory(entriesBefore, extraBefore, processedCount) {
+    const added = AppState.datasetEntries.slice(entriesBefore);
+    if (added.length === 0) return;
+    
+    HistoryManager.record(
+        `Обработка PDF: ${processedCount} файл(ов)`,
+        added.map((entry, i) => HistoryManager.insertOp(entriesBefore + i, entry)),
+        { before: extraBefore, after: getHistoryExtra() }
+    );
+}
+
+function handleUndo() {
+    if (!ensureNotProcessing()) return;
+    HistoryManager.undo();
+}
+
+function handleRedo() {
+    if (!ensureNotProcessing()) return;
+    HistoryManager.redo();
+}
+
+/**
+ * Удаляет запись; файл снова можно обработать
+ */
+function handleDeleteRecord(index) {
+    if (!ensureNotProcessing()) return;
+    
+    const entry = AppState.datasetEntries[index];
+    if (!entry) return;
+    
+    if (!confirm(`Удалить запись ${entry.case_number || '№' + (index + 1)}?`)) return;
+    
+    const extraBefore = getHistoryExtra();
+    const processedFiles = extraBefore.processedFiles.filter(name => name !== entry.metadata?.source_filename);
+    
+    if (AppState.currentPreviewIndex === index) {
+        AppState.currentPreviewIndex = null;
+    } else if (AppState.currentPreviewIndex > index) {
+        AppState.currentPreviewIndex--;
+    }
+    
+    HistoryManager.execute(
+        `Удаление записи: ${entry.case_number || '№' + (index + 1)}`,
+        [HistoryManager.removeOp(index, entry)],
+        { before: extraBefore, after: { ...extraBefore, processedFiles } }
+    );
 }
 
 // ============================================================================
 // ИНИЦИАЛИЗАЦИЯ
 // ============================================================================
 
-function init() {
+async function init() {
     initializeDOM();
     
     if (typeof pdfjsLib === 'undefined') {
@@ -678,18 +4145,117 @@ function init() {
         return;
     }
     
-    loadFromLocalStorage();
+    // Без хранилища история работает только в памяти
+    await HistoryManager.init(null, createHistoryAdapter());
+    await loadFromStorage();
+    await loadAnnotatorId();
+    await loadLLMSettings();
+    await loadPromptLibrary();
+    updateProjectSelect();
+    updateHistoryButtons();
     
+    if (DOM.btnUndo) DOM.btnUndo.addEventListener('click', handleUndo);
+    if (DOM.btnRedo) DOM.btnRedo.addEventListener('click', handleRedo);
+    HistoryManager.bindShortcuts({ undo: handleUndo, redo: handleRedo });
+    
+    if (DOM.projectSelect) DOM.projectSelect.addEventListener('change', handleProjectChange);
+    if (DOM.btnProjectCreate) DOM.btnProjectCreate.addEventListener('click', handleProjectCreate);
+    if (DOM.btnProjectRename) DOM.btnProjectRename.addEventListener('click', handleProjectRename);
+    if (DOM.btnProjectDuplicate) DOM.btnProjectDuplicate.addEventListener('click', handleProjectDuplicate);
+    if (DOM.btnProjectDelete) DOM.btnProjectDelete.addEventListener('click', handleProjectDelete);
     if (DOM.btnLoadJsonl) DOM.btnLoadJsonl.addEventListener('click', handleLoadJSONL);
     if (DOM.pdfUpload) DOM.pdfUpload.addEventListener('change', handlePDFUploadChange);
     if (DOM.btnProcess) DOM.btnProcess.addEventListener('click', handleProcessPDFs);
+    if (DOM.btnCancelProcess) DOM.btnCancelProcess.addEventListener('click', handleCancelProcess);
+    if (DOM.workerConcurrency) {
+        DOM.workerConcurrency.value = AppState.settings.workerConcurrency || PDFWorkerPool.defaultConcurrency();
+        DOM.workerConcurrency.max = PDFWorkerPool.MAX_CONCURRENCY;
+        DOM.workerConcurrency.disabled = !PDFWorkerPool.isSupported();
+        DOM.workerConcurrency.addEventListener('change', handleConcurrencyChange);
+    }
+    if (DOM.keepSourcePdfs) {
+        DOM.keepSourcePdfs.checked = AppState.settings.keepPdfs;
+        DOM.keepSourcePdfs.addEventListener('change', handleKeepPdfsChange);
+    }
+    if (DOM.btnCleanPdfs) DOM.btnCleanPdfs.addEventListener('click', handleCleanPdfs);
+    updateStoredPdfsStatus();
     if (DOM.previewSelect) DOM.previewSelect.addEventListener('change', handlePreviewChange);
-    if (DOM.checkboxAppealed) DOM.checkboxAppealed.addEventListener('change', handleAppealedChange);
-    if (DOM.checkboxCanceled) DOM.checkboxCanceled.addEventListener('change', handleCanceledChange);
+    if (DOM.textSearch) {
+        DOM.textSearch.addEventListener('input', TableView.debounce(handleTextSearchChange, 250));
+        DOM.textSearch.addEventListener('keydown', handleTextSearchKeydown);
+    }
+    if (DOM.btnTextPrev) DOM.btnTextPrev.addEventListener('click', () => moveTextSearchHit(-1));
+    if (DOM.btnTextNext) DOM.btnTextNext.addEventListener('click', () => moveTextSearchHit(1));
+    if (DOM.textSectionSelect) DOM.textSectionSelect.addEventListener('change', handleTextSectionJump);
+    if (DOM.textPageSelect) DOM.textPageSelect.addEventListener('change', handleTextPageJump);
+    if (DOM.textHighlight) DOM.textHighlight.addEventListener('change', () => {
+        const entry = getPreviewEntry();
+        if (entry) renderPreviewText(entry, true);
+    });
+    if (DOM.btnAttachPdf) DOM.btnAttachPdf.addEventListener('click', handleAttachPdf);
+    if (DOM.sourcePdfInput) DOM.sourcePdfInput.addEventListener('change', handleSourcePdfSelected);
+    if (DOM.btnComparePdf) DOM.btnComparePdf.addEventListener('click', handleTogglePdfCompare);
+    if (DOM.btnEditText) DOM.btnEditText.addEventListener('click', handleStartTextEdit);
+    if (DOM.btnSaveText) DOM.btnSaveText.addEventListener('click', handleSaveTextEdit);
+    if (DOM.btnCancelText) DOM.btnCancelText.addEventListener('click', stopTextEdit);
+    if (DOM.btnReextract) DOM.btnReextract.addEventListener('click', handleReextract);
+    if (DOM.previewText) DOM.previewText.addEventListener('scroll', handlePreviewTextScroll, { passive: true });
+    if (DOM.filterDocumentType) DOM.filterDocumentType.addEventListener('change', handleFilterChange);
+    updateDuplicateSettingsForm();
+    if (DOM.duplicateThreshold) DOM.duplicateThreshold.addEventListener('change', handleDuplicateSettingsChange);
+    if (DOM.duplicateShingleSize) DOM.duplicateShingleSize.addEventListener('change', handleDuplicateSettingsChange);
+    if (DOM.duplicateSkipExact) DOM.duplicateSkipExact.addEventListener('change', handleDuplicateSettingsChange);
+    if (DOM.btnFindDuplicates) DOM.btnFindDuplicates.addEventListener('click', handleFindDuplicates);
+    if (DOM.filterCourtInstance) DOM.filterCourtInstance.addEventListener('change', handleFilterChange);
+    if (DOM.filterReviewStatus) DOM.filterReviewStatus.addEventListener('change', handleFilterChange);
+    if (DOM.filterSearch) DOM.filterSearch.addEventListener('input', TableView.debounce(handleFilterChange));
+    [DOM.filterDateFrom, DOM.filterDateTo, DOM.filterAppealStatus, DOM.filterVerdict, DOM.filterCourt].forEach(control => {
+        if (control) control.addEventListener('change', handleFilterChange);
+    });
+    if (DOM.btnResetFilters) DOM.btnResetFilters.addEventListener('click', handleResetFilters);
+    TableView.fillPageSizeSelect(DOM.tablePageSize, AppState.table);
+    if (DOM.tablePageSize) DOM.tablePageSize.addEventListener('change', handlePageSizeChange);
+    TableView.bindSortHeaders(DOM.recordsHead, AppState.table, updateRecordsTable);
+    if (DOM.btnAddAppeal) DOM.btnAddAppeal.addEventListener('click', handleAddAppeal);
+    if (DOM.btnImportCards) DOM.btnImportCards.addEventListener('click', handleImportCaseCards);
+    if (DOM.annotatorId) DOM.annotatorId.addEventListener('change', handleAnnotatorChange);
+    if (DOM.btnImportAnnotations) DOM.btnImportAnnotations.addEventListener('click', handleImportAnnotations);
+    if (DOM.btnComputeAgreement) DOM.btnComputeAgreement.addEventListener('click', handleComputeAgreement);
+    renderAnnotatorList();
     if (DOM.btnSaveChanges) DOM.btnSaveChanges.addEventListener('click', handleSaveChanges);
+    Object.values(LLM_SETTING_INPUTS).forEach(domKey => {
+        if (DOM[domKey]) DOM[domKey].addEventListener('change', handleLLMSettingsChange);
+    });
+    if (DOM.llmJsonMode) DOM.llmJsonMode.addEventListener('change', handleLLMSettingsChange);
+    if (DOM.btnLlmStart) DOM.btnLlmStart.addEventListener('click', handleStartEnrichment);
+    if (DOM.btnLlmCancel) DOM.btnLlmCancel.addEventListener('click', handleCancelEnrichment);
+    if (DOM.promptTemplate) DOM.promptTemplate.addEventListener('change', handlePromptTemplateChange);
+    if (DOM.promptVersion) DOM.promptVersion.addEventListener('change', handlePromptVersionChange);
+    if (DOM.btnPromptEdit) DOM.btnPromptEdit.addEventListener('click', handleEditPrompt);
+    if (DOM.btnPromptNew) DOM.btnPromptNew.addEventListener('click', () => openPromptEditor(null));
+    if (DOM.btnPromptImport) DOM.btnPromptImport.addEventListener('click', handleImportPrompt);
+    if (DOM.promptImportFile) DOM.promptImportFile.addEventListener('change', handlePromptImportSelected);
+    if (DOM.btnPromptExport) DOM.btnPromptExport.addEventListener('click', handleExportPrompts);
+    if (DOM.btnPromptSave) DOM.btnPromptSave.addEventListener('click', handleSavePrompt);
+    if (DOM.btnPromptPreview) DOM.btnPromptPreview.addEventListener('click', handlePreviewPrompt);
+    if (DOM.btnPromptCancel) DOM.btnPromptCancel.addEventListener('click', closePromptEditor);
+    if (DOM.promptVariables) {
+        DOM.promptVariables.innerHTML = Object.entries(PromptLibrary.VARIABLES)
+            .map(([name, label]) => `<code title="${escapeHtml(label)}">{{${name}}}</code>`)
+            .join(' ');
+    }
+    if (DOM.btnQuickAnnotation) DOM.btnQuickAnnotation.addEventListener('click', handleStartQuickAnnotation);
+    if (DOM.quickModal) DOM.quickModal.addEventListener('keydown', handleQuickKeydown);
+    if (DOM.quickActions) {
+        DOM.quickActions.querySelectorAll('[data-label]').forEach(button => {
+            button.addEventListener('click', () => applyQuickLabel(button.dataset.label));
+        });
+        DOM.quickActions.querySelector('[data-action="back"]')?.addEventListener('click', handleQuickBack);
+    }
     if (DOM.btnDownloadJsonl) DOM.btnDownloadJsonl.addEventListener('click', handleDownloadJSONL);
     if (DOM.btnDownloadInstruction) DOM.btnDownloadInstruction.addEventListener('click', handleDownloadInstruction);
     if (DOM.btnDownloadZip) DOM.btnDownloadZip.addEventListener('click', handleDownloadZip);
+    if (DOM.btnDownloadEnriched) DOM.btnDownloadEnriched.addEventListener('click', handleDownloadEnriched);
     // ✅ ДОБАВИТЬ ЭТОТ БЛОК: Обработчик кнопки очистки
     const btnClearData = document.getElementById('btn-clear-data');
     if (btnClearData) {
@@ -0,0 +1,225 @@
+/**
+CASE_CARD_PARSER.JS
+Разбор сохранённых карточек дел kad.arbitr и выгрузок «Хронология дела»
+Версия: 1.0
+*/
+
+const CaseCardParser = {
+    FILE_EXTENSIONS: ['.html', '.htm', '.txt'],
+
+    /**
+     * Инстанции в порядке проверки: ВС РФ и кассацию ищем раньше апелляции,
+     * потому что в их событиях упоминаются апелляционные акты
+     */
+    INSTANCE_PATTERNS: [
+        { instance: 'ВС РФ', pattern: /Верховн\S*\s+Суд|(?<![А-ЯЁа-яё])ВС\s+РФ(?![А-ЯЁа-яё])|коллеги\S*\s+по\s+экономическим\s+спорам/i },
+        { instance: 'кассация', pattern: /кассационн\S*\s+(?:инстанц|суд)|арбитражн\S*\s+суд\S*\s+\S+\s+округа|(?<![А-ЯЁа-яё])(?:АС\s*[А-ЯЁ]{1,3}О|ФАС)(?![А-ЯЁа-яё])/i },
+        { instance: 'апелляция', pattern: /апелляционн\S*\s+(?:инстанц|суд)|\b\d{1,2}\s*ААС(?![А-ЯЁа-яё])/i },
+        { instance: 'первая', pattern: /первая\s+инстанция|арбитражн\S*\s+суд\S*\s+[А-ЯЁа-яё-]+\s+(?:области|края|республики)|арбитражн\S*\s+суд\S*\s+г(?:орода|\.)\s/i }
+    ],
+
+    /**
+     * Номер постановления: 17АП-1234/2025(1)-ГК, Ф09-1234/25, 309-ЭС25-1234
+     * (\b в регулярных выражениях JS не учитывает кириллицу — границы заданы явно)
+     */
+    RESOLUTION_NUMBER_PATTERN: /(?<![\wА-ЯЁа-яё])(\d{1,2}АП-\d+\/\d{2,4}(?:\(\d+\))?(?:-[А-ЯЁ]{1,3})?|Ф\d{2}-\d+\/\d{2,4}|\d{3}-ЭС\d{2}-\d+(?:\(\d+\))?)/,
+
+    CASE_NUMBER_PATTERN: /[АA]\d{2,3}-\d+\/\d{4}/,
+
+    /**
+     * Проверяет, что файл похож на карточку дела (а не на PDF акта)
+     */
+    isCaseCardFile(file) {
+        const name = (file.name || '').toLowerCase();
+        return this.FILE_EXTENSIONS.some(ext => name.endsWith(ext));
+    },
+
+    /**
+     * Читает файл с учётом кодировки windows-1251 у старых сохранённых страниц
+     */
+    async readFile(file) {
+        const buffer = await file.arrayBuffer();
+        const utf8 = new TextDecoder('utf-8').decode(buffer);
+        if (/charset=["']?windows-1251/i.test(utf8.slice(0, 2000))) {
+            return new TextDecoder('windows-1251').decode(buffer);
+        }
+        return utf8;
+    },
+
+    /**
+     * Преобразует HTML в текст с сохранением границ блоков
+     */
+    htmlToText(html) {
+        if (!/<\w+[^>]*>/.test(html)) return html;
+
+        const marked = html
+            .replace(/<(script|style|noscript)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/(?:p|div|li|tr|h[1-6]|td|th|dt|dd|section|article)>/gi, '$&\n');
+
+        if (typeof DOMParser !== 'undefined') {
+            const doc = new DOMParser().parseFromString(marked, 'text/html');
+            return doc.body ? doc.body.textContent : '';
+        }
+
+        return marked
+            .replace(/<[^>]+>/g, ' ')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&quot;/g, '"')
+            .replace(/&laquo;/g, '«')
+            .replace(/&raquo;/g, '»')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&amp;/g, '&');
+    },
+
+    /**
+     * Определяет инстанцию по фрагменту текста
+     * @returns {string|null} - Код инстанции (JSONLHandler.FIRST_INSTANCE, APPEAL_INSTANCES) или null
+     */
+    detectInstance(text) {
+        const match = this.INSTANCE_PATTERNS.find(({ pattern }) => pattern.test(text));
+        return match ? match.instance : null;
+    },
+
+    /**
+     * Определяет итог обжалования по тексту события
+     * @returns {{outcome: string|null, returned: boolean}}
+     */
+    detectOutcome(text) {
+        const t = text.replace(/\s+/g, ' ').toLowerCase();
+        const outcomes = JSONLHandler.APPEAL_OUTCOMES;
+
+        // Жалоба возвращена или не рассмотрена по существу — итог определить нельзя
+        const returned = /возвратить\s+(?:апелляционн|кассационн)\S*\s+жалоб|(?:апелляционн|кассационн)\S*\s+жалоб\S*\s+возвратить|прекратить\s+производство\s+по\s+(?:апелляционн|кассационн)\S*\s+жалоб|жалоб\S*\s+оставить\s+без\s+рассмотрения/.test(t);
+
+        let outcome = null;
+        if (/направ\S*\s+(?:дело\s+)?на\s+новое\s+рассмотрение/.test(t)) {
+            outcome = outcomes.CANCELED_RETRIAL;
+        } else if (/отменить\s+в\s+части|изменить\s+в\s+части|решение[^.]{0,100}?изменить|изменить\s+решение/.test(t)) {
+            outcome = outcomes.CHANGED_IN_PART;
+        } else if (/отменить[\s\S]{0,300}?прин\S*\s+нов|принять\s+новый\s+судебный\s+акт/.test(t)) {
+            outcome = outcomes.CANCELED_NEW_DECISION;
+        } else if (/решение[^.]{0,100}?отменить|отменить\s+решение/.test(t)) {
+            outcome = outcomes.CANCELED;
+        } else if (/оставить\s+без\s+изменения|отказ\S*\s+в\s+передаче/.test(t)) {
+            outcome = outcomes.UPHELD;
+        }
+
+        return { outcome, returned };
+    },
+
+    /**
+     * Переводит дату ДД.ММ.ГГГГ в ГГГГ-ММ-ДД
+     */
+    toISODate(date) {
+        const match = (date || '').match(/(\d{2})\.(\d{2})\.(\d{4})/);
+        return match ? `${match[3]}-${match[2]}-${match[1]}` : '';
+    },
+
+    /**
+     * Делит текст на события хронологии: каждое начинается со строки с датой
+     * Заголовки инстанций («Апелляционная инстанция») задают инстанцию последующих событий
+     */
+    splitEvents(text) {
+        const lines = text
+            .split('\n')
+            .map(line => line.replace(/\s+/g, ' ').trim())
+            .filter(Boolean);
+
+        const events = [];
+        let currentInstance = null;
+        let current = null;
+
+        for (const line of lines) {
+            const isDateLine = /^\d{2}\.\d{2}\.\d{4}/.test(line);
+            const headingInstance = !isDateLine && line.length <= 120 ? this.detectInstance(line) : null;
+
+            if (headingInstance && !/постановлени|определени|жалоб/i.test(line)) {
+                currentInstance = headingInstance;
+                current = null;
+                continue;
+            }
+
+            if (isDateLine) {
+                current = { date: line.slice(0, 10), text: line, headingInstance: currentInstance };
+                events.push(current);
+            } else if (current) {
+                current.text += ' ' + line;
+            }
+        }
+
+        return events;
+    },
+
+    /**
+     * Разбирает карточку дела
+     * @param {string} content - HTML или текст карточки/хронологии
+     * @param {string} filename - Имя файла (запасной источник номера дела)
+     * @returns {{caseNumber: string, records: Array<Object>, issues: Array<string>}}
+     */
+    parse(content, filename = '') {
+        const text = this.htmlToText(content || '');
+        const issues = [];
+
+        const caseMatch = text.match(this.CASE_NUMBER_PATTERN)
+            || filename.replace(/_/g, '/').match(/[АA]\d{2,3}-\d+[-/]\d{4}/);
+        const caseNumber = caseMatch ? JSONLHandler.normalizeCaseNumber(caseMatch[0].replace(/^A/, 'А')) : '';
+
+        const records = [];
+        const pendingInstances = new Set();
+
+        for (const event of this.splitEvents(text)) {
+            // Заголовок надёжнее текста события: в нём упоминаются суды других инстанций.
+            // Исключение — ВС РФ, который в карточке часто идёт под заголовком кассации
+            const ownInstance = this.detectInstance(event.text.slice(10));
+            const instance = ownInstance === 'ВС РФ' ? ownInstance : (event.headingInstance || ownInstance);
+            if (!instance || instance === JSONLHandler.FIRST_INSTANCE) continue;
+
+            const isAct = /постановлени|определени\S*\s+(?:об?\s+)?отказе?\s+в\s+передаче/i.test(event.text);
+            const { outcome, returned } = this.detectOutcome(event.text);
+
+            if (returned) {
+                issues.push(`${instance}, ${event.date}: жалоба возвращена или не рассмотрена по существу`);
+                continue;
+            }
+
+            if (isAct && outcome) {
+                const number = event.text.match(this.RESOLUTION_NUMBER_PATTERN);
+                records.push(JSONLHandler.createAppealRecord(
+                    instance,
+                    this.toISODate(event.date),
+                    number ? number[1] : '',
+                    outcome
+                ));
+            } else if (isAct) {
+                issues.push(`${instance}, ${event.date}: не удалось определить итог постановления`);
+            } else if (/жалоб/i.test(event.text)) {
+                pendingInstances.add(instance);
+            }
+        }
+
+        // Жалоба подана, но итогового акта в хронологии ещё нет
+        for (const instance of pendingInstances) {
+            if (!records.some(record => record.instance === instance)) {
+                records.push(JSONLHandler.createAppealRecord(instance));
+            }
+        }
+
+        const instanceOrder = JSONLHandler.APPEAL_INSTANCES;
+        records.sort((a, b) => {
+            if (a.date && b.date) return a.date.localeCompare(b.date);
+            return instanceOrder.indexOf(a.instance) - instanceOrder.indexOf(b.instance);
+        });
+
+        if (!caseNumber) {
+            issues.push('Не найден номер дела');
+        }
+
+        return { caseNumber, records, issues };
+    }
+};
+
+// Экспорт в глобальный scope
+window.CaseCardParser = CaseCardParser;
+console.log('✅ CaseCardParser загружен и экспортирован');
@@ -0,0 +1,286 @@
+/**
+DECISION_EXTRACTOR.JS
+Детерминированное извлечение сторон, итога и сумм из текста решения
+Версия: 1.0
+*/
+
+const DecisionExtractor = {
+    VERSION: '1.0',
+
+    /**
+     * Значения decision_verdict из схемы decision_analysis_prompt.txt
+     */
+    VERDICTS: {
+        SATISFIED: 'удовлетворено',
+        REJECTED: 'отказано',
+        PARTIAL: 'частично удовлетворено'
+    },
+
+    /**
+     * Шаблон суммы: "1 250 000 руб. 00 коп.", "1 250 000,50 руб.", "15000 рублей"
+     * Сумма не начинается внутри числа или даты ("по 31.12.2024 150 000 руб." — это 150 000),
+     * а разделитель разрядов стоит только между группами из трёх цифр
+     */
+    AMOUNT_PATTERN: /(?<![\d.,])(\d{1,3}(?:[  ]\d{3})+(?!\d)|\d+)(?:[.,](\d{1,2}))?\s*(?:руб(?:\.|лей|ля|ль)?)(?:\s*(\d{1,2})\s*коп)?/gi,
+
+    /**
+     * Извлекает поля enriched-схемы из текста решения
+     * @param {string} text - Очищенный текст решения
+     * @param {Object|null} sections - Разделы решения (PDFProcessor.segmentSections)
+     * @returns {Object} - { plaintiff, defendant, decision_verdict, initial_claims_sum, extractor }
+     */
+    extract(text, sections = null) {
+        const header = sections?.header || (text || '').slice(0, 3000);
+        const operative = sections?.operative || this.findOperativePart(text);
+
+        const parties = this.extractParties(header);
+        const verdict = this.extractVerdict(operative);
+        const initialClaims = this.extractInitialClaims(header + '\n' + (sections?.findings || ''));
+        const awarded = verdict === this.VERDICTS.REJECTED ? 0 : this.extractAwarded(operative);
+
+        return {
+            plaintiff: parties.plaintiff,
+            defendant: parties.defendant,
+            decision_verdict: verdict,
+            initial_claims_sum: {
+                initial_claims: initialClaims,
+                awarded: awarded
+            },
+            extractor: {
+                method: 'rule_based',
+                version: this.VERSION,
+                extracted_at: new Date().toISOString()
+            }
+        };
+    },
+
+    /**
+     * Находит резолютивную часть, если разделы не размечены
+     */
+    findOperativePart(text) {
+        if (!text) return '';
+        let start = -1;
+        for (const match of text.matchAll(/(?<![а-яё])р\s*е\s*ш\s*и\s*л\s*:/gi)) {
+            start = match.index;
+        }
+        return start !== -1 ? text.slice(start) : '';
+    },
+
+    /**
+     * Извлекает истца и ответчика из шапки: "по иску X (ИНН ...) к Y (ИНН ...) о взыскании ..."
+     */
+    extractParties(header) {
+        const result = {
+            plaintiff: { name: '', type: '' },
+            defendant: { name: '', type: '' }
+        };
+
+        if (!header) return result;
+
+        // Реквизиты в скобках мешают поиску границ наименований
+        const compact = header
+            .replace(/\([^()]*(?:ИНН|ОГРН|ОГРНИП)[^()]*\)/g, '')
+            .replace(/[ \t]*\n[ \t]*/g, ' ')
+            .replace(/\s{2,}/g, ' ');
+
+        const match = compact.match(
+            /по\s+(?:исковому\s+)?(?:иску|заявлению)\s+(.{3,300}?)\s+к\s+(.{3,300}?)(?:\s*,?\s+(?:о|об)\s+|\s*,\s*(?:при\s+участии|треть[еи]\s+лиц))/i
+        );
+
+        if (match) {
+            result.plaintiff.name = this.cleanPartyName(match[1]);
+            result.defendant.name = this.cleanPartyName(match[2]);
+        } else {
+            const plaintiffMatch = compact.match(/(?<![а-яё])истец\s*:\s*([^;\n]{3,300}?)(?:[;.]\s|\s+ответчик)/i);
+            const defendantMatch = compact.match(/(?<![а-яё])ответчик\s*:\s*([^;\n]{3,300}?)(?:[;.]\s|\s+треть|$)/i);
+            if (plaintiffMatch) result.plaintiff.name = this.cleanPartyName(plaintiffMatch[1]);
+            if (defendantMatch) result.defendant.name = this.cleanPartyName(defendantMatch[1]);
+        }
+
+        result.plaintiff.type = this.classifyParty(result.plaintiff.name);
+        result.defendant.type = this.classifyParty(result.defendant.name);
+
+        return result;
+    },
+
+    /**
+     * Убирает хвостовые знаки препинания и служебные слова из наименования
+     */
+    cleanPartyName(name) {
+        return (name || '')
+            .replace(/\s+/g, ' ')
+            .replace(/^(?:истца\s+|ответчика\s+)/i, '')
+            .replace(/[\s,;:.]+$/, '')
+            .trim();
+    },
+
+    /**
+     * Определяет тип стороны по наименованию (значения из схемы промпта)
+     * Ответчик в шапке стоит в дательном падеже ("к обществу", "учреждению"), поэтому сравниваются основы слов
+     */
+    classifyParty(name) {
+        if (!name) return '';
+
+        if (/^ИП\s|индивидуальн\S*\s+предпринимател/i.test(name)) {
+            return 'ИП';
+        }
+        if (/управляющ\S*\s+(?:компан|организац)|(?:^|[\s"«])(?:УК|ТСЖ|ТСН|ЖСК)(?=[\s"»]|$)|товариществ\S*\s+собственников/i.test(name)) {
+            return 'управляющая компания';
+        }
+        if (/тепл|энерг|водоканал|газ|ресурсоснабж|коммунальн|Т\s*Плюс/i.test(name)) {
+            return 'юрлицо - ресурсоснабжающая компания';
+        }
+        if (/(?:^|[\s"«])(?:ООО|АО|ПАО|ЗАО|ОАО|МУП|ГУП|ФГУП|ФГКУ|ГКУ|МКУ|МБУ|НКО|АНО)(?=[\s"«»]|$)|обществ|учрежден|предприят|администрац|департамент|министерств|управлени/i.test(name)) {
+            return 'юрлицо - контрагент';
+        }
+        if (/^[А-ЯЁ][а-яё-]+\s+(?:[А-ЯЁ][а-яё-]+\s+[А-ЯЁ][а-яё-]+|[А-ЯЁ]\.\s*[А-ЯЁ]\.)$/.test(name)) {
+            return 'физлицо';
+        }
+        return '';
+    },
+
+    /**
+     * Определяет итог по резолютивной части
+     */
+    extractVerdict(operative) {
+        if (!operative) return '';
+
+        const text = operative.toLowerCase().replace(/\s+/g, ' ');
+        const hasPartial = /удовлетворить\s+частично|частично\s+удовлетворить|в\s+удовлетворении\s+(?:остальной|оставшейся)\s+части|в\s+остальной\s+части\s+(?:иска|исковых\s+требований|заявления)?\s*отказать/.test(text);
+        const hasRejection = /в\s+удовлетворении\s+(?:иска|исковых\s+требований|требований|заявления|заявленных\s+требований)[^.]{0,80}?отказать|в\s+иске\s+отказать|отказать\s+в\s+удовлетворении/.test(text);
+        // "Взыскать ... государственную пошлину" при отказе в иске — распределение расходов, а не удовлетворение
+        const hasSatisfaction = /(?<!частично\s)удовлетворить/.test(text)
+            || this.getAwardClauses(operative).some(body => !this.isCostsOnlyClause(body));
+
+        if (hasPartial) return this.VERDICTS.PARTIAL;
+        if (hasRejection && hasSatisfaction) return this.VERDICTS.PARTIAL;
+        if (hasRejection) return this.VERDICTS.REJECTED;
+        if (hasSatisfaction) return this.VERDICTS.SATISFIED;
+        return '';
+    },
+
+    /**
+     * Преобразует совпадение AMOUNT_PATTERN в число рублей
+     */
+    parseAmount(match) {
+        const rubles = parseInt(match[1].replace(/[  ]/g, ''), 10);
+        const kopecksStr = match[2] || match[3] || '0';
+        const kopecks = parseInt(kopecksStr.padEnd(2, '0'), 10);
+        return Math.round((rubles + kopecks / 100) * 100) / 100;
+    },
+
+    /**
+     * Сумма заявленных требований: первая сумма после "о взыскании"
+     */
+    extractInitialClaims(text) {
+        if (!text) return 0;
+
+        const claimMatch = text.match(/о\s+взыскании\s+([\s\S]{0,200})/i);
+        if (!claimMatch) return 0;
+
+        const amounts = [...claimMatch[1].matchAll(this.AMOUNT_PATTERN)];
+        return amounts.length > 0 ? this.parseAmount(amounts[0]) : 0;
+    },
+
+    /**
+     * Судебные расходы сразу после суммы: "5 000 руб. расходов по уплате государственной пошлины"
+     * Между суммой и расходами — не больше 4 слов без цифр, запятых и союзов:
+     * в "5 000 руб. и 4 000 руб. расходов" расходами считается только 4 000
+     */
+    COSTS_TAIL_PATTERN: /^[\s:–-]*(?:(?!(?:и|а|также)\s)[^\s\d,;]+\s+){0,4}?(?:в\s+возмещение\s+)?(?:судебных\s+)?(?:расход|государственн|госпошлин|пошлин|издерж)/i,
+
+    /**
+     * Сумма, от которой что-то рассчитывается, а не присуждается: "неустойку, начисленную на сумму долга 100 000 руб."
+     * Проверяется текст перед суммой
+     */
+    BASE_AMOUNT_HEAD_PATTERN: /(?:на\s+сумму|исходя\s+из\s+суммы|от\s+суммы)(?:\s+[^\s\d,;]+){0,3}\s*$/i,
+
+    /**
+     * Пункты "Взыскать ..." резолютивной части (до конца предложения)
+     */
+    getAwardClauses(operative) {
+        if (!operative) return [];
+
+        // Расшифровка "в том числе ..." повторяет уже учтённую общую сумму
+        const text = operative
+            .replace(/\s+/g, ' ')
+            .replace(/,?\s*в\s+том\s+числе[^;]*?(?=,\s*а\s+также|;|\.\s+(?:\d+\.\s*)?[А-ЯЁ]|$)/g, '');
+
+        return text.split(/(?<![а-яё])(?=взыскать)/i).slice(1).map(clause => {
+            const clauseEnd = clause.search(/\.\s+(?:\d+\.\s*)?[А-ЯЁ]/);
+            return clauseEnd !== -1 ? clause.slice(0, clauseEnd) : clause;
+        });
+    },
+
+    /**
+     * Присуждённые суммы пункта: без судебных расходов и сумм, от которых ведётся расчёт
+     */
+    getAwardAmounts(body) {
+        const amounts = [];
+        for (const match of body.matchAll(this.AMOUNT_PATTERN)) {
+            const tail = body.slice(match.index + match[0].length, match.index + match[0].length + 80);
+            const head = body.slice(Math.max(0, match.index - 60), match.index);
+            if (this.COSTS_TAIL_PATTERN.test(tail) || this.BASE_AMOUNT_HEAD_PATTERN.test(head)) continue;
+            amounts.push(this.parseAmount(match));
+        }
+        return amounts;
+    },
+
+    /**
+     * Пункт взыскивает только судебные расходы (государственную пошлину, издержки)
+     */
+    isCostsOnlyClause(body) {
+        return this.getAwardAmounts(body).length === 0 && /расход|государственн|госпошлин|пошлин|издерж/i.test(body);
+    },
+
+    /**
+     * Присуждённая сумма: суммы в пунктах "Взыскать ...", кроме судебных расходов
+     */
+    extractAwarded(operative) {
+        const total = this.getAwardClauses(operative)
+            .reduce((sum, body) => sum + this.getAwardAmounts(body).reduce((a, b) => a + b, 0), 0);
+        return Math.round(total * 100) / 100;
+    },
+
+    /**
+     * Сверяет поля, полученные от LLM, с базовым извлечением по правилам
+     * @returns {Array<Object>} - Список расхождений { field, rule_based, enriched }
+     */
+    validateEnriched(extracted, enriched) {
+        const discrepancies = [];
+        if (!extracted || !enriched) return discrepancies;
+
+        const normalizeName = (name) => (name || '')
+            .toLowerCase()
+            .replace(/[«»"'“”]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        for (const role of ['plaintiff', 'defendant']) {
+            const ruleName = normalizeName(extracted[role]?.name);
+            const llmName = normalizeName(enriched[role]?.name);
+            if (ruleName && llmName && !ruleName.includes(llmName) && !llmName.includes(ruleName)) {
+                discrepancies.push({ field: `${role}.name`, rule_based: extracted[role].name, enriched: enriched[role].name });
+            }
+        }
+
+        if (extracted.decision_verdict && enriched.decision_verdict
+            && extracted.decision_verdict !== enriched.decision_verdict) {
+            discrepancies.push({ field: 'decision_verdict', rule_based: extracted.decision_verdict, enriched: enriched.decision_verdict });
+        }
+
+        for (const key of ['initial_claims', 'awarded']) {
+            const ruleValue = extracted.initial_claims_sum?.[key];
+            const llmValue = Number(enriched.initial_claims_sum?.[key]);
+            if (ruleValue && !Number.isNaN(llmValue) && Math.abs(ruleValue - llmValue) >= 1) {
+                discrepancies.push({ field: `initial_claims_sum.${key}`, rule_based: ruleValue, enriched: llmValue });
+            }
+        }
+
+        return discrepancies;
+    }
+};
+
+// Экспорт в глобальный scope
+window.DecisionExtractor = DecisionExtractor;
+console.log('✅ DecisionExtractor загружен и экспортирован');
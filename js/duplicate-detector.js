@@ -0,0 +1,256 @@
+/**
+DUPLICATE_DETECTOR.JS
+Поиск точных дубликатов (хэш текста) и почти-дубликатов (MinHash по шинглам) среди записей датасета
+Версия: 1.0
+*/
+
+const DuplicateDetector = {
+    /**
+     * Настройки по умолчанию
+     * threshold — минимальная оценка сходства Жаккара для почти-дубликатов (0..1)
+     * shingleSize — длина шингла в словах
+     * skipExactOnImport — не добавлять при обработке PDF и загрузке JSONL записи с уже имеющимся текстом
+     */
+    DEFAULT_OPTIONS: {
+        threshold: 0.85,
+        shingleSize: 5,
+        skipExactOnImport: true
+    },
+
+    // 32 полосы по 4 строки: кандидаты со сходством от ~0.45 почти не теряются, итог проверяется по сигнатуре
+    NUM_HASHES: 128,
+    BANDS: 32,
+
+    // Коэффициенты хэш-функций MinHash (одинаковые при каждом запуске, чтобы сигнатуры были сравнимы)
+    coefficients: null,
+
+    /**
+     * Нормализует текст для сравнения: регистр, ё/е, пунктуация и пробелы не учитываются
+     */
+    normalizeText(text) {
+        return (text || '')
+            .toLowerCase()
+            .replace(/ё/g, 'е')
+            .replace(/^--- страница \d+ ---$/gm, ' ')
+            .replace(/[^0-9a-zа-я]+/g, ' ')
+            .trim();
+    },
+
+    /**
+     * 32-битный FNV-1a
+     */
+    hash32(str, seed = 0x811c9dc5) {
+        let hash = seed >>> 0;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash >>> 0;
+    },
+
+    /**
+     * Хэш содержимого для точных дубликатов: два независимых 32-битных хэша нормализованного текста
+     * @returns {string} - 16 шестнадцатеричных символов; пустая строка для пустого текста
+     */
+    contentHash(text) {
+        const normalized = this.normalizeText(text);
+        if (!normalized) return '';
+        const high = this.hash32(normalized);
+        const low = this.hash32(normalized, 0x9747b28c);
+        return high.toString(16).padStart(8, '0') + low.toString(16).padStart(8, '0');
+    },
+
+    /**
+     * Коэффициенты a (нечётные) и b хэш-функций h(x) = a·x + b mod 2^32
+     */
+    getCoefficients() {
+        if (!this.coefficients) {
+            // Детерминированный генератор (mulberry32) вместо Math.random
+            let state = 0x2545f491;
+            const next = () => {
+                state = (state + 0x6d2b79f5) >>> 0;
+                let t = state;
+                t = Math.imul(t ^ (t >>> 15), t | 1);
+                t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+                return ((t ^ (t >>> 14)) >>> 0);
+            };
+            const a = new Uint32Array(this.NUM_HASHES);
+            const b = new Uint32Array(this.NUM_HASHES);
+            for (let i = 0; i < this.NUM_HASHES; i++) {
+                a[i] = next() | 1;
+                b[i] = next();
+            }
+            this.coefficients = { a, b };
+        }
+        return this.coefficients;
+    },
+
+    /**
+     * Множество хэшей шинглов (последовательностей из shingleSize слов)
+     */
+    shingles(text, shingleSize) {
+        const words = this.normalizeText(text).split(' ').filter(Boolean).map(word => this.hash32(word));
+        const result = new Set();
+        if (words.length === 0) return result;
+
+        const size = Math.min(shingleSize, words.length);
+        for (let i = 0; i + size <= words.length; i++) {
+            let hash = 0x811c9dc5;
+            for (let j = i; j < i + size; j++) {
+                hash = Math.imul(hash ^ words[j], 0x01000193);
+            }
+            result.add(hash >>> 0);
+        }
+        return result;
+    },
+
+    /**
+     * MinHash-сигнатура текста
+     * @returns {Uint32Array|null} - null для пустого текста
+     */
+    signature(text, shingleSize) {
+        const shingles = this.shingles(text, shingleSize);
+        if (shingles.size === 0) return null;
+
+        const { a, b } = this.getCoefficients();
+        const signature = new Uint32Array(this.NUM_HASHES).fill(0xffffffff);
+
+        for (const shingle of shingles) {
+            for (let i = 0; i < this.NUM_HASHES; i++) {
+                const value = (Math.imul(a[i], shingle) + b[i]) >>> 0;
+                if (value < signature[i]) signature[i] = value;
+            }
+        }
+        return signature;
+    },
+
+    /**
+     * Оценка сходства Жаккара по двум сигнатурам
+     */
+    similarity(signatureA, signatureB) {
+        let equal = 0;
+        for (let i = 0; i < signatureA.length; i++) {
+            if (signatureA[i] === signatureB[i]) equal++;
+        }
+        return equal / signatureA.length;
+    },
+
+    /**
+     * Ищет группы дубликатов
+     * @param {Array<Object>} entries - Записи датасета
+     * @param {Object} options - См. DEFAULT_OPTIONS
+     * @param {Function} onProgress - (percent) прогресс построения сигнатур
+     * @returns {Promise<Array<Object>>} - Группы { type: 'exact'|'near', indexes, hashes, similarity, pairs }
+     *          similarity — минимальная оценка сходства внутри группы
+     */
+    async findClusters(entries, options = {}, onProgress = null) {
+        const { threshold, shingleSize } = { ...this.DEFAULT_OPTIONS, ...options };
+        const hashes = entries.map(entry => this.contentHash(entry.decision_text));
+
+        // Точные дубликаты — по хэшу; для MinHash достаточно одного представителя
+        const byHash = new Map();
+        hashes.forEach((hash, index) => {
+            if (!hash) return;
+            if (!byHash.has(hash)) byHash.set(hash, []);
+            byHash.get(hash).push(index);
+        });
+        const representatives = [...byHash.values()].map(indexes => indexes[0]);
+
+        const signatures = new Map();
+        for (let i = 0; i < representatives.length; i++) {
+            const index = representatives[i];
+            const signature = this.signature(entries[index].decision_text, shingleSize);
+            if (signature) signatures.set(index, signature);
+
+            // Не блокируем интерфейс на больших датасетах
+            if (i % 20 === 19) {
+                if (onProgress) onProgress(Math.round((i + 1) / representatives.length * 100));
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+
+        // LSH: кандидаты — записи, совпавшие хотя бы в одной полосе сигнатуры
+        const rows = this.NUM_HASHES / this.BANDS;
+        const candidatePairs = new Set();
+        for (let band = 0; band < this.BANDS; band++) {
+            const buckets = new Map();
+            for (const [index, signature] of signatures) {
+                const key = Array.from(signature.subarray(band * rows, (band + 1) * rows)).join(',');
+                if (!buckets.has(key)) buckets.set(key, []);
+                buckets.get(key).push(index);
+            }
+            for (const bucket of buckets.values()) {
+                for (let i = 0; i < bucket.length; i++) {
+                    for (let j = i + 1; j < bucket.length; j++) {
+                        candidatePairs.add(`${bucket[i]}:${bucket[j]}`);
+                    }
+                }
+            }
+        }
+
+        // Объединение в группы (система непересекающихся множеств)
+        const parent = new Map();
+        const find = (x) => {
+            while (parent.has(x) && parent.get(x) !== x) x = parent.get(x);
+            return x;
+        };
+        const union = (a, b) => {
+            const rootA = find(a);
+            const rootB = find(b);
+            if (rootA !== rootB) parent.set(Math.max(rootA, rootB), Math.min(rootA, rootB));
+        };
+
+        const nearPairs = [];
+        for (const pair of candidatePairs) {
+            const [a, b] = pair.split(':').map(Number);
+            const score = this.similarity(signatures.get(a), signatures.get(b));
+            if (score >= threshold) {
+                nearPairs.push({ a, b, score });
+                union(a, b);
+            }
+        }
+        for (const indexes of byHash.values()) {
+            indexes.slice(1).forEach(index => union(indexes[0], index));
+        }
+
+        const groups = new Map();
+        hashes.forEach((hash, index) => {
+            if (!hash) return;
+            const root = find(index);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(index);
+        });
+
+        const clusters = [];
+        for (const [root, indexes] of groups) {
+            if (indexes.length < 2) continue;
+
+            const pairs = nearPairs.filter(pair => find(pair.a) === root);
+            const clusterHashes = indexes.map(index => hashes[index]);
+            const isExact = new Set(clusterHashes).size === 1;
+            clusters.push({
+                type: isExact ? 'exact' : 'near',
+                indexes,
+                hashes: clusterHashes,
+                similarity: isExact ? 1 : Math.min(...pairs.map(pair => pair.score)),
+                pairs
+            });
+        }
+
+        if (onProgress) onProgress(100);
+        console.log(`🔁 Дубликаты: групп ${clusters.length} (точных ${clusters.filter(c => c.type === 'exact').length})`);
+        return clusters;
+    },
+
+    /**
+     * Ключ группы для запоминания решения «это не дубликаты»
+     * Появление в группе новой записи меняет ключ — группа снова попадёт на проверку
+     */
+    clusterKey(cluster) {
+        return [...cluster.hashes].sort().join('+');
+    }
+};
+
+// Экспорт в глобальный scope
+window.DuplicateDetector = DuplicateDetector;
+console.log('✅ DuplicateDetector загружен и экспортирован');
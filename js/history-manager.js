@@ -0,0 +1,483 @@
+/**
+HISTORY_MANAGER.JS
+История изменений датасета с отменой и повтором (общая для сборщика и редактора)
+Версия: 1.0
+*/
+
+const HistoryManager = {
+    // Команды очистки и загрузки хранят датасет целиком, поэтому глубина истории ограничена
+    LIMIT: 30,
+    // Объём сохраняемой в IndexedDB истории (символов JSON): крупные команды доступны для отмены только до перезагрузки
+    PERSIST_LIMIT: 2 * 1024 * 1024,
+    // Сколько замен датасета целиком сохраняется в каждом стеке: их снимки загружаются при открытии целиком
+    PERSIST_SNAPSHOTS: 3,
+
+    storageKey: null,
+    undoStack: [],
+    redoStack: [],
+    adapter: null,
+    // Сохранение в процессе / нужно повторить после него
+    isPersisting: false,
+    persistPending: false,
+    // Ключи снимков замены датасета, уже записанных в DatasetStorage
+    savedSnapshots: new Set(),
+
+    /**
+     * Подключает историю к датасету и загружает сохранённые стеки
+     * @param {string} storageKey - Ключ истории в DatasetStorage
+     * @param {Object} adapter
+     * @param {Function} adapter.getEntries - Возвращает массив записей (изменяется на месте)
+     * @param {Function} adapter.applyExtra - (extra) восстанавливает прочее состояние (processedFiles и т.п.)
+     * @param {Function} adapter.onChange - (command, action) вызывается после execute/record/undo/redo
+     * @param {Function} adapter.onError - (error) ошибка сохранения истории (например, переполнение хранилища)
+     */
+    async init(storageKey, adapter) {
+        this.storageKey = storageKey;
+        this.adapter = adapter;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.persistPending = false;
+        this.savedSnapshots = new Set();
+
+        if (!storageKey || typeof DatasetStorage === 'undefined' || !DatasetStorage.isSupported()) return;
+
+        try {
+            const saved = await DatasetStorage.loadState(storageKey);
+            if (saved) {
+                this.savedSnapshots = new Set(saved.snapshots || []);
+                this.undoStack = await this.restoreSnapshots(saved.undoStack || []);
+                this.redoStack = await this.restoreSnapshots(saved.redoStack || []);
+            }
+        } catch (error) {
+            console.error('Не удалось загрузить историю изменений:', error);
+        }
+    },
+
+    /**
+     * Сохраняет стеки в IndexedDB
+     * Изменения во время записи объединяются в одно следующее сохранение
+     */
+    async persist() {
+        if (!this.storageKey || typeof DatasetStorage === 'undefined' || !DatasetStorage.isSupported()) return;
+
+        if (this.isPersisting) {
+            this.persistPending = true;
+            return;
+        }
+
+        this.isPersisting = true;
+        try {
+            do {
+                this.persistPending = false;
+                const storageKey = this.storageKey;
+                const undoStack = this.getPersistedTail(this.undoStack);
+                const redoStack = this.getPersistedTail(this.redoStack);
+                const snapshots = await this.saveSnapshots([...undoStack, ...redoStack]);
+                // История переключена на другой датасет, пока записывались снимки
+                if (storageKey !== this.storageKey) break;
+
+                await DatasetStorage.saveState(storageKey, {
+                    undoStack: undoStack.map(command => this.serializeCommand(command)),
+                    redoStack: redoStack.map(command => this.serializeCommand(command)),
+                    snapshots
+                });
+                await this.deleteSnapshots(key => !snapshots.includes(key));
+            } while (this.persistPending && this.storageKey);
+        } catch (error) {
+            console.error('Не удалось сохранить историю изменений:', error);
+            this.adapter?.onError?.(error);
+        } finally {
+            this.isPersisting = false;
+        }
+    },
+
+    /**
+     * Верхние команды стека, которые сохраняются между сеансами
+     * Набор идёт с вершины и обрывается при превышении PERSIST_LIMIT или PERSIST_SNAPSHOTS:
+     * более ранние команды без пропущенной применить нельзя
+     * Замена датасета учитывается в PERSIST_LIMIT без самих записей — они хранятся в снимках
+     */
+    getPersistedTail(stack) {
+        let size = 0;
+        let snapshots = 0;
+        let start = stack.length;
+
+        while (start > 0) {
+            const command = stack[start - 1];
+            if (this.hasReplace(command) && ++snapshots > this.PERSIST_SNAPSHOTS) break;
+
+            command.size ??= JSON.stringify(this.serializeCommand(command)).length;
+            size += command.size;
+            if (size > this.PERSIST_LIMIT) break;
+            start--;
+        }
+
+        return stack.slice(start);
+    },
+
+    // ========================================================================
+    // СНИМКИ ЗАМЕНЫ ДАТАСЕТА
+    // ========================================================================
+    // Записи до и после операции replace хранятся в DatasetStorage отдельными датасетами
+    // (по записи IndexedDB на запись), а в сохранённой истории остаётся только ключ снимка
+
+    hasReplace(command) {
+        return command.ops.some(op => op.op === 'replace');
+    },
+
+    /**
+     * Ключ снимка операции replace (идентификатор команды назначается при первом сохранении)
+     */
+    snapshotKey(command, opIndex) {
+        command.id ??= `${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+        return `${this.storageKey}__snapshot_${command.id}_${opIndex}`;
+    },
+
+    /**
+     * Датасеты снимка: записи до и после замены
+     */
+    snapshotDatasets(snapshotKey) {
+        return { before: `${snapshotKey}_before`, after: `${snapshotKey}_after` };
+    },
+
+    /**
+     * Команда в виде для сохранения: записи операций replace заменены ключом снимка
+     */
+    serializeCommand(command) {
+        if (!this.hasReplace(command)) return command;
+
+        return {
+            ...command,
+            ops: command.ops.map((op, index) => (
+                op.op === 'replace' ? { op: 'replace', snapshot: this.snapshotKey(command, index) } : op
+            ))
+        };
+    },
+
+    /**
+     * Записывает ещё не сохранённые снимки команд (снимок неизменен, поэтому пишется один раз)
+     * @returns {Promise<Array<string>>} - Ключи снимков, на которые ссылаются команды
+     */
+    async saveSnapshots(commands) {
+        const keys = [];
+
+        for (const command of commands) {
+            for (const [index, op] of command.ops.entries()) {
+                if (op.op !== 'replace') continue;
+
+                const key = this.snapshotKey(command, index);
+                keys.push(key);
+                if (this.savedSnapshots.has(key)) continue;
+
+                const datasets = this.snapshotDatasets(key);
+                await DatasetStorage.saveDataset(datasets.before, op.before);
+                await DatasetStorage.saveDataset(datasets.after, op.after);
+                this.savedSnapshots.add(key);
+            }
+        }
+
+        return keys;
+    },
+
+    /**
+     * Удаляет сохранённые снимки, подходящие под условие
+     * @param {Function} shouldDelete - (key) true, если снимок больше не нужен
+     */
+    async deleteSnapshots(shouldDelete) {
+        for (const key of [...this.savedSnapshots]) {
+            if (!shouldDelete(key)) continue;
+
+            const datasets = this.snapshotDatasets(key);
+            await DatasetStorage.deleteDataset(datasets.before);
+            await DatasetStorage.deleteDataset(datasets.after);
+            this.savedSnapshots.delete(key);
+        }
+    },
+
+    /**
+     * Подставляет записи снимков в загруженные команды
+     * Если снимок потерян, команда и всё, что под ней в стеке, отбрасываются
+     */
+    async restoreSnapshots(stack) {
+        let start = stack.length;
+
+        while (start > 0) {
+            const command = stack[start - 1];
+            let restored = true;
+
+            for (const op of command.ops) {
+                if (op.op !== 'replace' || !op.snapshot) continue;
+
+                const datasets = this.snapshotDatasets(op.snapshot);
+                const before = await DatasetStorage.loadDataset(datasets.before);
+                const after = await DatasetStorage.loadDataset(datasets.after);
+                if (!before || !after) {
+                    restored = false;
+                    break;
+                }
+
+                op.before = before.entries;
+                op.after = after.entries;
+                delete op.snapshot;
+            }
+
+            if (!restored) break;
+            start--;
+        }
+
+        return stack.slice(start);
+    },
+
+    /**
+     * Удаляет сохранённую историю вместе со снимками (при удалении проекта)
+     */
+    async deleteStorage(storageKey) {
+        const saved = await DatasetStorage.loadState(storageKey);
+
+        for (const key of saved?.snapshots || []) {
+            const datasets = this.snapshotDatasets(key);
+            await DatasetStorage.deleteDataset(datasets.before);
+            await DatasetStorage.deleteDataset(datasets.after);
+        }
+        await DatasetStorage.deleteDataset(storageKey);
+    },
+
+    // ========================================================================
+    // ОПЕРАЦИИ НАД ЗАПИСЯМИ
+    // ========================================================================
+    // { op: 'set', index, before, after } — замена записи
+    // { op: 'insert', index, entry }      — вставка записи
+    // { op: 'remove', index, entry }      — удаление записи
+    // { op: 'replace', before, after }    — замена всего датасета
+    // { op: 'fields', index, before, after } — замена отдельных полей записи; прочие правки записи не затрагиваются
+
+    setOp(index, before, after) {
+        return { op: 'set', index, before: structuredClone(before), after: structuredClone(after) };
+    },
+
+    insertOp(index, entry) {
+        return { op: 'insert', index, entry: structuredClone(entry) };
+    },
+
+    removeOp(index, entry) {
+        return { op: 'remove', index, entry: structuredClone(entry) };
+    },
+
+    replaceOp(before, after) {
+        return { op: 'replace', before: structuredClone(before), after: structuredClone(after) };
+    },
+
+    /**
+     * @param {Array<string>} fields - Поля записи ("metadata.x" — поле metadata)
+     */
+    fieldsOp(index, fields, before, after) {
+        return { op: 'fields', index, before: this.pickFields(before, fields), after: this.pickFields(after, fields) };
+    },
+
+    /**
+     * Значения полей и время их изменения из metadata.field_updated_at
+     * @returns {Object} - Поле → { value, updatedAt }
+     */
+    pickFields(entry, fields) {
+        const picked = {};
+        fields.forEach(field => {
+            const value = field.startsWith('metadata.') ? entry.metadata?.[field.slice(9)] : entry[field];
+            picked[field] = {
+                value: structuredClone(value),
+                updatedAt: entry.metadata?.field_updated_at?.[field]
+            };
+        });
+        return picked;
+    },
+
+    /**
+     * Записывает значения pickFields в копию записи (undefined — поле удаляется)
+     */
+    assignFields(entry, picked) {
+        const updated = structuredClone(entry);
+        updated.metadata = updated.metadata || {};
+        const timestamps = { ...(updated.metadata.field_updated_at || {}) };
+
+        Object.entries(picked).forEach(([field, { value, updatedAt }]) => {
+            const [target, key] = field.startsWith('metadata.') ? [updated.metadata, field.slice(9)] : [updated, field];
+            if (value === undefined) delete target[key];
+            else target[key] = structuredClone(value);
+
+            if (updatedAt === undefined) delete timestamps[field];
+            else timestamps[field] = updatedAt;
+        });
+
+        updated.metadata.field_updated_at = timestamps;
+        return updated;
+    },
+
+    /**
+     * Применяет операции к массиву записей
+     * @param {boolean} reverse - true для отмены (операции выполняются в обратном порядке)
+     */
+    applyOps(entries, ops, reverse = false) {
+        const sequence = reverse ? [...ops].reverse() : ops;
+
+        for (const op of sequence) {
+            switch (op.op) {
+                case 'set':
+                    entries[op.index] = structuredClone(reverse ? op.before : op.after);
+                    break;
+                case 'insert':
+                    if (reverse) entries.splice(op.index, 1);
+                    else entries.splice(op.index, 0, structuredClone(op.entry));
+                    break;
+                case 'remove':
+                    if (reverse) entries.splice(op.index, 0, structuredClone(op.entry));
+                    else entries.splice(op.index, 1);
+                    break;
+                case 'fields':
+                    entries[op.index] = this.assignFields(entries[op.index], reverse ? op.before : op.after);
+                    break;
+                case 'replace': {
+                    const target = structuredClone(reverse ? op.before : op.after);
+                    entries.length = 0;
+                    target.forEach(entry => entries.push(entry));
+                    break;
+                }
+                default:
+                    console.warn('⚠️ Неизвестная операция истории:', op.op);
+            }
+        }
+    },
+
+    /**
+     * Позиции записей, изменённых операциями (для частичного сохранения датасета)
+     * Позиции до shiftedFrom при вставке и удалении не сдвигаются, поэтому записи до неё сохраняются по одной
+     * @returns {{edited: Array<number>, shiftedFrom: number|null}} - edited — заменённые записи;
+     *   shiftedFrom — первая позиция, начиная с которой записи вставлены, удалены или заменены целиком (null — таких нет)
+     */
+    getChangedPositions(ops) {
+        const edited = new Set();
+        let shiftedFrom = null;
+
+        ops.forEach(op => {
+            if (op.op === 'set' || op.op === 'fields') {
+                edited.add(op.index);
+                return;
+            }
+            const index = op.op === 'replace' ? 0 : op.index;
+            shiftedFrom = shiftedFrom === null ? index : Math.min(shiftedFrom, index);
+        });
+
+        return { edited: [...edited], shiftedFrom };
+    },
+
+    // ========================================================================
+    // КОМАНДЫ
+    // ========================================================================
+
+    /**
+     * Выполняет команду и добавляет её в историю
+     * @param {string} label - Описание для пользователя ("Удаление ключей: summary")
+     * @param {Array<Object>} ops - Операции над записями
+     * @param {Object|null} extra - { before, after } прочее состояние приложения
+     */
+    execute(label, ops, extra = null) {
+        this.applyOps(this.adapter.getEntries(), ops);
+        if (extra) this.adapter.applyExtra(structuredClone(extra.after));
+        return this.record(label, ops, extra, 'execute');
+    },
+
+    /**
+     * Добавляет в историю уже выполненное изменение (например, пакетную обработку PDF)
+     */
+    record(label, ops, extra = null, action = 'record') {
+        const command = { label, ops, extra, timestamp: new Date().toISOString() };
+
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.LIMIT) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+
+        this.persist();
+        this.adapter.onChange(command, action);
+        return command;
+    },
+
+    /**
+     * Отменяет последнюю команду
+     * @returns {Object|null} - Отменённая команда
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+
+        this.applyOps(this.adapter.getEntries(), command.ops, true);
+        if (command.extra) this.adapter.applyExtra(structuredClone(command.extra.before));
+        this.redoStack.push(command);
+
+        this.persist();
+        this.adapter.onChange(command, 'undo');
+        console.log('↶ Отменено:', command.label);
+        return command;
+    },
+
+    /**
+     * Повторяет последнюю отменённую команду
+     * @returns {Object|null} - Повторённая команда
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+
+        this.applyOps(this.adapter.getEntries(), command.ops);
+        if (command.extra) this.adapter.applyExtra(structuredClone(command.extra.after));
+        this.undoStack.push(command);
+
+        this.persist();
+        this.adapter.onChange(command, 'redo');
+        console.log('↷ Повторено:', command.label);
+        return command;
+    },
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    },
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    },
+
+    nextUndoLabel() {
+        return this.undoStack[this.undoStack.length - 1]?.label || null;
+    },
+
+    nextRedoLabel() {
+        return this.redoStack[this.redoStack.length - 1]?.label || null;
+    },
+
+    /**
+     * Горячие клавиши: Ctrl+Z — отмена, Ctrl+Shift+Z / Ctrl+Y — повтор
+     * В полях ввода остаётся штатная отмена браузера
+     */
+    bindShortcuts({ undo, redo }) {
+        document.addEventListener('keydown', (event) => {
+            if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+
+            const target = event.target;
+            if (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) {
+                return;
+            }
+
+            // event.code не зависит от раскладки (Ctrl+Я в русской раскладке)
+            if (event.code === 'KeyZ' && !event.shiftKey) {
+                event.preventDefault();
+                undo();
+            } else if ((event.code === 'KeyZ' && event.shiftKey) || event.code === 'KeyY') {
+                event.preventDefault();
+                redo();
+            }
+        });
+    }
+};
+
+// Экспорт в глобальный scope
+window.HistoryManager = HistoryManager;
+console.log('✅ HistoryManager загружен и экспортирован');
@@ -25,34 +25,289 @@ const JSONLHandler = {
 
     /**
      * Создаёт запись JSONL для датасета
+     * @param {Object|null} sections - Разделы решения (см. PDFProcessor.segmentSections)
+     * @param {Object|null} documentInfo - Вид акта и инстанция (см. PDFProcessor.classifyDocument)
      */
-    createEntry(caseNumber, decisionDate, text, filename = null) {
+    createEntry(caseNumber, decisionDate, text, filename = null, sections = null, documentInfo = null) {
         const normalizedCaseNumber = this.normalizeCaseNumber(caseNumber);
+        const metadata = {
+            source: 'arbitration_court',
+            document_type: documentInfo?.documentType || 'court_decision',
+            language: 'ru',
+            source_filename: filename,
+            created_at: new Date().toISOString()
+        };
+        
+        if (documentInfo) {
+            this.setDocumentInfo(metadata, documentInfo);
+        }
         
         return {
             case_number: normalizedCaseNumber,
             decision_date: decisionDate,
             decision_text: text,
-            metadata: {
-                source: 'arbitration_court',
-                document_type: 'court_decision',
-                language: 'ru',
-                source_filename: filename,
-                created_at: new Date().toISOString()
+            ...(sections ? { sections } : {}),
+            appeal_history: [],
+            appealed: false,
+            canceled: false,
+            review_status: this.REVIEW_STATUSES.UNREVIEWED,
+            metadata
+        };
+    },
+
+    /**
+     * Записывает в metadata вид акта и инстанцию
+     * court_instance: FIRST_INSTANCE или одна из APPEAL_INSTANCES; null — не определена
+     */
+    setDocumentInfo(metadata, documentInfo) {
+        metadata.document_type = documentInfo.documentType;
+        metadata.document_subtype = documentInfo.documentSubtype;
+        metadata.court_instance = documentInfo.courtInstance;
+        metadata.court_name = documentInfo.courtName;
+        return metadata;
+    },
+
+    /**
+     * Коды инстанций — общие для metadata.court_instance, appeal_history[].instance и related_acts[].instance
+     * Подписи для интерфейса — INSTANCE_LABELS в app.js
+     */
+    FIRST_INSTANCE: 'первая',
+
+    /**
+     * Инстанции обжалования
+     */
+    APPEAL_INSTANCES: ['апелляция', 'кассация', 'ВС РФ'],
+
+    // Код первой инстанции в записях прежних версий
+    LEGACY_FIRST_INSTANCE: 'first',
+
+    /**
+     * Заменяет прежний код первой инстанции в metadata.court_instance
+     * @returns {boolean} - true, если запись изменена
+     */
+    normalizeCourtInstance(entry) {
+        if (entry.metadata?.court_instance !== this.LEGACY_FIRST_INSTANCE) return false;
+        entry.metadata.court_instance = this.FIRST_INSTANCE;
+        return true;
+    },
+
+    /**
+     * Итоги обжалования
+     * "отменено" и "не указано" — значения, перенесённые из прежних флагов appealed/canceled
+     */
+    APPEAL_OUTCOMES: {
+        PENDING: 'не рассмотрено',
+        UPHELD: 'оставлено без изменения',
+        CHANGED_IN_PART: 'изменено в части',
+        CANCELED_NEW_DECISION: 'отменено с принятием нового решения',
+        CANCELED_RETRIAL: 'отменено с направлением на новое рассмотрение',
+        CANCELED: 'отменено',
+        UNKNOWN: 'не указано'
+    },
+
+    /**
+     * Создаёт запись истории обжалования
+     */
+    createAppealRecord(instance, date = '', resolutionNumber = '', outcome = this.APPEAL_OUTCOMES.PENDING) {
+        return {
+            instance,
+            date,
+            resolution_number: resolutionNumber,
+            outcome
+        };
+    },
+
+    /**
+     * Вычисляет прежние флаги appealed/canceled из истории обжалования
+     */
+    deriveAppealFlags(appealHistory) {
+        const history = appealHistory || [];
+        return {
+            appealed: history.length > 0,
+            canceled: history.some(record => (record.outcome || '').startsWith('отменено'))
+        };
+    },
+
+    /**
+     * Записывает историю обжалования и производные флаги в запись
+     */
+    setAppealHistory(entry, appealHistory) {
+        entry.appeal_history = appealHistory;
+        Object.assign(entry, this.deriveAppealFlags(appealHistory));
+        return entry;
+    },
+
+    /**
+     * Сохраняет разметку обжалования отдельного разметчика в entry.annotations[annotatorId]
+     * Общая appeal_history записи при этом не меняется
+     */
+    setAnnotation(entry, annotatorId, appealHistory, annotatedAt = new Date().toISOString()) {
+        entry.annotations = {
+            ...(entry.annotations || {}),
+            [annotatorId]: {
+                appeal_history: structuredClone(appealHistory),
+                ...this.deriveAppealFlags(appealHistory),
+                annotated_at: annotatedAt
             }
         };
+        return entry;
+    },
+
+    /**
+     * Добавляет в target разметку из source; по каждому разметчику побеждает более поздняя
+     * @returns {boolean} - true, если target изменён
+     */
+    mergeAnnotations(target, sourceAnnotations) {
+        let changed = false;
+        for (const [annotatorId, annotation] of Object.entries(sourceAnnotations || {})) {
+            const current = target.annotations?.[annotatorId];
+            if (current && (current.annotated_at || '') >= (annotation.annotated_at || '')) continue;
+            if (current && JSON.stringify(current) === JSON.stringify(annotation)) continue;
+
+            target.annotations = { ...(target.annotations || {}), [annotatorId]: structuredClone(annotation) };
+            changed = true;
+        }
+        return changed;
+    },
+
+    /**
+     * Разметчики, встречающиеся в датасете
+     */
+    getAnnotators(entries) {
+        const annotators = new Set();
+        entries.forEach(entry => Object.keys(entry.annotations || {}).forEach(id => annotators.add(id)));
+        return [...annotators].sort();
+    },
+
+    /**
+     * Статус проверки разметки: пустая appeal_history у непроверенной записи не означает «не обжаловано»
+     */
+    REVIEW_STATUSES: {
+        UNREVIEWED: 'unreviewed',
+        REVIEWED: 'reviewed'
+    },
+
+    /**
+     * Поля, которые меняет отметка о проверке (для touchFields)
+     */
+    REVIEW_FIELDS: ['review_status', 'metadata.reviewed_by', 'metadata.reviewed_at'],
+
+    isReviewed(entry) {
+        return entry.review_status === this.REVIEW_STATUSES.REVIEWED;
+    },
+
+    /**
+     * Отмечает запись проверенной: кто и когда
+     */
+    setReviewed(entry, reviewer, reviewedAt = new Date().toISOString()) {
+        entry.review_status = this.REVIEW_STATUSES.REVIEWED;
+        entry.metadata = entry.metadata || {};
+        entry.metadata.reviewed_by = reviewer || null;
+        entry.metadata.reviewed_at = reviewedAt;
+        return entry;
+    },
+
+    /**
+     * Определяет статус проверки записи прежней версии
+     * Проверенной считается запись с разметкой разметчиков или сохранённая вручную
+     * (есть updated_at, а история обжалования не взята из карточки дела)
+     * @returns {boolean} - true, если запись изменена
+     */
+    normalizeReviewStatus(entry) {
+        if (entry.review_status) return false;
+
+        const metadata = entry.metadata || {};
+        const latest = Object.entries(entry.annotations || {})
+            .sort(([, a], [, b]) => (b.annotated_at || '').localeCompare(a.annotated_at || ''))[0];
+        const savedManually = metadata.updated_at && !metadata.appeal_source
+            && (!metadata.field_updated_at || metadata.field_updated_at.appeal_history);
+
+        if (latest) {
+            this.setReviewed(entry, latest[0], latest[1].annotated_at || metadata.updated_at || null);
+        } else if (savedManually) {
+            this.setReviewed(entry, null, metadata.field_updated_at?.appeal_history || metadata.updated_at);
+        } else {
+            entry.review_status = this.REVIEW_STATUSES.UNREVIEWED;
+        }
+        return true;
+    },
+
+    /**
+     * Приводит запись к модели appeal_history
+     * Записи с одними флагами appealed/canceled получают одну запись апелляции
+     * @returns {boolean} - true, если запись изменена
+     */
+    normalizeAppealHistory(entry) {
+        if (Array.isArray(entry.appeal_history)) {
+            const flags = this.deriveAppealFlags(entry.appeal_history);
+            const changed = entry.appealed !== flags.appealed || entry.canceled !== flags.canceled;
+            Object.assign(entry, flags);
+            return changed;
+        }
+
+        const history = entry.appealed
+            ? [this.createAppealRecord(
+                'апелляция',
+                '',
+                '',
+                entry.canceled ? this.APPEAL_OUTCOMES.CANCELED : this.APPEAL_OUTCOMES.UNKNOWN
+            )]
+            : [];
+        this.setAppealHistory(entry, history);
+        return true;
+    },
+
+    /**
+     * Проверяет историю обжалования
+     * @returns {Array<string>} - Список ошибок
+     */
+    validateAppealHistory(appealHistory, decisionDate = null) {
+        const errors = [];
+        const outcomes = Object.values(this.APPEAL_OUTCOMES);
+        let previousDate = decisionDate;
+
+        appealHistory.forEach((record, index) => {
+            const label = `Обжалование ${index + 1}`;
+            if (!this.APPEAL_INSTANCES.includes(record.instance)) {
+                errors.push(`${label}: неизвестная инстанция "${record.instance}"`);
+            }
+            if (!outcomes.includes(record.outcome)) {
+                errors.push(`${label}: неизвестный итог "${record.outcome}"`);
+            }
+            if (record.date) {
+                if (!/^\d{4}-\d{2}-\d{2}$/.test(record.date)) {
+                    errors.push(`${label}: дата должна быть в формате ГГГГ-ММ-ДД`);
+                } else if (previousDate && record.date < previousDate) {
+                    errors.push(`${label}: дата ${record.date} раньше предыдущего акта (${previousDate})`);
+                } else {
+                    previousDate = record.date;
+                }
+            }
+        });
+
+        return errors;
+    },
+
+    /**
+     * Краткое описание итога обжалования: "кассация: отменено с направлением на новое рассмотрение"
+     */
+    describeAppealOutcome(appealHistory) {
+        const history = appealHistory || [];
+        const last = history[history.length - 1];
+        return last ? `${last.instance}: ${last.outcome}` : '';
     },
 
     /**
      * Создаёт запись для инструктивного датасета
      */
-    createInstructionEntry(caseNumber, decisionDate, text) {
+    createInstructionEntry(caseNumber, decisionDate, text, appealHistory = []) {
         const normalizedCaseNumber = this.normalizeCaseNumber(caseNumber);
+        const appealOutcome = this.describeAppealOutcome(appealHistory);
         
         return {
             instruction: `Проанализируй судебный акт по делу № ${normalizedCaseNumber} от ${decisionDate}`,
             input: text.slice(0, 2000),
-            output: `Судебное решение по делу ${normalizedCaseNumber} от ${decisionDate}. Текст решения: ${text.slice(0, 3000)}...`
+            output: `Судебное решение по делу ${normalizedCaseNumber} от ${decisionDate}.${appealOutcome ? ` Итог обжалования (${appealOutcome}).` : ''} Текст решения: ${text.slice(0, 3000)}...`
         };
     },
 
@@ -142,7 +397,7 @@ const JSONLHandler = {
     /**
      * Создаёт ZIP-архив с датасетом
      */
-    async createZipArchive(entries, instructionEntries = null) {
+    async createZipArchive(entries, instructionEntries = null, pdfFiles = []) {
         const zip = new JSZip();
         const timestamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
         
@@ -160,8 +415,14 @@ const JSONLHandler = {
             zip.file('dataset_statistics.csv', csvContent);
         }
         
+        // Исходные PDF (имя файла = metadata.source_filename)
+        if (pdfFiles.length > 0) {
+            const folder = zip.folder('pdfs');
+            pdfFiles.forEach(({ filename, blob }) => folder.file(filename, blob));
+        }
+        
         // README
-        const readme = this.generateReadme(entries, timestamp);
+        const readme = this.generateReadme(entries, timestamp, pdfFiles.length);
         zip.file('README.md', readme);
         
         return await zip.generateAsync({ type: 'blob' });
@@ -171,12 +432,23 @@ const JSONLHandler = {
      * Генерирует CSV со статистикой
      */
     generateCSV(entries) {
-        const headers = ['case_number', 'decision_date', 'text_length'];
-        const rows = entries.map(e => [
-            e.case_number || '',
-            e.decision_date || '',
-            e.decision_text?.length || 0
-        ]);
+        const headers = ['case_number', 'decision_date', 'document_type', 'court_instance', 'text_length', 'review_status', 'appealed', 'canceled', 'appeal_outcome', 'text_corrections'];
+        const rows = entries.map(e => {
+            // У непроверенной записи метки неизвестны, а не равны 0
+            const reviewed = this.isReviewed(e);
+            return [
+                e.case_number || '',
+                e.decision_date || '',
+                e.metadata?.document_type || 'court_decision',
+                e.metadata?.court_instance || '',
+                e.decision_text?.length || 0,
+                e.review_status || this.REVIEW_STATUSES.UNREVIEWED,
+                reviewed ? (e.appealed ? 1 : 0) : '',
+                reviewed ? (e.canceled ? 1 : 0) : '',
+                this.describeAppealOutcome(e.appeal_history),
+                e.metadata?.text_corrections?.hunks?.length || 0
+            ];
+        });
         
         return [headers, ...rows].map(row => row.join(',')).join('\n');
     },
@@ -184,7 +456,7 @@ const JSONLHandler = {
     /**
      * Генерирует README файл
      */
-    generateReadme(entries, timestamp) {
+    generateReadme(entries, timestamp, pdfCount = 0) {
         return `# Датасет судебных актов арбитражных судов
 
 ## Описание
@@ -193,44 +465,519 @@ const JSONLHandler = {
 ## Формат записей (JSONL)
 \`\`\`json
 {"case_number":"А60-49559/2024","decision_date":"2025-06-16","decision_text":"...","metadata":{"source":"arbitration_court"}}
-{"case_number":"А60-12345/2023","decision_date":"2025-01-15","decision_text":"...","metadata":{...}}
+{"case_number":"А60-12345/2023","decision_date":"2025-01-15","decision_text":"...","appeal_history":[{"instance":"апелляция","date":"2025-04-10","resolution_number":"17АП-1234/2025-ГК","outcome":"изменено в части"}],"appealed":true,"canceled":false,"metadata":{...}}
 \`\`\`
 
-## Статистика
+## История обжалования
+- \`appeal_history\` — акты вышестоящих инстанций по порядку: \`instance\` (${this.APPEAL_INSTANCES.join(', ')}), \`date\`, \`resolution_number\`, \`outcome\`
+- Итоги: ${Object.values(this.APPEAL_OUTCOMES).join('; ')}
+- \`appealed\` и \`canceled\` вычисляются из \`appeal_history\` и сохранены для совместимости
+- \`review_status\` — \`reviewed\` (разметка проверена человеком: \`metadata.reviewed_by\`, \`metadata.reviewed_at\`) или \`unreviewed\`; у непроверенных записей \`appealed: false\` означает «неизвестно», а не «не обжаловано»
+- \`annotations\` — разметка отдельных разметчиков: \`{ "<id>": { appeal_history, appealed, canceled, annotated_at } }\`; общая \`appeal_history\` — принятая (согласованная) версия, \`metadata.adjudication\` — чья версия принята при расхождении
+
+## Ручные исправления текста
+- \`decision_text\` хранит текст с ручными исправлениями ошибок извлечения
+- \`metadata.text_corrections\` — исправления как разница с извлечённым из PDF текстом: \`hunks\` (\`start\`, \`end\` — позиции в извлечённом тексте, \`before\` → \`after\`, окружение \`context_before\`/\`context_after\`), \`corrected_by\`, \`corrected_at\`, \`original_hash\`; \`failed_hunks\` — правки, не перенесённые при повторном извлечении
+- Извлечённый текст восстанавливается заменой \`after\` на \`before\`; в CSV столбец \`text_corrections\` — число исправленных фрагментов
+
+## Обогащение LLM
+- \`enrichment\` — поля схемы обогащённого датасета из ответа модели: \`case_id\`, \`dispute_summary\`, \`plaintiff\`/\`defendant\` (\`name\`, \`type\`), \`key_statements_plaintiff\`, \`key_statements_defendant\`, \`court_resolutions\`, \`decision_verdict\`, \`initial_claims_sum\` (\`initial_claims\`, \`awarded\`), \`mentioned_rules\`, \`personal_data\`, \`q_a\`
+- \`metadata.enrichment\` — \`model\`, \`endpoint\`, \`enriched_at\`, \`attempts\`, \`warnings\` (отклонения ответа от схемы), \`prompt\` — версия промпта (\`id\`, \`name\`, \`version\`, \`hash\` текста)
+- \`enrichment_history\` — до ${this.ENRICHMENT_HISTORY_LIMIT} прежних результатов (сведения о запуске и \`enrichment\`), новые первыми
+
+## Вид акта и инстанция
+- \`metadata.document_type\` — вид акта по заголовку: \`court_decision\` (решение), \`additional_decision\`, \`resolution\` (постановление), \`ruling\` (определение), \`unknown\`
+- \`metadata.document_subtype\` — разновидность определения (\`interim_measures\`, \`claim_return\`, \`without_movement\`, \`termination\`, \`settlement\`) или null
+- \`metadata.court_instance\` — инстанция по наименованию суда: \`${this.FIRST_INSTANCE}\` (АС субъекта), \`апелляция\` (ААС), \`кассация\` (АС округа), \`ВС РФ\`; null — не определена. Те же коды используются в \`appeal_history\` и \`related_acts\`
+- \`metadata.court_name\` — наименование суда из шапки
+
+## Акты одного дела
+- Акт определяется номером дела, типом акта и датой — решение и постановления по одному делу хранятся отдельными записями
+- \`related_acts\` — другие акты дела: \`act_key\`, \`instance\`, \`decision_date\`, \`relation\` (\`reviewed_by\` — пересмотрен вышестоящей инстанцией, \`reviews\` — пересматривает акт, \`same_case\`)
+
+${pdfCount > 0 ? `## Исходные PDF
+- Папка \`pdfs/\` — исходные файлы актов (${pdfCount}); имя файла совпадает с \`metadata.source_filename\`
+- \`metadata.page_offsets\` — границы страниц PDF в \`decision_text\`
+
+` : ''}## Статистика
 - Всего записей: ${entries.length}
 - Дата создания: ${timestamp}
 `;
     },
 
+    // ========================================================================
+    // АКТЫ ОДНОГО ДЕЛА
+    // ========================================================================
+
     /**
-     * Объединяет два датасета, избегая дубликатов
+     * Уровни инстанций для связывания актов
      */
-    mergeDatasets(existing, newEntries) {
-        console.log('🔄 Объединение датасетов...');
-        console.log(`   Существующих записей: ${existing.length}`);
-        console.log(`   Новых записей: ${newEntries.length}`);
-        
-        const existingCases = new Set(
-            existing.filter(e => e.case_number).map(e => e.case_number)
-        );
-        
-        const merged = [...existing];
-        let duplicatesSkipped = 0;
-        
-        for (const entry of newEntries) {
-            if (!entry.case_number || !existingCases.has(entry.case_number)) {
-                merged.push(entry);
-                if (entry.case_number) {
-                    existingCases.add(entry.case_number);
+    INSTANCE_LEVELS: {
+        'первая': 1,
+        'апелляция': 2,
+        'кассация': 3,
+        'ВС РФ': 4
+    },
+
+    /**
+     * Ключ судебного акта: номер дела + тип акта + дата
+     * Решение, дополнительное решение и постановления по одному делу — разные акты
+     */
+    getActKey(entry) {
+        return [
+            entry.case_number || '',
+            entry.metadata?.document_type || 'court_decision',
+            entry.decision_date || ''
+        ].join('|');
+    },
+
+    /**
+     * Определяет инстанцию акта
+     * Если она не записана в metadata.court_instance, ищется по датам appeal_history других актов дела
+     * @returns {string|null} - FIRST_INSTANCE, одна из APPEAL_INSTANCES или null
+     */
+    resolveActInstance(entry, caseEntries) {
+        if (entry.metadata?.court_instance) return entry.metadata.court_instance;
+
+        for (const other of caseEntries) {
+            if (other === entry) continue;
+            const record = (other.appeal_history || []).find(r => r.date && r.date === entry.decision_date);
+            if (record) return record.instance;
+        }
+
+        // Обжалованный акт, о котором нет данных, считаем актом первой инстанции
+        return (entry.appeal_history || []).length > 0 ? this.FIRST_INSTANCE : null;
+    },
+
+    /**
+     * Группирует акты по делам
+     * @returns {Map<string, Array<Object>>} - Номер дела → акты по дате { index, actKey, document_type, decision_date, instance };
+     *                                        только дела с несколькими актами
+     */
+    buildCaseThreads(entries) {
+        const groups = new Map();
+        entries.forEach((entry, index) => {
+            if (!entry.case_number) return;
+            if (!groups.has(entry.case_number)) groups.set(entry.case_number, []);
+            groups.get(entry.case_number).push({ index, entry });
+        });
+
+        const threads = new Map();
+        for (const [caseNumber, acts] of groups) {
+            if (acts.length < 2) continue;
+
+            const caseEntries = acts.map(act => act.entry);
+            const thread = acts
+                .map(({ index, entry }) => ({
+                    index,
+                    actKey: this.getActKey(entry),
+                    document_type: entry.metadata?.document_type || 'court_decision',
+                    decision_date: entry.decision_date || '',
+                    instance: this.resolveActInstance(entry, caseEntries)
+                }))
+                .sort((a, b) => a.decision_date.localeCompare(b.decision_date));
+
+            threads.set(caseNumber, thread);
+        }
+
+        return threads;
+    },
+
+    /**
+     * Связи акта с другими актами дела
+     * reviewed_by — пересмотрен актом вышестоящей инстанции, reviews — пересматривает акт нижестоящей,
+     * same_case — инстанция не определена или совпадает (например, дополнительное решение)
+     * @returns {Array<Object>} - { act, relation }, act — элемент thread (с индексом записи)
+     */
+    getThreadRelations(thread, index) {
+        const self = thread.find(act => act.index === index);
+        if (!self) return [];
+
+        const selfLevel = this.INSTANCE_LEVELS[self.instance];
+        return thread
+            .filter(act => act !== self)
+            .map(act => {
+                const level = this.INSTANCE_LEVELS[act.instance];
+                let relation = 'same_case';
+                if (selfLevel && level && selfLevel !== level) {
+                    relation = level > selfLevel ? 'reviewed_by' : 'reviews';
                 }
-            } else {
-                duplicatesSkipped++;
-                console.log(`⏭️ Пропущен дубликат: ${entry.case_number}`);
+                return { act, relation };
+            });
+    },
+
+    /**
+     * Связи акта в формате related_acts (getThreadRelations без индексов записей)
+     */
+    getRelatedActs(thread, index) {
+        return this.getThreadRelations(thread, index).map(({ act, relation }) => ({
+            act_key: act.actKey,
+            document_type: act.document_type,
+            decision_date: act.decision_date,
+            instance: act.instance,
+            relation
+        }));
+    },
+
+    /**
+     * Копии записей со связями related_acts (для экспорта)
+     * Связи вычисляются заново, чтобы не расходиться с составом датасета
+     */
+    withCaseLinks(entries) {
+        const threads = this.buildCaseThreads(entries);
+        return entries.map((entry, index) => {
+            const { related_acts, ...rest } = entry;
+            const thread = threads.get(entry.case_number);
+            return thread ? { ...rest, related_acts: this.getRelatedActs(thread, index) } : rest;
+        });
+    },
+
+    // ========================================================================
+    // ОБЪЕДИНЕНИЕ С РАЗРЕШЕНИЕМ КОНФЛИКТОВ
+    // ========================================================================
+
+    // Служебные и вычисляемые поля в сравнении не участвуют
+    // (appealed/canceled выводятся из appeal_history, related_acts — из состава датасета)
+    MERGE_IGNORED_FIELDS: ['appealed', 'canceled', 'related_acts', 'metadata.created_at', 'metadata.updated_at', 'metadata.field_updated_at'],
+
+    /**
+     * Отмечает время изменения полей записи
+     * @param {Array<string>} fields - Пути полей: 'appeal_history', 'metadata.appeal_source'
+     */
+    touchFields(entry, fields, timestamp = new Date().toISOString()) {
+        if (!entry.metadata) entry.metadata = {};
+        entry.metadata.updated_at = timestamp;
+        entry.metadata.field_updated_at = { ...(entry.metadata.field_updated_at || {}) };
+        fields.forEach(field => {
+            entry.metadata.field_updated_at[field] = timestamp;
+        });
+        return entry;
+    },
+
+    /**
+     * Время изменения поля: собственная отметка, иначе время изменения или создания записи
+     */
+    getFieldUpdatedAt(entry, field) {
+        const metadata = entry.metadata || {};
+        return metadata.field_updated_at?.[field] || metadata.updated_at || metadata.created_at || '';
+    },
+
+    /**
+     * Сравниваемые поля записи: поля верхнего уровня и поля metadata по отдельности
+     */
+    getMergeFields(entry) {
+        const fields = Object.keys(entry).filter(key => key !== 'metadata');
+        Object.keys(entry.metadata || {}).forEach(key => fields.push(`metadata.${key}`));
+        return fields.filter(field => !this.MERGE_IGNORED_FIELDS.includes(field));
+    },
+
+    getFieldValue(entry, field) {
+        return field.startsWith('metadata.') ? entry.metadata?.[field.slice(9)] : entry[field];
+    },
+
+    setFieldValue(entry, field, value) {
+        if (field.startsWith('metadata.')) {
+            if (!entry.metadata) entry.metadata = {};
+            if (value === undefined) delete entry.metadata[field.slice(9)];
+            else entry.metadata[field.slice(9)] = structuredClone(value);
+        } else if (value === undefined) {
+            delete entry[field];
+        } else {
+            entry[field] = structuredClone(value);
+        }
+    },
+
+    /**
+     * Различающиеся поля двух версий одной записи
+     * @returns {Array<{field: string, mine: *, theirs: *, mineUpdatedAt: string, theirsUpdatedAt: string}>}
+     */
+    diffEntries(mine, theirs) {
+        const fields = new Set([...this.getMergeFields(mine), ...this.getMergeFields(theirs)]);
+        const diff = [];
+
+        for (const field of fields) {
+            const mineValue = this.getFieldValue(mine, field);
+            const theirsValue = this.getFieldValue(theirs, field);
+            if (JSON.stringify(mineValue) === JSON.stringify(theirsValue)) continue;
+
+            diff.push({
+                field,
+                mine: mineValue,
+                theirs: theirsValue,
+                mineUpdatedAt: this.getFieldUpdatedAt(mine, field),
+                theirsUpdatedAt: this.getFieldUpdatedAt(theirs, field)
+            });
+        }
+
+        return diff;
+    },
+
+    /**
+     * Сторона, чья версия поля новее (при равенстве — своя)
+     * Поле, которого нет на одной из сторон, остаётся со стороны, где оно есть:
+     * время изменения отсутствующего поля неизвестно (getFieldUpdatedAt вернул бы время всей записи)
+     * @returns {'mine'|'theirs'}
+     */
+    newerSide(change) {
+        if (change.theirs === undefined) return 'mine';
+        if (change.mine === undefined) return 'theirs';
+        return change.theirsUpdatedAt > change.mineUpdatedAt ? 'theirs' : 'mine';
+    },
+
+    /**
+     * Объединяет две версии записи
+     * @param {string} strategy - 'mine' | 'theirs' | 'newest' (по полям, по времени изменения)
+     */
+    mergeEntries(mine, theirs, strategy, diff = this.diffEntries(mine, theirs)) {
+        const merged = structuredClone(mine);
+        const fieldUpdatedAt = { ...(mine.metadata?.field_updated_at || {}) };
+
+        for (const change of diff) {
+            // Разметка разных разметчиков не конфликтует — объединяется по каждому из них
+            if (strategy === 'newest' && change.field === 'annotations') {
+                this.mergeAnnotations(merged, change.theirs);
+                continue;
+            }
+
+            const side = strategy === 'newest' ? this.newerSide(change) : strategy;
+            if (side !== 'theirs') continue;
+
+            this.setFieldValue(merged, change.field, change.theirs);
+            if (theirs.metadata?.field_updated_at?.[change.field]) {
+                fieldUpdatedAt[change.field] = theirs.metadata.field_updated_at[change.field];
             }
         }
-        
-        console.log(`✅ Объединение завершено: ${merged.length} записей (пропущено дубликатов: ${duplicatesSkipped})`);
+
+        if (!merged.metadata) merged.metadata = {};
+        if (Object.keys(fieldUpdatedAt).length > 0) {
+            merged.metadata.field_updated_at = fieldUpdatedAt;
+        }
+        const updatedAt = [mine.metadata?.updated_at, theirs.metadata?.updated_at].filter(Boolean).sort().pop();
+        if (updatedAt) merged.metadata.updated_at = updatedAt;
+
+        // Флаги обжалования всегда соответствуют итоговой истории
+        this.setAppealHistory(merged, merged.appeal_history || []);
         return merged;
+    },
+
+    /**
+     * Сопоставляет загружаемые записи с датасетом
+     * Записи без пары добавляются, пары с одинаковым содержимым пропускаются, остальные — конфликты
+     * @returns {{additions: Array<Object>, conflicts: Array<Object>, identical: number, skipped: number}}
+     *          conflicts: { index, actKey, mine, theirs, diff }
+     */
+    planMerge(existing, incoming) {
+        const indexByAct = new Map();
+        existing.forEach((entry, index) => {
+            if (entry.case_number) indexByAct.set(this.getActKey(entry), index);
+        });
+
+        const plan = { additions: [], conflicts: [], identical: 0, skipped: 0 };
+        const seen = new Set();
+
+        for (const entry of incoming) {
+            if (!entry.case_number) {
+                plan.additions.push(entry);
+                continue;
+            }
+
+            const actKey = this.getActKey(entry);
+            // Повтор акта внутри загружаемого файла
+            if (seen.has(actKey)) {
+                plan.skipped++;
+                continue;
+            }
+            seen.add(actKey);
+
+            if (!indexByAct.has(actKey)) {
+                plan.additions.push(entry);
+                continue;
+            }
+
+            const index = indexByAct.get(actKey);
+            const diff = this.diffEntries(existing[index], entry);
+            if (diff.length === 0) {
+                plan.identical++;
+            } else {
+                plan.conflicts.push({ index, actKey, mine: existing[index], theirs: entry, diff });
+            }
+        }
+
+        console.log(`🔀 План объединения: новых ${plan.additions.length}, конфликтов ${plan.conflicts.length}, совпадает ${plan.identical}`);
+        return plan;
+    },
+
+    // ========================================================================
+    // ОБОГАЩЕНИЕ LLM (схема decision_analysis_prompt.txt)
+    // ========================================================================
+
+    ENRICHMENT_PARTY_TYPES: [
+        'физлицо',
+        'ИП',
+        'юрлицо - потребитель',
+        'управляющая компания',
+        'юрлицо - контрагент',
+        'юрлицо - ресурсоснабжающая компания'
+    ],
+
+    ENRICHMENT_VERDICTS: ['удовлетворено', 'отказано', 'частично удовлетворено'],
+
+    /**
+     * Предельное число элементов списков по промпту (превышение — предупреждение, элементы не отбрасываются)
+     */
+    ENRICHMENT_LIMITS: {
+        key_statements_plaintiff: 5,
+        key_statements_defendant: 5,
+        court_resolutions: 5,
+        mentioned_rules: 10
+    },
+
+    /**
+     * Поля, которые меняет обогащение (для touchFields)
+     */
+    ENRICHMENT_FIELDS: ['enrichment', 'enrichment_history', 'metadata.enrichment'],
+
+    // Сколько прежних результатов обогащения хранится для сравнения
+    ENRICHMENT_HISTORY_LIMIT: 3,
+
+    /**
+     * case_id по промпту — номер дела с «-» вместо «/»
+     */
+    toCaseId(caseNumber) {
+        return (caseNumber || '').replace(/\//g, '-');
+    },
+
+    /**
+     * Приводит ответ модели к схеме обогащённого датасета
+     * Типы приводятся (строки, массивы, суммы вида "150 000,50"), отклонения от схемы — в warnings
+     * @param {Object} data - JSON из ответа модели
+     * @param {Object|null} entry - Исходная запись (для сверки case_id)
+     * @returns {{enrichment: Object, warnings: Array<string>}}
+     */
+    normalizeEnrichment(data, entry = null) {
+        const warnings = [];
+        const source = data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+        if (source !== data) warnings.push('Ответ не является JSON-объектом');
+
+        const text = (value) => (value === null || value === undefined ? '' : String(value).trim());
+        const list = (field) => {
+            const value = source[field];
+            if (value === null || value === undefined) return [];
+            if (!Array.isArray(value)) {
+                warnings.push(`${field}: ожидался массив`);
+                return [text(value)].filter(Boolean);
+            }
+            return value.map(item => (typeof item === 'object' && item !== null ? JSON.stringify(item) : text(item))).filter(Boolean);
+        };
+        const amount = (value, field) => {
+            if (typeof value === 'number' && Number.isFinite(value)) return value;
+            if (value === null || value === undefined || value === '') return 0;
+            const parsed = parseFloat(String(value).replace(/[\s\u00a0]/g, '').replace(',', '.').replace(/[^\d.-]/g, ''));
+            if (!Number.isFinite(parsed)) {
+                warnings.push(`${field}: не число («${text(value)}»)`);
+                return 0;
+            }
+            return parsed;
+        };
+        const party = (field) => {
+            const value = source[field] && typeof source[field] === 'object' ? source[field] : {};
+            const result = { name: text(value.name), type: text(value.type) };
+            if (result.type && !this.ENRICHMENT_PARTY_TYPES.includes(result.type)) {
+                warnings.push(`${field}.type: значение «${result.type}» вне списка`);
+            }
+            return result;
+        };
+
+        const claims = source.initial_claims_sum && typeof source.initial_claims_sum === 'object' ? source.initial_claims_sum : {};
+        const verdict = text(source.decision_verdict).toLowerCase();
+        const enrichment = {
+            case_id: text(source.case_id),
+            dispute_summary: text(source.dispute_summary),
+            plaintiff: party('plaintiff'),
+            defendant: party('defendant'),
+            key_statements_plaintiff: list('key_statements_plaintiff'),
+            key_statements_defendant: list('key_statements_defendant'),
+            court_resolutions: list('court_resolutions'),
+            decision_verdict: verdict,
+            initial_claims_sum: {
+                initial_claims: amount(claims.initial_claims, 'initial_claims_sum.initial_claims'),
+                awarded: amount(claims.awarded, 'initial_claims_sum.awarded')
+            },
+            mentioned_rules: list('mentioned_rules'),
+            personal_data: list('personal_data'),
+            q_a: (Array.isArray(source.q_a) ? source.q_a : [])
+                .filter(item => item && typeof item === 'object')
+                .map(item => ({ question: text(item.question), answer: text(item.answer) }))
+                .filter(item => item.question || item.answer)
+        };
+
+        if (!enrichment.dispute_summary) warnings.push('dispute_summary: пусто');
+        if (verdict && !this.ENRICHMENT_VERDICTS.includes(verdict)) {
+            warnings.push(`decision_verdict: значение «${verdict}» вне списка`);
+        }
+        for (const [field, limit] of Object.entries(this.ENRICHMENT_LIMITS)) {
+            if (enrichment[field].length > limit) {
+                warnings.push(`${field}: ${enrichment[field].length} элементов при лимите ${limit}`);
+            }
+        }
+        if (source.q_a !== undefined && !Array.isArray(source.q_a)) warnings.push('q_a: ожидался массив');
+
+        if (entry?.case_number) {
+            const expected = this.toCaseId(entry.case_number);
+            if (!enrichment.case_id) {
+                enrichment.case_id = expected;
+            } else if (enrichment.case_id !== expected) {
+                warnings.push(`case_id «${enrichment.case_id}» не совпадает с номером дела (${expected})`);
+            }
+        }
+
+        return { enrichment, warnings };
+    },
+
+    /**
+     * Записывает результат обогащения: поля схемы — в entry.enrichment, сведения о запуске — в metadata.enrichment
+     * Прежний результат переносится в начало entry.enrichment_history
+     * @param {Object} info - { model, endpoint, enriched_at, attempts, warnings, prompt: { id, name, version, hash } }
+     */
+    setEnrichment(entry, enrichment, info) {
+        if (entry.enrichment) {
+            entry.enrichment_history = [
+                { ...(entry.metadata?.enrichment || {}), enrichment: entry.enrichment },
+                ...(entry.enrichment_history || [])
+            ].slice(0, this.ENRICHMENT_HISTORY_LIMIT);
+        }
+        entry.enrichment = enrichment;
+        entry.metadata = entry.metadata || {};
+        entry.metadata.enrichment = info;
+        return entry;
+    },
+
+    /**
+     * Поля схемы, различающиеся в двух результатах обогащения
+     * @returns {Array<{field: string, before: *, after: *}>}
+     */
+    diffEnrichment(before, after) {
+        const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+        return [...fields]
+            .filter(field => JSON.stringify(before?.[field]) !== JSON.stringify(after?.[field]))
+            .map(field => ({ field, before: before?.[field], after: after?.[field] }));
+    },
+
+    /**
+     * Запись для редактора обогащённого датасета: поля схемы на верхнем уровне, без полного текста
+     */
+    toEnrichedRecord(entry) {
+        const { decision_text, sections, extracted, annotations, related_acts, enrichment, enrichment_history, metadata = {}, ...rest } = entry;
+        const { page_offsets, text_corrections, field_updated_at, ...restMetadata } = metadata;
+        return {
+            ...rest,
+            ...enrichment,
+            metadata: {
+                ...restMetadata,
+                source: 'enriched_legal_dataset',
+                source_dataset: metadata.source || null
+            }
+        };
     }
 };
 
@@ -0,0 +1,335 @@
+/**
+LLM_ENRICHER.JS
+Обогащение записей через OpenAI-совместимый API (llama.cpp, Ollama, vLLM и т.п.): пакеты, ограничение частоты, повторы
+Версия: 1.0
+*/
+
+const LLMEnricher = {
+    /**
+     * Настройки по умолчанию
+     * endpoint — базовый адрес API (…/v1) или полный адрес …/chat/completions
+     * requestsPerMinute — не больше стольких запросов в минуту на все потоки (0 — без ограничения)
+     * maxRetries — повторы после неудачной попытки (сеть, таймаут, 429/5xx, некорректный JSON)
+     * jsonMode — просить сервер вернуть JSON (response_format: json_object)
+     */
+    DEFAULT_SETTINGS: {
+        endpoint: 'http://localhost:11434/v1',
+        model: 'llama3.1',
+        apiKey: '',
+        temperature: 0,
+        maxTokens: 4096,
+        concurrency: 2,
+        requestsPerMinute: 30,
+        maxRetries: 3,
+        timeoutSeconds: 300,
+        jsonMode: true
+    },
+
+    MAX_CONCURRENCY: 8,
+    PROMPT_URL: 'decision_analysis_prompt.txt',
+
+    isCancelled: false,
+    // Запросы и паузы текущего запуска — прерываются при отмене
+    controllers: new Set(),
+    wakeups: new Set(),
+    // Время, раньше которого нельзя отправить следующий запрос (общее для всех потоков)
+    nextRequestAt: 0,
+
+    /**
+     * Настройки с подставленными значениями по умолчанию и приведёнными числами
+     */
+    normalizeSettings(settings = {}) {
+        const merged = { ...this.DEFAULT_SETTINGS, ...settings };
+        const number = (value, fallback, min, max) => {
+            const parsed = Number(value);
+            return Number.isFinite(parsed) ? Math.min(Math.max(parsed, min), max) : fallback;
+        };
+        return {
+            ...merged,
+            endpoint: String(merged.endpoint || '').trim(),
+            model: String(merged.model || '').trim(),
+            temperature: number(merged.temperature, this.DEFAULT_SETTINGS.temperature, 0, 2),
+            maxTokens: Math.round(number(merged.maxTokens, this.DEFAULT_SETTINGS.maxTokens, 1, 131072)),
+            concurrency: Math.round(number(merged.concurrency, this.DEFAULT_SETTINGS.concurrency, 1, this.MAX_CONCURRENCY)),
+            requestsPerMinute: number(merged.requestsPerMinute, this.DEFAULT_SETTINGS.requestsPerMinute, 0, 6000),
+            maxRetries: Math.round(number(merged.maxRetries, this.DEFAULT_SETTINGS.maxRetries, 0, 10)),
+            timeoutSeconds: number(merged.timeoutSeconds, this.DEFAULT_SETTINGS.timeoutSeconds, 5, 3600),
+            jsonMode: merged.jsonMode !== false
+        };
+    },
+
+    getCompletionsUrl(endpoint) {
+        const base = endpoint.replace(/\/+$/, '');
+        return /\/chat\/completions$/.test(base) ? base : `${base}/chat/completions`;
+    },
+
+    /**
+     * Текст промпта без обёртки LEGAL_ANALYST_PROMPT = """...""" из файла
+     */
+    stripPromptWrapper(text) {
+        return text
+            .replace(/^\s*[A-Z_]+\s*=\s*"""/, '')
+            .replace(/"""\s*$/, '')
+            .trim();
+    },
+
+    /**
+     * Загружает промпт decision_analysis_prompt.txt рядом со страницей
+     * Со страницы, открытой как file://, браузер файл не отдаёт — тогда его выбирают вручную
+     */
+    async loadDefaultPrompt() {
+        const response = await fetch(this.PROMPT_URL, { cache: 'no-cache' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return this.stripPromptWrapper(await response.text());
+    },
+
+    /**
+     * Сообщения чата из шаблона промпта (PromptLibrary)
+     * Шаблон с местом для текста акта отправляется одним сообщением пользователя;
+     * иначе шаблон — системное сообщение, а номер, дата и текст акта — сообщение пользователя
+     */
+    buildMessages(prompt, entry) {
+        const rendered = PromptLibrary.render(prompt, entry);
+        if (PromptLibrary.usesDecisionText(prompt)) {
+            return [{ role: 'user', content: rendered }];
+        }
+        return [
+            { role: 'system', content: rendered },
+            {
+                role: 'user',
+                content: `Номер дела: ${entry.case_number || '—'}\nДата акта: ${entry.decision_date || '—'}\n\nТекст судебного акта:\n${entry.decision_text || ''}`
+            }
+        ];
+    },
+
+    /**
+     * Пауза, которую прерывает отмена
+     */
+    sleep(ms) {
+        return new Promise(resolve => {
+            const wakeup = () => {
+                clearTimeout(timer);
+                this.wakeups.delete(wakeup);
+                resolve();
+            };
+            const timer = setTimeout(wakeup, ms);
+            this.wakeups.add(wakeup);
+        });
+    },
+
+    /**
+     * Ждёт своей очереди, чтобы запросы всех потоков шли не чаще requestsPerMinute
+     */
+    async waitForSlot(requestsPerMinute) {
+        if (!requestsPerMinute) return;
+
+        const now = Date.now();
+        const at = Math.max(now, this.nextRequestAt);
+        this.nextRequestAt = at + 60000 / requestsPerMinute;
+        if (at > now) await this.sleep(at - now);
+    },
+
+    /**
+     * Один запрос к /chat/completions
+     * @returns {Promise<{content: string, finishReason: string|null, usage: Object|null}>}
+     * @throws {Error} - error.status (HTTP), error.retryAfter (мс), error.timeout
+     */
+    async request(settings, messages) {
+        const controller = new AbortController();
+        this.controllers.add(controller);
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, settings.timeoutSeconds * 1000);
+
+        const body = {
+            model: settings.model,
+            messages,
+            temperature: settings.temperature,
+            max_tokens: settings.maxTokens
+        };
+        if (settings.jsonMode) body.response_format = { type: 'json_object' };
+
+        try {
+            const response = await fetch(this.getCompletionsUrl(settings.endpoint), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {})
+                },
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                const detail = (await response.text().catch(() => '')).slice(0, 300);
+                const error = new Error(`HTTP ${response.status}${detail ? `: ${detail}` : ''}`);
+                error.status = response.status;
+                const retryAfter = parseFloat(response.headers.get('Retry-After'));
+                if (Number.isFinite(retryAfter)) error.retryAfter = retryAfter * 1000;
+                throw error;
+            }
+
+            const data = await response.json();
+            const choice = data.choices?.[0];
+            const content = choice?.message?.content;
+            if (typeof content !== 'string' || !content.trim()) {
+                const error = new Error('Пустой ответ модели');
+                error.parseError = true;
+                throw error;
+            }
+            return { content, finishReason: choice.finish_reason || null, usage: data.usage || null };
+        } catch (error) {
+            if (timedOut) {
+                const timeoutError = new Error(`Нет ответа за ${settings.timeoutSeconds} с`);
+                timeoutError.timeout = true;
+                throw timeoutError;
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            this.controllers.delete(controller);
+        }
+    },
+
+    /**
+     * Достаёт JSON-объект из ответа модели: без блоков ```json, рассуждений <think> и текста вокруг
+     * @throws {Error} - error.parseError
+     */
+    parseReply(content) {
+        let text = content.replace(/<think>[\s\S]*?<\/think>/gi, '').trim();
+        const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+        if (fenced) text = fenced[1].trim();
+
+        const start = text.indexOf('{');
+        const end = text.lastIndexOf('}');
+        const fail = (message) => {
+            const error = new Error(message);
+            error.parseError = true;
+            return error;
+        };
+        if (start === -1 || end <= start) throw fail('В ответе модели нет JSON-объекта');
+
+        const json = text.slice(start, end + 1);
+        try {
+            return JSON.parse(json);
+        } catch (error) {
+            // Частая ошибка моделей — запятая перед закрывающей скобкой
+            try {
+                return JSON.parse(json.replace(/,\s*([}\]])/g, '$1'));
+            } catch (retryError) {
+                throw fail(`Некорректный JSON в ответе модели: ${error.message}`);
+            }
+        }
+    },
+
+    /**
+     * Стоит ли повторить запрос после ошибки
+     */
+    isRetryable(error) {
+        if (error.timeout || error.parseError) return true;
+        if (error.status) return [408, 409, 425, 429].includes(error.status) || error.status >= 500;
+        // fetch бросает TypeError, если сервер недоступен
+        return error instanceof TypeError;
+    },
+
+    /**
+     * Пауза перед повтором: Retry-After сервера или экспоненциальная с разбросом
+     */
+    getRetryDelay(attempt, error) {
+        if (error.retryAfter) return error.retryAfter;
+        return Math.min(60000, 1000 * 2 ** attempt) + Math.round(Math.random() * 500);
+    },
+
+    /**
+     * Обогащает одну запись с повторами
+     * @param {Function} onStatus - ({ state: 'running'|'retry', attempt, error, delay })
+     * @returns {Promise<{enrichment: Object, warnings: Array<string>, attempts: number, usage: Object|null}>}
+     * @throws {Error} - Последняя ошибка; error.attempts — число попыток
+     */
+    async enrichEntry(entry, prompt, settings, onStatus = () => {}) {
+        const messages = this.buildMessages(prompt, entry);
+        let lastError = null;
+
+        for (let attempt = 1; attempt <= settings.maxRetries + 1; attempt++) {
+            await this.waitForSlot(settings.requestsPerMinute);
+            if (this.isCancelled) break;
+            onStatus({ state: 'running', attempt });
+
+            try {
+                const reply = await this.request(settings, messages);
+                const { enrichment, warnings } = JSONLHandler.normalizeEnrichment(this.parseReply(reply.content), entry);
+                if (reply.finishReason === 'length') {
+                    warnings.push('Ответ обрезан по лимиту токенов — увеличьте max_tokens');
+                }
+                return { enrichment, warnings, attempts: attempt, usage: reply.usage };
+            } catch (error) {
+                lastError = error;
+                if (this.isCancelled || !this.isRetryable(error) || attempt > settings.maxRetries) break;
+
+                const delay = this.getRetryDelay(attempt, error);
+                // 429: сервер перегружен — притормаживают все потоки
+                if (error.status === 429) this.nextRequestAt = Math.max(this.nextRequestAt, Date.now() + delay);
+                onStatus({ state: 'retry', attempt, error, delay });
+                await this.sleep(delay);
+            }
+        }
+
+        const error = this.isCancelled ? new Error('Отменено') : lastError;
+        error.cancelled = this.isCancelled;
+        error.attempts = error.attempts || settings.maxRetries + 1;
+        throw error;
+    },
+
+    /**
+     * Обогащает записи в несколько потоков
+     * @param {Array<{index: number, entry: Object}>} items - Записи с индексами в датасете
+     * @param {Object} options
+     * @param {Object} options.settings - См. DEFAULT_SETTINGS
+     * @param {string} options.prompt - Текст шаблона промпта (подстановки {{...}} заполняются для каждой записи)
+     * @param {Function} options.onStatus - (index, status) ход обработки записи
+     * @param {Function} options.onResult - (index, result) результат enrichEntry или { error }
+     * @returns {Promise<{cancelled: boolean}>}
+     */
+    async run(items, { settings, prompt, onStatus = () => {}, onResult = () => {} }) {
+        const normalized = this.normalizeSettings(settings);
+        const queue = [...items];
+        const size = Math.max(1, Math.min(normalized.concurrency, queue.length));
+
+        this.isCancelled = false;
+        this.nextRequestAt = 0;
+        console.log(`🤖 Обогащение LLM: записей ${items.length}, потоков ${size}, модель ${normalized.model}`);
+
+        const runThread = async () => {
+            while (queue.length > 0 && !this.isCancelled) {
+                const { index, entry } = queue.shift();
+                try {
+                    const result = await this.enrichEntry(entry, prompt, normalized, status => onStatus(index, status));
+                    if (this.isCancelled) break;
+                    onResult(index, result);
+                } catch (error) {
+                    if (error.cancelled) break;
+                    onResult(index, { error });
+                }
+            }
+        };
+
+        await Promise.all(Array.from({ length: size }, runThread));
+        return { cancelled: this.isCancelled };
+    },
+
+    /**
+     * Останавливает запуск: текущие запросы прерываются, записи из очереди не отправляются
+     */
+    cancel() {
+        this.isCancelled = true;
+        this.controllers.forEach(controller => controller.abort());
+        [...this.wakeups].forEach(wakeup => wakeup());
+        console.log('⏹ Обогащение LLM остановлено');
+    }
+};
+
+// Экспорт в глобальный scope
+window.LLMEnricher = LLMEnricher;
+console.log('✅ LLMEnricher загружен и экспортирован');
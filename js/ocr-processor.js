@@ -0,0 +1,119 @@
+/**
+OCR_PROCESSOR.JS
+Распознавание отсканированных страниц PDF в браузере (Tesseract WASM)
+Версия: 1.0
+*/
+
+// Проверка загрузки Tesseract.js
+if (typeof Tesseract === 'undefined') {
+    console.warn('⚠️ OCR_PROCESSOR: Tesseract не загружен — распознавание сканов недоступно');
+}
+
+const OCRProcessor = {
+    /**
+     * Настройки OCR
+     * Worker, ядро WASM и модель rus.traineddata.gz загружаются из lib/tesseract/ (scripts/fetch-tesseract.sh), а не с CDN
+     */
+    config: {
+        lang: 'rus',
+        workerPath: 'lib/tesseract/worker.min.js',
+        // Папка: worker сам выбирает сборку ядра (с SIMD или без)
+        corePath: 'lib/tesseract/',
+        langPath: 'lib/tesseract/',
+        minPageChars: 50,
+        renderScale: 2
+    },
+
+    worker: null,
+    workerPromise: null,
+    // Почему OCR отключён до перезагрузки страницы (например, нет языковой модели)
+    disabledReason: null,
+
+    /**
+     * Проверяет, доступен ли OCR
+     */
+    isAvailable() {
+        return typeof Tesseract !== 'undefined' && !this.disabledReason;
+    },
+
+    /**
+     * Определяет, нужно ли распознавать страницу
+     * Текстовый слой пуст или слишком разрежен (скан, подпись, штамп)
+     */
+    needsOCR(pageText) {
+        const meaningfulChars = (pageText || '').replace(/\s+/g, '').length;
+        return meaningfulChars < this.config.minPageChars;
+    },
+
+    /**
+     * Создаёт (один раз) worker Tesseract с русской моделью
+     */
+    async getWorker() {
+        if (this.worker) return this.worker;
+        if (this.disabledReason) throw new Error(`OCR отключён: ${this.disabledReason}`);
+
+        if (!this.workerPromise) {
+            console.log('🔤 Инициализация OCR (язык:', this.config.lang, ')');
+            this.workerPromise = Tesseract.createWorker(this.config.lang, 1, {
+                workerPath: this.config.workerPath,
+                corePath: this.config.corePath,
+                langPath: this.config.langPath,
+                gzip: true
+            }).then(worker => {
+                this.worker = worker;
+                console.log('✅ OCR готов');
+                return worker;
+            }).catch(error => {
+                this.workerPromise = null;
+                // Следующие попытки завершились бы той же ошибкой — OCR отключается на весь сеанс
+                this.disabledReason = `не удалось загрузить Tesseract или модель ${this.config.langPath}${this.config.lang}.traineddata.gz (${error?.message || error})`;
+                console.warn('⚠️ OCR отключён:', this.disabledReason);
+                throw error;
+            });
+        }
+
+        return this.workerPromise;
+    },
+
+    /**
+     * Распознаёт страницу pdf.js: рендерит её в canvas и передаёт в Tesseract
+     * @returns {Promise<{text: string, confidence: number}>}
+     */
+    async recognizePage(page) {
+        const worker = await this.getWorker();
+
+        const viewport = page.getViewport({ scale: this.config.renderScale });
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil(viewport.width);
+        canvas.height = Math.ceil(viewport.height);
+
+        const context = canvas.getContext('2d');
+        await page.render({ canvasContext: context, viewport }).promise;
+
+        const { data } = await worker.recognize(canvas);
+
+        // Освобождаем память canvas сразу, страниц может быть много
+        canvas.width = 0;
+        canvas.height = 0;
+
+        return {
+            text: data.text || '',
+            confidence: Math.round((data.confidence || 0) * 100) / 100
+        };
+    },
+
+    /**
+     * Завершает worker Tesseract
+     */
+    async terminate() {
+        if (this.worker) {
+            await this.worker.terminate();
+        }
+        this.worker = null;
+        this.workerPromise = null;
+    }
+};
+
+// Экспорт в глобальный scope
+window.OCRProcessor = OCRProcessor;
+console.log('✅ OCRProcessor загружен и экспортирован');
@@ -14,9 +14,13 @@ window.PDFProcessor = null;
 
 const PDFProcessor = {
     /**
-     * Извлекает текст из PDF-файла
+     * Извлекает текст из PDF-файла постранично
+     * Страницы без текстового слоя (сканы) распознаются через OCRProcessor
+     * @returns {Promise<{pages: Array<string>, ocrPages: Array<Object>, sparsePages: Array<number>}>}
+     *          - Тексты страниц (индекс 0 = страница 1), сведения о распознанных страницах
+     *          и номера страниц без текста, которые распознать не удалось
      */
-    async extractText(file) {
+    async extractPages(file) {
         console.log('🔍 Начало извлечения текста из:', file.name);
         
         try {
@@ -29,24 +33,41 @@ const PDFProcessor = {
             
             console.log('✅ PDF загружен, страниц:', pdf.numPages);
             
-            let fullText = [];
+            const pages = [];
+            const ocrPages = [];
+            const sparsePages = [];
+            const canUseOCR = typeof OCRProcessor !== 'undefined' && OCRProcessor.isAvailable();
             
             for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
                 console.log(`📄 Обработка страницы ${pageNum}/${pdf.numPages}`);
                 const page = await pdf.getPage(pageNum);
                 const textContent = await page.getTextContent();
                 
-                const pageText = textContent.items
-                    .map(item => item.str)
-                    .join(' ');
+                let pageText = this.layoutPageText(textContent.items);
+                
+                if (this.isSparsePage(pageText)) {
+                    let recognized = false;
+                    if (canUseOCR && OCRProcessor.isAvailable()) {
+                        console.log(`   🔤 Текстовый слой пуст, запуск OCR...`);
+                        try {
+                            const ocrResult = await OCRProcessor.recognizePage(page);
+                            if (ocrResult.text.trim().length > pageText.trim().length) {
+                                pageText = ocrResult.text;
+                                ocrPages.push({ page: pageNum, confidence: ocrResult.confidence });
+                                recognized = true;
+                            }
+                        } catch (ocrError) {
+                            console.warn(`   ⚠️ Ошибка OCR на странице ${pageNum}:`, ocrError);
+                        }
+                    }
+                    if (!recognized) sparsePages.push(pageNum);
+                }
                 
                 console.log(`   → Извлечено символов: ${pageText.length}`);
-                fullText.push(`--- СТРАНИЦА ${pageNum} ---\n${pageText}\n`);
+                pages.push(pageText);
             }
             
-            const result = fullText.join('\n\n');
-            console.log('✅ Всего извлечено символов:', result.length);
-            return result;
+            return { pages, ocrPages, sparsePages };
             
         } catch (error) {
             console.error('❌ Ошибка при извлечении текста:', error);
@@ -55,13 +76,153 @@ const PDFProcessor = {
         }
     },
 
+    /**
+     * Проверяет, что у страницы пустой или слишком разреженный текстовый слой
+     */
+    isSparsePage(pageText) {
+        if (typeof OCRProcessor !== 'undefined') {
+            return OCRProcessor.needsOCR(pageText);
+        }
+        return (pageText || '').replace(/\s+/g, '').length < 50;
+    },
+
+    /**
+     * Восстанавливает строки и абзацы страницы по координатам элементов pdf.js
+     * Абзацы разделяются переводом строки, переносы строк внутри абзаца склеиваются
+     * @param {Array<Object>} items - textContent.items (str, transform, width, height, hasEOL)
+     * @returns {string} - Текст страницы, один абзац на строку
+     */
+    layoutPageText(items) {
+        const lines = this.groupItemsIntoLines(items);
+        if (lines.length === 0) return '';
+        
+        // Левое поле — минимальный отступ среди длинных строк
+        const longLines = lines.filter(line => line.text.length > 30);
+        const leftMargin = Math.min(...(longLines.length > 0 ? longLines : lines).map(line => line.x));
+        const rightMargin = Math.max(...lines.map(line => line.right));
+        const textWidth = Math.max(rightMargin - leftMargin, 1);
+        
+        const gaps = [];
+        for (let i = 1; i < lines.length; i++) {
+            const gap = lines[i - 1].y - lines[i].y;
+            if (gap > 0) gaps.push(gap);
+        }
+        gaps.sort((a, b) => a - b);
+        const lineSpacing = gaps.length > 0 ? gaps[Math.floor(gaps.length / 2)] : 0;
+        
+        const listMarker = /^(?:\d+(?:\.\d+)*[.)]|[а-яa-z]\)|[-•])\s/i;
+        const paragraphs = [];
+        let current = null;
+        
+        lines.forEach((line, i) => {
+            const prev = lines[i - 1];
+            const indentTolerance = Math.max(line.fontSize, 5);
+            const isListItem = listMarker.test(line.text);
+            
+            let startsParagraph = !current;
+            if (current) {
+                const verticalGap = prev.y - line.y;
+                const prevEndedShort = prev.right < rightMargin - textWidth * 0.15;
+                const isIndented = line.x > leftMargin + indentTolerance;
+                
+                startsParagraph = isListItem
+                    || (lineSpacing > 0 && verticalGap > lineSpacing * 1.6)
+                    || prevEndedShort
+                    // В пункте списка продолжение строки часто выровнено по тексту пункта
+                    || (isIndented && !current.isListItem);
+            }
+            
+            if (startsParagraph) {
+                current = { text: line.text, isListItem };
+                paragraphs.push(current);
+            } else if (/[а-яёa-z]-$/i.test(current.text) && /^[а-яёa-z]/.test(line.text)) {
+                current.text = current.text.slice(0, -1) + line.text;
+            } else {
+                current.text += ' ' + line.text;
+            }
+        });
+        
+        return paragraphs.map(paragraph => paragraph.text).join('\n');
+    },
+
+    /**
+     * Группирует элементы pdf.js в строки по вертикальной координате
+     * @returns {Array<{text: string, x: number, right: number, y: number, fontSize: number}>}
+     *          - Строки сверху вниз
+     */
+    groupItemsIntoLines(items) {
+        const lines = [];
+        // Строка, закрытая флагом hasEOL, не принимает следующие элементы
+        let closedLine = null;
+        
+        for (const item of items) {
+            if (!item.transform) continue;
+            if (!item.str) {
+                if (item.hasEOL) closedLine = lines[lines.length - 1] || null;
+                continue;
+            }
+            
+            const x = item.transform[4];
+            const y = item.transform[5];
+            const fontSize = item.height || Math.hypot(item.transform[2], item.transform[3]) || 10;
+            
+            let line = lines.find(l => l !== closedLine
+                && Math.abs(l.y - y) < Math.min(l.fontSize, fontSize) * 0.5);
+            if (!line) {
+                line = { y, fontSize, items: [] };
+                lines.push(line);
+            }
+            line.items.push({ str: item.str, x, width: item.width || 0, fontSize });
+            closedLine = item.hasEOL ? line : null;
+        }
+        
+        lines.sort((a, b) => b.y - a.y);
+        
+        return lines
+            .map(line => {
+                line.items.sort((a, b) => a.x - b.x);
+                let text = '';
+                let prevEnd = null;
+                
+                for (const item of line.items) {
+                    const gap = prevEnd === null ? 0 : item.x - prevEnd;
+                    if (prevEnd !== null && gap > item.fontSize * 0.2
+                        && !/\s$/.test(text) && !/^\s/.test(item.str)) {
+                        text += ' ';
+                    }
+                    text += item.str;
+                    prevEnd = item.x + item.width;
+                }
+                
+                const first = line.items[0];
+                return {
+                    text: text.replace(/\s+/g, ' ').trim(),
+                    x: first.x,
+                    right: prevEnd,
+                    y: line.y,
+                    fontSize: line.fontSize
+                };
+            })
+            .filter(line => line.text);
+    },
+
+    /**
+     * Извлекает текст из PDF-файла
+     */
+    async extractText(file) {
+        const { pages } = await this.extractPages(file);
+        const result = this.cleanPages(pages).text;
+        console.log('✅ Всего извлечено символов:', result.length);
+        return result;
+    },
+
     /**
      * Очищает текст от артефактов PDF
      */
     cleanText(text) {
         if (!text) return '';
         
-        text = text.replace(/[\x00-\x08\x0b\x0c\x0e-\x1f\x7f-\x9f]/g, '');
+        text = text.replace(/[\x00-\x08\x0b\x0c\x0e-\x1f\x7f-\x9f\u00ad]/g, '');
         text = text.replace(/[ \t]+/g, ' ');
         text = text.replace(/\n\s*\n/g, '\n\n');
         text = text.split('\n').map(line => line.trim()).join('\n').trim();
@@ -80,8 +241,242 @@ const PDFProcessor = {
         return text;
     },
 
+    /**
+     * Шаблоны служебных строк, которые не относятся к тексту решения:
+     * номера страниц, штамп электронной подписи и подпись к QR-коду kad.arbitr
+     */
+    BOILERPLATE_PATTERNS: {
+        pageNumber: /^(?:-\s*)?\d{1,3}(?:\s*-)?$|^(?:страница|стр\.)\s*\d+(?:\s*(?:из|\/)\s*\d+)?$/i,
+        signatureStamp: /^(?:Электронная подпись действительна\.?|Данные ЭП:.*|Удостоверяющий центр.*|Дата\s+\d{2}\.\d{2}\.\d{4}\s+\d{1,2}:\d{2}:\d{2}|Кому выдана\s+.*)$/i,
+        inlineStamp: /Электронная подпись действительна\.?\s*Данные ЭП:[\s\S]*?Кому выдана\s+[А-ЯЁ][а-яё-]+(?:\s+[А-ЯЁ][а-яё-]+){0,2}/g
+    },
+
+    /**
+     * Приводит строку к виду для сравнения между страницами:
+     * цифры заменяются, чтобы "Страница 2" и "Страница 3" считались одной строкой
+     */
+    normalizeRepeatedLine(line) {
+        return line.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+    },
+
+    /**
+     * Находит строки, повторяющиеся на большинстве страниц (колонтитулы, адрес суда)
+     * @returns {Set<string>} - Нормализованные повторяющиеся строки
+     */
+    detectRepeatedLines(pages) {
+        const repeated = new Set();
+        if (pages.length < 2) return repeated;
+        
+        const pageCounts = new Map();
+        for (const pageText of pages) {
+            const seen = new Set();
+            for (const line of pageText.split('\n')) {
+                const normalized = this.normalizeRepeatedLine(line);
+                // Короткие строки без букв ("1.", "-") — не колонтитулы, а часть текста
+                if (normalized.length > 200 || (normalized.match(/[а-яёa-z]/g) || []).length < 4) continue;
+                seen.add(normalized);
+            }
+            seen.forEach(line => pageCounts.set(line, (pageCounts.get(line) || 0) + 1));
+        }
+        
+        const threshold = Math.max(2, Math.ceil(pages.length / 2));
+        pageCounts.forEach((count, line) => {
+            if (count >= threshold) repeated.add(line);
+        });
+        
+        return repeated;
+    },
+
+    /**
+     * Удаляет колонтитулы, номера страниц и штампы, склеивает страницы
+     * Первое вхождение повторяющейся строки остаётся: на первой странице это наименование суда в шапке
+     * Границы страниц сохраняются как смещения в итоговом тексте, а не как строки-маркеры
+     * @returns {{text: string, pageOffsets: Array<{page: number, start: number, end: number}>, removedLines: number}}
+     */
+    cleanPages(pages) {
+        const repeated = this.detectRepeatedLines(pages);
+        const keptRepeated = new Set();
+        const patterns = this.BOILERPLATE_PATTERNS;
+        let removedLines = 0;
+        
+        const cleanedPages = pages.map(pageText => {
+            const lines = pageText.replace(patterns.inlineStamp, '').split('\n');
+            const lastIndex = lines.length - 1;
+            
+            const kept = lines.filter((line, i) => {
+                const trimmed = line.trim();
+                if (!trimmed) return true;
+                
+                const isEdgeLine = i < 2 || i > lastIndex - 2;
+                if ((isEdgeLine && patterns.pageNumber.test(trimmed)) || patterns.signatureStamp.test(trimmed)) {
+                    removedLines++;
+                    return false;
+                }
+                
+                const normalized = this.normalizeRepeatedLine(trimmed);
+                if (repeated.has(normalized)) {
+                    if (!keptRepeated.has(normalized)) {
+                        keptRepeated.add(normalized);
+                        return true;
+                    }
+                    removedLines++;
+                    return false;
+                }
+                return true;
+            });
+            
+            return this.cleanText(kept.join('\n'));
+        });
+        
+        const pageOffsets = [];
+        const parts = [];
+        let offset = 0;
+        
+        cleanedPages.forEach((pageText, i) => {
+            if (parts.length > 0 && pageText) offset += 2;
+            pageOffsets.push({ page: i + 1, start: offset, end: offset + pageText.length });
+            if (pageText) {
+                parts.push(pageText);
+                offset += pageText.length;
+            }
+        });
+        
+        if (removedLines > 0) {
+            console.log(`🧹 Удалено служебных строк: ${removedLines}`);
+        }
+        
+        return {
+            text: this.rejoinHyphenated(parts.join('\n\n'), pageOffsets),
+            pageOffsets,
+            removedLines
+        };
+    },
+
+    /**
+     * Первые части составных слов и частицы, дефис при которых — часть слова, а не перенос
+     * ("северо-западный", "жилищно-коммунальных", "какой-либо")
+     */
+    COMPOUND_PREFIXES: ['северо', 'юго', 'жилищно', 'финансово', 'социально', 'материально', 'технически', 'научно',
+        'торгово', 'административно', 'гражданско', 'уголовно', 'санитарно', 'ремонтно', 'строительно', 'проектно',
+        'опытно', 'учебно', 'военно', 'топливно', 'кое'],
+    COMPOUND_PARTICLES: ['то', 'либо', 'нибудь', 'таки'],
+
+    /**
+     * Склеивает слова, перенесённые через дефис на границе строк или страниц
+     * ("тепло-\nвой" → "тепловой"); у составных слов дефис остаётся ("северо-\nзападный" → "северо-западный")
+     * Смещения страниц корректируются на месте
+     */
+    rejoinHyphenated(text, pageOffsets = []) {
+        const hyphenBreak = /([А-ЯЁA-Zа-яёa-z]*[а-яёa-z])-[ \t]*\n+[ \t]*(?=([а-яёa-z]+))/g;
+        let result = '';
+        let lastIndex = 0;
+        let removedBefore = [];
+        
+        for (const match of text.matchAll(hyphenBreak)) {
+            const isCompound = this.COMPOUND_PREFIXES.includes(match[1].toLowerCase())
+                || this.COMPOUND_PARTICLES.includes(match[2]);
+            const cutStart = match.index + match[1].length + (isCompound ? 1 : 0);
+            const cutEnd = match.index + match[0].length;
+            result += text.slice(lastIndex, cutStart);
+            lastIndex = cutEnd;
+            removedBefore.push({ position: cutStart, length: cutEnd - cutStart });
+        }
+        result += text.slice(lastIndex);
+        
+        const shift = (position) => removedBefore.reduce(
+            (sum, cut) => sum + (cut.position < position ? Math.min(cut.length, position - cut.position) : 0), 0
+        );
+        for (const range of pageOffsets) {
+            range.start -= shift(range.start);
+            range.end -= shift(range.end);
+        }
+        
+        return result;
+    },
+
+    /**
+     * Маркеры начала разделов судебного акта
+     * Буквы в "У С Т А Н О В И Л" и "Р Е Ш И Л" часто набраны вразрядку
+     */
+    SECTION_MARKERS: {
+        findings: /(?<![а-яё])у\s*с\s*т\s*а\s*н\s*о\s*в\s*и\s*л\s*:?/i,
+        reasoning: /(?:исследовав|изучив|рассмотрев|оценив)\s+(?:и\s+оценив\s+)?(?:материалы\s+дела|представленные\s+(?:в\s+материалы\s+дела\s+)?доказательства|доводы)[^.]*?,\s*(?:арбитражный\s+)?суд/i,
+        operative: /(?<![а-яё])(?:р\s*е\s*ш\s*и\s*л|п\s*о\s*с\s*т\s*а\s*н\s*о\s*в\s*и\s*л|о\s*п\s*р\s*е\s*д\s*е\s*л\s*и\s*л)\s*:/gi,
+        signature: /(?<![а-яё])(?:[Сс]удья|[Пп]редседательствующий(?:\s+судья)?)\s+[А-ЯЁ]/g
+    },
+
+    /**
+     * Разбивает очищенный текст решения на стандартные разделы:
+     * header (шапка и сведения о суде), findings ("установил"), reasoning (мотивировка),
+     * operative (резолютивная часть, "решил") и signature (подпись судьи)
+     * @returns {Object} - Разделы; ненайденные разделы — пустые строки
+     */
+    segmentSections(text) {
+        const sections = {
+            header: '',
+            findings: '',
+            reasoning: '',
+            operative: '',
+            signature: ''
+        };
+        
+        if (!text) return sections;
+        
+        // Маркеры страниц встречаются в датасетах, собранных до появления page_offsets
+        const source = text.replace(/^--- СТРАНИЦА \d+ ---$/gm, '');
+        const markers = this.SECTION_MARKERS;
+        
+        const findingsMatch = source.match(markers.findings);
+        const findingsStart = findingsMatch ? findingsMatch.index : -1;
+        
+        // Резолютивная часть — последнее "решил:" / "постановил:" / "определил:"
+        let operativeStart = -1;
+        for (const match of source.matchAll(markers.operative)) {
+            if (match.index > findingsStart) operativeStart = match.index;
+        }
+        
+        // Подпись — последнее упоминание судьи после начала резолютивной части
+        let signatureStart = -1;
+        if (operativeStart !== -1) {
+            for (const match of source.matchAll(markers.signature)) {
+                if (match.index > operativeStart) signatureStart = match.index;
+            }
+        }
+        
+        const bodyStart = findingsStart !== -1 ? findingsStart : 0;
+        const bodyEnd = operativeStart !== -1 ? operativeStart : source.length;
+        
+        if (findingsStart !== -1) {
+            sections.header = source.slice(0, findingsStart);
+        }
+        
+        const body = source.slice(bodyStart, bodyEnd);
+        const reasoningMatch = body.match(markers.reasoning);
+        if (reasoningMatch && reasoningMatch.index > 0) {
+            sections.findings = body.slice(0, reasoningMatch.index);
+            sections.reasoning = body.slice(reasoningMatch.index);
+        } else {
+            sections.findings = body;
+        }
+        
+        if (operativeStart !== -1) {
+            const operativeEnd = signatureStart !== -1 ? signatureStart : source.length;
+            sections.operative = source.slice(operativeStart, operativeEnd);
+            if (signatureStart !== -1) {
+                sections.signature = source.slice(signatureStart);
+            }
+        }
+        
+        for (const key of Object.keys(sections)) {
+            sections[key] = sections[key].replace(/\n{3,}/g, '\n\n').trim();
+        }
+        
+        return sections;
+    },
+
     /**
      * Извлекает информацию о деле из имени файла
+     * Ожидаемый формат: НомерДела_YYYYMMDD_*.pdf
      */
     extractCaseInfo(filename) {
         console.log('🔍 Парсинг имени файла:', filename);
@@ -92,63 +487,299 @@ const PDFProcessor = {
         const result = {
             caseNumber: null,
             decisionDate: null,
-            rawFilename: filename
+            rawFilename: filename,
+            isValid: false,
+            errors: []
         };
 
-        if (parts.length >= 2) {
-            result.caseNumber = parts[0];
-            const dateStr = parts[1];
-            
-            if (dateStr && dateStr.length === 8 && /^\d+$/.test(dateStr)) {
-                result.decisionDate = `${dateStr.slice(0,4)}-${dateStr.slice(4,6)}-${dateStr.slice(6,8)}`;
+        if (parts.length < 2) {
+            result.errors.push('Недостаточно частей в имени файла (ожидается формат: НомерДела_Дата_*.pdf)');
+            return result;
+        }
+        
+        result.caseNumber = parts[0];
+        
+        if (!result.caseNumber || result.caseNumber.length < 5) {
+            result.errors.push(`Некорректный номер дела: "${result.caseNumber}"`);
+            result.caseNumber = null;
+            return result;
+        }
+        
+        const dateStr = parts[1];
+        if (dateStr && dateStr.length === 8 && /^\d+$/.test(dateStr)) {
+            result.decisionDate = `${dateStr.slice(0,4)}-${dateStr.slice(4,6)}-${dateStr.slice(6,8)}`;
+        } else {
+            for (let i = 2; i < parts.length; i++) {
+                const potentialDate = parts[i];
+                if (potentialDate.length === 8 && /^\d+$/.test(potentialDate)) {
+                    result.decisionDate = `${potentialDate.slice(0,4)}-${potentialDate.slice(4,6)}-${potentialDate.slice(6,8)}`;
+                    console.log('✅ Дата найдена в части', i, ':', result.decisionDate);
+                    break;
+                }
             }
             
             if (!result.decisionDate) {
-                for (let i = 2; i < parts.length; i++) {
-                    const potentialDate = parts[i];
-                    if (potentialDate.length === 8 && /^\d+$/.test(potentialDate)) {
-                        result.decisionDate = `${potentialDate.slice(0,4)}-${potentialDate.slice(4,6)}-${potentialDate.slice(6,8)}`;
-                        console.log('✅ Дата найдена в части', i, ':', result.decisionDate);
-                        break;
-                    }
-                }
+                result.errors.push(`Некорректная дата: "${dateStr}" (ожидается формат YYYYMMDD)`);
+                return result;
             }
         }
+        
+        const year = parseInt(result.decisionDate.split('-')[0]);
+        if (year < 2000 || year > 2030) {
+            result.errors.push(`Подозрительный год в дате: ${year}`);
+        }
 
+        result.isValid = true;
         console.log('📋 Результат парсинга:', result);
         return result;
     },
 
+    /**
+     * Месяцы в родительном падеже для разбора дат вида "16 июня 2025 г."
+     */
+    MONTHS_GENITIVE: {
+        'января': '01', 'февраля': '02', 'марта': '03', 'апреля': '04',
+        'мая': '05', 'июня': '06', 'июля': '07', 'августа': '08',
+        'сентября': '09', 'октября': '10', 'ноября': '11', 'декабря': '12'
+    },
+
+    /**
+     * Извлекает номер дела и дату решения из текста первой страницы
+     * Ищет шапку "Дело № А60-49559/2024" и строку с датой "16 июня 2025 г."
+     */
+    extractCaseInfoFromText(text) {
+        const result = {
+            caseNumber: null,
+            decisionDate: null,
+            isValid: false,
+            errors: []
+        };
+        
+        if (!text) {
+            result.errors.push('Текст первой страницы пуст');
+            return result;
+        }
+        
+        // Номер дела: "Дело № А60-49559/2024" (буква А может быть латинской)
+        const caseMatch = text.match(/Дело\s*№\s*([АA]\s*\d{1,2}\s*-\s*\d+\s*\/\s*\d{2,4})/i)
+            || text.match(/№\s*([АA]\d{1,2}-\d+\/\d{2,4})/);
+        if (caseMatch) {
+            result.caseNumber = caseMatch[1].replace(/\s+/g, '').replace(/^A/, 'А');
+        } else {
+            result.errors.push('Номер дела не найден в тексте');
+        }
+        
+        // Дата: приоритет у даты изготовления полного текста, затем первая дата в шапке
+        const monthNames = Object.keys(this.MONTHS_GENITIVE).join('|');
+        const datePattern = `(\\d{1,2})\\s+(${monthNames})\\s+(\\d{4})\\s*(?:г\\.|года)?`;
+        const fullTextMatch = text.match(new RegExp(`изготовлен[а-я]*\\s+(?:в\\s+полном\\s+объеме\\s+)?${datePattern}`, 'i'));
+        const firstDateMatch = text.match(new RegExp(datePattern, 'i'));
+        const dateMatch = fullTextMatch || firstDateMatch;
+        
+        if (dateMatch) {
+            const day = dateMatch[1].padStart(2, '0');
+            const month = this.MONTHS_GENITIVE[dateMatch[2].toLowerCase()];
+            result.decisionDate = `${dateMatch[3]}-${month}-${day}`;
+        } else {
+            const numericMatch = text.match(/\b(\d{2})\.(\d{2})\.(\d{4})\b/);
+            if (numericMatch) {
+                result.decisionDate = `${numericMatch[3]}-${numericMatch[2]}-${numericMatch[1]}`;
+            } else {
+                result.errors.push('Дата решения не найдена в тексте');
+            }
+        }
+        
+        result.isValid = Boolean(result.caseNumber && result.decisionDate);
+        console.log('📋 Результат разбора текста:', result);
+        return result;
+    },
+
+    /**
+     * Сверяет данные из имени файла и из текста
+     * Приоритет у имени файла; при его отсутствии используется текст
+     * @returns {Object} - { caseNumber, decisionDate, source, mismatches }
+     */
+    reconcileCaseInfo(fileInfo, textInfo) {
+        const normalize = (caseNumber) => typeof JSONLHandler !== 'undefined'
+            ? JSONLHandler.normalizeCaseNumber(caseNumber)
+            : caseNumber;
+        
+        // Нераспознанное имя файла (например, "Копия_решения.pdf") не используем вовсе
+        const fromFile = fileInfo.isValid ? fileInfo : { caseNumber: null, decisionDate: null };
+        
+        const result = {
+            caseNumber: fromFile.caseNumber || textInfo.caseNumber,
+            decisionDate: fromFile.decisionDate || textInfo.decisionDate,
+            source: fileInfo.isValid ? 'filename' : 'text',
+            mismatches: []
+        };
+        
+        if (fromFile.caseNumber && textInfo.caseNumber
+            && normalize(fromFile.caseNumber) !== normalize(textInfo.caseNumber)) {
+            result.mismatches.push({
+                field: 'case_number',
+                filename: fromFile.caseNumber,
+                text: textInfo.caseNumber
+            });
+        }
+        
+        if (fromFile.decisionDate && textInfo.decisionDate
+            && fromFile.decisionDate !== textInfo.decisionDate) {
+            result.mismatches.push({
+                field: 'decision_date',
+                filename: fromFile.decisionDate,
+                text: textInfo.decisionDate
+            });
+        }
+        
+        if (result.mismatches.length > 0) {
+            console.warn('⚠️ Расхождение данных имени файла и текста:', result.mismatches);
+        }
+        
+        return result;
+    },
+
+    /**
+     * Виды актов по заголовку шапки (буквы часто набраны вразрядку: "Р Е Ш Е Н И Е")
+     * Дополнительное решение проверяется раньше обычного
+     */
+    DOCUMENT_TITLES: [
+        { type: 'additional_decision', pattern: /^д\s*о\s*п\s*о\s*л\s*н\s*и\s*т\s*е\s*л\s*ь\s*н\s*о\s*е\s+р\s*е\s*ш\s*е\s*н\s*и\s*е(?:\s*№.*)?$/i },
+        { type: 'court_decision', pattern: /^р\s*е\s*ш\s*е\s*н\s*и\s*е(?:\s+\(?резолютивная\s+часть\)?)?(?:\s*№.*)?$/i },
+        { type: 'resolution', pattern: /^п\s*о\s*с\s*т\s*а\s*н\s*о\s*в\s*л\s*е\s*н\s*и\s*е(?:\s*№.*)?$/i },
+        { type: 'ruling', pattern: /^о\s*п\s*р\s*е\s*д\s*е\s*л\s*е\s*н\s*и\s*е(?:\s*№.*)?$/i }
+    ],
+
+    /**
+     * Разновидности определений по формулировке предмета ("об оставлении искового заявления без движения")
+     */
+    RULING_SUBTYPES: [
+        { subtype: 'interim_measures', pattern: /обеспечительн\S*\s+мер/i },
+        { subtype: 'claim_return', pattern: /о\s+возвращении\s+(?:искового\s+)?заявлени|возвратить\s+(?:исковое\s+)?заявление/i },
+        { subtype: 'without_movement', pattern: /без\s+движения/i },
+        { subtype: 'settlement', pattern: /мирово\S*\s+соглашени/i },
+        { subtype: 'termination', pattern: /о\s+прекращении\s+производства|прекратить\s+производство\s+по\s+делу/i }
+    ],
+
+    /**
+     * Инстанция по наименованию суда в шапке; ВС РФ и апелляцию проверяем раньше.
+     * "Арбитражный суд Уральского округа" — кассация; в "автономного округа" перед
+     * словом "округа" стоит не название округа, поэтому такие суды попадают в первую инстанцию
+     */
+    COURT_INSTANCE_PATTERNS: [
+        { instance: 'ВС РФ', pattern: /верховн\S*\s+суд\S*(?:\s+российской\s+федерации)?/i },
+        { instance: 'апелляция', pattern: /(?:[А-ЯЁа-яё\d-]+\s+)?арбитражн\S*\s+апелляционн\S*\s+суд\S*/i },
+        { instance: 'кассация', pattern: /арбитражн\S*\s+суд\S*\s+[А-ЯЁа-яё-]+\s+округа/i },
+        { instance: 'первая', pattern: /арбитражн\S*\s+суд\S*\s+(?:[А-ЯЁа-яё-]+\s+){0,3}?(?:области|края|республики(?:\s+[А-ЯЁа-яё-]+)?|[А-ЯЁа-яё-]+\s+автономного\s+округа|г(?:орода|\.)\s*[А-ЯЁа-яё-]+(?:\s+и\s+[А-ЯЁа-яё-]+\s+области)?)/i },
+        { instance: 'первая', pattern: /арбитражн\S*\s+суд\S*/i }
+    ],
+
+    /**
+     * Определяет вид акта и инстанцию по шапке
+     * @param {string} text - Очищенный текст (достаточно первой страницы)
+     * @returns {Object} - { documentType, documentSubtype, courtInstance, courtName }
+     */
+    classifyDocument(text) {
+        const result = {
+            documentType: 'unknown',
+            documentSubtype: null,
+            courtInstance: null,
+            courtName: null
+        };
+
+        if (!text) return result;
+
+        const header = text.slice(0, 2000);
+        const lines = header.split('\n').map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
+
+        let titleIndex = -1;
+        for (let i = 0; i < lines.length && titleIndex === -1; i++) {
+            const title = this.DOCUMENT_TITLES.find(({ pattern }) => pattern.test(lines[i]));
+            if (title) {
+                result.documentType = title.type;
+                titleIndex = i;
+            }
+        }
+
+        if (result.documentType === 'ruling') {
+            // Предмет определения — в нескольких строках после заголовка
+            const subject = lines.slice(titleIndex + 1, titleIndex + 6).join(' ');
+            const subtype = this.RULING_SUBTYPES.find(({ pattern }) => pattern.test(subject));
+            if (subtype) result.documentSubtype = subtype.subtype;
+        }
+
+        // Наименование суда — в строках шапки до заголовка акта
+        const courtLines = (titleIndex > 0 ? lines.slice(0, titleIndex) : lines.slice(0, 10)).join(' ');
+        for (const { instance, pattern } of this.COURT_INSTANCE_PATTERNS) {
+            const match = courtLines.match(pattern);
+            if (match) {
+                result.courtInstance = instance;
+                result.courtName = match[0].trim();
+                break;
+            }
+        }
+
+        console.log('🏛 Классификация акта:', result);
+        return result;
+    },
+
     /**
      * Полная обработка PDF-файла
      */
     async processFile(file, onProgress = null) {
+        let sparsePages = [];
+        
         try {
             const fileInfo = this.extractCaseInfo(file.name);
             
-            if (!fileInfo.caseNumber || !fileInfo.decisionDate) {
-                throw new Error(`Не удалось извлечь данные из имени файла: ${file.name}`);
-            }
-            
             if (onProgress) onProgress(20, 'Извлечение текста из PDF...');
             
-            const rawText = await this.extractText(file);
+            const extraction = await this.extractPages(file);
+            const { pages, ocrPages } = extraction;
+            sparsePages = extraction.sparsePages;
+            
+            if (onProgress) onProgress(50, 'Поиск номера дела и даты в тексте...');
+            
+            const firstPageText = this.cleanText(pages[0] || '');
+            const textInfo = this.extractCaseInfoFromText(firstPageText);
+            const documentInfo = this.classifyDocument(firstPageText);
+            
+            const caseInfo = this.reconcileCaseInfo(fileInfo, textInfo);
+            
+            if (!caseInfo.caseNumber || !caseInfo.decisionDate) {
+                throw new Error(`Не удалось извлечь номер дела и дату ни из имени файла, ни из текста: ${file.name}`);
+            }
             
             if (onProgress) onProgress(60, 'Очистка текста...');
             
-            const cleanedText = this.cleanText(rawText);
+            const { text: cleanedText, pageOffsets, removedLines } = this.cleanPages(pages);
             
             if (cleanedText.length < 100) {
-                throw new Error('Текст слишком короткий после очистки');
+                const ocrHint = typeof OCRProcessor !== 'undefined' && OCRProcessor.isAvailable()
+                    ? ''
+                    : ' (возможно, это скан, а OCR недоступен)';
+                throw new Error(`Текст слишком короткий после очистки${ocrHint}`);
             }
             
+            if (onProgress) onProgress(80, 'Разбиение на разделы...');
+            
+            const sections = this.segmentSections(cleanedText);
+            
             if (onProgress) onProgress(100, 'Готово!');
             
             return {
                 success: true,
-                caseNumber: fileInfo.caseNumber,
-                decisionDate: fileInfo.decisionDate,
+                caseNumber: caseInfo.caseNumber,
+                decisionDate: caseInfo.decisionDate,
+                caseInfoSource: caseInfo.source,
+                caseInfoMismatches: caseInfo.mismatches,
+                documentInfo: documentInfo,
+                ocrPages: ocrPages,
+                sparsePages: sparsePages,
                 text: cleanedText,
+                sections: sections,
+                pageOffsets: pageOffsets,
+                removedLines: removedLines,
                 filename: file.name,
                 textLength: cleanedText.length
             };
@@ -157,6 +788,7 @@ const PDFProcessor = {
             return {
                 success: false,
                 error: error.message,
+                sparsePages: sparsePages,
                 filename: file.name
             };
         }
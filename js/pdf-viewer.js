@@ -0,0 +1,198 @@
+/**
+PDF_VIEWER.JS
+Просмотр исходного PDF рядом с извлечённым текстом: ленивый рендер страниц pdf.js и синхронная прокрутка
+Версия: 1.0
+*/
+
+const PDFViewer = {
+    // Страницы рендерятся заранее, когда до них остаётся столько пикселей прокрутки
+    PRELOAD_MARGIN: '600px',
+    // После программной прокрутки события scroll не считаются действиями пользователя
+    SYNC_PAUSE_MS: 200,
+
+    container: null,
+    pdf: null,
+    pageElements: [],
+    observer: null,
+    // Номер открытия: результат загрузки прежнего файла отбрасывается
+    loadToken: 0,
+    currentPage: 1,
+    ignoreScrollUntil: 0,
+    onPageChange: null,
+    scrollHandler: null,
+
+    isAvailable() {
+        return typeof pdfjsLib !== 'undefined';
+    },
+
+    /**
+     * Открывает PDF в контейнере: заготовки всех страниц сразу, рендер — по мере прокрутки
+     * @param {HTMLElement} container - Прокручиваемый контейнер
+     * @param {Blob} blob - Файл PDF
+     * @param {Object} options - { onPageChange(page): пользователь прокрутил к другой странице }
+     * @returns {Promise<number>} - Число страниц (0, если открыт другой файл раньше, чем загрузился этот)
+     */
+    async open(container, blob, { onPageChange = null } = {}) {
+        this.close();
+        const token = this.loadToken;
+
+        const pdf = await pdfjsLib.getDocument({ data: await blob.arrayBuffer() }).promise;
+        if (token !== this.loadToken) {
+            pdf.destroy();
+            return 0;
+        }
+
+        this.container = container;
+        this.pdf = pdf;
+        this.onPageChange = onPageChange;
+        this.currentPage = 1;
+        container.innerHTML = '';
+
+        // Размер заготовок — по первой странице, уточняется при рендере
+        const firstPage = await pdf.getPage(1);
+        if (token !== this.loadToken) return 0;
+        const baseViewport = firstPage.getViewport({ scale: 1 });
+        const width = this.getPageWidth();
+        const placeholderHeight = Math.round(width * baseViewport.height / baseViewport.width);
+
+        this.observer = new IntersectionObserver((items) => {
+            items.forEach(item => {
+                if (item.isIntersecting) this.renderPage(parseInt(item.target.dataset.page), token);
+            });
+        }, { root: container, rootMargin: this.PRELOAD_MARGIN });
+
+        for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+            const element = document.createElement('div');
+            element.className = 'pdf-page';
+            element.dataset.page = pageNum;
+            element.style.height = `${placeholderHeight}px`;
+            element.innerHTML = `<span class="pdf-page-number">стр. ${pageNum}</span>`;
+            container.appendChild(element);
+            this.pageElements.push(element);
+            this.observer.observe(element);
+        }
+
+        this.scrollHandler = () => this.handleScroll();
+        container.addEventListener('scroll', this.scrollHandler, { passive: true });
+
+        console.log(`🖼 PDF открыт для просмотра: страниц ${pdf.numPages}`);
+        return pdf.numPages;
+    },
+
+    /**
+     * Закрывает документ и освобождает canvas
+     */
+    close() {
+        this.loadToken++;
+        if (this.observer) this.observer.disconnect();
+        if (this.container && this.scrollHandler) {
+            this.container.removeEventListener('scroll', this.scrollHandler);
+        }
+        this.pageElements.forEach(element => {
+            const canvas = element.querySelector('canvas');
+            if (canvas) {
+                canvas.width = 0;
+                canvas.height = 0;
+            }
+        });
+        if (this.pdf) this.pdf.destroy();
+
+        this.container = null;
+        this.pdf = null;
+        this.pageElements = [];
+        this.observer = null;
+        this.onPageChange = null;
+        this.scrollHandler = null;
+    },
+
+    isOpen() {
+        return this.pdf !== null;
+    },
+
+    getPageWidth() {
+        // Отступы контейнера и рамка страницы
+        return Math.max(200, this.container.clientWidth - 24);
+    },
+
+    /**
+     * Рендерит страницу в canvas (один раз) с учётом плотности пикселей экрана
+     */
+    async renderPage(pageNum, token) {
+        const element = this.pageElements[pageNum - 1];
+        if (!element || element.dataset.rendered) return;
+        element.dataset.rendered = 'pending';
+
+        try {
+            const page = await this.pdf.getPage(pageNum);
+            if (token !== this.loadToken) return;
+
+            const width = this.getPageWidth();
+            const scale = width / page.getViewport({ scale: 1 }).width;
+            const viewport = page.getViewport({ scale: scale * (window.devicePixelRatio || 1) });
+
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.ceil(viewport.width);
+            canvas.height = Math.ceil(viewport.height);
+            canvas.style.width = `${width}px`;
+
+            await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+            if (token !== this.loadToken) return;
+
+            // Высота страницы могла отличаться от заготовки — прокрутка не должна прыгать
+            const before = element.offsetHeight;
+            element.style.height = '';
+            element.appendChild(canvas);
+            const delta = element.offsetHeight - before;
+            if (delta !== 0 && element.offsetTop < this.container.scrollTop) {
+                this.ignoreScrollUntil = Date.now() + this.SYNC_PAUSE_MS;
+                this.container.scrollTop += delta;
+            }
+            element.dataset.rendered = 'done';
+        } catch (error) {
+            console.warn(`⚠️ Не удалось отрисовать страницу ${pageNum}:`, error);
+            element.dataset.rendered = '';
+        }
+    },
+
+    /**
+     * Страница, занимающая верхнюю треть контейнера
+     */
+    getVisiblePage() {
+        if (!this.container) return null;
+
+        const line = this.container.getBoundingClientRect().top + this.container.clientHeight / 3;
+        let visible = 1;
+        for (const element of this.pageElements) {
+            if (element.getBoundingClientRect().top > line) break;
+            visible = parseInt(element.dataset.page);
+        }
+        return visible;
+    },
+
+    /**
+     * Прокручивает к странице, не сообщая об этом onPageChange (чтобы синхронизация не зациклилась)
+     */
+    scrollToPage(pageNum) {
+        const element = this.pageElements[pageNum - 1];
+        if (!element) return;
+
+        this.ignoreScrollUntil = Date.now() + this.SYNC_PAUSE_MS;
+        this.currentPage = pageNum;
+        const offset = element.getBoundingClientRect().top - this.container.getBoundingClientRect().top;
+        this.container.scrollTop += offset - 8;
+    },
+
+    handleScroll() {
+        if (Date.now() < this.ignoreScrollUntil) return;
+
+        const page = this.getVisiblePage();
+        if (page && page !== this.currentPage) {
+            this.currentPage = page;
+            if (this.onPageChange) this.onPageChange(page);
+        }
+    }
+};
+
+// Экспорт в глобальный scope
+window.PDFViewer = PDFViewer;
+console.log('✅ PDFViewer загружен и экспортирован');
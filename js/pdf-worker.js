@@ -0,0 +1,37 @@
+/**
+PDF_WORKER.JS
+Web Worker: извлечение и очистка текста PDF вне основного потока
+Версия: 1.0
+*/
+
+// pdf-processor.js экспортирует объект через window — в воркере это self
+self.window = self;
+
+importScripts('https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js');
+pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+
+importScripts('jsonl-handler.js', 'pdf-processor.js');
+
+/**
+ * Сообщения:
+ *   → { type: 'process', id, file }
+ *   ← { type: 'progress', id, percent, message }
+ *   ← { type: 'result', id, result }
+ * OCR в воркере недоступен (нужен canvas), поэтому файлы со сканированными
+ * страницами возвращаются с needsMainThread и обрабатываются в основном потоке
+ */
+self.onmessage = async (event) => {
+    const { type, id, file } = event.data || {};
+    if (type !== 'process') return;
+
+    const result = await PDFProcessor.processFile(file, (percent, message) => {
+        self.postMessage({ type: 'progress', id, percent, message });
+    });
+
+    if (result.sparsePages?.length > 0) {
+        result.success = false;
+        result.needsMainThread = true;
+    }
+
+    self.postMessage({ type: 'result', id, result });
+};
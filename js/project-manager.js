@@ -0,0 +1,175 @@
+/**
+PROJECT_MANAGER.JS
+Реестр именованных проектов (датасетов) сборщика
+Версия: 1.0
+*/
+
+const ProjectManager = {
+    // Ключ основного проекта совпадает с прежним единственным датасетом — переносить данные не нужно
+    BASE_KEY: 'court_dataset_builder',
+    REGISTRY_KEY: 'court_dataset_builder__projects',
+    DEFAULT_PROJECT_ID: 'default',
+    DEFAULT_PROJECT_NAME: 'Основной датасет',
+
+    projects: [],
+    activeProjectId: null,
+
+    /**
+     * Загружает реестр проектов; при первом запуске создаёт основной проект
+     */
+    async load() {
+        const saved = await DatasetStorage.loadState(this.REGISTRY_KEY);
+
+        if (saved && Array.isArray(saved.projects) && saved.projects.length > 0) {
+            this.projects = saved.projects;
+            this.activeProjectId = this.getProject(saved.activeProjectId)
+                ? saved.activeProjectId
+                : this.projects[0].id;
+            return;
+        }
+
+        this.projects = [{
+            id: this.DEFAULT_PROJECT_ID,
+            name: this.DEFAULT_PROJECT_NAME,
+            created_at: new Date().toISOString()
+        }];
+        this.activeProjectId = this.DEFAULT_PROJECT_ID;
+        await this.saveRegistry();
+    },
+
+    /**
+     * Сохраняет реестр проектов
+     */
+    saveRegistry() {
+        return DatasetStorage.saveState(this.REGISTRY_KEY, {
+            projects: this.projects,
+            activeProjectId: this.activeProjectId
+        });
+    },
+
+    /**
+     * Ключ датасета проекта в DatasetStorage
+     */
+    datasetKey(projectId = this.activeProjectId) {
+        return projectId === this.DEFAULT_PROJECT_ID ? this.BASE_KEY : `${this.BASE_KEY}:${projectId}`;
+    },
+
+    /**
+     * Ключ истории изменений проекта
+     */
+    historyKey(projectId = this.activeProjectId) {
+        return `${this.datasetKey(projectId)}__history`;
+    },
+
+    getProject(projectId) {
+        return this.projects.find(project => project.id === projectId) || null;
+    },
+
+    getActiveProject() {
+        return this.getProject(this.activeProjectId);
+    },
+
+    /**
+     * Проверяет название проекта: непустое и уникальное
+     * @throws {Error} - Сообщение для пользователя
+     */
+    validateName(name, exceptId = null) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            throw new Error('Название проекта не может быть пустым');
+        }
+        const duplicate = this.projects.find(project =>
+            project.id !== exceptId && project.name.toLowerCase() === trimmed.toLowerCase()
+        );
+        if (duplicate) {
+            throw new Error(`Проект "${trimmed}" уже существует`);
+        }
+        return trimmed;
+    },
+
+    generateId() {
+        return `p_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+    },
+
+    /**
+     * Создаёт пустой проект
+     * @returns {Promise<Object>} - Новый проект
+     */
+    async create(name) {
+        const project = {
+            id: this.generateId(),
+            name: this.validateName(name),
+            created_at: new Date().toISOString()
+        };
+
+        this.projects.push(project);
+        await this.saveRegistry();
+        console.log(`📁 Создан проект "${project.name}"`);
+        return project;
+    },
+
+    /**
+     * Переименовывает проект
+     */
+    async rename(projectId, name) {
+        const project = this.getProject(projectId);
+        if (!project) throw new Error('Проект не найден');
+
+        project.name = this.validateName(name, projectId);
+        await this.saveRegistry();
+        console.log(`✏️ Проект переименован в "${project.name}"`);
+        return project;
+    },
+
+    /**
+     * Создаёт копию проекта вместе с записями, processedFiles и настройками
+     */
+    async duplicate(projectId, name) {
+        if (!this.getProject(projectId)) throw new Error('Проект не найден');
+
+        const copy = {
+            id: this.generateId(),
+            name: this.validateName(name),
+            created_at: new Date().toISOString()
+        };
+
+        await DatasetStorage.copyDataset(this.datasetKey(projectId), this.datasetKey(copy.id));
+        this.projects.push(copy);
+        await this.saveRegistry();
+        console.log(`📄 Проект скопирован в "${copy.name}"`);
+        return copy;
+    },
+
+    /**
+     * Удаляет проект и его датасет
+     * Единственный проект удалить нельзя; при удалении активного активным становится первый оставшийся
+     */
+    async remove(projectId) {
+        if (!this.getProject(projectId)) throw new Error('Проект не найден');
+        if (this.projects.length === 1) {
+            throw new Error('Нельзя удалить единственный проект');
+        }
+
+        await DatasetStorage.deleteDataset(this.datasetKey(projectId));
+        await HistoryManager.deleteStorage(this.historyKey(projectId));
+        this.projects = this.projects.filter(project => project.id !== projectId);
+        if (this.activeProjectId === projectId) {
+            this.activeProjectId = this.projects[0].id;
+        }
+        await this.saveRegistry();
+        console.log('🗑 Проект удалён:', projectId);
+    },
+
+    /**
+     * Делает проект активным
+     */
+    async setActive(projectId) {
+        if (!this.getProject(projectId)) throw new Error('Проект не найден');
+        this.activeProjectId = projectId;
+        await this.saveRegistry();
+    }
+};
+
+// Экспорт в глобальный scope
+window.ProjectManager = ProjectManager;
+console.log('✅ ProjectManager загружен и экспортирован');
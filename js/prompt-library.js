@@ -0,0 +1,235 @@
+/**
+PROMPT_LIBRARY.JS
+Библиотека промптов для обогащения LLM: шаблоны с подстановками {{...}} и неизменяемыми версиями
+Версия: 1.0
+*/
+
+const PromptLibrary = {
+    // {{case_number}}, {{ sections.operative }}
+    PLACEHOLDER_PATTERN: /\{\{\s*([a-zA-Z_][\w.]*)\s*\}\}/g,
+
+    /**
+     * Переменные шаблона (sections.* — разделы PDFProcessor.segmentSections)
+     */
+    VARIABLES: {
+        case_number: 'Номер дела',
+        decision_date: 'Дата акта',
+        decision_text: 'Полный текст акта',
+        court_name: 'Суд',
+        document_type: 'Вид акта',
+        court_instance: 'Инстанция',
+        'sections.header': 'Шапка',
+        'sections.findings': 'Установил',
+        'sections.reasoning': 'Мотивировка',
+        'sections.operative': 'Резолютивная часть',
+        'sections.signature': 'Подпись'
+    },
+
+    // Шаблон, созданный из decision_analysis_prompt.txt
+    DEFAULT_TEMPLATE_ID: 'legal_analyst',
+    DEFAULT_TEMPLATE_NAME: 'Юридический аналитик',
+    // Подставляется после текста промпта из файла: в файле нет мест для данных акта
+    DEFAULT_TEMPLATE_TAIL: '\n\nНомер дела: {{case_number}}\nДата акта: {{decision_date}}\n\nТекст судебного акта:\n{{decision_text}}',
+
+    createLibrary() {
+        return { templates: [], selected: null };
+    },
+
+    /**
+     * Имена подстановок шаблона без повторов
+     */
+    getPlaceholders(text) {
+        return [...new Set([...(text || '').matchAll(this.PLACEHOLDER_PATTERN)].map(match => match[1]))];
+    },
+
+    /**
+     * Подстановки, которых нет в VARIABLES (вероятно, опечатки)
+     */
+    getUnknownPlaceholders(text) {
+        return this.getPlaceholders(text).filter(name => !(name in this.VARIABLES));
+    },
+
+    /**
+     * Есть ли в шаблоне место для текста акта (полного или раздела)
+     */
+    usesDecisionText(text) {
+        return this.getPlaceholders(text).some(name => name === 'decision_text' || name.startsWith('sections.'));
+    },
+
+    /**
+     * Значения переменных для записи
+     */
+    buildContext(entry) {
+        return {
+            case_number: entry.case_number || '',
+            decision_date: entry.decision_date || '',
+            decision_text: entry.decision_text || '',
+            court_name: entry.metadata?.court_name || '',
+            document_type: entry.metadata?.document_type || '',
+            court_instance: entry.metadata?.court_instance || '',
+            sections: entry.sections || {}
+        };
+    },
+
+    /**
+     * Подставляет значения записи; неизвестные и пустые переменные заменяются пустой строкой
+     */
+    render(text, entry) {
+        const context = this.buildContext(entry);
+        return (text || '').replace(this.PLACEHOLDER_PATTERN, (match, name) => {
+            const value = name.split('.').reduce((object, key) => (object && typeof object === 'object' ? object[key] : undefined), context);
+            return value === undefined || value === null ? '' : String(value);
+        });
+    },
+
+    // ========================================================================
+    // ШАБЛОНЫ И ВЕРСИИ
+    // ========================================================================
+
+    getTemplate(library, id) {
+        return library.templates.find(template => template.id === id) || null;
+    },
+
+    getVersion(template, version) {
+        return template?.versions.find(item => item.version === version) || null;
+    },
+
+    getLatestVersion(template) {
+        return template?.versions[template.versions.length - 1] || null;
+    },
+
+    /**
+     * Выбранная версия: { template, version } или null
+     */
+    getSelected(library) {
+        const template = this.getTemplate(library, library.selected?.id);
+        const version = this.getVersion(template, library.selected?.version);
+        return template && version ? { template, version } : null;
+    },
+
+    select(library, id, version) {
+        library.selected = { id, version };
+        return library;
+    },
+
+    /**
+     * Новый шаблон с первой версией; становится выбранным
+     */
+    createTemplate(library, name, text, note = '', id = null) {
+        const template = {
+            id: id || `prompt_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name: name.trim() || 'Без названия',
+            versions: []
+        };
+        library.templates.push(template);
+        this.addVersion(library, template, text, note);
+        return template;
+    },
+
+    /**
+     * Сохраняет текст как новую версию шаблона; прежние версии не меняются
+     * Если такой текст уже есть в одной из версий, новая не создаётся, а выбирается существующая
+     * @returns {Object|null} - Новая версия или null, если такой текст уже сохранён
+     */
+    addVersion(library, template, text, note = '', timestamp = new Date().toISOString()) {
+        const hash = TextCorrections.hashText(text);
+        const existing = template.versions.find(version => version.hash === hash);
+        if (existing) {
+            this.select(library, template.id, existing.version);
+            return null;
+        }
+
+        const latest = this.getLatestVersion(template);
+        const version = {
+            version: (latest?.version || 0) + 1,
+            text,
+            hash,
+            note: note.trim(),
+            created_at: timestamp
+        };
+        template.versions.push(version);
+        this.select(library, template.id, version.version);
+        return version;
+    },
+
+    /**
+     * Ссылка на версию, которая сохраняется в metadata.enrichment.prompt
+     */
+    describeVersion(template, version) {
+        return {
+            id: template.id,
+            name: template.name,
+            version: version.version,
+            hash: version.hash
+        };
+    },
+
+    /**
+     * Короткая подпись версии: «Юридический аналитик v2»
+     */
+    formatRef(ref) {
+        return ref ? `${ref.name || ref.id} v${ref.version}` : '—';
+    },
+
+    /**
+     * Получена ли запись выбранной версией промпта (сравнение по хэшу текста: версия могла прийти из чужой библиотеки)
+     */
+    isProducedBy(entry, version) {
+        return entry.metadata?.enrichment?.prompt?.hash === version.hash;
+    },
+
+    /**
+     * Число обогащённых записей по версиям промпта
+     * @returns {Map<string, number>} - Хэш текста версии → число записей
+     */
+    countByVersion(entries) {
+        const counts = new Map();
+        entries.forEach(entry => {
+            const hash = entry.enrichment ? entry.metadata?.enrichment?.prompt?.hash : null;
+            if (hash) counts.set(hash, (counts.get(hash) || 0) + 1);
+        });
+        return counts;
+    },
+
+    /**
+     * Добавляет шаблоны из файла библиотеки: новые — целиком, у существующих — версии с ещё не известным текстом
+     * Выбранная версия не меняется
+     * @returns {{templates: number, versions: number}} - Сколько добавлено
+     */
+    importLibrary(library, imported) {
+        const added = { templates: 0, versions: 0 };
+        const selected = library.selected;
+
+        for (const source of imported?.templates || []) {
+            if (!source?.id || !Array.isArray(source.versions)) continue;
+            const versions = source.versions.filter(version => typeof version?.text === 'string' && version.text.trim());
+            // Шаблон без единой версии нельзя выбрать
+            if (versions.length === 0) continue;
+
+            let template = this.getTemplate(library, source.id);
+            const isNew = !template;
+            if (isNew) {
+                template = { id: source.id, name: source.name || source.id, versions: [] };
+                library.templates.push(template);
+                added.templates++;
+            }
+            for (const version of versions) {
+                const note = isNew
+                    ? version.note || ''
+                    : [`импорт: v${version.version}`, version.note].filter(Boolean).join(', ');
+                if (this.addVersion(library, template, version.text, note, version.created_at)) added.versions++;
+            }
+        }
+
+        library.selected = selected;
+        const fallback = library.templates.find(template => template.versions.length > 0);
+        if (!this.getSelected(library) && fallback) {
+            this.select(library, fallback.id, this.getLatestVersion(fallback).version);
+        }
+        return added;
+    }
+};
+
+// Экспорт в глобальный scope
+window.PromptLibrary = PromptLibrary;
+console.log('✅ PromptLibrary загружен и экспортирован');
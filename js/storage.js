@@ -0,0 +1,346 @@
+/**
+STORAGE.JS
+Хранилище датасетов в IndexedDB (общее для сборщика и редактора)
+Версия: 1.0
+*/
+
+const DatasetStorage = {
+    DB_NAME: 'court_dataset_storage',
+    DB_VERSION: 2,
+    ENTRIES_STORE: 'entries',
+    STATE_STORE: 'state',
+    // Исходные PDF записей (по желанию пользователя): { dataset, filename, blob }
+    PDFS_STORE: 'pdfs',
+
+    db: null,
+    dbPromise: null,
+    // Сохранения выполняются строго по очереди, чтобы полная перезапись не перемешалась
+    writeQueue: Promise.resolve(),
+
+    /**
+     * Проверяет поддержку IndexedDB
+     */
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    },
+
+    /**
+     * Проверяет, что ошибка вызвана переполнением квоты хранилища
+     */
+    isQuotaError(error) {
+        if (!error) return false;
+        return error.name === 'QuotaExceededError'
+            || error.name === 'NS_ERROR_DOM_QUOTA_REACHED'
+            || error.code === 22
+            || /quota/i.test(error.message || '');
+    },
+
+    /**
+     * Понятное пользователю сообщение об ошибке хранилища
+     */
+    describeError(error) {
+        if (this.isQuotaError(error)) {
+            return '❌ Недостаточно места в хранилище браузера: изменения НЕ сохранены. ' +
+                'Скачайте датасет в JSONL и освободите место (очистите данные сайта или удалите ненужные датасеты).';
+        }
+        return `❌ Не удалось сохранить данные в хранилище браузера: ${error?.message || error}`;
+    },
+
+    /**
+     * Открывает базу данных (один раз)
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.ENTRIES_STORE)) {
+                    // Одна запись датасета = одна запись IndexedDB
+                    db.createObjectStore(this.ENTRIES_STORE, { keyPath: ['dataset', 'position'] });
+                }
+                if (!db.objectStoreNames.contains(this.STATE_STORE)) {
+                    db.createObjectStore(this.STATE_STORE, { keyPath: 'dataset' });
+                }
+                if (!db.objectStoreNames.contains(this.PDFS_STORE)) {
+                    db.createObjectStore(this.PDFS_STORE, { keyPath: ['dataset', 'filename'] });
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                console.log('✅ IndexedDB открыта:', this.DB_NAME);
+                resolve(this.db);
+            };
+
+            request.onerror = () => {
+                this.dbPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return this.dbPromise;
+    },
+
+    /**
+     * Диапазон ключей записей датасета (по умолчанию — всех)
+     * @param {number} from - Первая позиция диапазона
+     */
+    datasetRange(datasetKey, from = 0) {
+        return IDBKeyRange.bound([datasetKey, from], [datasetKey, Infinity]);
+    },
+
+    /**
+     * Диапазон ключей всех PDF датасета (массив в IndexedDB больше любой строки)
+     */
+    pdfRange(datasetKey) {
+        return IDBKeyRange.bound([datasetKey, ''], [datasetKey, []], false, true);
+    },
+
+    /**
+     * Оборачивает транзакцию в Promise
+     */
+    transactionDone(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Транзакция прервана'));
+        });
+    },
+
+    /**
+     * Ставит операцию записи в очередь
+     */
+    enqueueWrite(operation) {
+        const result = this.writeQueue.then(operation);
+        this.writeQueue = result.catch(() => {});
+        return result;
+    },
+
+    /**
+     * Полностью сохраняет датасет: записи и состояние приложения
+     * @param {string} datasetKey - Ключ датасета (например, 'court_dataset_builder')
+     * @param {Array<Object>} entries - Записи датасета
+     * @param {Object} state - Прочее состояние (processedFiles, настройки и т.п.)
+     */
+    saveDataset(datasetKey, entries, state = {}) {
+        return this.saveDatasetFrom(datasetKey, entries, 0, state);
+    },
+
+    /**
+     * Сохраняет записи начиная с позиции from и состояние; записи до from не перезаписываются
+     * Для добавления и удаления записей: перезаписывается только сдвинувшийся хвост датасета
+     * @param {number} from - Первая изменённая позиция (entries.length — только состояние и число записей)
+     */
+    saveDatasetFrom(datasetKey, entries, from, state = {}) {
+        return this.enqueueWrite(async () => {
+            const db = await this.open();
+            const transaction = db.transaction([this.ENTRIES_STORE, this.STATE_STORE], 'readwrite');
+            const entriesStore = transaction.objectStore(this.ENTRIES_STORE);
+
+            entriesStore.delete(this.datasetRange(datasetKey, from));
+            for (let position = from; position < entries.length; position++) {
+                entriesStore.put({ dataset: datasetKey, position, data: entries[position] });
+            }
+            transaction.objectStore(this.STATE_STORE).put({
+                ...state,
+                dataset: datasetKey,
+                entryCount: entries.length,
+                savedAt: new Date().toISOString()
+            });
+
+            await this.transactionDone(transaction);
+        });
+    },
+
+    /**
+     * Сохраняет одну запись без перезаписи всего датасета
+     */
+    saveEntry(datasetKey, position, entry) {
+        return this.enqueueWrite(async () => {
+            const db = await this.open();
+            const transaction = db.transaction(this.ENTRIES_STORE, 'readwrite');
+            transaction.objectStore(this.ENTRIES_STORE).put({ dataset: datasetKey, position, data: entry });
+            await this.transactionDone(transaction);
+        });
+    },
+
+    /**
+     * Обновляет только состояние датасета (настройки и т.п.), не трогая записи
+     */
+    saveState(datasetKey, state) {
+        return this.enqueueWrite(async () => {
+            const db = await this.open();
+            const transaction = db.transaction(this.STATE_STORE, 'readwrite');
+            const store = transaction.objectStore(this.STATE_STORE);
+            const request = store.get(datasetKey);
+
+            request.onsuccess = () => {
+                store.put({
+                    ...(request.result || {}),
+                    ...state,
+                    dataset: datasetKey,
+                    savedAt: new Date().toISOString()
+                });
+            };
+
+            await this.transactionDone(transaction);
+        });
+    },
+
+    /**
+     * Загружает только состояние датасета
+     * @returns {Promise<Object|null>}
+     */
+    async loadState(datasetKey) {
+        const db = await this.open();
+        const transaction = db.transaction(this.STATE_STORE, 'readonly');
+        const request = transaction.objectStore(this.STATE_STORE).get(datasetKey);
+        await this.transactionDone(transaction);
+
+        if (!request.result) return null;
+        const { dataset, savedAt, ...state } = request.result;
+        return state;
+    },
+
+    /**
+     * Копирует датасет под новым ключом
+     */
+    async copyDataset(fromKey, toKey) {
+        const source = await this.loadDataset(fromKey);
+        await this.saveDataset(toKey, source?.entries || [], source?.state || {});
+
+        for (const filename of await this.listPdfs(fromKey)) {
+            await this.savePdf(toKey, filename, await this.loadPdf(fromKey, filename));
+        }
+    },
+
+    /**
+     * Загружает датасет
+     * @returns {Promise<{entries: Array<Object>, state: Object}|null>} - null, если датасета нет
+     */
+    async loadDataset(datasetKey) {
+        const db = await this.open();
+        const transaction = db.transaction([this.ENTRIES_STORE, this.STATE_STORE], 'readonly');
+
+        const stateRequest = transaction.objectStore(this.STATE_STORE).get(datasetKey);
+        const entriesRequest = transaction.objectStore(this.ENTRIES_STORE).getAll(this.datasetRange(datasetKey));
+
+        await this.transactionDone(transaction);
+
+        if (!stateRequest.result) return null;
+
+        const { dataset, entryCount, savedAt, ...state } = stateRequest.result;
+        const entries = entriesRequest.result
+            .sort((a, b) => a.position - b.position)
+            .map(record => record.data);
+
+        return { entries, state };
+    },
+
+    /**
+     * Удаляет датасет целиком
+     */
+    deleteDataset(datasetKey) {
+        return this.enqueueWrite(async () => {
+            const db = await this.open();
+            const transaction = db.transaction([this.ENTRIES_STORE, this.STATE_STORE, this.PDFS_STORE], 'readwrite');
+            transaction.objectStore(this.ENTRIES_STORE).delete(this.datasetRange(datasetKey));
+            transaction.objectStore(this.STATE_STORE).delete(datasetKey);
+            transaction.objectStore(this.PDFS_STORE).delete(this.pdfRange(datasetKey));
+            await this.transactionDone(transaction);
+        });
+    },
+
+    // ========================================================================
+    // ИСХОДНЫЕ PDF
+    // ========================================================================
+
+    /**
+     * Сохраняет исходный PDF записи (ключ — имя файла, как в metadata.source_filename)
+     * @param {Blob} blob - Файл PDF
+     */
+    savePdf(datasetKey, filename, blob) {
+        return this.enqueueWrite(async () => {
+            const db = await this.open();
+            const transaction = db.transaction(this.PDFS_STORE, 'readwrite');
+            transaction.objectStore(this.PDFS_STORE).put({ dataset: datasetKey, filename, blob });
+            await this.transactionDone(transaction);
+        });
+    },
+
+    /**
+     * Загружает исходный PDF
+     * @returns {Promise<Blob|null>}
+     */
+    async loadPdf(datasetKey, filename) {
+        const db = await this.open();
+        const transaction = db.transaction(this.PDFS_STORE, 'readonly');
+        const request = transaction.objectStore(this.PDFS_STORE).get([datasetKey, filename]);
+        await this.transactionDone(transaction);
+        return request.result?.blob || null;
+    },
+
+    /**
+     * Имена сохранённых PDF датасета
+     * @returns {Promise<Array<string>>}
+     */
+    async listPdfs(datasetKey) {
+        const db = await this.open();
+        const transaction = db.transaction(this.PDFS_STORE, 'readonly');
+        const request = transaction.objectStore(this.PDFS_STORE).getAllKeys(this.pdfRange(datasetKey));
+        await this.transactionDone(transaction);
+        return request.result.map(([, filename]) => filename);
+    },
+
+    /**
+     * Удаляет сохранённые PDF по именам файлов
+     */
+    deletePdfs(datasetKey, filenames) {
+        return this.enqueueWrite(async () => {
+            const db = await this.open();
+            const transaction = db.transaction(this.PDFS_STORE, 'readwrite');
+            const store = transaction.objectStore(this.PDFS_STORE);
+            filenames.forEach(filename => store.delete([datasetKey, filename]));
+            await this.transactionDone(transaction);
+        });
+    },
+
+    /**
+     * Переносит данные, сохранённые прежними версиями в localStorage
+     * localStorage очищается только после успешной записи в IndexedDB
+     * Если датасет в IndexedDB уже есть (перенос был, а очистка не удалась), актуальны данные IndexedDB:
+     * копия в localStorage просто удаляется
+     * @returns {Promise<boolean>} - true, если перенос выполнен
+     */
+    async migrateFromLocalStorage(datasetKey, localStorageKey = datasetKey) {
+        let saved;
+        try {
+            saved = localStorage.getItem(localStorageKey);
+        } catch (error) {
+            return false;
+        }
+        if (!saved) return false;
+
+        const existing = await this.loadDataset(datasetKey);
+        if (existing) {
+            localStorage.removeItem(localStorageKey);
+            console.warn(`⚠️ Датасет "${datasetKey}" уже есть в IndexedDB, устаревшая копия в localStorage удалена`);
+            return false;
+        }
+
+        const { entries = [], ...state } = JSON.parse(saved);
+        await this.saveDataset(datasetKey, entries, state);
+        localStorage.removeItem(localStorageKey);
+
+        console.log(`📦 Перенесено из localStorage в IndexedDB: ${entries.length} записей (${datasetKey})`);
+        return true;
+    }
+};
+
+// Экспорт в глобальный scope
+window.DatasetStorage = DatasetStorage;
+console.log('✅ DatasetStorage загружен и экспортирован');
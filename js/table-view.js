@@ -0,0 +1,218 @@
+/**
+TABLE_VIEW.JS
+Поиск, сортировка и постраничный вывод таблиц записей (сборщик и редактор обогащённого датасета)
+Версия: 1.0
+*/
+
+const TableView = {
+    PAGE_SIZES: [50, 100, 250, 500],
+    DEFAULT_PAGE_SIZE: 100,
+
+    /**
+     * Состояние таблицы по умолчанию
+     * sort.key — ключ сортировки (null — порядок датасета), sort.direction — 1 по возрастанию, -1 по убыванию
+     */
+    createState() {
+        return {
+            page: 1,
+            pageSize: this.DEFAULT_PAGE_SIZE,
+            sort: { key: null, direction: 1 }
+        };
+    },
+
+    /**
+     * Разбирает поисковую строку: все слова должны встретиться (в любом поле, в любом порядке)
+     * Регистр и ё/е не учитываются; фраза в кавычках ищется целиком
+     * @returns {Array<RegExp>} - Пустой массив, если строка пустая
+     */
+    compileSearch(query) {
+        const terms = [];
+        const pattern = /"([^"]+)"|(\S+)/g;
+        let match;
+        while ((match = pattern.exec(query || '')) !== null) {
+            terms.push((match[1] || match[2]).trim());
+        }
+
+        return terms.filter(Boolean).map(term => {
+            const escaped = term
+                .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+                .replace(/[её]/gi, '[её]')
+                .replace(/\s+/g, '\\s+');
+            return new RegExp(escaped, 'i');
+        });
+    },
+
+    /**
+     * Проверяет, что каждое слово запроса есть хотя бы в одном из текстов
+     * @param {Array<string>} texts - Поля записи, по которым идёт поиск
+     */
+    matchesSearch(texts, regexps) {
+        if (regexps.length === 0) return true;
+        const values = texts.filter(text => typeof text === 'string' && text);
+        return regexps.every(regexp => values.some(text => regexp.test(text)));
+    },
+
+    isEmpty(value) {
+        return value === null || value === undefined || value === '';
+    },
+
+    /**
+     * Сравнение значений для сортировки: пустые значения после непустых
+     */
+    compareValues(a, b) {
+        const emptyA = this.isEmpty(a);
+        const emptyB = this.isEmpty(b);
+        if (emptyA || emptyB) return emptyA === emptyB ? 0 : (emptyA ? 1 : -1);
+
+        if (typeof a === 'number' && typeof b === 'number') return a - b;
+        if (typeof a === 'boolean' && typeof b === 'boolean') return Number(a) - Number(b);
+        return String(a).localeCompare(String(b), 'ru', { numeric: true });
+    },
+
+    /**
+     * Отбирает и сортирует записи
+     * @param {Array<Object>} entries - Все записи
+     * @param {Object} state - Состояние таблицы (createState)
+     * @param {Object} options - { matches(entry, index): boolean, getSortValue(entry, key, index) }
+     * @returns {Array<number>} - Индексы записей в порядке вывода
+     */
+    query(entries, state, { matches = () => true, getSortValue = (entry, key) => entry[key] } = {}) {
+        const indexes = [];
+        entries.forEach((entry, index) => {
+            if (matches(entry, index)) indexes.push(index);
+        });
+
+        const { key, direction } = state.sort;
+        if (key) {
+            // Значения вычисляются один раз, а не при каждом сравнении
+            const values = new Map(indexes.map(index => [index, getSortValue(entries[index], key, index)]));
+            indexes.sort((a, b) => {
+                const valueA = values.get(a);
+                const valueB = values.get(b);
+                const result = this.compareValues(valueA, valueB);
+                // Пустые значения в конце при любом направлении; при равенстве — порядок датасета
+                const hasEmpty = this.isEmpty(valueA) || this.isEmpty(valueB);
+                return (hasEmpty ? result : result * direction) || a - b;
+            });
+        }
+
+        return indexes;
+    },
+
+    /**
+     * Страница из отобранных индексов; номер страницы приводится к допустимому
+     * @returns {{items: Array<number>, page: number, pageCount: number, from: number, to: number}}
+     */
+    paginate(indexes, state) {
+        const pageCount = Math.max(1, Math.ceil(indexes.length / state.pageSize));
+        state.page = Math.min(Math.max(1, state.page), pageCount);
+
+        const from = (state.page - 1) * state.pageSize;
+        const items = indexes.slice(from, from + state.pageSize);
+        return { items, page: state.page, pageCount, from: items.length ? from + 1 : 0, to: from + items.length };
+    },
+
+    /**
+     * Переключает сортировку по столбцу: по возрастанию → по убыванию → без сортировки
+     */
+    toggleSort(state, key) {
+        if (state.sort.key !== key) {
+            state.sort = { key, direction: 1 };
+        } else if (state.sort.direction === 1) {
+            state.sort = { key, direction: -1 };
+        } else {
+            state.sort = { key: null, direction: 1 };
+        }
+        state.page = 1;
+    },
+
+    /**
+     * Делает заголовки с data-sort кликабельными и показывает направление сортировки
+     */
+    bindSortHeaders(thead, state, onChange) {
+        if (!thead) return;
+
+        thead.querySelectorAll('th[data-sort]').forEach(th => {
+            th.classList.add('sortable');
+            th.title = 'Сортировать';
+            th.addEventListener('click', () => {
+                this.toggleSort(state, th.dataset.sort);
+                this.updateSortHeaders(thead, state);
+                onChange();
+            });
+        });
+        this.updateSortHeaders(thead, state);
+    },
+
+    updateSortHeaders(thead, state) {
+        if (!thead) return;
+
+        thead.querySelectorAll('th[data-sort]').forEach(th => {
+            const active = state.sort.key === th.dataset.sort;
+            th.classList.toggle('sorted-asc', active && state.sort.direction === 1);
+            th.classList.toggle('sorted-desc', active && state.sort.direction === -1);
+        });
+    },
+
+    /**
+     * Рисует переключатель страниц и сводку «1–100 из 2 345»
+     * @param {HTMLElement} container - Контейнер пагинации
+     * @param {Object} pageInfo - Результат paginate
+     * @param {number} total - Число отобранных записей
+     * @param {Function} onPage - (page) переход на страницу
+     */
+    renderPagination(container, pageInfo, total, onPage) {
+        if (!container) return;
+
+        const { page, pageCount, from, to } = pageInfo;
+        const pages = new Set([1, pageCount, page - 2, page - 1, page, page + 1, page + 2]);
+        const visible = [...pages].filter(p => p >= 1 && p <= pageCount).sort((a, b) => a - b);
+
+        const items = [];
+        items.push(`<li class="page-item ${page === 1 ? 'disabled' : ''}"><a class="page-link" href="#" data-page="${page - 1}">‹</a></li>`);
+        visible.forEach((p, i) => {
+            if (i > 0 && p - visible[i - 1] > 1) {
+                items.push('<li class="page-item disabled"><span class="page-link">…</span></li>');
+            }
+            items.push(`<li class="page-item ${p === page ? 'active' : ''}"><a class="page-link" href="#" data-page="${p}">${p}</a></li>`);
+        });
+        items.push(`<li class="page-item ${page === pageCount ? 'disabled' : ''}"><a class="page-link" href="#" data-page="${page + 1}">›</a></li>`);
+
+        container.innerHTML = `
+            <small class="text-muted">${total > 0 ? `${from.toLocaleString('ru-RU')}–${to.toLocaleString('ru-RU')} из ${total.toLocaleString('ru-RU')}` : 'Нет записей'}</small>
+            ${pageCount > 1 ? `<ul class="pagination pagination-sm mb-0">${items.join('')}</ul>` : ''}
+        `;
+
+        container.querySelectorAll('[data-page]').forEach(link => {
+            link.addEventListener('click', (event) => {
+                event.preventDefault();
+                const target = parseInt(link.dataset.page);
+                if (target >= 1 && target <= pageCount && target !== page) onPage(target);
+            });
+        });
+    },
+
+    /**
+     * Заполняет выбор числа записей на странице
+     */
+    fillPageSizeSelect(select, state) {
+        if (!select) return;
+        select.innerHTML = this.PAGE_SIZES.map(size => `<option value="${size}">${size}</option>`).join('');
+        select.value = state.pageSize;
+    },
+
+    /**
+     * Откладывает вызов до паузы во вводе (поиск по большим текстам)
+     */
+    debounce(fn, delay = 300) {
+        let timer = null;
+        return (...args) => {
+            clearTimeout(timer);
+            timer = setTimeout(() => fn(...args), delay);
+        };
+    }
+};
+
+// Экспорт в глобальный scope
+window.TableView = TableView;
+console.log('✅ TableView загружен и экспортирован');
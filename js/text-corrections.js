@@ -0,0 +1,386 @@
+/**
+TEXT_CORRECTIONS.JS
+Ручные исправления текста акта: хранение правок как разницы с извлечённым текстом и перенос при повторном извлечении
+Версия: 1.0
+*/
+
+const TextCorrections = {
+    // Сколько символов окружения правки запоминается для поиска её места в новом тексте
+    CONTEXT_LENGTH: 40,
+    // Короче — слишком много случайных совпадений, правка считается непереносимой
+    MIN_FALLBACK_PATTERN: 12,
+    // Построчное сравнение с большим числом отличий заменяется одной правкой на всю изменённую область
+    MAX_EDIT_DISTANCE: 2000,
+
+    /**
+     * Хэш точного текста (в отличие от DuplicateDetector.contentHash, пробелы и регистр учитываются)
+     */
+    hashText(text) {
+        const high = DuplicateDetector.hash32(text || '');
+        const low = DuplicateDetector.hash32(text || '', 0x9747b28c);
+        return high.toString(16).padStart(8, '0') + low.toString(16).padStart(8, '0');
+    },
+
+    /**
+     * Строки текста вместе с переводом строки (склейка даёт исходный текст)
+     */
+    splitLines(text) {
+        return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+    },
+
+    /**
+     * Изменённые области двух последовательностей (алгоритм Майерса)
+     * @returns {Array<{aStart: number, aEnd: number, bStart: number, bEnd: number}>}
+     */
+    diffTokens(a, b) {
+        let prefix = 0;
+        while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+        let suffix = 0;
+        while (suffix < a.length - prefix && suffix < b.length - prefix
+            && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+        const n = a.length - prefix - suffix;
+        const m = b.length - prefix - suffix;
+        const whole = [{ aStart: prefix, aEnd: prefix + n, bStart: prefix, bEnd: prefix + m }];
+        if (n === 0 && m === 0) return [];
+        if (n === 0 || m === 0) return whole;
+
+        const A = a.slice(prefix, prefix + n);
+        const B = b.slice(prefix, prefix + m);
+        const offset = n + m;
+        const v = new Int32Array(2 * offset + 2);
+        const trace = [];
+        let finished = false;
+
+        for (let d = 0; d <= Math.min(n + m, this.MAX_EDIT_DISTANCE) && !finished; d++) {
+            trace.push(v.slice());
+            for (let k = -d; k <= d; k += 2) {
+                let x = (k === -d || (k !== d && v[k - 1 + offset] < v[k + 1 + offset]))
+                    ? v[k + 1 + offset]
+                    : v[k - 1 + offset] + 1;
+                let y = x - k;
+                while (x < n && y < m && A[x] === B[y]) {
+                    x++;
+                    y++;
+                }
+                v[k + offset] = x;
+                if (x >= n && y >= m) {
+                    finished = true;
+                    break;
+                }
+            }
+        }
+        if (!finished) return whole;
+
+        // Обратный проход: по одному удалению или вставке на каждом шаге d
+        const edits = [];
+        let x = n;
+        let y = m;
+        for (let d = trace.length - 1; d > 0; d--) {
+            const previous = trace[d];
+            const k = x - y;
+            const prevK = (k === -d || (k !== d && previous[k - 1 + offset] < previous[k + 1 + offset])) ? k + 1 : k - 1;
+            const prevX = previous[prevK + offset];
+            const prevY = prevX - prevK;
+
+            if (prevK === k + 1) {
+                edits.push({ aStart: prevX, aEnd: prevX, bStart: prevY, bEnd: prevY + 1 });
+            } else {
+                edits.push({ aStart: prevX, aEnd: prevX + 1, bStart: prevY, bEnd: prevY });
+            }
+            x = prevX;
+            y = prevY;
+        }
+
+        // Соседние удаления и вставки — одна область
+        const regions = [];
+        for (const edit of edits.reverse()) {
+            const last = regions[regions.length - 1];
+            if (last && edit.aStart === last.aEnd && edit.bStart === last.bEnd) {
+                last.aEnd = edit.aEnd;
+                last.bEnd = edit.bEnd;
+            } else {
+                regions.push({ ...edit });
+            }
+        }
+        return regions.map(region => ({
+            aStart: region.aStart + prefix,
+            aEnd: region.aEnd + prefix,
+            bStart: region.bStart + prefix,
+            bEnd: region.bEnd + prefix
+        }));
+    },
+
+    /**
+     * Добавляет к правке окружение из текста, к которому она относится
+     */
+    withContext(text, hunk) {
+        return {
+            ...hunk,
+            context_before: text.slice(Math.max(0, hunk.start - this.CONTEXT_LENGTH), hunk.start),
+            context_after: text.slice(hunk.end, hunk.end + this.CONTEXT_LENGTH)
+        };
+    },
+
+    /**
+     * Разница между исходным и исправленным текстом
+     * Сравнение построчное, внутри изменённых строк правка сужается до отличающихся символов
+     * @returns {Array<{start, end, before, after, context_before, context_after}>} - start/end — позиции в исходном тексте
+     */
+    diff(original, edited) {
+        const a = this.splitLines(original);
+        const b = this.splitLines(edited);
+        const positionsA = [0];
+        a.forEach(line => positionsA.push(positionsA[positionsA.length - 1] + line.length));
+        const positionsB = [0];
+        b.forEach(line => positionsB.push(positionsB[positionsB.length - 1] + line.length));
+
+        return this.diffTokens(a, b).map(region => {
+            let start = positionsA[region.aStart];
+            let end = positionsA[region.aEnd];
+            let newStart = positionsB[region.bStart];
+            let newEnd = positionsB[region.bEnd];
+
+            while (start < end && newStart < newEnd && original[start] === edited[newStart]) {
+                start++;
+                newStart++;
+            }
+            while (start < end && newStart < newEnd && original[end - 1] === edited[newEnd - 1]) {
+                end--;
+                newEnd--;
+            }
+
+            return this.withContext(original, {
+                start,
+                end,
+                before: original.slice(start, end),
+                after: edited.slice(newStart, newEnd)
+            });
+        });
+    },
+
+    /**
+     * Применяет правки к тексту, к которому они относятся
+     */
+    apply(text, hunks) {
+        const parts = [];
+        let position = 0;
+        for (const hunk of hunks) {
+            parts.push(text.slice(position, hunk.start), hunk.after);
+            position = hunk.end;
+        }
+        parts.push(text.slice(position));
+        return parts.join('');
+    },
+
+    /**
+     * Позиции правок в исправленном тексте
+     * @returns {Array<{start, end, before, after}>}
+     */
+    getCorrectedRanges(hunks) {
+        let shift = 0;
+        return hunks.map(hunk => {
+            const start = hunk.start + shift;
+            shift += hunk.after.length - hunk.before.length;
+            return { start, end: start + hunk.after.length, before: hunk.before, after: hunk.after };
+        });
+    },
+
+    /**
+     * Восстанавливает исходный текст из исправленного
+     */
+    revert(text, hunks) {
+        const parts = [];
+        let position = 0;
+        for (const range of this.getCorrectedRanges(hunks)) {
+            parts.push(text.slice(position, range.start), range.before);
+            position = range.end;
+        }
+        parts.push(text.slice(position));
+        return parts.join('');
+    },
+
+    /**
+     * Переводит позицию исходного текста в позицию исправленного
+     * Позиция внутри заменённого фрагмента переходит к его началу
+     */
+    mapPosition(position, hunks) {
+        let shift = 0;
+        for (const hunk of hunks) {
+            if (position < hunk.start) break;
+            if (position < hunk.end) return hunk.start + shift;
+            shift += hunk.after.length - hunk.before.length;
+        }
+        return position + shift;
+    },
+
+    shiftPageOffsets(pageOffsets, hunks) {
+        return pageOffsets.map(range => ({
+            ...range,
+            start: this.mapPosition(range.start, hunks),
+            end: this.mapPosition(range.end, hunks)
+        }));
+    },
+
+    /**
+     * Ищет место правки в новом тексте: по фрагменту с окружением, затем по фрагменту с окружением с одной стороны
+     * Из нескольких совпадений выбирается ближайшее к ожидаемой позиции
+     * @returns {number|null} - Начало фрагмента before в новом тексте
+     */
+    locate(text, hunk, expected, minStart) {
+        const variants = [
+            { pattern: hunk.context_before + hunk.before + hunk.context_after, shift: hunk.context_before.length, fallback: false },
+            { pattern: hunk.context_before + hunk.before, shift: hunk.context_before.length, fallback: true },
+            { pattern: hunk.before + hunk.context_after, shift: 0, fallback: true }
+        ];
+
+        for (const { pattern, shift, fallback } of variants) {
+            if (!pattern || (fallback && pattern.length < this.MIN_FALLBACK_PATTERN)) continue;
+
+            let best = null;
+            for (let i = text.indexOf(pattern); i !== -1; i = text.indexOf(pattern, i + 1)) {
+                const start = i + shift;
+                if (start < minStart) continue;
+                if (best === null || Math.abs(start - expected) < Math.abs(best - expected)) best = start;
+            }
+            if (best !== null) return best;
+        }
+        return null;
+    },
+
+    /**
+     * Переносит правки на заново извлечённый текст
+     * @returns {{hunks: Array<Object>, failed: Array<Object>}} - Правки относительно нового текста и не найденные
+     */
+    rebase(text, hunks) {
+        const located = [];
+        const failed = [];
+        let drift = 0;
+        let minStart = 0;
+
+        for (const hunk of hunks) {
+            const start = this.locate(text, hunk, hunk.start + drift, minStart);
+            if (start === null) {
+                failed.push(hunk);
+                continue;
+            }
+
+            const end = start + hunk.before.length;
+            located.push(this.withContext(text, { start, end, before: hunk.before, after: hunk.after }));
+            drift = start - hunk.start;
+            minStart = end;
+        }
+        return { hunks: located, failed };
+    },
+
+    /**
+     * Сводка правок: число фрагментов и символов
+     */
+    summarize(hunks) {
+        return {
+            count: hunks.length,
+            added: hunks.reduce((sum, hunk) => sum + hunk.after.length, 0),
+            removed: hunks.reduce((sum, hunk) => sum + hunk.before.length, 0)
+        };
+    },
+
+    // ========================================================================
+    // ИСПРАВЛЕНИЯ ЗАПИСИ (metadata.text_corrections)
+    // ========================================================================
+    // { original_hash, original_length, original_page_offsets, hunks, corrected_by, corrected_at, failed_hunks? }
+    // hunks — правки относительно извлечённого текста; decision_text хранит уже исправленный текст
+
+    isCorrected(entry) {
+        return (entry.metadata?.text_corrections?.hunks?.length || 0) > 0;
+    },
+
+    /**
+     * Текст в том виде, в каком его извлекли из PDF
+     */
+    getOriginalText(entry) {
+        const corrections = entry.metadata?.text_corrections;
+        const text = entry.decision_text || '';
+        return corrections?.hunks?.length ? this.revert(text, corrections.hunks) : text;
+    },
+
+    /**
+     * Сохраняет исправленный вручную текст; правки пересчитываются относительно извлечённого текста
+     * Если текст совпал с извлечённым, сведения об исправлениях удаляются
+     * @returns {Object} - Сводка правок (summarize)
+     */
+    applyEdit(entry, editedText, author, timestamp = new Date().toISOString()) {
+        if (!entry.metadata) entry.metadata = {};
+        const previous = entry.metadata.text_corrections;
+        const original = this.getOriginalText(entry);
+        const originalPageOffsets = previous ? previous.original_page_offsets : entry.metadata.page_offsets;
+        const hunks = this.diff(original, editedText);
+
+        entry.decision_text = editedText;
+        if (hunks.length === 0) {
+            delete entry.metadata.text_corrections;
+            if (originalPageOffsets) entry.metadata.page_offsets = originalPageOffsets;
+            return this.summarize(hunks);
+        }
+
+        entry.metadata.text_corrections = {
+            original_hash: previous?.original_hash || this.hashText(original),
+            original_length: original.length,
+            original_page_offsets: originalPageOffsets || null,
+            hunks,
+            corrected_by: author || null,
+            corrected_at: timestamp
+        };
+        if (previous?.failed_hunks?.length) {
+            entry.metadata.text_corrections.failed_hunks = previous.failed_hunks;
+        }
+        if (originalPageOffsets) {
+            entry.metadata.page_offsets = this.shiftPageOffsets(originalPageOffsets, hunks);
+        }
+        return this.summarize(hunks);
+    },
+
+    /**
+     * Заменяет текст записи заново извлечённым и переносит на него ручные правки
+     * @param {Object} extraction - { text, pageOffsets }
+     * @returns {{applied: number, failed: number}}
+     */
+    reapply(entry, { text, pageOffsets = null }) {
+        if (!entry.metadata) entry.metadata = {};
+        const previous = entry.metadata.text_corrections;
+
+        if (!previous?.hunks?.length) {
+            entry.decision_text = text;
+            if (pageOffsets) entry.metadata.page_offsets = pageOffsets;
+            return { applied: 0, failed: 0 };
+        }
+
+        // Извлечение не изменилось — правки ложатся на те же позиции
+        const unchanged = this.hashText(text) === previous.original_hash;
+        const { hunks, failed } = unchanged
+            ? { hunks: previous.hunks, failed: [] }
+            : this.rebase(text, previous.hunks);
+
+        entry.decision_text = this.apply(text, hunks);
+        entry.metadata.page_offsets = pageOffsets ? this.shiftPageOffsets(pageOffsets, hunks) : entry.metadata.page_offsets;
+        entry.metadata.text_corrections = {
+            ...previous,
+            original_hash: this.hashText(text),
+            original_length: text.length,
+            original_page_offsets: pageOffsets || null,
+            hunks
+        };
+        const allFailed = [...(previous.failed_hunks || []), ...failed];
+        if (allFailed.length > 0) {
+            entry.metadata.text_corrections.failed_hunks = allFailed;
+        }
+        if (hunks.length === 0 && allFailed.length === 0) {
+            delete entry.metadata.text_corrections;
+        }
+
+        return { applied: hunks.length, failed: failed.length };
+    }
+};
+
+// Экспорт в глобальный scope
+window.TextCorrections = TextCorrections;
+console.log('✅ TextCorrections загружен и экспортирован');
@@ -0,0 +1,234 @@
+/**
+TEXT_VIEWER.JS
+Полный текст акта: подсветка ключевых фраз и совпадений поиска, якоря разделов и страниц PDF
+Версия: 1.0
+*/
+
+const TextViewer = {
+    /**
+     * Ключевые фразы для решения об обжаловании
+     * (\b в регулярных выражениях JS не учитывает кириллицу — границы заданы явно)
+     */
+    KEY_PHRASES: [
+        { key: 'operative', title: 'Начало резолютивной части', pattern: /(?<![а-яё])(?:р\s*е\s*ш\s*и\s*л|п\s*о\s*с\s*т\s*а\s*н\s*о\s*в\s*и\s*л|о\s*п\s*р\s*е\s*д\s*е\s*л\s*и\s*л)(?=\s*:)/gi },
+        { key: 'recover', title: 'Взыскание', pattern: /(?<![а-яё])взыскать(?![а-яё])/gi },
+        { key: 'reject', title: 'Отказ', pattern: /(?<![а-яё])отказать(?![а-яё])/gi },
+        { key: 'satisfy', title: 'Удовлетворение', pattern: /(?<![а-яё])(?:удовлетворить|удовлетворены?)(?![а-яё])/gi },
+        { key: 'cancel', title: 'Отмена', pattern: /(?<![а-яё])отменить(?![а-яё])/gi },
+        { key: 'uphold', title: 'Без изменения', pattern: /(?<![а-яё])оставить\s+без\s+(?:изменения|удовлетворения)(?![а-яё])/gi }
+    ],
+
+    // Больше совпадений поиска не подсвечиваем: запрос из одной буквы не должен подвешивать страницу
+    MAX_SEARCH_HITS: 2000,
+
+    /**
+     * Границы страниц в тексте: metadata.page_offsets или маркеры «--- СТРАНИЦА N ---» прежних версий
+     * @returns {Array<{page: number, start: number}>}
+     */
+    getPageOffsets(entry) {
+        const offsets = entry.metadata?.page_offsets;
+        if (Array.isArray(offsets) && offsets.length > 0) {
+            return offsets.map(({ page, start }) => ({ page, start }));
+        }
+
+        const result = [];
+        for (const match of (entry.decision_text || '').matchAll(/^--- страница (\d+) ---$/gim)) {
+            result.push({ page: parseInt(match[1]), start: match.index });
+        }
+        return result;
+    },
+
+    /**
+     * Начала разделов в тексте (разделы хранятся отдельными строками, поэтому ищем их начало)
+     * @returns {Array<{key: string, start: number}>} - По порядку в тексте
+     */
+    getSectionOffsets(text, sections) {
+        if (!text || !sections) return [];
+
+        const result = [];
+        for (const [key, value] of Object.entries(sections)) {
+            if (!value) continue;
+            // Внутри раздела пустые строки схлопнуты — ищем по первой строке
+            const head = value.split('\n')[0].slice(0, 80);
+            const start = text.indexOf(head);
+            if (start !== -1) result.push({ key, start });
+        }
+        return result.sort((a, b) => a.start - b.start);
+    },
+
+    /**
+     * Находит все совпадения регулярных выражений
+     * @returns {Array<{start: number, end: number}>}
+     */
+    findRanges(text, regexps, limit = Infinity) {
+        const ranges = [];
+        for (const regexp of regexps) {
+            const global = regexp.global ? regexp : new RegExp(regexp.source, regexp.flags + 'g');
+            global.lastIndex = 0;
+            for (const match of text.matchAll(global)) {
+                if (!match[0]) continue;
+                ranges.push({ start: match.index, end: match.index + match[0].length });
+                if (ranges.length >= limit) break;
+            }
+            if (ranges.length >= limit) break;
+        }
+        return ranges.sort((a, b) => a.start - b.start);
+    },
+
+    /**
+     * Объединяет пересекающиеся диапазоны (совпадения разных слов запроса)
+     */
+    mergeRanges(ranges) {
+        const merged = [];
+        for (const range of ranges) {
+            const last = merged[merged.length - 1];
+            if (last && range.start <= last.end) {
+                last.end = Math.max(last.end, range.end);
+            } else {
+                merged.push({ ...range });
+            }
+        }
+        return merged;
+    },
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    },
+
+    /**
+     * Строит HTML полного текста
+     * @param {string} text - Текст акта
+     * @param {Object} options - { pageOffsets, sectionOffsets, sectionLabels, searchRegexps, highlightKeyPhrases, corrections }
+     *        corrections — исправленные вручную фрагменты [{start, end, before}] (TextCorrections.getCorrectedRanges)
+     * @returns {{html: string, hitCount: number}} - Совпадения поиска помечены data-hit="0..hitCount-1"
+     */
+    render(text, options = {}) {
+        const {
+            pageOffsets = [],
+            sectionOffsets = [],
+            sectionLabels = {},
+            searchRegexps = [],
+            highlightKeyPhrases = true,
+            corrections = []
+        } = options;
+        if (!text) return { html: '', hitCount: 0 };
+
+        // Подсвечиваемые диапазоны: ключевые фразы и совпадения поиска (могут пересекаться)
+        const ranges = [];
+        if (highlightKeyPhrases) {
+            for (const phrase of this.KEY_PHRASES) {
+                this.findRanges(text, [phrase.pattern]).forEach(range => {
+                    ranges.push({ ...range, className: `key-phrase key-${phrase.key}`, title: phrase.title });
+                });
+            }
+        }
+        corrections.filter(range => range.end > range.start).forEach(range => {
+            ranges.push({ start: range.start, end: range.end, className: 'corrected', title: `Исправлено вручную, было: «${range.before.slice(0, 200)}»` });
+        });
+        const hits = this.mergeRanges(this.findRanges(text, searchRegexps, this.MAX_SEARCH_HITS));
+        hits.forEach((range, hit) => ranges.push({ ...range, className: 'search-hit', hit }));
+
+        // Якоря — вставки в точке: страницы и разделы
+        const anchors = [
+            ...pageOffsets.map(({ page, start }) => ({
+                position: start,
+                html: `<a href="#" class="page-anchor" data-page="${page}" title="Открыть страницу в PDF">стр. ${page}</a>`
+            })),
+            ...sectionOffsets.map(({ key, start }) => ({
+                position: start,
+                html: `<span class="section-anchor" data-section="${key}">${this.escapeHtml(sectionLabels[key] || key)}</span>`
+            }))
+        ].sort((a, b) => a.position - b.position);
+
+        // Развёртка по границам: на каждом отрезке известен набор активных диапазонов
+        const events = [];
+        ranges.forEach((range, id) => {
+            events.push({ position: range.start, id, open: true });
+            events.push({ position: range.end, id, open: false });
+        });
+        events.sort((a, b) => a.position - b.position || (a.open === b.open ? 0 : a.open ? 1 : -1));
+
+        const boundaries = [...new Set([0, text.length, ...events.map(e => e.position), ...anchors.map(a => a.position)])]
+            .filter(position => position >= 0 && position <= text.length)
+            .sort((a, b) => a - b);
+
+        const active = new Map();
+        const parts = [];
+        let eventIndex = 0;
+        let anchorIndex = 0;
+
+        for (let i = 0; i < boundaries.length - 1; i++) {
+            const from = boundaries[i];
+            const to = boundaries[i + 1];
+
+            while (eventIndex < events.length && events[eventIndex].position <= from) {
+                const event = events[eventIndex++];
+                if (event.open) active.set(event.id, ranges[event.id]);
+                else active.delete(event.id);
+            }
+            while (anchorIndex < anchors.length && anchors[anchorIndex].position <= from) {
+                parts.push(anchors[anchorIndex++].html);
+            }
+
+            const segment = this.escapeHtml(text.slice(from, to));
+            if (active.size === 0) {
+                parts.push(segment);
+                continue;
+            }
+
+            const activeRanges = [...active.values()];
+            const className = [...new Set(activeRanges.map(range => range.className))].join(' ');
+            const hitRange = activeRanges.find(range => range.hit !== undefined);
+            const title = activeRanges.find(range => range.title)?.title;
+            parts.push(`<mark class="${className}"${hitRange ? ` data-hit="${hitRange.hit}"` : ''}${title ? ` title="${this.escapeHtml(title)}"` : ''}>${segment}</mark>`);
+        }
+
+        return { html: parts.join(''), hitCount: hits.length };
+    },
+
+    /**
+     * Прокручивает контейнер так, чтобы элемент оказался посередине
+     */
+    scrollToElement(container, element) {
+        if (!container || !element) return;
+        const containerRect = container.getBoundingClientRect();
+        const elementRect = element.getBoundingClientRect();
+        container.scrollTop += elementRect.top - containerRect.top - container.clientHeight / 3;
+    },
+
+    /**
+     * Страница PDF, к которой относится текст в верхней трети контейнера
+     * @returns {number|null} - null, если в тексте нет меток страниц
+     */
+    getVisiblePage(container) {
+        const anchors = container ? container.querySelectorAll('.page-anchor') : [];
+        if (anchors.length === 0) return null;
+
+        const line = container.getBoundingClientRect().top + container.clientHeight / 3;
+        let visible = parseInt(anchors[0].dataset.page);
+        for (const anchor of anchors) {
+            if (anchor.getBoundingClientRect().top > line) break;
+            visible = parseInt(anchor.dataset.page);
+        }
+        return visible;
+    },
+
+    /**
+     * Делает совпадение поиска текущим и прокручивает к нему
+     */
+    focusHit(container, hit) {
+        if (!container) return;
+        container.querySelectorAll('.search-hit.current').forEach(el => el.classList.remove('current'));
+        const elements = container.querySelectorAll(`[data-hit="${hit}"]`);
+        elements.forEach(el => el.classList.add('current'));
+        this.scrollToElement(container, elements[0]);
+    }
+};
+
+// Экспорт в глобальный scope
+window.TextViewer = TextViewer;
+console.log('✅ TextViewer загружен и экспортирован');
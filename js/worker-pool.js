@@ -0,0 +1,139 @@
+/**
+WORKER_POOL.JS
+Пул Web Worker'ов для параллельной обработки PDF
+Версия: 1.0
+*/
+
+const PDFWorkerPool = {
+    WORKER_SRC: 'js/pdf-worker.js',
+    MAX_CONCURRENCY: 8,
+
+    workers: [],
+    pending: new Map(),
+    isCancelled: false,
+    nextTaskId: 1,
+
+    /**
+     * Проверяет, можно ли использовать воркеры
+     * Со страницы, открытой как file://, браузеры не запускают воркеры из файлов
+     */
+    isSupported() {
+        return typeof Worker !== 'undefined' && window.location.protocol !== 'file:';
+    },
+
+    /**
+     * Число воркеров по умолчанию: ядра процессора минус одно для интерфейса
+     */
+    defaultConcurrency() {
+        const cores = navigator.hardwareConcurrency || 2;
+        return Math.max(1, Math.min(cores - 1, 4));
+    },
+
+    /**
+     * Обрабатывает файлы в пуле воркеров
+     * @param {Array<File>} files - Файлы для обработки
+     * @param {Object} options
+     * @param {number} options.concurrency - Число параллельных воркеров
+     * @param {Function} options.onProgress - (index, percent, message) прогресс по файлу
+     * @param {Function} options.onResult - (index, result) результат PDFProcessor.processFile
+     * @returns {Promise<{cancelled: boolean}>}
+     */
+    async run(files, { concurrency, onProgress = null, onResult = null } = {}) {
+        const size = Math.max(1, Math.min(concurrency || this.defaultConcurrency(), this.MAX_CONCURRENCY, files.length));
+        const queue = files.map((file, index) => ({ file, index }));
+
+        this.isCancelled = false;
+        this.workers = [];
+
+        console.log(`🧵 Запуск пула воркеров: ${size} (файлов: ${files.length})`);
+
+        const runWorker = async () => {
+            const worker = this.createWorker(onProgress);
+            this.workers.push(worker);
+
+            while (queue.length > 0 && !this.isCancelled) {
+                const task = queue.shift();
+                // Сломанный воркер не отвечает — файл уходит в основной поток
+                const result = worker.isBroken
+                    ? { success: false, error: 'Воркер недоступен', filename: task.file.name, needsMainThread: true }
+                    : await this.processInWorker(worker, task);
+                if (this.isCancelled) break;
+                if (onResult) onResult(task.index, result);
+            }
+
+            worker.terminate();
+        };
+
+        await Promise.all(Array.from({ length: size }, runWorker));
+
+        this.workers = [];
+        return { cancelled: this.isCancelled };
+    },
+
+    /**
+     * Создаёт воркер и подписывается на его сообщения
+     */
+    createWorker(onProgress) {
+        const worker = new Worker(this.WORKER_SRC);
+
+        worker.onmessage = (event) => {
+            const { type, id } = event.data || {};
+            const task = this.pending.get(id);
+            if (!task) return;
+
+            if (type === 'progress') {
+                if (onProgress) onProgress(task.index, event.data.percent, event.data.message);
+            } else if (type === 'result') {
+                this.pending.delete(id);
+                task.resolve(event.data.result);
+            }
+        };
+
+        // Падение воркера (например, не загрузился pdf.js) — ошибка текущего файла
+        worker.onerror = (event) => {
+            event.preventDefault();
+            worker.isBroken = true;
+            for (const [id, task] of this.pending) {
+                if (task.worker === worker) {
+                    this.pending.delete(id);
+                    task.resolve({
+                        success: false,
+                        error: `Ошибка воркера: ${event.message || 'неизвестная ошибка'}`,
+                        filename: task.file.name,
+                        needsMainThread: true
+                    });
+                }
+            }
+        };
+
+        return worker;
+    },
+
+    /**
+     * Отправляет файл воркеру и ждёт результат
+     */
+    processInWorker(worker, { file, index }) {
+        return new Promise(resolve => {
+            const id = this.nextTaskId++;
+            this.pending.set(id, { worker, file, index, resolve });
+            worker.postMessage({ type: 'process', id, file });
+        });
+    },
+
+    /**
+     * Отменяет обработку: воркеры останавливаются, незавершённые файлы пропускаются
+     */
+    cancel() {
+        this.isCancelled = true;
+        this.workers.forEach(worker => worker.terminate());
+        for (const [id, task] of this.pending) {
+            this.pending.delete(id);
+            task.resolve({ success: false, cancelled: true, filename: task.file.name });
+        }
+        console.log('⏹ Обработка отменена');
+    }
+};
+
+// Экспорт в глобальный scope
+window.PDFWorkerPool = PDFWorkerPool;
+console.log('✅ PDFWorkerPool загружен и экспортирован');
@@ -0,0 +1,37 @@
+#!/bin/sh
+# FETCH-TESSERACT.SH
+# Скачивает Tesseract.js, ядро WASM и русскую модель в lib/tesseract/ (OCR работает без CDN)
+# Нужен npm: файлы берутся из пакетов реестра npm
+# Запуск из корня репозитория: sh scripts/fetch-tesseract.sh
+
+set -e
+
+TESSERACT_VERSION=5.1.1
+CORE_VERSION=5.1.1
+RUS_VERSION=1.0.0
+# Модель, которую tesseract.js по умолчанию берёт с CDN
+RUS_MODEL=4.0.0_best_int
+
+ROOT=$(cd "$(dirname "$0")/.." && pwd)
+TARGET="$ROOT/lib/tesseract"
+TMP=$(mktemp -d)
+trap 'rm -rf "$TMP"' EXIT
+
+unpack() {
+    mkdir -p "$TMP/$2"
+    (cd "$TMP" && npm pack --loglevel=error "$1" > "$2.name")
+    tar -xzf "$TMP/$(cat "$TMP/$2.name")" -C "$TMP/$2"
+}
+
+echo "📦 Загрузка tesseract.js@$TESSERACT_VERSION, tesseract.js-core@$CORE_VERSION, @tesseract.js-data/rus@$RUS_VERSION"
+unpack "tesseract.js@$TESSERACT_VERSION" tesseract
+unpack "tesseract.js-core@$CORE_VERSION" core
+unpack "@tesseract.js-data/rus@$RUS_VERSION" rus
+
+mkdir -p "$TARGET"
+cp "$TMP/tesseract/package/dist/tesseract.min.js" "$TMP/tesseract/package/dist/worker.min.js" "$TARGET/"
+# OCRProcessor запускает только LSTM-движок: worker выбирает из этих двух сборок по поддержке SIMD
+cp "$TMP/core/package/tesseract-core-lstm.wasm.js" "$TMP/core/package/tesseract-core-simd-lstm.wasm.js" "$TARGET/"
+cp "$TMP/rus/package/$RUS_MODEL/rus.traineddata.gz" "$TARGET/"
+
+echo "✅ Файлы Tesseract сохранены в lib/tesseract/"
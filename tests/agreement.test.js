@@ -0,0 +1,67 @@
+/**
+AGREEMENT.TEST.JS
+Проверки согласованности разметчиков AgreementCalculator
+Запуск: node tests/agreement.test.js
+Версия: 1.0
+*/
+
+const assert = require('node:assert');
+const { loadModules, runCases } = require('./helpers');
+
+const { AgreementCalculator } = loadModules('js/jsonl-handler.js', 'js/agreement.js');
+
+const NOT_APPEALED = { appeal_history: [] };
+const UPHELD = { appeal_history: [{ instance: 'appeal', date: '2024-05-01', outcome: 'оставлено без изменения' }] };
+const CANCELED = { appeal_history: [{ instance: 'appeal', date: '2024-05-01', outcome: 'отменено' }] };
+
+function approx(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-4, `${actual} ≠ ${expected}`);
+}
+
+runCases({
+    'каппа Коэна'() {
+        const result = AgreementCalculator.cohenKappa([[true, true], [true, false], [false, false], [false, false]]);
+        approx(result.observed, 0.75);
+        approx(result.kappa, 0.5);
+        assert.strictEqual(result.n, 4);
+    },
+
+    'каппа не определена, если все метки одинаковы'() {
+        assert.strictEqual(AgreementCalculator.cohenKappa([[true, true], [true, true]]).kappa, null);
+        assert.strictEqual(AgreementCalculator.cohenKappa([]).kappa, null);
+        assert.strictEqual(AgreementCalculator.interpret(null), 'не определена');
+    },
+
+    'каппа Флейса'() {
+        const result = AgreementCalculator.fleissKappa([[1, 1, 1], [0, 0, 0], [1, 1, 0], [0, 0, 0]]);
+        approx(result.kappa, (5 / 6 - 74 / 144) / (1 - 74 / 144));
+        approx(result.observed, 0.75);
+        assert.strictEqual(AgreementCalculator.fleissKappa([[1, 1, 1], [0, 0, 0]]).kappa, 1);
+    },
+
+    'расчёт по записям: метод, попарные каппы и расхождения'() {
+        const entries = [
+            { annotations: { anna: UPHELD, boris: UPHELD } },
+            { annotations: { anna: CANCELED, boris: UPHELD } },
+            { annotations: { anna: NOT_APPEALED, boris: NOT_APPEALED } },
+            { annotations: { anna: NOT_APPEALED } },
+            {}
+        ];
+
+        const result = AgreementCalculator.compute(entries, ['anna', 'boris']);
+        assert.strictEqual(result.method, 'cohen');
+        assert.strictEqual(result.labels.appealed.n, 3);
+        assert.strictEqual(result.labels.appealed.kappa, 1);
+        approx(result.labels.canceled.observed, 2 / 3);
+        assert.deepStrictEqual(result.disagreements, [1]);
+        assert.strictEqual(result.labels.appealed.pairwise.length, 1);
+
+        const three = AgreementCalculator.compute(
+            entries.map(entry => ({ annotations: { ...entry.annotations, vera: NOT_APPEALED } })),
+            ['anna', 'boris', 'vera']
+        );
+        assert.strictEqual(three.method, 'fleiss');
+        assert.strictEqual(three.labels.appealed.pairwise.length, 3);
+        assert.deepStrictEqual(three.disagreements, [0, 1]);
+    }
+});
@@ -0,0 +1,71 @@
+/**
+CASE-CARD-PARSER.TEST.JS
+Проверки разбора карточек дел kad.arbitr CaseCardParser
+Запуск: node tests/case-card-parser.test.js
+Версия: 1.0
+*/
+
+const assert = require('node:assert');
+const { loadModules, runCases } = require('./helpers');
+
+const { JSONLHandler, CaseCardParser } = loadModules('js/jsonl-handler.js', 'js/case-card-parser.js');
+const OUTCOMES = JSONLHandler.APPEAL_OUTCOMES;
+
+const CHRONOLOGY = `
+Дело № А60-12345/2024
+Первая инстанция
+16.06.2024 Арбитражный суд Свердловской области. Решение. Иск удовлетворить полностью.
+Апелляционная инстанция
+20.07.2024 Апелляционная жалоба принята к производству
+10.09.2024 Постановление 17АП-1234/2024(1)-ГК. Решение оставить без изменения, апелляционную жалобу — без удовлетворения.
+Кассационная инстанция
+01.10.2024 Кассационная жалоба принята к производству
+15.12.2024 Постановление Ф09-5678/24. Постановление апелляционного суда отменить, дело направить на новое рассмотрение.
+`;
+
+runCases({
+    'хронология дела: постановления апелляции и кассации по порядку'() {
+        const { caseNumber, records, issues } = CaseCardParser.parse(CHRONOLOGY);
+        assert.strictEqual(caseNumber, 'А60-12345/2024');
+        assert.deepStrictEqual(issues, []);
+        assert.deepStrictEqual(records, [
+            { instance: 'апелляция', date: '2024-09-10', resolution_number: '17АП-1234/2024(1)-ГК', outcome: OUTCOMES.UPHELD },
+            { instance: 'кассация', date: '2024-12-15', resolution_number: 'Ф09-5678/24', outcome: OUTCOMES.CANCELED_RETRIAL }
+        ]);
+    },
+
+    'жалоба подана, постановления ещё нет — запись без итога'() {
+        const { records } = CaseCardParser.parse('А60-1/2024\nАпелляционная инстанция\n20.07.2024 Апелляционная жалоба принята к производству');
+        assert.strictEqual(records.length, 1);
+        assert.strictEqual(records[0].instance, 'апелляция');
+        assert.strictEqual(records[0].outcome, OUTCOMES.PENDING);
+    },
+
+    'возвращённая жалоба и постановление без итога попадают в замечания'() {
+        const { records, issues } = CaseCardParser.parse(
+            'А60-1/2024\nАпелляционная инстанция\n'
+            + '20.07.2024 Определение. Возвратить апелляционную жалобу заявителю.\n'
+            + '10.09.2024 Постановление 17АП-1/2024. Судебное заседание отложено.'
+        );
+        assert.deepStrictEqual(records, []);
+        assert.strictEqual(issues.length, 2);
+        assert.match(issues[0], /возвращена/);
+        assert.match(issues[1], /не удалось определить итог/);
+    },
+
+    'HTML карточки и номер дела из имени файла'() {
+        const html = '<html><body><div>Апелляционная инстанция</div><div>10.09.2024 Постановление: решение изменить в части</div></body></html>';
+        const { caseNumber, records } = CaseCardParser.parse(html, 'А60-777-2024.html');
+        assert.strictEqual(caseNumber, 'А60-777/2024');
+        assert.strictEqual(records[0].outcome, OUTCOMES.CHANGED_IN_PART);
+        assert.ok(CaseCardParser.isCaseCardFile({ name: 'карточка.HTM' }));
+        assert.ok(!CaseCardParser.isCaseCardFile({ name: 'решение.pdf' }));
+    },
+
+    'инстанция по наименованию суда'() {
+        assert.strictEqual(CaseCardParser.detectInstance('Арбитражный суд Уральского округа'), 'кассация');
+        assert.strictEqual(CaseCardParser.detectInstance('Семнадцатый арбитражный апелляционный суд'), 'апелляция');
+        assert.strictEqual(CaseCardParser.detectInstance('Судебная коллегия по экономическим спорам Верховного Суда'), 'ВС РФ');
+        assert.strictEqual(CaseCardParser.detectInstance('Арбитражный суд Свердловской области'), JSONLHandler.FIRST_INSTANCE);
+    }
+});
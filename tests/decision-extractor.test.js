@@ -0,0 +1,74 @@
+/**
+DECISION-EXTRACTOR.TEST.JS
+Проверки извлечения сторон, итога и сумм DecisionExtractor
+Запуск: node tests/decision-extractor.test.js
+Версия: 1.0
+*/
+
+const assert = require('node:assert');
+const { loadModules, runCases } = require('./helpers');
+
+const { DecisionExtractor } = loadModules('js/decision-extractor.js');
+
+runCases({
+    'сумма после даты не склеивается с годом'() {
+        assert.strictEqual(
+            DecisionExtractor.extractInitialClaims('о взыскании задолженности за период с 01.01.2024 по 31.12.2024 150 000 руб.'),
+            150000
+        );
+    },
+
+    'сумма с копейками и разделителями разрядов'() {
+        assert.strictEqual(DecisionExtractor.extractInitialClaims('о взыскании 1 250 000 руб. 50 коп. долга'), 1250000.5);
+        assert.strictEqual(DecisionExtractor.extractInitialClaims('о взыскании 15000 рублей'), 15000);
+    },
+
+    'расходы исключаются только для суммы, за которой они указаны'() {
+        assert.strictEqual(
+            DecisionExtractor.extractAwarded('РЕШИЛ: взыскать с ответчика в пользу истца 100 000 руб. долга, 5 000 руб. и 4 000 руб. расходов по уплате государственной пошлины.'),
+            105000
+        );
+    },
+
+    'расходы через несколько слов после суммы исключаются'() {
+        assert.strictEqual(
+            DecisionExtractor.extractAwarded('РЕШИЛ: взыскать 50 000 руб. основного долга, 2 000 руб. в возмещение судебных расходов.'),
+            50000
+        );
+    },
+
+    'сумма, от которой начисляется неустойка, не присуждается повторно'() {
+        assert.strictEqual(
+            DecisionExtractor.extractAwarded('РЕШИЛ: взыскать с ответчика в пользу истца 100 000 руб. долга, неустойку, начисленную на сумму долга 100 000 руб., начиная с 01.06.2024 по день фактической оплаты долга.'),
+            100000
+        );
+        assert.strictEqual(
+            DecisionExtractor.extractAwarded('РЕШИЛ: взыскать 80 000 руб. долга и 4 000 руб. процентов, исходя из суммы 80 000 руб. и ключевой ставки.'),
+            84000
+        );
+    },
+
+    'взыскание только государственной пошлины при отказе в иске — отказ'() {
+        const operative = 'РЕШИЛ: В удовлетворении иска отказать. Взыскать с общества с ограниченной ответственностью «Ромашка» в доход федерального бюджета 2 000 руб. государственной пошлины.';
+        assert.strictEqual(DecisionExtractor.extractVerdict(operative), DecisionExtractor.VERDICTS.REJECTED);
+    },
+
+    'взыскание долга и отказ в остальной части — частичное удовлетворение'() {
+        const operative = 'РЕШИЛ: Взыскать с ответчика в пользу истца 50 000 руб. долга. В удовлетворении остальной части иска отказать.';
+        assert.strictEqual(DecisionExtractor.extractVerdict(operative), DecisionExtractor.VERDICTS.PARTIAL);
+        assert.strictEqual(
+            DecisionExtractor.extractVerdict('РЕШИЛ: Взыскать с ответчика в пользу истца 50 000 руб. долга.'),
+            DecisionExtractor.VERDICTS.SATISFIED
+        );
+    },
+
+    'тип ответчика в дательном падеже'() {
+        const parties = DecisionExtractor.extractParties(
+            'по иску общества с ограниченной ответственностью «Теплосеть» (ИНН 6600000000) к обществу с ограниченной ответственностью «Ромашка» (ИНН 6600000001) о взыскании 100 000 руб.'
+        );
+        assert.strictEqual(parties.defendant.name, 'обществу с ограниченной ответственностью «Ромашка»');
+        assert.strictEqual(parties.defendant.type, 'юрлицо - контрагент');
+        assert.strictEqual(DecisionExtractor.classifyParty('муниципальному бюджетному учреждению «Школа № 5»'), 'юрлицо - контрагент');
+        assert.strictEqual(DecisionExtractor.classifyParty('муниципальному унитарному предприятию «Гортранс»'), 'юрлицо - контрагент');
+    }
+});
@@ -0,0 +1,69 @@
+/**
+DUPLICATE-DETECTOR.TEST.JS
+Проверки поиска дубликатов DuplicateDetector (хэш содержимого и MinHash)
+Запуск: node tests/duplicate-detector.test.js
+Версия: 1.0
+*/
+
+const assert = require('node:assert');
+const { loadModules, runCases } = require('./helpers');
+
+const { DuplicateDetector } = loadModules('js/duplicate-detector.js');
+
+// Текст решения из 150 разных слов: сходство правок легко оценить
+const BASE_TEXT = Array.from({ length: 150 }, (_, i) => `слово${i}`).join(' ');
+
+function withReplacedWords(text, count) {
+    const words = text.split(' ');
+    for (let i = 0; i < count; i++) words[i * 10] = `правка${i}`;
+    return words.join(' ');
+}
+
+runCases({
+    'хэш содержимого не зависит от регистра, ё, пунктуации и разметки страниц'() {
+        const hash = DuplicateDetector.contentHash('Решение суда: взыскать 100 000 руб. Ёлкин.');
+        assert.strictEqual(hash, DuplicateDetector.contentHash('--- Страница 1 ---\nрешение  СУДА взыскать 100 000 руб елкин'));
+        assert.notStrictEqual(hash, DuplicateDetector.contentHash('Решение суда: взыскать 200 000 руб. Ёлкин.'));
+        assert.strictEqual(DuplicateDetector.contentHash(' … '), '');
+    },
+
+    'сходство сигнатур близко к доле общих шинглов'() {
+        const signature = DuplicateDetector.signature(BASE_TEXT, 5);
+        assert.strictEqual(DuplicateDetector.similarity(signature, DuplicateDetector.signature(BASE_TEXT, 5)), 1);
+
+        const edited = DuplicateDetector.similarity(signature, DuplicateDetector.signature(withReplacedWords(BASE_TEXT, 2), 5));
+        assert.ok(edited > 0.8 && edited < 1, `сходство ${edited}`);
+
+        const other = Array.from({ length: 150 }, (_, i) => `иное${i}`).join(' ');
+        assert.ok(DuplicateDetector.similarity(signature, DuplicateDetector.signature(other, 5)) < 0.1);
+        assert.strictEqual(DuplicateDetector.signature('', 5), null);
+    },
+
+    async 'группы точных и почти одинаковых дубликатов'() {
+        const entries = [
+            { decision_text: BASE_TEXT },
+            { decision_text: 'Совсем другой акт о взыскании неустойки' },
+            { decision_text: BASE_TEXT.toUpperCase() },
+            { decision_text: withReplacedWords(BASE_TEXT, 2) },
+            { decision_text: '' },
+            { decision_text: '' }
+        ];
+
+        const clusters = await DuplicateDetector.findClusters(entries, { threshold: 0.8, shingleSize: 5 });
+        assert.strictEqual(clusters.length, 1);
+        assert.strictEqual(clusters[0].type, 'near');
+        assert.deepStrictEqual([...clusters[0].indexes].sort(), [0, 2, 3]);
+        assert.ok(clusters[0].similarity >= 0.8);
+
+        const exact = await DuplicateDetector.findClusters(entries.slice(0, 3), { threshold: 0.8, shingleSize: 5 });
+        assert.strictEqual(exact.length, 1);
+        assert.strictEqual(exact[0].type, 'exact');
+        assert.strictEqual(exact[0].similarity, 1);
+    },
+
+    'ключ группы меняется при появлении новой записи'() {
+        const key = DuplicateDetector.clusterKey({ hashes: ['b', 'a'] });
+        assert.strictEqual(key, DuplicateDetector.clusterKey({ hashes: ['a', 'b'] }));
+        assert.notStrictEqual(key, DuplicateDetector.clusterKey({ hashes: ['a', 'b', 'c'] }));
+    }
+});
@@ -0,0 +1,47 @@
+/**
+HELPERS.JS
+Загрузка модулей приложения в Node и запуск проверок
+Версия: 1.0
+*/
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+/**
+ * Выполняет модули приложения (js/...) как скрипты страницы и возвращает window с их экспортами
+ * @param {...string} files - Пути от корня репозитория, в порядке подключения в index.html
+ */
+function loadModules(...files) {
+    global.window = global.window || {};
+    const log = console.log;
+    console.log = () => {};
+    try {
+        files.forEach(file => {
+            const source = fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+            vm.runInThisContext(source, { filename: file });
+        });
+    } finally {
+        console.log = log;
+    }
+    return global.window;
+}
+
+/**
+ * Запускает проверки { название: функция } и завершает процесс с кодом 1, если хоть одна не прошла
+ */
+async function runCases(cases) {
+    let failed = 0;
+    for (const [name, run] of Object.entries(cases)) {
+        try {
+            await run();
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failed++;
+            console.error(`❌ ${name}\n${error.message}`);
+        }
+    }
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+module.exports = { loadModules, runCases };
@@ -0,0 +1,147 @@
+/**
+HISTORY-MANAGER.TEST.JS
+Проверки сохранения истории изменений HistoryManager между сеансами
+Запуск: node tests/history-manager.test.js
+Версия: 1.0
+*/
+
+const assert = require('node:assert');
+const { loadModules, runCases } = require('./helpers');
+
+// DatasetStorage в памяти: датасет → { entries, state }
+const datasets = new Map();
+global.DatasetStorage = {
+    isSupported: () => true,
+    async saveDataset(key, entries, state = {}) {
+        datasets.set(key, { entries: structuredClone(entries), state: { ...state } });
+    },
+    async loadDataset(key) {
+        return datasets.has(key) ? structuredClone(datasets.get(key)) : null;
+    },
+    async saveState(key, state) {
+        const dataset = datasets.get(key) || { entries: [], state: {} };
+        dataset.state = { ...dataset.state, ...structuredClone(state) };
+        datasets.set(key, dataset);
+    },
+    async loadState(key) {
+        return datasets.has(key) ? structuredClone(datasets.get(key).state) : null;
+    },
+    async deleteDataset(key) {
+        datasets.delete(key);
+    }
+};
+
+const { HistoryManager } = loadModules('js/history-manager.js');
+
+/**
+ * Подключает историю к массиву записей; возвращает этот массив
+ */
+async function connect(entries = []) {
+    await HistoryManager.init('history', {
+        getEntries: () => entries,
+        applyExtra: () => {},
+        onChange: () => {},
+        onError: (error) => { throw error; }
+    });
+    return entries;
+}
+
+/**
+ * Дожидается окончания сохранения истории
+ */
+async function settle() {
+    while (HistoryManager.isPersisting) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+runCases({
+    async 'очистка датасета отменяется после перезагрузки'() {
+        datasets.clear();
+        const entries = await connect([{ case_number: 'А60-1/2024' }]);
+        HistoryManager.execute('Правка', [HistoryManager.setOp(0, entries[0], { case_number: 'А60-2/2024' })]);
+        HistoryManager.execute('Очистка', [HistoryManager.replaceOp(entries, [])]);
+        await settle();
+
+        const saved = datasets.get('history').state;
+        assert.strictEqual(saved.undoStack.length, 2);
+        assert.strictEqual(saved.undoStack[1].ops[0].before, undefined, 'записи замены хранятся в снимке, а не в истории');
+
+        const reloaded = await connect([]);
+        assert.strictEqual(HistoryManager.nextUndoLabel(), 'Очистка');
+        HistoryManager.undo();
+        assert.deepStrictEqual(reloaded, [{ case_number: 'А60-2/2024' }]);
+        HistoryManager.undo();
+        assert.deepStrictEqual(reloaded, [{ case_number: 'А60-1/2024' }]);
+    },
+
+    async 'сохраняется не больше PERSIST_SNAPSHOTS замен, лишние снимки удаляются'() {
+        datasets.clear();
+        const entries = await connect([]);
+        for (let i = 0; i <= HistoryManager.PERSIST_SNAPSHOTS; i++) {
+            HistoryManager.execute(`Загрузка ${i}`, [HistoryManager.replaceOp(entries, [{ case_number: `А60-${i}/2024` }])]);
+            await settle();
+        }
+
+        const saved = datasets.get('history').state;
+        assert.strictEqual(saved.undoStack.length, HistoryManager.PERSIST_SNAPSHOTS);
+        assert.strictEqual(saved.undoStack[0].label, 'Загрузка 1');
+        assert.strictEqual(saved.snapshots.length, HistoryManager.PERSIST_SNAPSHOTS);
+        // История и по два датасета (до и после) на каждый снимок
+        assert.strictEqual(datasets.size, 1 + 2 * HistoryManager.PERSIST_SNAPSHOTS);
+    },
+
+    async 'потерянный снимок обрывает историю под командой'() {
+        datasets.clear();
+        const entries = await connect([]);
+        HistoryManager.execute('Загрузка', [HistoryManager.replaceOp(entries, [{ case_number: 'А60-1/2024' }])]);
+        HistoryManager.execute('Правка', [HistoryManager.setOp(0, entries[0], { case_number: 'А60-2/2024' })]);
+        await settle();
+
+        const [snapshot] = datasets.get('history').state.snapshots;
+        datasets.delete(`${snapshot}_before`);
+
+        await connect([]);
+        assert.strictEqual(HistoryManager.undoStack.length, 1);
+        assert.strictEqual(HistoryManager.nextUndoLabel(), 'Правка');
+    },
+
+    async 'крупные команды сверх PERSIST_LIMIT не сохраняются'() {
+        datasets.clear();
+        const entries = await connect([{ decision_text: '' }, { decision_text: '' }]);
+        const large = { decision_text: 'а'.repeat(HistoryManager.PERSIST_LIMIT) };
+        HistoryManager.execute('Крупная правка', [HistoryManager.setOp(0, entries[0], large)]);
+        HistoryManager.execute('Правка', [HistoryManager.setOp(1, entries[1], { decision_text: 'б' })]);
+        await settle();
+
+        const saved = datasets.get('history').state;
+        assert.deepStrictEqual(saved.undoStack.map(command => command.label), ['Правка']);
+    },
+
+    'изменённые позиции: правки до первой сдвинутой позиции сохраняются по одной'() {
+        const entry = { case_number: 'А60-1/2024' };
+        assert.deepStrictEqual(
+            HistoryManager.getChangedPositions([HistoryManager.setOp(2, entry, entry), HistoryManager.setOp(5, entry, entry)]),
+            { edited: [2, 5], shiftedFrom: null }
+        );
+        assert.deepStrictEqual(
+            HistoryManager.getChangedPositions([
+                HistoryManager.setOp(1, entry, entry),
+                HistoryManager.removeOp(7, entry),
+                HistoryManager.removeOp(4, entry)
+            ]),
+            { edited: [1], shiftedFrom: 4 }
+        );
+        assert.strictEqual(HistoryManager.getChangedPositions([HistoryManager.replaceOp([entry], [])]).shiftedFrom, 0);
+    },
+
+    async 'удаление истории удаляет и снимки'() {
+        datasets.clear();
+        const entries = await connect([]);
+        HistoryManager.execute('Загрузка', [HistoryManager.replaceOp(entries, [{ case_number: 'А60-1/2024' }])]);
+        await settle();
+
+        await HistoryManager.deleteStorage('history');
+        assert.strictEqual(datasets.size, 0);
+    }
+});
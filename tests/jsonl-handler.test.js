@@ -0,0 +1,99 @@
+/**
+JSONL-HANDLER.TEST.JS
+Проверки объединения датасетов JSONLHandler (planMerge, mergeEntries)
+Запуск: node tests/jsonl-handler.test.js
+Версия: 1.0
+*/
+
+const assert = require('node:assert');
+const { loadModules, runCases } = require('./helpers');
+
+const { JSONLHandler } = loadModules('js/jsonl-handler.js');
+
+function makeEntry(fields = {}, metadata = {}) {
+    return {
+        case_number: 'А60-1/2024',
+        decision_date: '2024-03-01',
+        decision_text: 'Текст решения',
+        appeal_history: [],
+        ...fields,
+        metadata: { document_type: 'court_decision', ...metadata }
+    };
+}
+
+runCases({
+    'planMerge: новые акты добавляются, одинаковые пропускаются, различающиеся — конфликты'() {
+        const existing = [makeEntry(), makeEntry({ case_number: 'А60-2/2024' })];
+        const incoming = [
+            makeEntry(),
+            makeEntry({ case_number: 'А60-2/2024', decision_text: 'Исправленный текст' }),
+            makeEntry({ case_number: 'А60-3/2024' }),
+            makeEntry({ case_number: 'А60-3/2024' })
+        ];
+
+        const plan = JSONLHandler.planMerge(existing, incoming);
+        assert.strictEqual(plan.identical, 1);
+        assert.strictEqual(plan.skipped, 1);
+        assert.deepStrictEqual(plan.additions.map(entry => entry.case_number), ['А60-3/2024']);
+        assert.strictEqual(plan.conflicts.length, 1);
+        assert.strictEqual(plan.conflicts[0].index, 1);
+        assert.deepStrictEqual(plan.conflicts[0].diff.map(change => change.field), ['decision_text']);
+    },
+
+    'по полям: берётся более поздняя правка каждого поля'() {
+        const mine = makeEntry({ decision_text: 'Мой текст', appeal_history: [] }, {
+            field_updated_at: { decision_text: '2024-06-01T00:00:00Z', appeal_history: '2024-01-01T00:00:00Z' }
+        });
+        const theirs = makeEntry({ decision_text: 'Их текст', appeal_history: [{ instance: 'appeal', date: '2024-05-01', result: 'upheld' }] }, {
+            field_updated_at: { decision_text: '2024-02-01T00:00:00Z', appeal_history: '2024-05-01T00:00:00Z' }
+        });
+
+        const merged = JSONLHandler.mergeEntries(mine, theirs, 'newest');
+        assert.strictEqual(merged.decision_text, 'Мой текст');
+        assert.strictEqual(merged.appeal_history.length, 1);
+        assert.strictEqual(merged.appealed, true);
+        assert.strictEqual(merged.metadata.field_updated_at.appeal_history, '2024-05-01T00:00:00Z');
+    },
+
+    'по полям: поле, которого нет в файле, не удаляется из моей записи'() {
+        const mine = makeEntry({ enrichment: { decision_verdict: 'отказано' } }, {
+            updated_at: '2024-05-01T00:00:00Z',
+            field_updated_at: { enrichment: '2024-05-01T00:00:00Z' }
+        });
+        const theirs = makeEntry({ appeal_history: [{ instance: 'appeal', date: '2024-05-20', result: 'upheld' }] }, {
+            updated_at: '2024-06-01T00:00:00Z',
+            field_updated_at: { appeal_history: '2024-06-01T00:00:00Z' }
+        });
+
+        const merged = JSONLHandler.mergeEntries(mine, theirs, 'newest');
+        assert.deepStrictEqual(merged.enrichment, { decision_verdict: 'отказано' });
+        assert.strictEqual(merged.appeal_history.length, 1);
+    },
+
+    'по полям: поле, которого нет у меня, берётся из файла'() {
+        const mine = makeEntry({}, { updated_at: '2024-06-01T00:00:00Z' });
+        const theirs = makeEntry({ enrichment: { decision_verdict: 'удовлетворено' } }, {
+            field_updated_at: { enrichment: '2024-01-01T00:00:00Z' }
+        });
+
+        const merged = JSONLHandler.mergeEntries(mine, theirs, 'newest');
+        assert.deepStrictEqual(merged.enrichment, { decision_verdict: 'удовлетворено' });
+    },
+
+    'по полям: разметка разных разметчиков объединяется'() {
+        const annotation = (annotatedAt) => ({ appeal_history: [], appealed: false, canceled: false, annotated_at: annotatedAt });
+        const mine = makeEntry({ annotations: { anna: annotation('2024-05-01T00:00:00Z') } });
+        const theirs = makeEntry({ annotations: { boris: annotation('2024-04-01T00:00:00Z') } });
+
+        const merged = JSONLHandler.mergeEntries(mine, theirs, 'newest');
+        assert.deepStrictEqual(Object.keys(merged.annotations).sort(), ['anna', 'boris']);
+    },
+
+    'стратегия «взять из файла» удаляет поля, которых в файле нет'() {
+        const mine = makeEntry({ enrichment: { decision_verdict: 'отказано' } });
+        const theirs = makeEntry();
+
+        assert.strictEqual(JSONLHandler.mergeEntries(mine, theirs, 'theirs').enrichment, undefined);
+        assert.ok(JSONLHandler.mergeEntries(mine, theirs, 'mine').enrichment);
+    }
+});
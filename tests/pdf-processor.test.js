@@ -0,0 +1,44 @@
+/**
+PDF-PROCESSOR.TEST.JS
+Проверки очистки текста PDFProcessor (колонтитулы, переносы)
+Запуск: node tests/pdf-processor.test.js
+Версия: 1.0
+*/
+
+const assert = require('node:assert');
+const { loadModules, runCases } = require('./helpers');
+
+// pdf.js в проверках не нужен: разбираются уже извлечённые строки страниц
+global.pdfjsLib = {};
+const { PDFProcessor } = loadModules('js/jsonl-handler.js', 'js/pdf-processor.js');
+
+runCases({
+    'наименование суда остаётся на первой странице, колонтитулы удаляются'() {
+        const pages = [
+            'АРБИТРАЖНЫЙ СУД СВЕРДЛОВСКОЙ ОБЛАСТИ\nРЕШЕНИЕ\nТекст первой страницы решения суда.\n1',
+            'АРБИТРАЖНЫЙ СУД СВЕРДЛОВСКОЙ ОБЛАСТИ\nТекст второй страницы решения суда.\n2',
+            'АРБИТРАЖНЫЙ СУД СВЕРДЛОВСКОЙ ОБЛАСТИ\nТекст третьей страницы решения суда.\n3'
+        ];
+
+        const { text, pageOffsets, removedLines } = PDFProcessor.cleanPages(pages);
+        assert.ok(text.startsWith('АРБИТРАЖНЫЙ СУД СВЕРДЛОВСКОЙ ОБЛАСТИ\nРЕШЕНИЕ'), text);
+        assert.strictEqual(text.split('АРБИТРАЖНЫЙ СУД').length - 1, 1);
+        assert.strictEqual(removedLines, 5);
+        assert.strictEqual(text.slice(pageOffsets[1].start, pageOffsets[1].end), 'Текст второй страницы решения суда.');
+    },
+
+    'перенос слова склеивается, смещения страниц сдвигаются'() {
+        const pageOffsets = [{ page: 1, start: 0, end: 15 }, { page: 2, start: 17, end: 28 }];
+        const text = 'поставка тепло-\n\nвой энергии';
+        assert.strictEqual(PDFProcessor.rejoinHyphenated(text, pageOffsets), 'поставка тепловой энергии');
+        assert.deepStrictEqual(pageOffsets.map(range => [range.start, range.end]), [[0, 14], [14, 25]]);
+        assert.strictEqual(PDFProcessor.rejoinHyphenated('теплоснаб-\nже-\nние'), 'теплоснабжение');
+    },
+
+    'у составных слов дефис остаётся'() {
+        assert.strictEqual(PDFProcessor.rejoinHyphenated('Северо-\nзападный округ'), 'Северо-западный округ');
+        assert.strictEqual(PDFProcessor.rejoinHyphenated('жилищно-\nкоммунальных услуг'), 'жилищно-коммунальных услуг');
+        assert.strictEqual(PDFProcessor.rejoinHyphenated('какой-\nлибо довод'), 'какой-либо довод');
+        assert.strictEqual(PDFProcessor.rejoinHyphenated('ООО «Тепло-\nСеть»'), 'ООО «Тепло-\nСеть»');
+    }
+});
@@ -0,0 +1,53 @@
+/**
+STORAGE.TEST.JS
+Проверки переноса датасета из localStorage в DatasetStorage
+Запуск: node tests/storage.test.js
+Версия: 1.0
+*/
+
+const assert = require('node:assert');
+const { loadModules, runCases } = require('./helpers');
+
+const items = new Map();
+global.localStorage = {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+};
+
+const { DatasetStorage } = loadModules('js/storage.js');
+
+// Записи IndexedDB подменяются словарём: датасет → { entries, state }
+const datasets = new Map();
+DatasetStorage.loadDataset = async (key) => datasets.get(key) || null;
+DatasetStorage.saveDataset = async (key, entries, state) => {
+    datasets.set(key, { entries, state });
+};
+
+runCases({
+    async 'датасет из localStorage переносится, ключ удаляется'() {
+        datasets.clear();
+        localStorage.setItem('dataset', JSON.stringify({ entries: [{ case_number: 'А60-1/2024' }], lastUpdated: '2024-01-01' }));
+
+        assert.strictEqual(await DatasetStorage.migrateFromLocalStorage('dataset'), true);
+        assert.deepStrictEqual(datasets.get('dataset').entries, [{ case_number: 'А60-1/2024' }]);
+        assert.strictEqual(datasets.get('dataset').state.lastUpdated, '2024-01-01');
+        assert.strictEqual(localStorage.getItem('dataset'), null);
+    },
+
+    async 'если датасет уже в IndexedDB, копия в localStorage удаляется без переноса'() {
+        datasets.clear();
+        datasets.set('dataset', { entries: [{ case_number: 'А60-2/2024' }], state: {} });
+        localStorage.setItem('dataset', JSON.stringify({ entries: [{ case_number: 'А60-1/2024' }] }));
+
+        const warn = console.warn;
+        console.warn = () => {};
+        try {
+            assert.strictEqual(await DatasetStorage.migrateFromLocalStorage('dataset'), false);
+        } finally {
+            console.warn = warn;
+        }
+        assert.deepStrictEqual(datasets.get('dataset').entries, [{ case_number: 'А60-2/2024' }]);
+        assert.strictEqual(localStorage.getItem('dataset'), null);
+    }
+});